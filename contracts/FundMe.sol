@@ -1,11 +1,19 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.10;
 
-import "./ERC20.sol";
+import "./IERC20.sol";
+import "./IERC20Permit.sol";
+import "./SafeERC20.sol";
+import "./ReentrancyGuard.sol";
+import "./Pausable.sol";
+import "./Multicall.sol";
+import "./EIP712.sol";
+import "./IPledgeReceipts.sol";
 
 /**
  * @dev A crowd funding contract for ERC-20 tokens.
- * Each campaign can only accept one ERC-20 token for better security.
+ * Each campaign can only accept one ERC-20 token for better security, chosen at launch
+ * from the tokens the owner allowed.
  * Users of the contract can launch a campaign stating their goal (how many tokens to raise).
  * While the campaign is running, donors will be able to pledge or unpledge
  * any amount of tokens. At the end of a campaign, if the amount of tokens raised
@@ -13,15 +21,51 @@ import "./ERC20.sol";
  * withdraw all the pledged tokens. If the amount of tokens raised is less than the goal
  * at the end of the campaign, then donors will be able to call the function refund() to
  * get their tokens back.
+ * While a campaign runs its creator can push back its end, within the max duration from its start,
+ * and cap how much can be pledged to it.
+ * A campaign launched with milestones releases the tokens in tranches instead: for each milestone
+ * the creator asks for a release, donors vote by pledge weight, and a rejected release lets donors
+ * reclaim their share of what has not been released yet.
+ * A campaign can declare stretch goals beyond its goal, each is announced once when pledges cross it.
+ * The owner can charge a fee in basis points on what creators claim or get released, sent to a fee
+ * recipient. Each campaign keeps the fee that was set when it was launched.
+ * The owner can pause launching and pledging, donors can always unpledge and get refunds. If a bug is
+ * found the owner can announce an emergency: once EMERGENCY_DELAY has passed, campaigns can no longer be
+ * claimed and every donor can withdraw what they have pledged to any unclaimed campaign. The owner
+ * itself can never move the pledged tokens.
+ * Donors and creators can refund or claim several campaigns at once with refundMany and claimMany,
+ * and run any FundMe calls together with multicall. Each batch is atomic: if one call reverts, they all do.
+ * The owner can set a PledgeReceipts contract made for this FundMe once, which gives donors of the campaigns
+ * launched from then on an NFT for their pledge, transferring it hands the pledge over to the new holder.
+ * It can never be replaced, and a receipt that cannot be updated never keeps a donor from getting out.
+ * A sponsor can deposit a matching pool for a campaign, which adds a share of every pledge on top of it
+ * until the pool runs out. Matched tokens count toward the goal and are paid out with the pledges, but
+ * are never paid to donors: what is left of the pool goes back to the sponsor.
+ * Donors without ETH for gas can sign EIP-712 pledge, unpledge and refund intents instead, which any
+ * relayer can execute on their behalf before the intent's deadline. Each intent carries a nonce that
+ * can only be used once, in any order.
  */
-contract FundMe
+contract FundMe is ReentrancyGuard, Pausable, Multicall, EIP712
 {
+    using SafeERC20 for IERC20;
+
     /**
      * @dev Emitted when a campaign is launched by `creator`.
      * Here we are putting indexed on the creator so that we can find all campaigns
-     * that are launched by the same creator.
+     * that are launched by the same creator, on the id so that the metadata URI
+     * of a campaign can be looked up without scanning every launch, and on the token
+     * so that we can find all campaigns raising the same token.
      */
-    event Launch(uint256 id, address indexed creator, uint256 goal, uint32 startAt, uint32 endAt);
+    event Launch(
+        uint256 indexed id,
+        address indexed creator,
+        address indexed token,
+        uint256 goal,
+        uint32 startAt,
+        uint32 endAt,
+        string metadataURI,
+        bytes32 metadataHash
+    );
 
     /**
      * @dev Emitted when a campaign is cancelled by the creator of that campaign.
@@ -51,6 +95,129 @@ contract FundMe
      */
     event Refund(uint256 indexed id, address indexed donor, uint256 amount);
 
+    /**
+     * @dev Emitted when the creator of a running campaign moves its end to `endAt`.
+     */
+    event Extend(uint256 indexed id, uint32 endAt);
+
+    /**
+     * @dev Emitted when the creator of a campaign sets the most that can be pledged to it, 0 for no cap.
+     */
+    event HardCap(uint256 indexed id, uint256 hardCap);
+
+    /**
+     * @dev Emitted when the owner starts handing the contract over to `newOwner`, who has to accept it.
+     */
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+
+    /**
+     * @dev Emitted when `newOwner` becomes the owner.
+     */
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    /**
+     * @dev Emitted when the owner sets the fee new campaigns are launched with and where fees are sent.
+     */
+    event FeeChanged(uint16 feeBps, address indexed feeRecipient);
+
+    /**
+     * @dev Emitted when `amount` tokens of what campaign `id` pays out are sent to the fee `recipient`.
+     */
+    event Fee(uint256 indexed id, address indexed recipient, uint256 amount);
+
+    /**
+     * @dev Emitted when the creator of campaign `id` declares its stretch goals, replacing any earlier ones.
+     */
+    event StretchGoals(uint256 indexed id, uint256[] amounts);
+
+    /**
+     * @dev Emitted when the pledges to campaign `id` reach stretch goal `tier`, of `amount` tokens.
+     */
+    event StretchGoalReached(uint256 indexed id, uint256 tier, uint256 amount);
+
+    /**
+     * @dev Emitted when the owner sets the receipt NFTs donors of new campaigns get.
+     */
+    event PledgeReceiptsChanged(address indexed pledgeReceipts);
+
+    /**
+     * @dev Emitted when the pledge of `from` to campaign `id` moves to `to` along with its receipt.
+     */
+    event PledgeTransfer(uint256 indexed id, address indexed from, address indexed to, uint256 amount);
+
+    /**
+     * @dev Emitted when `sponsor` deposits `amount` tokens to match the pledges to campaign `id`
+     * with `ratioBps` basis points of each pledged token.
+     */
+    event MatchingFunded(uint256 indexed id, address indexed sponsor, uint256 amount, uint32 ratioBps);
+
+    /**
+     * @dev Emitted when `amount` tokens of the matching pool of campaign `id` are added on top of a pledge of `donor`.
+     */
+    event Matched(uint256 indexed id, address indexed donor, uint256 amount);
+
+    /**
+     * @dev Emitted when `amount` tokens matched to the pledge of `donor` go back to the pool as they unpledge.
+     */
+    event Unmatched(uint256 indexed id, address indexed donor, uint256 amount);
+
+    /**
+     * @dev Emitted when `amount` tokens of the matching pool of campaign `id` are returned to its `sponsor`.
+     */
+    event MatchingReturned(uint256 indexed id, address indexed sponsor, uint256 amount);
+
+    /**
+     * @dev Emitted when the intent of `donor` with `nonce` is executed or cancelled, it cannot be used again.
+     */
+    event IntentNonceUsed(address indexed donor, uint256 indexed nonce);
+
+    /**
+     * @dev Emitted when the owner announces an emergency, donors can withdraw from `activeAt` on.
+     */
+    event EmergencyAnnounced(uint32 activeAt);
+
+    /**
+     * @dev Emitted when the owner calls off an emergency before it became active.
+     */
+    event EmergencyCancelled();
+
+    /**
+     * @dev Emitted when a `donor` withdraws `amount` tokens from campaign `id` during an emergency.
+     */
+    event EmergencyWithdraw(uint256 indexed id, address indexed donor, uint256 amount);
+
+    /**
+     * @dev Emitted when the owner adds `token` to or removes it from the tokens campaigns can be launched with.
+     */
+    event TokenAllowed(address indexed token, bool allowed);
+
+    /**
+     * @dev Emitted when a campaign is launched with milestones, `percentages` of the pledged tokens
+     * are released in order, one vote at a time.
+     */
+    event Milestones(uint256 indexed id, uint8[] percentages);
+
+    /**
+     * @dev Emitted when the creator asks donors to approve the release of milestone `milestone`.
+     */
+    event ReleaseRequested(uint256 indexed id, uint256 milestone, uint32 voteEndAt);
+
+    /**
+     * @dev Emitted when a `donor` votes on the open release of campaign `id` with a weight of `weight` tokens.
+     */
+    event Vote(uint256 indexed id, uint256 milestone, address indexed donor, bool approve, uint256 weight);
+
+    /**
+     * @dev Emitted when the vote on milestone `milestone` is over, `amount` tokens were released
+     * to the creator if it was approved.
+     */
+    event Release(uint256 indexed id, uint256 milestone, bool approved, uint256 amount);
+
+    /**
+     * @dev Emitted when a `donor` takes back `amount` unreleased tokens after a release was rejected.
+     */
+    event Reclaim(uint256 indexed id, address indexed donor, uint256 amount);
+
     /**
      * @dev Stores the data of each campaign. Notice the use of uint32 instead
      * of uint256, uint32 can hold times up to about 100 years from now in Unix time.
@@ -61,128 +228,750 @@ contract FundMe
         address creator; /// the address of the creator of a campaign
         uint256 goal; /// the target amount of tokens that the creator wishes to raise from donors
         uint256 pledged; /// the amount currently pledged to a campaign by all the donors
+        IERC20 token; /// the token the campaign raises, it shares a slot with the fields below
         uint32 startAt; /// the starting time of the campaign in Unix time
         uint32 endAt; /// the ending time of the campaign in Unix time
         bool claimed; /// boolean to check if the creator has claimed the tokens
+        bool cancelled; /// boolean to check if the creator has cancelled the campaign
+        uint16 feeBps; /// the fee in basis points taken from what the creator is paid, as set at launch
+        bytes32 metadataHash; /// keccak256 of the off-chain metadata document, its URI is only emitted in Launch
+        uint256 hardCap; /// the most that can be pledged to the campaign, 0 when there is no cap
+    }
+    /**
+     * @dev Tracks the releases of a campaign launched with milestones.
+     */
+    struct Releases
+    {
+        uint256 released; /// the amount of tokens released to the creator so far
+        uint256 approvals; /// the pledge weight that approved the open release
+        uint256 rejections; /// the pledge weight that rejected the open release
+        uint32 voteEndAt; /// when the vote on the open release ends, 0 while no release is open
+        uint8 next; /// the index of the next milestone to release
+        bool rejected; /// set once a release was rejected, donors can then reclaim what is left
     }
+    /**
+     * @dev Tokens a sponsor deposited to match the pledges to a campaign.
+     */
+    struct MatchingPool
+    {
+        address sponsor; /// the account that deposited the pool and gets back what is not used
+        uint32 ratioBps; /// how much each pledged token is matched with, in basis points, 10000 is 1:1
+        uint256 deposit; /// the tokens deposited, the most that can be matched
+        uint256 matched; /// the tokens matched so far, counted in the pledged total of the campaign
+        uint256 returned; /// the tokens returned to the sponsor so far
+    }
+    /// how long donors have to vote on a release
+    uint32 public constant VOTING_PERIOD = 7 days;
+    /// the most milestones a campaign can have
+    uint256 public constant MAX_MILESTONES = 10;
+    /// how long an announced emergency waits before donors can withdraw, so that
+    /// creators of successful campaigns have time to claim
+    uint32 public constant EMERGENCY_DELAY = 3 days;
+    /// the highest fee the owner can set, in basis points
+    uint16 public constant MAX_FEE_BPS = 1000;
+    /// the most stretch goals a campaign can have
+    uint256 public constant MAX_STRETCH_GOALS = 10;
+    /// the hash of the code of contracts/PledgeReceipts.sol, the only receipts setPledgeReceipts takes,
+    /// since they can move pledges. Changes with PledgeReceipts, test/PledgeReceipts.js gives the new value
+    bytes32 private constant PLEDGE_RECEIPTS_CODEHASH = 0x07142c3768558d6d2878e535762ee58a0a91f189faae5eb8ccc51b7e3e3f664e;
+    /// the EIP-712 types of the intents donors sign for pledgeBySig, unpledgeBySig and refundBySig
+    bytes32 public constant PLEDGE_TYPEHASH =
+        keccak256("Pledge(address donor,uint256 id,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 public constant UNPLEDGE_TYPEHASH =
+        keccak256("Unpledge(address donor,uint256 id,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 public constant REFUND_TYPEHASH =
+        keccak256("Refund(address donor,uint256 id,uint256 nonce,uint256 deadline)");
+    /// how long a campaign can last, launch checks it from the current time and extend from the start
+    uint32 public immutable maxDuration;
     /**
      * State Variables
      */
-    /// token will only be set once on creation
-    IERC20 public immutable token; 
+    /// the account allowed to manage the token allowlist, pause and announce an emergency
+    address public owner;
+    /// the account the owner is handing the contract over to, until it accepts
+    address public pendingOwner;
+    /// when donors can start withdrawing in an emergency, 0 while no emergency was announced
+    uint32 public emergencyAt;
+    /// the fee new campaigns are launched with, in basis points of what their creator is paid
+    uint16 public feeBps;
+    /// the account fees are sent to
+    address public feeRecipient;
+    /// the receipt NFTs donors of campaigns launched from now on get, the zero address until they are set
+    IPledgeReceipts public pledgeReceipts;
+    /// tokens that new campaigns can be launched with
+    mapping(address => bool) public allowedTokens;
     /// counter so that we can generate a unique id for every campaign
     uint256 public count; 
     /// mapping from id of campaign to the campaign
     mapping(uint256 => Campaign) public campaigns; 
     /// mapping from campaign id to another mapping from donor address to amount donated
     mapping(uint256 => mapping(address => uint256)) public pledgedAmount;
+    /// mapping from campaign id to the percentage of the pledged tokens each milestone releases
+    mapping(uint256 => uint8[]) private _milestones;
+    /// mapping from campaign id to the state of its milestone releases
+    mapping(uint256 => Releases) public releases;
+    /// mapping from campaign id to milestone index to whether a donor has voted on its release
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public hasVoted;
+    /// mapping from campaign id to the pledged totals of its stretch goals, in increasing order
+    mapping(uint256 => uint256[]) private _stretchGoals;
+    /// mapping from campaign id to how many of its stretch goals have been reached
+    mapping(uint256 => uint256) public stretchGoalsReached;
+    /// mapping from campaign id to the receipt NFTs of its donors, as set when it was launched
+    mapping(uint256 => IPledgeReceipts) public pledgeReceiptsOf;
+    /// mapping from campaign id to its matching pool, whose sponsor is the zero address when it has none
+    mapping(uint256 => MatchingPool) public matchingPools;
+    /// mapping from campaign id to donor address to the tokens matched to their pledge
+    mapping(uint256 => mapping(address => uint256)) public matchedAmount;
+    /// mapping from donor address to intent nonce to whether it was executed or cancelled
+    mapping(address => mapping(uint256 => bool)) public intentNonceUsed;
+
+    /**
+     * @param _tokens The tokens campaigns can be launched with from the start
+     * @param _maxDuration How long a campaign can last, in seconds
+     */
+    constructor(address[] memory _tokens, uint32 _maxDuration) EIP712("FundMe", "1")
+    {
+        require(_maxDuration > 0, "max duration is zero");
+        maxDuration = _maxDuration;
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+        for (uint256 i = 0; i < _tokens.length; i++)
+        {
+            _setTokenAllowed(_tokens[i], true);
+        }
+    }
+
+    modifier onlyOwner()
+    {
+        _requireOwner();
+        _;
+    }
+
+    function _requireOwner() private view
+    {
+        require(msg.sender == owner, "not owner");
+    }
+    /**
+     * @dev Reverts once an announced emergency is active, see emergencyWithdraw.
+     */
+    modifier whenNoEmergency()
+    {
+        require(!emergency(), "emergency");
+        _;
+    }
+    /**
+     * @dev Reverts if no campaign was ever launched with id `_id`.
+     * Without this check a campaign that does not exist reads as a zeroed struct,
+     * which passes some of the time checks below.
+     */
+    modifier campaignExists(uint256 _id)
+    {
+        _requireCampaign(_id);
+        _;
+    }
 
-    constructor(address _token)
+    function _requireCampaign(uint256 _id) private view
     {
-        token = IERC20(_token);
+        require(_id > 0 && _id <= count, "campaign does not exist");
+    }
+    /**
+     * @dev Starts handing the contract over to `_newOwner`, which only happens once they call acceptOwnership.
+     * Passing the zero address cancels a pending transfer.
+     */
+    function transferOwnership(address _newOwner) external onlyOwner
+    {
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    function acceptOwnership() external
+    {
+        require(msg.sender == pendingOwner, "not pending owner");
+        emit OwnershipTransferred(owner, msg.sender);
+        owner = msg.sender;
+        pendingOwner = address(0);
+    }
+    /**
+     * @dev Stops new campaigns and pledges, everything else keeps working so that donors can always exit.
+     */
+    function pause() external onlyOwner
+    {
+        _pause();
+    }
+
+    function unpause() external onlyOwner
+    {
+        _unpause();
+    }
+    /**
+     * @dev Announces an emergency, which becomes active EMERGENCY_DELAY from now and cannot be undone then.
+     */
+    function announceEmergency() external onlyOwner
+    {
+        require(emergencyAt == 0, "emergency already announced");
+        emergencyAt = uint32(block.timestamp) + EMERGENCY_DELAY;
+        emit EmergencyAnnounced(emergencyAt);
+    }
+
+    function cancelEmergency() external onlyOwner
+    {
+        require(emergencyAt != 0, "no emergency announced");
+        require(!emergency(), "emergency");
+        emergencyAt = 0;
+        emit EmergencyCancelled();
+    }
+    /**
+     * @dev Tells whether an announced emergency is active.
+     */
+    function emergency() public view returns (bool)
+    {
+        return emergencyAt != 0 && block.timestamp >= emergencyAt;
+    }
+    /**
+     * @dev Sets the fee campaigns launched from now on pay on what their creator is paid.
+     * Campaigns already launched keep their fee, but fees are always sent to the current recipient.
+     * @param _feeBps The fee in basis points, at most MAX_FEE_BPS
+     * @param _feeRecipient Where fees are sent, can only be the zero address without a fee
+     */
+    function setFee(uint16 _feeBps, address _feeRecipient) external onlyOwner
+    {
+        require(_feeBps <= MAX_FEE_BPS, "fee too high");
+        require(_feeBps == 0 || _feeRecipient != address(0), "fee recipient is the zero address");
+        feeBps = _feeBps;
+        feeRecipient = _feeRecipient;
+        emit FeeChanged(_feeBps, _feeRecipient);
+    }
+    /**
+     * @dev Sets the receipt NFTs donors of campaigns launched from now on get, only once so that
+     * donors know which contract can move their pledges before they pledge.
+     * Campaigns already launched keep having no receipts.
+     * @param _pledgeReceipts A PledgeReceipts contract made for this FundMe, any other code is refused
+     */
+    function setPledgeReceipts(address _pledgeReceipts) external onlyOwner
+    {
+        require(address(pledgeReceipts) == address(0), "pledge receipts already set");
+        require(
+            _pledgeReceipts.codehash == PLEDGE_RECEIPTS_CODEHASH && address(IPledgeReceipts(_pledgeReceipts).fundMe()) == address(this),
+            "receipts not made for FundMe"
+        );
+        pledgeReceipts = IPledgeReceipts(_pledgeReceipts);
+        emit PledgeReceiptsChanged(_pledgeReceipts);
+    }
+    /**
+     * @dev Adds a token to or removes it from the allowlist. Removing a token only stops new
+     * campaigns from using it, campaigns already raising it keep working.
+     */
+    function setTokenAllowed(address _token, bool _allowed) external onlyOwner
+    {
+        _setTokenAllowed(_token, _allowed);
+    }
+
+    function _setTokenAllowed(address _token, bool _allowed) private
+    {
+        require(_token != address(0), "token is the zero address");
+        allowedTokens[_token] = _allowed;
+        emit TokenAllowed(_token, _allowed);
     }
     /**
      * @dev Launches a campaign
+     * @param _token The ERC-20 token the campaign raises, must be allowed by the owner
      * @param _goal The goal amount of tokens that the creator wants to raise
      * @param _startAt The start time of the campaign in Unix time
      * @param _endAt The end time of the campaign in Unix time
+     * @param _metadataURI Where the metadata document (title, description, image, links) is stored, can be empty
+     * @param _metadataHash The keccak256 of the metadata document, so that readers can verify what they fetched
      */
-    function launch(uint256 _goal, uint32 _startAt, uint32 _endAt) external
+    function launch(
+        address _token,
+        uint256 _goal,
+        uint32 _startAt,
+        uint32 _endAt,
+        string calldata _metadataURI,
+        bytes32 _metadataHash
+    ) external whenNotPaused whenNoEmergency
     {
+        _launch(_token, _goal, _startAt, _endAt, _metadataURI, _metadataHash);
+    }
+    /**
+     * @dev Launches a campaign whose tokens are released in tranches, see launch for the other parameters.
+     * @param _percentages The percentage of the pledged tokens each milestone releases, summing to 100
+     */
+    function launchWithMilestones(
+        address _token,
+        uint256 _goal,
+        uint32 _startAt,
+        uint32 _endAt,
+        string calldata _metadataURI,
+        bytes32 _metadataHash,
+        uint8[] calldata _percentages
+    ) external whenNotPaused whenNoEmergency
+    {
+        require(_percentages.length > 0 && _percentages.length <= MAX_MILESTONES, "invalid milestone count");
+        uint256 total;
+        for (uint256 i = 0; i < _percentages.length; i++)
+        {
+            require(_percentages[i] > 0, "empty milestone");
+            total += _percentages[i];
+        }
+        require(total == 100, "milestones must sum to 100");
+
+        _launch(_token, _goal, _startAt, _endAt, _metadataURI, _metadataHash);
+        _milestones[count] = _percentages;
+        emit Milestones(count, _percentages);
+    }
+
+    function _launch(
+        address _token,
+        uint256 _goal,
+        uint32 _startAt,
+        uint32 _endAt,
+        string calldata _metadataURI,
+        bytes32 _metadataHash
+    ) private
+    {
+        require(allowedTokens[_token], "token not allowed");
         // check that the start time is now or later
         require(_startAt >= block.timestamp, "start at < current time");
         // check that the end time is later than the start time
         require(_endAt >= _startAt, "end at < start at");
-        // put a limit of 90 days on how long the campaign can last
-        require(_endAt <= block.timestamp + 90 days, "end at > max duration");
+        // put a limit on how long the campaign can last
+        require(_endAt <= block.timestamp + maxDuration, "end at > max duration");
 
         count += 1;
         campaigns[count] = Campaign({
             creator: msg.sender,
             goal: _goal,
             pledged: 0,
+            token: IERC20(_token),
             startAt: _startAt,
             endAt: _endAt,
-            claimed: false
+            claimed: false,
+            cancelled: false,
+            feeBps: feeBps,
+            metadataHash: _metadataHash,
+            hardCap: 0
         });
+        if (address(pledgeReceipts) != address(0))
+        {
+            pledgeReceiptsOf[count] = pledgeReceipts;
+        }
 
-        emit Launch(count, msg.sender, _goal, _startAt, _endAt);
+        emit Launch(count, msg.sender, _token, _goal, _startAt, _endAt, _metadataURI, _metadataHash);
     }
     /**
      * @dev Cancels a campaign if the creator of that campaign calls this function
      * also, can only be cancelled if the campaign has not started yet.
+     * The campaign is kept and marked as cancelled rather than deleted, so that
+     * nothing can be pledged to it, unpledged or refunded from it afterwards.
      * @param _id The id of the campaign to be cancelled
      */
-    function cancel(uint256 _id) external
+    function cancel(uint256 _id) external campaignExists(_id)
     {
-        Campaign memory campaign = campaigns[_id];
+        Campaign storage campaign = campaigns[_id];
         // make sure that someone trying to cancel a campaign is the creator of that campaign
         require(msg.sender == campaign.creator, "not creator");
+        // check that the campaign has not been cancelled already
+        require(!campaign.cancelled, "campaign cancelled");
         // check that the campaign has not started already
         require(block.timestamp < campaign.startAt, "campaign already started");
-        delete campaigns[_id];
+        campaign.cancelled = true;
         emit Cancel(_id);
     }
+    /**
+     * @dev Moves the end of a running campaign later, only the creator can do this.
+     * Donors can unpledge until the new end, and claim or refund wait for it.
+     * @param _id The id of the campaign to extend
+     * @param _endAt The new end time in Unix time, at most the max duration after the start
+     */
+    function extend(uint256 _id, uint32 _endAt) external campaignExists(_id)
+    {
+        Campaign storage campaign = campaigns[_id];
+        require(msg.sender == campaign.creator, "not creator");
+        require(!campaign.cancelled, "campaign cancelled");
+        require(block.timestamp >= campaign.startAt, "campaign not started");
+        require(block.timestamp <= campaign.endAt, "campaign has ended");
+        require(_endAt > campaign.endAt, "end at <= current end at");
+        require(_endAt <= uint256(campaign.startAt) + maxDuration, "end at > max duration");
+
+        campaign.endAt = _endAt;
+        emit Extend(_id, _endAt);
+    }
+    /**
+     * @dev Sets the most that can be pledged to a campaign that has not ended, only the creator can do this.
+     * Pledges that would take the campaign beyond it are rejected.
+     * @param _id The id of the campaign
+     * @param _hardCap At least the goal and what is already pledged, or 0 to remove the cap
+     */
+    function setHardCap(uint256 _id, uint256 _hardCap) external campaignExists(_id)
+    {
+        Campaign storage campaign = campaigns[_id];
+        require(msg.sender == campaign.creator, "not creator");
+        require(!campaign.cancelled, "campaign cancelled");
+        require(block.timestamp <= campaign.endAt, "campaign has ended");
+        require(_hardCap == 0 || (_hardCap >= campaign.goal && _hardCap >= campaign.pledged), "hard cap too low");
+
+        campaign.hardCap = _hardCap;
+        emit HardCap(_id, _hardCap);
+    }
+    /**
+     * @dev Declares the stretch goals of a campaign that has not ended, only the creator can do this.
+     * The new goals replace the earlier ones and must all be above what is pledged so far.
+     * @param _id The id of the campaign
+     * @param _amounts The pledged totals to announce, increasing and above the goal, or empty to remove them
+     */
+    function setStretchGoals(uint256 _id, uint256[] calldata _amounts) external campaignExists(_id)
+    {
+        Campaign storage campaign = campaigns[_id];
+        require(msg.sender == campaign.creator, "not creator");
+        require(!campaign.cancelled, "campaign cancelled");
+        require(block.timestamp <= campaign.endAt, "campaign has ended");
+        require(_amounts.length <= MAX_STRETCH_GOALS, "too many stretch goals");
+        uint256 previous = campaign.goal < campaign.pledged ? campaign.pledged : campaign.goal;
+        for (uint256 i = 0; i < _amounts.length; i++)
+        {
+            require(_amounts[i] > previous, "stretch goals must increase");
+            previous = _amounts[i];
+        }
+
+        _stretchGoals[_id] = _amounts;
+        stretchGoalsReached[_id] = 0;
+        emit StretchGoals(_id, _amounts);
+    }
+    /**
+     * @dev Returns the stretch goals of campaign `_id`, empty when it has none.
+     */
+    function stretchGoals(uint256 _id) external view returns (uint256[] memory)
+    {
+        return _stretchGoals[_id];
+    }
     /**
      * @dev Once a campaign starts, donors will be able to pledge tokens to the
      * campaign. 
      */
-    function pledge(uint256 _id, uint256 _amount) external
+    function pledge(uint256 _id, uint256 _amount) external campaignExists(_id) nonReentrant whenNotPaused whenNoEmergency
+    {
+        _pledge(_id, msg.sender, _amount);
+    }
+    /**
+     * @dev Same as pledge, but approves the tokens with an EIP-2612 permit signed by the donor,
+     * so that a pledge to a permit-capable token takes a single transaction.
+     * @param _deadline The time until which the permit signature is valid
+     * @param _v The recovery byte of the permit signature
+     * @param _r The first 32 bytes of the permit signature
+     * @param _s The second 32 bytes of the permit signature
+     */
+    function pledgeWithPermit(uint256 _id, uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s)
+        external campaignExists(_id) nonReentrant whenNotPaused whenNoEmergency
+    {
+        require(block.timestamp <= _deadline, "permit expired");
+        IERC20 token = campaigns[_id].token;
+        // anyone can submit a permit seen in the mempool before us, which would make this call revert
+        // even though the allowance is there, so a failed permit is fine as long as the allowance is enough
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), _amount, _deadline, _v, _r, _s) {}
+        catch
+        {
+            require(token.allowance(msg.sender, address(this)) >= _amount, "invalid permit");
+        }
+        _pledge(_id, msg.sender, _amount);
+    }
+    /**
+     * @dev Pledges for `_donor`, who signed a Pledge intent, so that anyone can pay the gas for them.
+     * The tokens come from `_donor`, who must have approved them.
+     * @param _nonce A number the donor has not used in an intent yet
+     * @param _deadline The time until which the intent can be executed
+     * @param _signature The EIP-712 signature of the intent by `_donor`
+     */
+    function pledgeBySig(address _donor, uint256 _id, uint256 _amount, uint256 _nonce, uint256 _deadline, bytes calldata _signature)
+        external campaignExists(_id) nonReentrant whenNotPaused whenNoEmergency
+    {
+        _useIntent(keccak256(abi.encode(PLEDGE_TYPEHASH, _donor, _id, _amount, _nonce, _deadline)), _donor, _nonce, _deadline, _signature);
+        _pledge(_id, _donor, _amount);
+    }
+
+    /**
+     * @dev Credits the donor with the amount the contract actually received rather than `_amount`,
+     * so that a token taking a fee on transfer cannot leave the campaign owing more than it holds.
+     * Measuring the balance is why pledging is guarded against reentrancy.
+     */
+    function _pledge(uint256 _id, address _donor, uint256 _amount) private
     {
         // we need to use storage because we will be updating the
         // campaign struct of the campaign with _id
         Campaign storage campaign = campaigns[_id];
+        // a cancelled campaign keeps its times, so they are not enough to reject the pledge
+        require(!campaign.cancelled, "campaign cancelled");
         // require that the campaign has started
         require(block.timestamp >= campaign.startAt, "campaign not started");
         // require that the campaign has not ended
         require(block.timestamp <= campaign.endAt, "campaign has ended");
 
-        campaign.pledged += _amount;
+        // transfer the tokens from the donor to this contract for the amount of tokens
+        uint256 balanceBefore = campaign.token.balanceOf(address(this));
+        campaign.token.safeTransferFrom(_donor, address(this), _amount);
+        uint256 received = campaign.token.balanceOf(address(this)) - balanceBefore;
+
+        campaign.pledged += received;
+        require(campaign.hardCap == 0 || campaign.pledged <= campaign.hardCap, "pledged > hard cap");
         // need to keep track of how many tokens a donor has pledged using 
         // pledgedAmount mapping in case the campaign was unsuccessful
-        pledgedAmount[_id][msg.sender] += _amount;
-        // transfer the tokens from the donor to this contract for the amount of tokens
-        token.transferFrom(msg.sender, address(this), _amount);
+        pledgedAmount[_id][_donor] += received;
+        campaign.pledged += _match(_id, campaign, _donor, received);
+        _updateReceipt(_id, _donor);
 
-        emit Pledge(_id, msg.sender, _amount);
+        emit Pledge(_id, _donor, received);
+
+        // a stretch goal is only announced once, even if unpledging takes the campaign below it again
+        uint256[] storage goals = _stretchGoals[_id];
+        uint256 total = goals.length;
+        if (total == 0)
+        {
+            return;
+        }
+        uint256 reached = stretchGoalsReached[_id];
+        if (reached < total && campaign.pledged >= goals[reached])
+        {
+            do
+            {
+                emit StretchGoalReached(_id, reached, goals[reached]);
+                reached++;
+            }
+            while (reached < total && campaign.pledged >= goals[reached]);
+            stretchGoalsReached[_id] = reached;
+        }
     }
     /**
      * @dev If the campaign has not ended, then donors can choose to unpledge
      * any amount of tokens from that campaign.
      */
-    function unpledge(uint256 _id, uint256 _amount) external
+    function unpledge(uint256 _id, uint256 _amount) external campaignExists(_id)
+    {
+        _unpledge(_id, msg.sender, _amount);
+    }
+    /**
+     * @dev Unpledges for `_donor`, who signed an Unpledge intent, the tokens go back to `_donor`.
+     * See pledgeBySig for the intent parameters.
+     */
+    function unpledgeBySig(address _donor, uint256 _id, uint256 _amount, uint256 _nonce, uint256 _deadline, bytes calldata _signature)
+        external campaignExists(_id)
+    {
+        _useIntent(keccak256(abi.encode(UNPLEDGE_TYPEHASH, _donor, _id, _amount, _nonce, _deadline)), _donor, _nonce, _deadline, _signature);
+        _unpledge(_id, _donor, _amount);
+    }
+
+    function _unpledge(uint256 _id, address _donor, uint256 _amount) private
     {
         // we need to use storage because we will be updating the
         // campaign struct of the campaign with _id
         Campaign storage campaign = campaigns[_id];
+        require(!campaign.cancelled, "campaign cancelled");
         // donors shouldn't be able to unpledge from a campaign that has ended
         require(block.timestamp <= campaign.endAt, "campaign has ended");
         // check that the donor has enough tokens pledged
-        require(pledgedAmount[_id][msg.sender] >= _amount, "not enough pledged");
+        require(pledgedAmount[_id][_donor] >= _amount, "not enough pledged");
 
         campaign.pledged -= _amount;
-        pledgedAmount[_id][msg.sender] -= _amount;
-        token.transfer(msg.sender, _amount);
-        emit Unpledge(_id, msg.sender, _amount);
+        pledgedAmount[_id][_donor] -= _amount;
+        campaign.pledged -= _unmatch(_id, _donor);
+        _updateReceipt(_id, _donor);
+        campaign.token.safeTransfer(_donor, _amount);
+        emit Unpledge(_id, _donor, _amount);
+    }
+    /**
+     * @dev Deposits a pool that matches the pledges made to a campaign from now on, in the order they
+     * are made and until it runs out. Unpledging gives back to the pool what the rest of the pledge no
+     * longer gets. A campaign can only have one pool.
+     * @param _id The id of a campaign that has not ended
+     * @param _amount The tokens to deposit, the most that can be matched
+     * @param _ratioBps How much each pledged token is matched with, in basis points, 10000 for 1:1
+     */
+    function fundMatching(uint256 _id, uint256 _amount, uint32 _ratioBps)
+        external campaignExists(_id) nonReentrant whenNotPaused whenNoEmergency
+    {
+        Campaign storage campaign = campaigns[_id];
+        MatchingPool storage pool = matchingPools[_id];
+        require(!campaign.cancelled, "campaign cancelled");
+        require(block.timestamp <= campaign.endAt, "campaign has ended");
+        require(pool.sponsor == address(0), "campaign already matched");
+        require(_amount > 0 && _ratioBps > 0, "invalid matching");
+
+        // like pledges, the pool is what the contract actually received
+        uint256 balanceBefore = campaign.token.balanceOf(address(this));
+        campaign.token.safeTransferFrom(msg.sender, address(this), _amount);
+        uint256 received = campaign.token.balanceOf(address(this)) - balanceBefore;
+
+        pool.sponsor = msg.sender;
+        pool.ratioBps = _ratioBps;
+        pool.deposit = received;
+        emit MatchingFunded(_id, msg.sender, received, _ratioBps);
+    }
+    /**
+     * @dev Matches a pledge of `_amount` tokens by `_donor` from the pool of campaign `_id`, as far as the pool
+     * and the hard cap allow: the hard cap only ever rejects a pledge for the tokens pledged.
+     * @return matched The tokens added to the pledged total on top of the pledge
+     */
+    function _match(uint256 _id, Campaign storage _campaign, address _donor, uint256 _amount) private returns (uint256 matched)
+    {
+        MatchingPool storage pool = matchingPools[_id];
+        if (pool.ratioBps == 0)
+        {
+            return 0;
+        }
+        matched = _amount * pool.ratioBps / 10000;
+        if (matched > pool.deposit - pool.matched)
+        {
+            matched = pool.deposit - pool.matched;
+        }
+        if (_campaign.hardCap != 0 && matched > _campaign.hardCap - _campaign.pledged)
+        {
+            matched = _campaign.hardCap - _campaign.pledged;
+        }
+        if (matched > 0)
+        {
+            pool.matched += matched;
+            matchedAmount[_id][_donor] += matched;
+            emit Matched(_id, _donor, matched);
+        }
+    }
+    /**
+     * @dev Gives back to the pool what is matched to `_donor` beyond what their pledge now gets.
+     * @return unmatched The tokens taken off the pledged total
+     */
+    function _unmatch(uint256 _id, address _donor) private returns (uint256 unmatched)
+    {
+        uint256 matched = matchedAmount[_id][_donor];
+        if (matched == 0)
+        {
+            return 0;
+        }
+        MatchingPool storage pool = matchingPools[_id];
+        uint256 limit = pledgedAmount[_id][_donor] * pool.ratioBps / 10000;
+        if (matched > limit)
+        {
+            unmatched = matched - limit;
+            matchedAmount[_id][_donor] = limit;
+            pool.matched -= unmatched;
+            emit Unmatched(_id, _donor, unmatched);
+        }
+    }
+    /**
+     * @dev Returns what the sponsor of campaign `_id` can get back now: the whole pool once the campaign
+     * was cancelled or failed, what was not matched once it succeeded, and also the matched share of
+     * what was not released when donors can take theirs back, after a rejected release or in an emergency.
+     */
+    function matchingReturnable(uint256 _id) public view returns (uint256)
+    {
+        Campaign storage campaign = campaigns[_id];
+        MatchingPool storage pool = matchingPools[_id];
+        if (pool.sponsor == address(0))
+        {
+            return 0;
+        }
+        bool ended = block.timestamp > campaign.endAt;
+        uint256 owed;
+        if (campaign.cancelled || (ended && campaign.pledged < campaign.goal))
+        {
+            owed = pool.deposit;
+        }
+        else if (ended || emergency())
+        {
+            owed = pool.deposit - pool.matched;
+            if (pool.matched > 0 && !campaign.claimed && (releases[_id].rejected || emergency()))
+            {
+                owed += pool.matched * (campaign.pledged - releases[_id].released) / campaign.pledged;
+            }
+        }
+        return owed - pool.returned;
+    }
+    /**
+     * @dev Sends the sponsor of campaign `_id` what matchingReturnable says, anyone can call this.
+     * Claiming a campaign returns what was not matched on its own.
+     */
+    function returnMatching(uint256 _id) external campaignExists(_id)
+    {
+        require(_returnMatching(_id) > 0, "nothing to return");
+    }
+
+    function _returnMatching(uint256 _id) private returns (uint256 amount)
+    {
+        amount = matchingReturnable(_id);
+        if (amount > 0)
+        {
+            MatchingPool storage pool = matchingPools[_id];
+            pool.returned += amount;
+            campaigns[_id].token.safeTransfer(pool.sponsor, amount);
+            emit MatchingReturned(_id, pool.sponsor, amount);
+        }
+    }
+    /**
+     * @dev Moves the whole pledge of `_from` to campaign `_id` to `_to`, only the receipts of
+     * the campaign can do this when one of them is transferred. The new holder cannot vote
+     * again on a release the previous one voted on.
+     */
+    function transferPledge(uint256 _id, address _from, address _to) external
+    {
+        require(msg.sender == address(pledgeReceiptsOf[_id]) && msg.sender != address(0), "not pledge receipts");
+        uint256 amount = pledgedAmount[_id][_from];
+        pledgedAmount[_id][_from] = 0;
+        pledgedAmount[_id][_to] += amount;
+        matchedAmount[_id][_to] += matchedAmount[_id][_from];
+        matchedAmount[_id][_from] = 0;
+        uint256 milestone = releases[_id].next;
+        if (hasVoted[_id][milestone][_from])
+        {
+            hasVoted[_id][milestone][_to] = true;
+        }
+        emit PledgeTransfer(_id, _from, _to, amount);
+    }
+    /**
+     * @dev Mints or burns the receipt of `_donor` to match what they pledged, when the campaign has receipts.
+     * A failing receipt is skipped, so that it never keeps donors from unpledging or getting their tokens back.
+     */
+    function _updateReceipt(uint256 _id, address _donor) private
+    {
+        IPledgeReceipts receipts = pledgeReceiptsOf[_id];
+        if (address(receipts) != address(0))
+        {
+            try receipts.update(_id, _donor, pledgedAmount[_id][_donor]) {} catch {}
+        }
     }
     /**
      * @dev Once a campaign goal is reached, that is, if the total amount pledged
      * to that campaign is >= goal, then the campaign creator is able to claim the
      * tokens for that campaign.
      */
-    function claim(uint256 _id) external
+    function claim(uint256 _id) external campaignExists(_id) whenNoEmergency
+    {
+        _claim(_id);
+    }
+    /**
+     * @dev Claims several successful campaigns of the sender in one transaction.
+     */
+    function claimMany(uint256[] calldata _ids) external whenNoEmergency
+    {
+        for (uint256 i = 0; i < _ids.length; i++)
+        {
+            _requireCampaign(_ids[i]);
+            _claim(_ids[i]);
+        }
+    }
+
+    function _claim(uint256 _id) private
     {
         Campaign storage campaign = campaigns[_id];
         require(msg.sender == campaign.creator, "not creator");
+        require(!campaign.cancelled, "campaign cancelled");
         // check that the campaign has ended
         require(block.timestamp > campaign.endAt, "campaign has not ended");
         // check that the total amount pledged to this campaign is >= goal
         require(campaign.pledged >= campaign.goal, "pledged < goal");
         // check that claim has not already been called
         require(!campaign.claimed, "claimed");
+        // milestone campaigns are paid out one release at a time
+        require(_milestones[_id].length == 0, "campaign has milestones");
 
         campaign.claimed = true;
-        token.transfer(msg.sender, campaign.pledged);
+        _payCreator(_id, campaign, campaign.pledged);
+        _returnMatching(_id);
 
         emit Claim(_id);
     }
@@ -190,9 +979,64 @@ contract FundMe
      * If the campaign was unsuccessful, that is, the total amount pledged < goal,
      * then donors will be able to get a refund.
      */
-    function refund(uint256 _id) external
+    function refund(uint256 _id) external campaignExists(_id)
+    {
+        _refund(_id, msg.sender);
+    }
+    /**
+     * @dev Refunds the sender from several failed campaigns in one transaction.
+     */
+    function refundMany(uint256[] calldata _ids) external
+    {
+        for (uint256 i = 0; i < _ids.length; i++)
+        {
+            _requireCampaign(_ids[i]);
+            _refund(_ids[i], msg.sender);
+        }
+    }
+    /**
+     * @dev Refunds `_donor`, who signed a Refund intent, from a failed campaign.
+     * See pledgeBySig for the intent parameters.
+     */
+    function refundBySig(address _donor, uint256 _id, uint256 _nonce, uint256 _deadline, bytes calldata _signature)
+        external campaignExists(_id)
+    {
+        _useIntent(keccak256(abi.encode(REFUND_TYPEHASH, _donor, _id, _nonce, _deadline)), _donor, _nonce, _deadline, _signature);
+        _refund(_id, _donor);
+    }
+    /**
+     * @dev Cancels the intent of the sender with nonce `_nonce`, so that no relayer can execute it.
+     */
+    function cancelIntent(uint256 _nonce) external
+    {
+        require(!intentNonceUsed[msg.sender][_nonce], "intent nonce used");
+        intentNonceUsed[msg.sender][_nonce] = true;
+        emit IntentNonceUsed(msg.sender, _nonce);
+    }
+    /**
+     * @dev Returns the EIP-712 domain separator intents are signed with.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32)
+    {
+        return _domainSeparatorV4();
+    }
+    /**
+     * @dev Checks that `_donor` signed the intent hashed to `_structHash` and that it can still be
+     * executed, then uses up its nonce.
+     */
+    function _useIntent(bytes32 _structHash, address _donor, uint256 _nonce, uint256 _deadline, bytes calldata _signature) private
+    {
+        require(block.timestamp <= _deadline, "intent expired");
+        require(!intentNonceUsed[_donor][_nonce], "intent nonce used");
+        require(ECDSA.recover(_hashTypedDataV4(_structHash), _signature) == _donor, "invalid signature");
+        intentNonceUsed[_donor][_nonce] = true;
+        emit IntentNonceUsed(_donor, _nonce);
+    }
+
+    function _refund(uint256 _id, address _donor) private
     {
         Campaign storage campaign = campaigns[_id];
+        require(!campaign.cancelled, "campaign cancelled");
         // check that the campaign has ended
         require(block.timestamp > campaign.endAt, "campaign has not ended");
         // check that the total amount pledged to this campaign is < goal
@@ -201,13 +1045,157 @@ contract FundMe
         require(campaign.pledged < campaign.goal, "pledged amount reached goal");
 
         // get the amount that the donor has pledged
-        uint256 balance = pledgedAmount[_id][msg.sender];
+        uint256 balance = pledgedAmount[_id][_donor];
+        // don't emit a Refund for nothing, e.g. when the donor was already refunded
+        require(balance > 0, "nothing to refund");
         // reset that amount to 0
-        pledgedAmount[_id][msg.sender] = 0;
+        pledgedAmount[_id][_donor] = 0;
+        _updateReceipt(_id, _donor);
         // transfer that balance back to the donor
-        token.transfer(msg.sender, balance);
+        campaign.token.safeTransfer(_donor, balance);
 
-        emit Refund(_id, msg.sender, balance);
+        emit Refund(_id, _donor, balance);
     }
 
-}
\ No newline at end of file
+    /**
+     * @dev Returns the percentage of the pledged tokens each milestone of campaign `_id` releases,
+     * empty for a campaign paid out with claim.
+     */
+    function milestones(uint256 _id) external view returns (uint8[] memory)
+    {
+        return _milestones[_id];
+    }
+    /**
+     * @dev Opens a vote on the release of the next milestone of a successful campaign.
+     */
+    function requestRelease(uint256 _id) external campaignExists(_id)
+    {
+        Campaign storage campaign = campaigns[_id];
+        Releases storage state = releases[_id];
+        require(msg.sender == campaign.creator, "not creator");
+        require(_milestones[_id].length > 0, "campaign has no milestones");
+        require(block.timestamp > campaign.endAt, "campaign has not ended");
+        require(campaign.pledged >= campaign.goal, "pledged < goal");
+        require(!state.rejected, "release rejected");
+        require(state.voteEndAt == 0, "vote in progress");
+        require(state.next < _milestones[_id].length, "all milestones released");
+
+        state.approvals = 0;
+        state.rejections = 0;
+        state.voteEndAt = uint32(block.timestamp) + VOTING_PERIOD;
+
+        emit ReleaseRequested(_id, state.next, state.voteEndAt);
+    }
+    /**
+     * @dev Votes on the open release with the amount pledged to the campaign as weight.
+     */
+    function vote(uint256 _id, bool _approve) external campaignExists(_id)
+    {
+        Releases storage state = releases[_id];
+        require(state.voteEndAt != 0, "no vote in progress");
+        require(block.timestamp <= state.voteEndAt, "vote has ended");
+        uint256 weight = pledgedAmount[_id][msg.sender];
+        require(weight > 0, "not a donor");
+        require(!hasVoted[_id][state.next][msg.sender], "already voted");
+
+        hasVoted[_id][state.next][msg.sender] = true;
+        if (_approve)
+        {
+            state.approvals += weight;
+        }
+        else
+        {
+            state.rejections += weight;
+        }
+
+        emit Vote(_id, state.next, msg.sender, _approve, weight);
+    }
+    /**
+     * @dev Closes the vote once it has ended, anyone can call this. The milestone is released
+     * to the creator if more pledge weight approved it than rejected it, a tie or a vote
+     * nobody took part in rejects it.
+     */
+    function finalizeRelease(uint256 _id) external campaignExists(_id) whenNoEmergency
+    {
+        Campaign storage campaign = campaigns[_id];
+        Releases storage state = releases[_id];
+        require(state.voteEndAt != 0, "no vote in progress");
+        require(block.timestamp > state.voteEndAt, "vote has not ended");
+
+        uint256 milestone = state.next;
+        state.voteEndAt = 0;
+        if (state.approvals <= state.rejections)
+        {
+            state.rejected = true;
+            emit Release(_id, milestone, false, 0);
+            return;
+        }
+
+        state.next += 1;
+        // the last milestone releases whatever is left so that rounding never leaves tokens behind
+        uint256 amount = state.next == _milestones[_id].length
+            ? campaign.pledged - state.released
+            : campaign.pledged * _milestones[_id][milestone] / 100;
+        state.released += amount;
+        if (state.next == _milestones[_id].length)
+        {
+            campaign.claimed = true;
+        }
+        _payCreator(_id, campaign, amount);
+
+        emit Release(_id, milestone, true, amount);
+    }
+    /**
+     * @dev Sends `_amount` tokens of campaign `_id` to its creator, less the fee the campaign was launched with.
+     * The fee is rounded down, so that the creator gets whatever rounding leaves, and not taken
+     * when the owner has since removed the fee recipient.
+     */
+    function _payCreator(uint256 _id, Campaign storage _campaign, uint256 _amount) private
+    {
+        uint256 fee = feeRecipient == address(0) ? 0 : _amount * _campaign.feeBps / 10000;
+        if (fee > 0)
+        {
+            _campaign.token.safeTransfer(feeRecipient, fee);
+            emit Fee(_id, feeRecipient, fee);
+        }
+        _campaign.token.safeTransfer(_campaign.creator, _amount - fee);
+    }
+    /**
+     * @dev After a release was rejected, donors take back their share of the tokens
+     * that were not released, in proportion to what they pledged.
+     */
+    function reclaim(uint256 _id) external campaignExists(_id)
+    {
+        Campaign storage campaign = campaigns[_id];
+        Releases storage state = releases[_id];
+        require(state.rejected, "release not rejected");
+        uint256 pledged = pledgedAmount[_id][msg.sender];
+        require(pledged > 0, "nothing to reclaim");
+
+        pledgedAmount[_id][msg.sender] = 0;
+        _updateReceipt(_id, msg.sender);
+        uint256 amount = pledged * (campaign.pledged - state.released) / campaign.pledged;
+        campaign.token.safeTransfer(msg.sender, amount);
+
+        emit Reclaim(_id, msg.sender, amount);
+    }
+    /**
+     * @dev Once an emergency is active, pays a donor back what they pledged to an unclaimed campaign.
+     * A milestone campaign pays back the donor's share of what was not released yet, like reclaim.
+     */
+    function emergencyWithdraw(uint256 _id) external campaignExists(_id)
+    {
+        require(emergency(), "no emergency");
+        Campaign storage campaign = campaigns[_id];
+        require(!campaign.claimed, "claimed");
+        uint256 pledged = pledgedAmount[_id][msg.sender];
+        require(pledged > 0, "nothing to withdraw");
+
+        pledgedAmount[_id][msg.sender] = 0;
+        _updateReceipt(_id, msg.sender);
+        uint256 amount = pledged * (campaign.pledged - releases[_id].released) / campaign.pledged;
+        campaign.token.safeTransfer(msg.sender, amount);
+
+        emit EmergencyWithdraw(_id, msg.sender, amount);
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+/**
+ * @dev The parts of FundMe the receipts read and call.
+ */
+interface IFundMePledges
+{
+    function campaigns(uint256 _id) external view returns (
+        address creator,
+        uint256 goal,
+        uint256 pledged,
+        address token,
+        uint32 startAt,
+        uint32 endAt,
+        bool claimed,
+        bool cancelled,
+        uint16 feeBps,
+        bytes32 metadataHash,
+        uint256 hardCap
+    );
+
+    function pledgedAmount(uint256 _id, address _donor) external view returns (uint256);
+
+    function transferPledge(uint256 _id, address _from, address _to) external;
+}
+
+/**
+ * @dev The receipt NFTs FundMe keeps in step with what donors pledged, see PledgeReceipts.
+ */
+interface IPledgeReceipts
+{
+    /**
+     * @dev Called by FundMe whenever what `_donor` pledged to campaign `_id` changed to `_amount`.
+     */
+    function update(uint256 _id, address _donor, uint256 _amount) external;
+
+    /**
+     * @dev The FundMe contract the receipts are minted for.
+     */
+    function fundMe() external view returns (IFundMePledges);
+}
@@ -0,0 +1,146 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "./ERC721.sol";
+import "./Base64.sol";
+import "./Strings.sol";
+import "./IPledgeReceipts.sol";
+
+/**
+ * @dev ERC-721 receipts for the pledges to FundMe campaigns.
+ * A donor gets one receipt per campaign on their first pledge, it is burned once they have nothing
+ * pledged left, after unpledging everything or getting a refund. The receipt stands for the whole
+ * position: transferring it moves what was pledged to the new holder in FundMe, who can then
+ * unpledge, get the refund or vote on releases. An account can only hold one receipt per campaign,
+ * so a receipt cannot be sent to a donor of the same campaign.
+ * Each receipt has a tier, the highest one whose share of the campaign goal the pledge reaches,
+ * shown with the amount in its on-chain metadata.
+ */
+contract PledgeReceipts is ERC721, IPledgeReceipts
+{
+    using Strings for uint256;
+
+    /**
+     * @dev A tier reached by pledging at least `goalBps` basis points of the campaign goal.
+     */
+    struct Tier
+    {
+        uint16 goalBps;
+        string name;
+    }
+
+    /// the FundMe contract the receipts are minted for. Not immutable, so that the code of every
+    /// PledgeReceipts is the same and FundMe can recognize it by its hash
+    IFundMePledges public override fundMe;
+    /// how many receipts were minted, receipt ids start at 1
+    uint256 public count;
+    /// mapping from receipt id to the id of its campaign
+    mapping(uint256 => uint256) public campaignOf;
+    /// mapping from campaign id to holder to the id of their receipt, 0 when they have none
+    mapping(uint256 => mapping(address => uint256)) public receiptOf;
+    /// the tiers in increasing order, the first one starts at 0 so that every receipt has a tier
+    Tier[] private _tiers;
+
+    /**
+     * @param _fundMe The FundMe contract, the only one allowed to mint and burn
+     * @param _goalBps The share of the goal each tier starts at, in basis points, increasing from 0
+     * @param _names The name of each tier
+     */
+    constructor(address _fundMe, uint16[] memory _goalBps, string[] memory _names) ERC721("FundMe Pledge Receipt", "PLEDGE")
+    {
+        require(_goalBps.length > 0 && _goalBps.length == _names.length, "invalid tiers");
+        require(_goalBps[0] == 0, "first tier must start at 0");
+        for (uint256 i = 0; i < _goalBps.length; i++)
+        {
+            require(i == 0 || _goalBps[i] > _goalBps[i - 1], "tiers must increase");
+            _tiers.push(Tier(_goalBps[i], _names[i]));
+        }
+        fundMe = IFundMePledges(_fundMe);
+    }
+
+    /**
+     * @dev Mints the donor's receipt on their first pledge and burns it once nothing is left.
+     */
+    function update(uint256 _id, address _donor, uint256 _amount) external override
+    {
+        require(msg.sender == address(fundMe), "not FundMe");
+        uint256 receiptId = receiptOf[_id][_donor];
+        if (_amount > 0 && receiptId == 0)
+        {
+            count += 1;
+            campaignOf[count] = _id;
+            // not _safeMint, so that FundMe never calls into the donor while it moves tokens
+            _mint(_donor, count);
+        }
+        else if (_amount == 0 && receiptId != 0)
+        {
+            _burn(receiptId);
+        }
+    }
+
+    function tiers() external view returns (Tier[] memory)
+    {
+        return _tiers;
+    }
+
+    /**
+     * @dev Returns the campaign and the amount pledged behind receipt `_receiptId`.
+     */
+    function pledgeOf(uint256 _receiptId) public view returns (uint256 id, uint256 amount)
+    {
+        _requireMinted(_receiptId);
+        id = campaignOf[_receiptId];
+        amount = fundMe.pledgedAmount(id, ownerOf(_receiptId));
+    }
+
+    /**
+     * @dev Returns the index of the tier of receipt `_receiptId`, which follows what is pledged behind it.
+     */
+    function tierOf(uint256 _receiptId) public view returns (uint256 tier)
+    {
+        (uint256 id, uint256 amount) = pledgeOf(_receiptId);
+        (, uint256 goal, , , , , , , , , ) = fundMe.campaigns(id);
+        uint256 share = goal == 0 ? type(uint256).max : amount * 10000 / goal;
+        while (tier + 1 < _tiers.length && share >= _tiers[tier + 1].goalBps)
+        {
+            tier++;
+        }
+    }
+
+    /**
+     * @dev Returns the metadata of receipt `_receiptId` as a base64 JSON data URI.
+     */
+    function tokenURI(uint256 _receiptId) public view override returns (string memory)
+    {
+        (uint256 id, uint256 amount) = pledgeOf(_receiptId);
+        string memory json = string(abi.encodePacked(
+            '{"name":"FundMe pledge #', _receiptId.toString(),
+            '","description":"A pledge to FundMe campaign ', id.toString(), ', its holder can unpledge or get the refund.",',
+            '"attributes":[{"trait_type":"Campaign","value":', id.toString(),
+            '},{"trait_type":"Amount","value":"', amount.toString(),
+            '"},{"trait_type":"Tier","value":"', _tiers[tierOf(_receiptId)].name, '"}]}'
+        ));
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(bytes(json))));
+    }
+
+    /**
+     * @dev Keeps receiptOf in step with ownership, and moves the pledge in FundMe along with a transferred receipt.
+     */
+    function _beforeTokenTransfer(address _from, address _to, uint256 _receiptId) internal override
+    {
+        uint256 id = campaignOf[_receiptId];
+        if (_from != address(0))
+        {
+            delete receiptOf[id][_from];
+        }
+        if (_to != address(0))
+        {
+            require(receiptOf[id][_to] == 0, "already holds a receipt for this campaign");
+            receiptOf[id][_to] = _receiptId;
+        }
+        if (_from != address(0) && _to != address(0))
+        {
+            fundMe.transferPledge(id, _from, _to);
+        }
+    }
+}
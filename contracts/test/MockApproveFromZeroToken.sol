@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "../ERC20.sol";
+
+/**
+ * @dev An ERC-20 token that, like USDT, refuses to change an allowance that is not 0
+ * to another amount that is not 0.
+ */
+contract MockApproveFromZeroToken is ERC20
+{
+    constructor(string memory name_, string memory symbol_, uint256 totalSupply_)
+        ERC20(name_, symbol_, totalSupply_)
+    {}
+
+    function approve(address spender, uint256 amount) public override returns (bool)
+    {
+        require(amount == 0 || allowance(msg.sender, spender) == 0, "approve from non-zero");
+        return super.approve(spender, amount);
+    }
+}
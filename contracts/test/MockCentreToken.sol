@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+/**
+ * @dev The parts of USDC test/FundMeFork.js relies on: 6 decimals, and a blacklister whose blocklist
+ * applies to the sender, the recipient and the spender of every transfer and approval.
+ * test/fixtures/mainnet-fork.json runs this code at the USDC address, its storage layout is part of the fixture.
+ */
+contract MockCentreToken
+{
+    string public constant name = "USD Coin";
+    string public constant symbol = "USDC";
+    uint8 public constant decimals = 6;
+
+    // slot 0
+    address public blacklister;
+    // slot 1
+    uint256 public totalSupply;
+    // slot 2
+    mapping(address => uint256) public balanceOf;
+    // slot 3
+    mapping(address => mapping(address => uint256)) public allowance;
+    // slot 4
+    mapping(address => bool) public isBlacklisted;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(uint256 _totalSupply)
+    {
+        blacklister = msg.sender;
+        totalSupply = _totalSupply;
+        balanceOf[msg.sender] = _totalSupply;
+    }
+
+    modifier notBlacklisted(address _account)
+    {
+        require(!isBlacklisted[_account], "Blacklistable: account is blacklisted");
+        _;
+    }
+
+    function transfer(address _to, uint256 _value)
+        external notBlacklisted(msg.sender) notBlacklisted(_to) returns (bool)
+    {
+        _transfer(msg.sender, _to, _value);
+        return true;
+    }
+
+    function transferFrom(address _from, address _to, uint256 _value)
+        external notBlacklisted(msg.sender) notBlacklisted(_from) notBlacklisted(_to) returns (bool)
+    {
+        require(_value <= allowance[_from][msg.sender], "ERC20: transfer amount exceeds allowance");
+        allowance[_from][msg.sender] -= _value;
+        _transfer(_from, _to, _value);
+        return true;
+    }
+
+    function approve(address _spender, uint256 _value)
+        external notBlacklisted(msg.sender) notBlacklisted(_spender) returns (bool)
+    {
+        allowance[msg.sender][_spender] = _value;
+        emit Approval(msg.sender, _spender, _value);
+        return true;
+    }
+
+    function blacklist(address _account) external
+    {
+        require(msg.sender == blacklister, "Blacklistable: caller is not the blacklister");
+        isBlacklisted[_account] = true;
+    }
+
+    function _transfer(address _from, address _to, uint256 _value) private
+    {
+        require(_value <= balanceOf[_from], "ERC20: transfer amount exceeds balance");
+        balanceOf[_from] -= _value;
+        balanceOf[_to] += _value;
+        emit Transfer(_from, _to, _value);
+    }
+}
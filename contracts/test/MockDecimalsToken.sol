@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "../ERC20.sol";
+
+/**
+ * @dev An ERC-20 token with any number of decimals, to check that nothing assumes 18.
+ * Mints `totalSupply_` whole tokens to the deployer.
+ */
+contract MockDecimalsToken is ERC20
+{
+    uint8 private immutable _decimals;
+
+    constructor(string memory name_, string memory symbol_, uint256 totalSupply_, uint8 decimals_)
+        ERC20(name_, symbol_, 0)
+    {
+        _decimals = decimals_;
+        _mint(msg.sender, totalSupply_ * (10**decimals_));
+    }
+
+    function decimals() public view override returns (uint8)
+    {
+        return _decimals;
+    }
+}
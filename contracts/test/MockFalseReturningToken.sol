@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "../ERC20.sol";
+
+/**
+ * @dev An ERC-20 token that returns false instead of reverting when a transfer
+ * cannot go through, like some older tokens do.
+ */
+contract MockFalseReturningToken is ERC20
+{
+    constructor(string memory name_, string memory symbol_, uint256 totalSupply_)
+        ERC20(name_, symbol_, totalSupply_)
+    {}
+
+    function transfer(address to, uint256 amount) public override returns (bool)
+    {
+        if (balanceOf(msg.sender) < amount)
+        {
+            return false;
+        }
+        return super.transfer(to, amount);
+    }
+
+    function transferFrom(address from, address to, uint256 amount) public override returns (bool)
+    {
+        if (balanceOf(from) < amount || allowance(from, msg.sender) < amount)
+        {
+            return false;
+        }
+        return super.transferFrom(from, to, amount);
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "../ERC20.sol";
+
+/**
+ * @dev An ERC-20 token that burns `feeBps` basis points of every transfer,
+ * so the recipient gets less than the amount that was sent.
+ */
+contract MockFeeOnTransferToken is ERC20
+{
+    uint256 public immutable feeBps;
+
+    constructor(string memory name_, string memory symbol_, uint256 totalSupply_, uint256 feeBps_)
+        ERC20(name_, symbol_, totalSupply_)
+    {
+        feeBps = feeBps_;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override
+    {
+        uint256 fee = amount * feeBps / 10000;
+        _burn(from, fee);
+        super._transfer(from, to, amount - fee);
+    }
+}
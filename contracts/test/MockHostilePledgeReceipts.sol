@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+import "../IPledgeReceipts.sol";
+
+/**
+ * @dev Pledge receipts that fail every update, by reverting or by burning all the gas they get,
+ * and try to move the pledges of any donor to themselves.
+ */
+contract MockHostilePledgeReceipts is IPledgeReceipts
+{
+    IFundMePledges public immutable override fundMe;
+    /// whether update burns all its gas instead of reverting
+    bool public burnGas;
+
+    constructor(address _fundMe)
+    {
+        fundMe = IFundMePledges(_fundMe);
+    }
+
+    function setBurnGas(bool _burnGas) external
+    {
+        burnGas = _burnGas;
+    }
+
+    function update(uint256, address, uint256) external view override
+    {
+        while (burnGas) {}
+        revert("receipts down");
+    }
+
+    function steal(uint256 _id, address _donor) external
+    {
+        fundMe.transferPledge(_id, _donor, address(this));
+    }
+}
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.10;
+
+/**
+ * @dev The parts of USDT test/FundMeFork.js relies on: transfer, transferFrom and approve return nothing,
+ * an allowance that is not 0 can only be set back to 0, and the owner blocklists senders.
+ * test/fixtures/mainnet-fork.json runs this code at the USDT address, its storage layout is part of the fixture.
+ */
+contract MockTetherToken
+{
+    string public constant name = "Tether USD";
+    string public constant symbol = "USDT";
+    uint8 public constant decimals = 6;
+
+    // slot 0
+    address public owner;
+    // slot 1
+    uint256 public totalSupply;
+    // slot 2
+    mapping(address => uint256) public balanceOf;
+    // slot 3
+    mapping(address => mapping(address => uint256)) public allowance;
+    // slot 4
+    mapping(address => bool) public isBlackListed;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(uint256 _totalSupply)
+    {
+        owner = msg.sender;
+        totalSupply = _totalSupply;
+        balanceOf[msg.sender] = _totalSupply;
+    }
+
+    function transfer(address _to, uint256 _value) external
+    {
+        require(!isBlackListed[msg.sender]);
+        _transfer(msg.sender, _to, _value);
+    }
+
+    function transferFrom(address _from, address _to, uint256 _value) external
+    {
+        require(!isBlackListed[_from]);
+        allowance[_from][msg.sender] -= _value;
+        _transfer(_from, _to, _value);
+    }
+
+    function approve(address _spender, uint256 _value) external
+    {
+        require(!((_value != 0) && (allowance[msg.sender][_spender] != 0)));
+        allowance[msg.sender][_spender] = _value;
+        emit Approval(msg.sender, _spender, _value);
+    }
+
+    function addBlackList(address _evilUser) external
+    {
+        require(msg.sender == owner);
+        isBlackListed[_evilUser] = true;
+    }
+
+    function _transfer(address _from, address _to, uint256 _value) private
+    {
+        balanceOf[_from] -= _value;
+        balanceOf[_to] += _value;
+        emit Transfer(_from, _to, _value);
+    }
+}
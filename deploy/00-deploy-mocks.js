@@ -0,0 +1,26 @@
+const { network } = require("hardhat")
+const {
+    developmentChains,
+    TOKEN_NAME,
+    TOKEN_SYMBOL,
+    TOTAL_SUPPLY
+} = require("../helper-hardhat-config")
+
+module.exports = async ({ getNamedAccounts, deployments }) => {
+    const { deploy, log } = deployments
+    const { deployer } = await getNamedAccounts()
+
+    // real networks already have the token we want to raise funds in
+    if (developmentChains.includes(network.name)) {
+        log("Local network detected! Deploying mock ERC20...")
+        await deploy("ERC20", {
+            from: deployer,
+            args: [TOKEN_NAME, TOKEN_SYMBOL, TOTAL_SUPPLY],
+            log: true,
+        })
+        log("Mocks deployed!")
+        log("------------------------------------------------")
+    }
+}
+
+module.exports.tags = ["all", "mocks"]
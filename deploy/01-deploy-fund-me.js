@@ -0,0 +1,39 @@
+const { network } = require("hardhat")
+const { networkConfig, developmentChains, MAX_DURATION } = require("../helper-hardhat-config")
+const { verify } = require("../utils/verify")
+
+module.exports = async ({ getNamedAccounts, deployments }) => {
+    const { deploy, log } = deployments
+    const { deployer } = await getNamedAccounts()
+    const chainId = network.config.chainId
+
+    let tokenAddress
+    if (developmentChains.includes(network.name)) {
+        const erc20 = await deployments.get("ERC20")
+        tokenAddress = erc20.address
+    } else {
+        tokenAddress = networkConfig[chainId] && networkConfig[chainId].tokenAddress
+        if (!tokenAddress) {
+            throw new Error(`No token address configured for ${network.name}, see tokenAddressEnv in helper-hardhat-config.js`)
+        }
+    }
+
+    log("Deploying FundMe...")
+    // more tokens can be allowed later by the owner with setTokenAllowed
+    const args = [[tokenAddress], MAX_DURATION]
+    const fundMe = await deploy("FundMe", {
+        from: deployer,
+        args: args,
+        log: true,
+        // we need to wait if on a live network so we can verify properly
+        waitConfirmations: network.config.blockConfirmations || 1,
+    })
+    log(`FundMe deployed at ${fundMe.address}`)
+
+    if (!developmentChains.includes(network.name)) {
+        await verify(fundMe.address, args)
+    }
+    log("------------------------------------------------")
+}
+
+module.exports.tags = ["all", "fundme"]
@@ -0,0 +1,29 @@
+const { network } = require("hardhat")
+const { developmentChains, RECEIPT_TIERS } = require("../helper-hardhat-config")
+const { verify } = require("../utils/verify")
+
+module.exports = async ({ getNamedAccounts, deployments }) => {
+    const { deploy, log } = deployments
+    const { deployer } = await getNamedAccounts()
+
+    const fundMe = await deployments.get("FundMe")
+
+    log("Deploying PledgeReceipts...")
+    // FundMe only mints receipts once its owner turns them on, see the campaign:pledge-receipts task
+    const args = [fundMe.address, RECEIPT_TIERS.map(({ goalBps }) => goalBps), RECEIPT_TIERS.map(({ name }) => name)]
+    const pledgeReceipts = await deploy("PledgeReceipts", {
+        from: deployer,
+        args: args,
+        log: true,
+        waitConfirmations: network.config.blockConfirmations || 1,
+    })
+    log(`PledgeReceipts deployed at ${pledgeReceipts.address}`)
+
+    if (!developmentChains.includes(network.name)) {
+        await verify(pledgeReceipts.address, args)
+    }
+    log("------------------------------------------------")
+}
+
+module.exports.tags = ["all", "receipts"]
+module.exports.dependencies = ["fundme"]
@@ -5,34 +5,40 @@ require("solidity-coverage")
 require("hardhat-gas-reporter")
 require("hardhat-contract-sizer")
 require("dotenv").config()
+require("./tasks/campaign")
+require("./tasks/scenario")
+
+const { getHardhatNetworks, getSelectedNetwork, reportSkippedNetworks, getEtherscanConfig } = require("./helper-hardhat-config")
 
-const RINKEBY_RPC_URL = process.env.RINKEBY_RPC_URL
-const PRIVATE_KEY = process.env.PRIVATE_KEY
 const COINMARKETCAP_API_KEY = process.env.COINMARKETCAP_API_KEY
-const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY
+
+// live networks are only added when their RPC url and PRIVATE_KEY are set
+const { networks, skipped } = getHardhatNetworks(process.env)
+reportSkippedNetworks(skipped, getSelectedNetwork(process.argv, process.env))
 
 module.exports = {
   defaultNetwork: "hardhat",
-  networks: {
-    hardhat: {
-      chainId: 31337,
-      blockConfirmations: 1
-    },
-    rinkeby: {
-      chainId: 4,
-      blockConfirmations: 6,
-      url: RINKEBY_RPC_URL,
-      accounts: [PRIVATE_KEY]
-    }
-  },
+  networks,
   gasReporter: {
-    enabled: false,
+    enabled: process.env.REPORT_GAS === "true",
     currency: "USD",
     outputFile: "gas-report.txt",
     noColors: true,
-    // coinmarketcap: process.env.COINMARKETCAP_API_KEY,
+    // without an api key prices are fixed, so the reporter never goes online
+    ...(COINMARKETCAP_API_KEY
+      ? { coinmarketcap: COINMARKETCAP_API_KEY }
+      : { gasPrice: 20, ethPrice: "1500" }),
+  },
+  solidity: {
+    version: "0.8.10",
+    settings: {
+      // keeps FundMe under the 24KB contract size limit
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
   },
-  solidity: "0.8.10",
   namedAccounts: {
     deployer: {
       default: 0
@@ -41,11 +47,7 @@ module.exports = {
       default: 1
     }
   },
-  etherscan: {
-    apiKey: {
-      rinkeby: ETHERSCAN_API_KEY
-    }
-  },
+  etherscan: getEtherscanConfig(process.env),
   mocha: {
     timeout: 200000, // 200 seconds
   }
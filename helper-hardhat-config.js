@@ -1,17 +1,182 @@
-const { ethers } = require("hardhat")
+// This file is loaded by hardhat.config.js, so it must not require("hardhat").
 
-const networkConfig = {
-    4: {
-        name: "rinkeby",
-    },
+const LOCALHOST_RPC_URL = "http://127.0.0.1:8545"
+
+/**
+ * The networks FundMe can be deployed to, keyed by chain id.
+ * Live networks read their RPC url, the token to raise funds in and their explorer
+ * API key from the environment (see .env), under the variable names listed here.
+ */
+const networkRegistry = {
     31337: {
         name: "localhost",
+        blockConfirmations: 1,
+    },
+    11155111: {
+        name: "sepolia",
+        rpcUrlEnv: "SEPOLIA_RPC_URL",
+        tokenAddressEnv: "SEPOLIA_TOKEN_ADDRESS",
+        blockConfirmations: 6,
+        explorer: {
+            apiKeyEnv: "ETHERSCAN_API_KEY",
+            apiURL: "https://api-sepolia.etherscan.io/api",
+            browserURL: "https://sepolia.etherscan.io",
+        },
+    },
+    17000: {
+        name: "holesky",
+        rpcUrlEnv: "HOLESKY_RPC_URL",
+        tokenAddressEnv: "HOLESKY_TOKEN_ADDRESS",
+        blockConfirmations: 6,
+        explorer: {
+            apiKeyEnv: "ETHERSCAN_API_KEY",
+            apiURL: "https://api-holesky.etherscan.io/api",
+            browserURL: "https://holesky.etherscan.io",
+        },
+    },
+}
+
+/**
+ * Resolves the registry against an environment, e.g. process.env.
+ * Each entry gets its `url`, `tokenAddress` and `explorer.apiKey` when the variables are set.
+ */
+const buildNetworkConfig = (env) => {
+    const config = {}
+    for (const [chainId, entry] of Object.entries(networkRegistry)) {
+        const { rpcUrlEnv, tokenAddressEnv, explorer, ...rest } = entry
+        config[chainId] = {
+            ...rest,
+            url: rpcUrlEnv ? env[rpcUrlEnv] : LOCALHOST_RPC_URL,
+            tokenAddress: tokenAddressEnv ? env[tokenAddressEnv] : undefined,
+        }
+        if (explorer) {
+            const { apiKeyEnv, ...urls } = explorer
+            config[chainId].explorer = { ...urls, apiKey: env[apiKeyEnv] }
+        }
     }
+    return config
+}
+
+/**
+ * Builds the `networks` section of hardhat.config.js.
+ * Live networks whose RPC url or PRIVATE_KEY is missing are left out, and `skipped` maps
+ * each of them to a message explaining what to set.
+ */
+const getHardhatNetworks = (env) => {
+    const networks = {
+        hardhat: {
+            chainId: 31337,
+            blockConfirmations: 1,
+        },
+    }
+    const skipped = {}
+    for (const [chainId, entry] of Object.entries(networkRegistry)) {
+        if (!entry.rpcUrlEnv) {
+            networks[entry.name] = {
+                chainId: Number(chainId),
+                blockConfirmations: entry.blockConfirmations,
+                url: LOCALHOST_RPC_URL,
+            }
+            continue
+        }
+        const missing = [entry.rpcUrlEnv, "PRIVATE_KEY"].filter((name) => !env[name])
+        if (missing.length > 0) {
+            skipped[entry.name] = `Network "${entry.name}" skipped: ${missing.join(" and ")} not set`
+            continue
+        }
+        networks[entry.name] = {
+            chainId: Number(chainId),
+            blockConfirmations: entry.blockConfirmations,
+            url: env[entry.rpcUrlEnv],
+            accounts: [env.PRIVATE_KEY],
+        }
+    }
+    return { networks, skipped }
+}
+
+/**
+ * Returns the network a hardhat run selected with --network, or through HARDHAT_NETWORK for scripts
+ * run with `hardhat run`, undefined for the default network.
+ */
+const getSelectedNetwork = (argv, env) => {
+    const index = argv.indexOf("--network")
+    if (index !== -1) return argv[index + 1]
+    const inline = argv.find((arg) => arg.startsWith("--network="))
+    if (inline) return inline.slice("--network=".length)
+    return env.HARDHAT_NETWORK
 }
 
+/**
+ * Warns once per skipped network, naming the variables it misses, and throws that same message
+ * when the run selected one of them.
+ */
+const reportSkippedNetworks = (skipped, selectedNetwork, warn = console.warn) => {
+    if (skipped[selectedNetwork]) throw new Error(skipped[selectedNetwork])
+    Object.values(skipped).forEach((message) => warn(message))
+}
+
+/**
+ * Builds the `etherscan` section of hardhat.config.js from the explorers in the registry.
+ */
+const getEtherscanConfig = (env) => {
+    const config = buildNetworkConfig(env)
+    const apiKey = {}
+    const customChains = []
+    for (const [chainId, entry] of Object.entries(config)) {
+        if (!entry.explorer) continue
+        customChains.push({
+            network: entry.name,
+            chainId: Number(chainId),
+            urls: { apiURL: entry.explorer.apiURL, browserURL: entry.explorer.browserURL },
+        })
+        if (entry.explorer.apiKey) {
+            apiKey[entry.name] = entry.explorer.apiKey
+        }
+    }
+    return { apiKey, customChains }
+}
+
+/**
+ * Returns the explorer of a chain, or undefined when it has none or its API key is not set.
+ */
+const getExplorerConfig = (chainId, env) => {
+    const entry = buildNetworkConfig(env)[chainId]
+    if (!entry || !entry.explorer || !entry.explorer.apiKey) return undefined
+    return entry.explorer
+}
+
+const networkConfig = buildNetworkConfig(process.env)
+
 const developmentChains = ["hardhat", "localhost"]
 
+// constructor arguments for the mock ERC-20 token deployed on development chains
+const TOKEN_NAME = "Vincent"
+const TOKEN_SYMBOL = "VIN"
+const TOTAL_SUPPLY = 1000000
+
+// how long a FundMe campaign can last, in seconds
+const MAX_DURATION = 90 * 24 * 60 * 60
+
+// the tiers of the pledge receipt NFTs, reached by pledging `goalBps` basis points of the campaign goal
+const RECEIPT_TIERS = [
+    { goalBps: 0, name: "Supporter" },
+    { goalBps: 100, name: "Backer" },
+    { goalBps: 1000, name: "Patron" },
+]
+
 module.exports = {
+    networkRegistry,
     networkConfig,
-    developmentChains
-}
\ No newline at end of file
+    developmentChains,
+    buildNetworkConfig,
+    getHardhatNetworks,
+    getSelectedNetwork,
+    reportSkippedNetworks,
+    getEtherscanConfig,
+    getExplorerConfig,
+    TOKEN_NAME,
+    TOKEN_SYMBOL,
+    TOTAL_SUPPLY,
+    MAX_DURATION,
+    RECEIPT_TIERS
+}
@@ -0,0 +1,23 @@
+import type { Signer, providers } from "ethers"
+import type { FundMe } from "./dist/typechain"
+
+export * from "./dist/typechain"
+
+export declare const version: string
+
+/** The ABIs of the exported contracts, as in the compiled artifacts. */
+export declare const abis: Record<"FundMe" | "ERC20" | "PledgeReceipts", any[]>
+
+export interface ChainAddresses {
+    network: string
+    FundMe?: string
+    ERC20?: string
+    PledgeReceipts?: string
+}
+
+/** The addresses of the deployed contracts, by chain id. */
+export declare const addresses: Record<string, ChainAddresses>
+
+export declare function getAddresses(chainId: number | string): ChainAddresses
+
+export declare function connectFundMe(signerOrProvider: Signer | providers.Provider): Promise<FundMe>
@@ -0,0 +1,43 @@
+// The entry point of the package front-ends install: the ABIs and typed ethers v5 factories of
+// FundMe, the mock ERC20 and PledgeReceipts, and the addresses they are deployed at per chain.
+// Everything comes from dist/, built with `npm run build`.
+const fs = require("fs")
+const path = require("path")
+const { version } = require("./package.json")
+
+if (!fs.existsSync(path.join(__dirname, "dist", "typechain", "index.js"))) {
+    throw new Error("the package is not built, run `npm run build` first")
+}
+
+const typechain = require("./dist/typechain")
+const abis = require("./dist/abis.json")
+const addresses = require("./dist/addresses.json")
+
+/**
+ * Returns the addresses of the contracts deployed on chain `chainId`.
+ */
+const getAddresses = (chainId) => {
+    const entry = addresses[String(chainId)]
+    if (!entry) throw new Error(`nothing is deployed on chain ${chainId}, known chains: ${Object.keys(addresses).join(", ") || "none"}`)
+    return entry
+}
+
+/**
+ * Connects the FundMe deployed on the chain of `signerOrProvider` with its typed binding.
+ */
+const connectFundMe = async (signerOrProvider) => {
+    const provider = signerOrProvider.provider || signerOrProvider
+    const { chainId } = await provider.getNetwork()
+    const { FundMe } = getAddresses(chainId)
+    if (!FundMe) throw new Error(`FundMe is not deployed on chain ${chainId}`)
+    return typechain.FundMe__factory.connect(FundMe, signerOrProvider)
+}
+
+module.exports = {
+    ...typechain,
+    version,
+    abis,
+    addresses,
+    getAddresses,
+    connectFundMe,
+}
@@ -0,0 +1,76 @@
+// Builds the package front-ends install, see index.js:
+// node scripts/build-package.js [--lock]
+// It compiles the contracts, generates typed ethers v5 bindings for PACKAGE_CONTRACTS with
+// TypeChain, compiles them to JavaScript and .d.ts files in dist/, and collects the addresses
+// deployed on each network from deployments/ into dist/addresses.json.
+// --lock also records the current ABIs in abi-lock.json, which needs a version bump when they changed.
+const fs = require("fs")
+const path = require("path")
+const { spawnSync } = require("child_process")
+const { runTypeChain } = require("typechain")
+const { PACKAGE_CONTRACTS, abiHash, updateLock } = require("../utils/abiLock")
+
+const ROOT = path.join(__dirname, "..")
+const TYPECHAIN_DIR = path.join(ROOT, "typechain")
+const DIST_DIR = path.join(ROOT, "dist")
+const DEPLOYMENTS_DIR = path.join(ROOT, "deployments")
+const LOCK_FILE = path.join(ROOT, "abi-lock.json")
+
+const run = (command, args) => {
+    const result = spawnSync(command, args, { cwd: ROOT, stdio: "inherit" })
+    if (result.status !== 0) throw new Error(`${command} ${args.join(" ")} failed`)
+}
+
+const artifactPath = (name) => path.join(ROOT, "artifacts", "contracts", `${name}.sol`, `${name}.json`)
+
+/**
+ * Reads the address of every package contract deployed on each network in deployments/.
+ * @returns { [chainId]: { network, [contract]: address } }
+ */
+const readAddresses = () => {
+    const addresses = {}
+    if (!fs.existsSync(DEPLOYMENTS_DIR)) return addresses
+    for (const network of fs.readdirSync(DEPLOYMENTS_DIR)) {
+        const chainIdFile = path.join(DEPLOYMENTS_DIR, network, ".chainId")
+        if (!fs.existsSync(chainIdFile)) continue
+        const chainId = fs.readFileSync(chainIdFile, "utf8").trim()
+        const entry = { network }
+        for (const name of PACKAGE_CONTRACTS) {
+            const deployment = path.join(DEPLOYMENTS_DIR, network, `${name}.json`)
+            if (fs.existsSync(deployment)) entry[name] = JSON.parse(fs.readFileSync(deployment, "utf8")).address
+        }
+        addresses[chainId] = entry
+    }
+    return addresses
+}
+
+const main = async () => {
+    run("npx", ["hardhat", "compile"])
+    const files = PACKAGE_CONTRACTS.map(artifactPath)
+
+    fs.rmSync(TYPECHAIN_DIR, { recursive: true, force: true })
+    fs.rmSync(DIST_DIR, { recursive: true, force: true })
+    await runTypeChain({ cwd: ROOT, filesToProcess: files, allFiles: files, outDir: TYPECHAIN_DIR, target: "ethers-v5" })
+    run("npx", ["tsc", "-p", "tsconfig.package.json"])
+
+    const abis = {}
+    for (const name of PACKAGE_CONTRACTS) {
+        abis[name] = JSON.parse(fs.readFileSync(artifactPath(name), "utf8")).abi
+    }
+    fs.writeFileSync(path.join(DIST_DIR, "abis.json"), JSON.stringify(abis, null, 2) + "\n")
+    fs.writeFileSync(path.join(DIST_DIR, "addresses.json"), JSON.stringify(readAddresses(), null, 2) + "\n")
+    console.log(`Package built in ${path.relative(ROOT, DIST_DIR)}/`)
+
+    if (process.argv.includes("--lock")) {
+        const { version } = JSON.parse(fs.readFileSync(path.join(ROOT, "package.json"), "utf8"))
+        const hashes = Object.fromEntries(Object.entries(abis).map(([name, abi]) => [name, abiHash(abi)]))
+        const lock = fs.existsSync(LOCK_FILE) ? JSON.parse(fs.readFileSync(LOCK_FILE, "utf8")) : undefined
+        fs.writeFileSync(LOCK_FILE, JSON.stringify(updateLock(lock, { version, abis: hashes }), null, 2) + "\n")
+        console.log(`ABIs of version ${version} written to ${path.relative(ROOT, LOCK_FILE)}`)
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message)
+    process.exitCode = 1
+})
@@ -0,0 +1,50 @@
+// Runs the gas benchmarks of utils/gasBenchmarks.js and compares the gas used by FundMe's
+// methods and its bytecode size with gas-baseline.json, failing on a regression:
+// node scripts/gas-report.js [--threshold 5] [--update]
+// --update records the current numbers as the new baseline instead.
+const fs = require("fs")
+const path = require("path")
+const hre = require("hardhat")
+const { TRACKED_METHODS, MAX_CONTRACT_SIZE, summarizeGas, deployedSize, compare, formatTable } = require("../utils/gasBaseline")
+const { runBenchmarks } = require("../utils/gasBenchmarks")
+
+const ROOT = path.join(__dirname, "..")
+const BASELINE_FILE = path.join(ROOT, "gas-baseline.json")
+const ARTIFACT = path.join(ROOT, "artifacts", "contracts", "FundMe.sol", "FundMe.json")
+
+const option = (name) => {
+    const index = process.argv.indexOf(name)
+    return index === -1 ? undefined : process.argv[index + 1]
+}
+
+const main = async () => {
+    const threshold = Number(option("--threshold") || process.env.GAS_THRESHOLD || 5)
+    if (Number.isNaN(threshold) || threshold < 0) throw new Error("--threshold must be a positive percentage")
+
+    await hre.run("compile", { quiet: true })
+    const current = {
+        methods: summarizeGas(await runBenchmarks()),
+        size: deployedSize(JSON.parse(fs.readFileSync(ARTIFACT))),
+    }
+    const missing = TRACKED_METHODS.filter((method) => !current.methods[method])
+    if (missing.length > 0) console.warn(`No benchmark calls ${missing.join(", ")}`)
+    if (current.size > MAX_CONTRACT_SIZE) console.warn(`FundMe is ${current.size} bytes, over the ${MAX_CONTRACT_SIZE} bytes limit`)
+
+    if (process.argv.includes("--update") || !fs.existsSync(BASELINE_FILE)) {
+        fs.writeFileSync(BASELINE_FILE, JSON.stringify(current, null, 2) + "\n")
+        console.log(`Baseline written to ${path.relative(ROOT, BASELINE_FILE)}`)
+        return
+    }
+
+    const { rows, regressions } = compare(JSON.parse(fs.readFileSync(BASELINE_FILE)), current, threshold)
+    console.log(formatTable(rows))
+    if (regressions.length > 0) {
+        console.error(`${regressions.length} regression(s) beyond ${threshold}%`)
+        process.exitCode = 1
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message)
+    process.exitCode = 1
+})
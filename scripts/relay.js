@@ -0,0 +1,22 @@
+// Serves the intent relayer for the FundMe deployment of the selected network, sending the intents
+// from the deployer account, which pays their gas:
+// npx hardhat run scripts/relay.js --network localhost
+const { ethers, deployments, getNamedAccounts } = require("hardhat")
+const { createRelayerServer } = require("../utils/intentRelayer")
+
+const PORT = process.env.PORT || 3001
+
+const main = async () => {
+    const fundMe = await deployments.get("FundMe")
+    const { deployer } = await getNamedAccounts()
+    const signer = await ethers.getSigner(deployer)
+    const server = createRelayerServer({ signer, fundMeAddress: fundMe.address })
+    server.listen(PORT, () => {
+        console.log(`Relaying intents to FundMe ${fundMe.address} from ${deployer} on http://localhost:${PORT}`)
+    })
+}
+
+main().catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+})
@@ -0,0 +1,23 @@
+// Serves the read-only campaign API for the FundMe deployment of the selected network:
+// npx hardhat run scripts/serve.js --network localhost
+const { ethers, deployments } = require("hardhat")
+const { createServer } = require("../utils/campaignServer")
+
+const PORT = process.env.PORT || 3000
+
+const main = async () => {
+    const fundMe = await deployments.get("FundMe")
+    const server = createServer({
+        provider: ethers.provider,
+        fundMeAddress: fundMe.address,
+        startBlock: fundMe.receipt ? fundMe.receipt.blockNumber : 0,
+    })
+    server.listen(PORT, () => {
+        console.log(`Serving FundMe ${fundMe.address} on http://localhost:${PORT}`)
+    })
+}
+
+main().catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+})
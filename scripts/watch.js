@@ -0,0 +1,39 @@
+// Prints a line for every event and time based transition of the FundMe deployment of the
+// selected network until stopped:
+// npx hardhat run scripts/watch.js --network localhost
+// WATCH_CREATORS and WATCH_CAMPAIGNS (comma separated) filter the campaigns, WATCH_FILE also
+// appends the notifications to a JSON lines file, WATCH_WEBHOOK POSTs them to a URL and
+// WATCH_STATE is where the notifications sent are remembered between restarts.
+const path = require("path")
+const { ethers, deployments, network } = require("hardhat")
+const { CampaignWatcher, ConsoleSink, JsonLinesSink, WebhookSink } = require("../utils/campaignWatcher")
+const { JsonFileStore } = require("../utils/campaignIndexer")
+
+const list = (value) => value && value.split(",").map((item) => item.trim())
+
+const main = async () => {
+    const fundMe = await deployments.get("FundMe")
+    const sinks = [new ConsoleSink()]
+    if (process.env.WATCH_FILE) sinks.push(new JsonLinesSink(process.env.WATCH_FILE))
+    if (process.env.WATCH_WEBHOOK) sinks.push(new WebhookSink({ url: process.env.WATCH_WEBHOOK }))
+
+    const watcher = new CampaignWatcher({
+        provider: ethers.provider,
+        fundMeAddress: fundMe.address,
+        startBlock: fundMe.receipt ? fundMe.receipt.blockNumber : 0,
+        sinks,
+        creators: list(process.env.WATCH_CREATORS),
+        campaignIds: list(process.env.WATCH_CAMPAIGNS),
+        store: new JsonFileStore(process.env.WATCH_STATE || path.join("cache", `watch-${network.name}.json`)),
+        pollInterval: Number(process.env.WATCH_INTERVAL || 15000),
+    })
+    await watcher.start()
+    console.log(`Watching FundMe ${fundMe.address}`)
+
+    process.on("SIGINT", () => watcher.stop().then(() => process.exit()))
+}
+
+main().catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+})
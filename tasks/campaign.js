@@ -0,0 +1,581 @@
+// Tasks to operate FundMe campaigns from the command line, e.g.
+// npx hardhat campaign:launch --goal 1000 --start +1h --duration 7d --network localhost
+const fs = require("fs")
+const path = require("path")
+const { task, types } = require("hardhat/config")
+const { HardhatPluginError } = require("hardhat/plugins")
+const { CampaignClient } = require("../utils/campaignClient")
+const {
+    checkLaunch,
+    checkExtend,
+    checkSetHardCap,
+    checkSetStretchGoals,
+    checkCancel,
+    checkPledge,
+    checkUnpledge,
+    checkFundMatching,
+    checkClaim,
+    checkRefund,
+} = require("../utils/campaignChecks")
+const { parseDuration, parseTime } = require("../utils/time")
+const { MetadataStore, FileSystemStorage, MetadataValidationError } = require("../utils/campaignMetadata")
+const { DonorReceipts, toCSV, toJSON } = require("../utils/donorReceipts")
+const { findRefunds, findClaims } = require("../utils/campaignBatch")
+const { networkConfig } = require("../helper-hardhat-config")
+
+const PLUGIN_NAME = "campaign"
+
+const fail = (message) => {
+    throw new HardhatPluginError(PLUGIN_NAME, message)
+}
+
+/**
+ * Builds a CampaignClient for the FundMe deployment of the current network,
+ * signing with one of the `namedAccounts` from hardhat.config.js.
+ */
+const getClient = async (hre, account) => {
+    const namedAccounts = await hre.getNamedAccounts()
+    const address = namedAccounts[account]
+    if (!address) {
+        fail(`unknown account "${account}", expected one of: ${Object.keys(namedAccounts).join(", ")}`)
+    }
+    const fundMe = await hre.deployments.getOrNull("FundMe")
+    if (!fundMe) {
+        fail(`FundMe is not deployed on ${hre.network.name}, run \`npx hardhat deploy --network ${hre.network.name}\` first`)
+    }
+    const signer = await hre.ethers.getSigner(address)
+    return new CampaignClient(signer, fundMe.address)
+}
+
+// reads what is needed to parse and print amounts of the token at `address`
+const getTokenInfo = async (client, address) => {
+    const token = client.tokenAt(address)
+    const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()])
+    return { address: token.address, decimals, symbol }
+}
+
+// the mock ERC20 on development chains, the configured token on live networks
+const getDefaultToken = async (hre) => {
+    const mock = await hre.deployments.getOrNull("ERC20")
+    if (mock) return mock.address
+    const config = networkConfig[hre.network.config.chainId]
+    if (config && config.tokenAddress) return config.tokenAddress
+    fail(`no default token on ${hre.network.name}, pass --token`)
+}
+
+const parseAmount = (hre, token, amount) => {
+    try {
+        return hre.ethers.utils.parseUnits(String(amount), token.decimals)
+    } catch (e) {
+        fail(`invalid amount "${amount}" for a token with ${token.decimals} decimals`)
+    }
+}
+
+// validates the JSON document at `file` and stores it in <project root>/metadata
+const publishMetadata = async (hre, file) => {
+    let document
+    try {
+        document = JSON.parse(fs.readFileSync(file, "utf8"))
+    } catch (e) {
+        fail(`cannot read the metadata file ${file}: ${e.message}`)
+    }
+    const store = new MetadataStore({ storage: new FileSystemStorage(path.join(hre.config.paths.root, "metadata")) })
+    try {
+        return await store.publish(document)
+    } catch (e) {
+        if (e instanceof MetadataValidationError) fail(e.message)
+        throw e
+    }
+}
+
+const formatAmount = (hre, token, amount) => `${hre.ethers.utils.formatUnits(amount, token.decimals)} ${token.symbol}`
+
+const getCampaign = async (client, id) => {
+    const count = await client.count()
+    if (id < 1 || id > count) {
+        fail(`campaign ${id} does not exist, there are ${count} campaigns`)
+    }
+    return client.getCampaign(id)
+}
+
+// refuses to go on when the contract would revert with `reason`
+const check = (reason) => {
+    if (reason) fail(`the transaction would revert: ${reason}`)
+}
+
+// sends the transaction and turns a revert into a friendly error
+const send = async (promise) => {
+    try {
+        return await promise
+    } catch (e) {
+        const reason = e.reason || (e.error && e.error.message) || e.message
+        fail(`the transaction reverted: ${reason}`)
+    }
+}
+
+// fails unless the signer of `client` is the FundMe owner
+const requireOwner = async (client, action) => {
+    const owner = await client.fundMe.owner()
+    if (owner !== (await client.signer.getAddress())) {
+        fail(`only the owner ${owner} can ${action}`)
+    }
+}
+
+const printCampaign = (hre, token, campaign) => {
+    console.log(`Campaign #${campaign.id} (${campaign.status})`)
+    console.log(`  creator: ${campaign.creator}`)
+    console.log(`  token:   ${token.symbol} (${token.address})`)
+    console.log(`  goal:    ${formatAmount(hre, token, campaign.goal)}`)
+    console.log(`  pledged: ${formatAmount(hre, token, campaign.pledged)}`)
+    if (!campaign.hardCap.isZero()) {
+        console.log(`  hard cap: ${formatAmount(hre, token, campaign.hardCap)}`)
+    }
+    if (campaign.feeBps > 0) {
+        console.log(`  fee:     ${campaign.feeBps / 100}%`)
+    }
+    console.log(`  starts:  ${campaign.startDate.toISOString()}`)
+    console.log(`  ends:    ${campaign.endDate.toISOString()}`)
+    console.log(`  claimed: ${campaign.claimed}`)
+    if (campaign.metadataHash !== hre.ethers.constants.HashZero) {
+        console.log(`  metadata hash: ${campaign.metadataHash}`)
+    }
+}
+
+task("campaign:launch", "Launches a campaign")
+    .addParam("goal", "The amount of tokens to raise, e.g. 1000 or 0.5")
+    .addOptionalParam("start", "When the campaign starts: +<duration>, Unix seconds or an ISO date", "+1m")
+    .addParam("duration", "How long the campaign runs, e.g. 3600, 30m, 12h or 7d")
+    .addOptionalParam("token", "The address of the token to raise, the token FundMe was deployed with by default")
+    .addOptionalParam("metadata", "A JSON file with the title, description, image and links of the campaign")
+    .addOptionalParam("account", "The named account launching the campaign", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const now = await client.now()
+        let startAt, endAt
+        try {
+            startAt = parseTime(args.start, now)
+            endAt = startAt + parseDuration(args.duration)
+        } catch (e) {
+            fail(e.message)
+        }
+        if (args.token && !hre.ethers.utils.isAddress(args.token)) {
+            fail(`${args.token} is not an address`)
+        }
+        const token = await getTokenInfo(client, args.token || (await getDefaultToken(hre)))
+        if (!(await client.isTokenAllowed(token.address))) {
+            fail(`${token.symbol} (${token.address}) is not allowed, the owner can allow it with campaign:allow-token`)
+        }
+        const goal = parseAmount(hre, token, args.goal)
+        check(checkLaunch({ startAt, endAt }, now, await client.fundMe.maxDuration(), await client.getStatus()))
+        const metadata = args.metadata ? await publishMetadata(hre, args.metadata) : {}
+
+        const { id } = await send(client.launch({ token: token.address, goal, startAt, endAt, metadataURI: metadata.uri, metadataHash: metadata.hash }))
+        console.log(`Launched campaign #${id}`)
+        if (metadata.uri) console.log(`  metadata: ${metadata.uri}`)
+        printCampaign(hre, token, await client.getCampaign(id))
+    })
+
+task("campaign:show", "Shows a campaign")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, "deployer")
+        const campaign = await getCampaign(client, args.id)
+        const token = await getTokenInfo(client, campaign.token)
+        printCampaign(hre, token, campaign)
+        const pool = await client.getMatchingPool(args.id)
+        if (pool) {
+            console.log(`  matching: ${formatAmount(hre, token, pool.matched)} of ${formatAmount(hre, token, pool.deposit)} at ${pool.ratioBps / 10000}:1 from ${pool.sponsor}`)
+        }
+    })
+
+task("campaign:list", "Lists every campaign")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, "deployer")
+        const campaigns = await client.getCampaigns()
+        if (campaigns.length === 0) {
+            console.log("No campaigns launched yet")
+        }
+        const tokens = new Map()
+        for (const campaign of campaigns) {
+            if (!tokens.has(campaign.token)) {
+                tokens.set(campaign.token, await getTokenInfo(client, campaign.token))
+            }
+            const token = tokens.get(campaign.token)
+            console.log(
+                `#${campaign.id} ${campaign.status.padEnd(9)} ` +
+                `${formatAmount(hre, token, campaign.pledged)} / ${formatAmount(hre, token, campaign.goal)} ` +
+                `ends ${campaign.endDate.toISOString()}`
+            )
+        }
+    })
+
+task("campaign:pledge", "Pledges tokens to a campaign, approving them first if needed")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addParam("amount", "The amount of tokens to pledge, e.g. 10 or 0.5")
+    .addOptionalParam("account", "The named account pledging", "player")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        const token = await getTokenInfo(client, campaign.token)
+        const amount = parseAmount(hre, token, args.amount)
+        check(checkPledge(campaign, await client.now(), await client.getStatus(), amount))
+        const balance = await client.tokenAt(token.address).balanceOf(await client.signer.getAddress())
+        if (balance.lt(amount)) {
+            fail(`not enough tokens, the balance is ${formatAmount(hre, token, balance)}`)
+        }
+
+        await send(client.pledge(args.id, amount))
+        console.log(`Pledged ${formatAmount(hre, token, amount)} to campaign #${args.id}`)
+    })
+
+task("campaign:unpledge", "Takes back tokens pledged to a running campaign")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addParam("amount", "The amount of tokens to unpledge, e.g. 10 or 0.5")
+    .addOptionalParam("account", "The named account unpledging", "player")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        const token = await getTokenInfo(client, campaign.token)
+        const amount = parseAmount(hre, token, args.amount)
+        const pledged = await client.pledgedAmount(args.id)
+        check(checkUnpledge(campaign, pledged, amount, await client.now()))
+
+        await send(client.unpledge(args.id, amount))
+        console.log(`Unpledged ${formatAmount(hre, token, amount)} from campaign #${args.id}`)
+    })
+
+task("campaign:match", "Deposits a pool that matches the pledges to a campaign until it runs out")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addParam("amount", "The most that is matched, deposited now, e.g. 10000")
+    .addOptionalParam("ratio", "How many tokens each pledged token is matched with, e.g. 1 for 1:1 or 0.5", "1")
+    .addOptionalParam("account", "The named account of the sponsor", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        const token = await getTokenInfo(client, campaign.token)
+        const amount = parseAmount(hre, token, args.amount)
+        // the ratio is sent in basis points, a number with 4 decimals
+        const ratioBps = /^\d+(\.\d{1,4})?$/.test(args.ratio) ? Number(hre.ethers.utils.parseUnits(args.ratio, 4).toString()) : 0
+        if (ratioBps <= 0 || ratioBps > 0xffffffff) {
+            fail(`invalid ratio "${args.ratio}", expected a positive number with at most 4 decimals like 1 or 0.5`)
+        }
+        check(checkFundMatching(campaign, await client.getMatchingPool(args.id), amount, ratioBps, await client.now()))
+        const balance = await client.tokenAt(token.address).balanceOf(await client.signer.getAddress())
+        if (balance.lt(amount)) {
+            fail(`not enough tokens, the balance is ${formatAmount(hre, token, balance)}`)
+        }
+
+        await send(client.fundMatching(args.id, amount, ratioBps))
+        console.log(`Matching pledges to campaign #${args.id} at ${args.ratio}:1 up to ${formatAmount(hre, token, amount)}`)
+    })
+
+task("campaign:return-matching", "Sends the sponsor of a campaign what is left of its matching pool")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addOptionalParam("account", "The named account sending the transaction, the tokens always go to the sponsor", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        const pool = await client.getMatchingPool(args.id)
+        if (!pool) fail(`campaign #${args.id} has no matching pool`)
+        if (pool.returnable.isZero()) fail(`nothing to return to the sponsor of campaign #${args.id} now`)
+
+        await send(client.returnMatching(args.id))
+        const token = await getTokenInfo(client, campaign.token)
+        console.log(`Returned ${formatAmount(hre, token, pool.returnable)} to the sponsor ${pool.sponsor}`)
+    })
+
+task("campaign:claim", "Claims the tokens of a successful campaign")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addOptionalParam("account", "The named account of the creator", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        check(checkClaim(campaign, await client.signer.getAddress(), await client.now(), await client.getStatus()))
+
+        const receipt = await send(client.claim(args.id))
+        const token = await getTokenInfo(client, campaign.token)
+        const fee = receipt.events.find((event) => event.event === "Fee")
+        if (fee) {
+            const net = campaign.pledged.sub(fee.args.amount)
+            console.log(`Claimed ${formatAmount(hre, token, net)} from campaign #${args.id} after a fee of ${formatAmount(hre, token, fee.args.amount)}`)
+        } else {
+            console.log(`Claimed ${formatAmount(hre, token, campaign.pledged)} from campaign #${args.id}`)
+        }
+    })
+
+task("campaign:refund", "Gets back the tokens pledged to a failed campaign")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addOptionalParam("account", "The named account of the donor", "player")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        const pledged = await client.pledgedAmount(args.id)
+        check(checkRefund(campaign, pledged, await client.now()))
+
+        await send(client.refund(args.id))
+        const token = await getTokenInfo(client, campaign.token)
+        console.log(`Refunded ${formatAmount(hre, token, pledged)} from campaign #${args.id}`)
+    })
+
+task("campaign:refund-all", "Gets back the tokens pledged to every failed campaign in one transaction")
+    .addOptionalParam("account", "The named account of the donor", "player")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const refunds = await findRefunds(client)
+        if (refunds.length === 0) {
+            fail(`${args.account} has nothing to refund`)
+        }
+
+        await send(client.refundMany(refunds.map(({ id }) => id)))
+        for (const { id, token: address, amount } of refunds) {
+            const token = await getTokenInfo(client, address)
+            console.log(`Refunded ${formatAmount(hre, token, amount)} from campaign #${id}`)
+        }
+    })
+
+task("campaign:claim-all", "Claims every successful campaign of the creator in one transaction")
+    .addOptionalParam("account", "The named account of the creator", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const claims = await findClaims(client)
+        if (claims.length === 0) {
+            fail(`${args.account} has no campaign to claim`)
+        }
+
+        await send(client.claimMany(claims.map(({ id }) => id)))
+        console.log(`Claimed campaigns ${claims.map(({ id }) => `#${id}`).join(", ")}`)
+    })
+
+task("campaign:cancel", "Cancels a campaign that has not started yet")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addOptionalParam("account", "The named account of the creator", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        check(checkCancel(campaign, await client.signer.getAddress(), await client.now()))
+
+        await send(client.cancel(args.id))
+        console.log(`Cancelled campaign #${args.id}`)
+    })
+
+task("campaign:extend", "Moves the end of a running campaign later")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addParam("end", "The new end: +<duration> from now, Unix seconds or an ISO date")
+    .addOptionalParam("account", "The named account of the creator", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        const now = await client.now()
+        let endAt
+        try {
+            endAt = parseTime(args.end, now)
+        } catch (e) {
+            fail(e.message)
+        }
+        check(checkExtend(campaign, await client.signer.getAddress(), endAt, now, await client.fundMe.maxDuration()))
+
+        await send(client.extend(args.id, endAt))
+        console.log(`Campaign #${args.id} now ends ${new Date(endAt * 1000).toISOString()}`)
+    })
+
+task("campaign:cap", "Caps how much can be pledged to a campaign, 0 removes the cap")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addParam("amount", "The most tokens the campaign accepts, e.g. 5000")
+    .addOptionalParam("account", "The named account of the creator", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        const token = await getTokenInfo(client, campaign.token)
+        const hardCap = parseAmount(hre, token, args.amount)
+        check(checkSetHardCap(campaign, await client.signer.getAddress(), hardCap, await client.now()))
+
+        await send(client.setHardCap(args.id, hardCap))
+        console.log(hardCap.isZero() ? `Removed the hard cap of campaign #${args.id}` : `Capped campaign #${args.id} at ${formatAmount(hre, token, hardCap)}`)
+    })
+
+task("campaign:stretch", "Declares the stretch goals of a campaign, replacing earlier ones")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addParam("amounts", "The pledged totals to announce in increasing order, e.g. 1500,2000, or none to remove them")
+    .addOptionalParam("account", "The named account of the creator", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        const token = await getTokenInfo(client, campaign.token)
+        const amounts = args.amounts === "none" ? [] : args.amounts.split(",").map((amount) => parseAmount(hre, token, amount.trim()))
+        const maxStretchGoals = await client.fundMe.MAX_STRETCH_GOALS()
+        check(checkSetStretchGoals(campaign, await client.signer.getAddress(), amounts, await client.now(), maxStretchGoals))
+
+        await send(client.setStretchGoals(args.id, amounts))
+        console.log(
+            amounts.length === 0
+                ? `Removed the stretch goals of campaign #${args.id}`
+                : `Campaign #${args.id} stretch goals: ${amounts.map((amount) => formatAmount(hre, token, amount)).join(", ")}`
+        )
+    })
+
+task("campaign:fee", "Sets the fee campaigns launched from now on pay on what their creator is paid")
+    .addParam("bps", "The fee in basis points, e.g. 250 for 2.5%", undefined, types.int)
+    .addOptionalParam("recipient", "Where fees are sent, the current fee recipient by default")
+    .addOptionalParam("account", "The named account of the FundMe owner", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        await requireOwner(client, "set the fee")
+        const recipient = args.recipient || (await client.fundMe.feeRecipient())
+        if (!hre.ethers.utils.isAddress(recipient)) {
+            fail(`${recipient} is not an address`)
+        }
+        const maxFeeBps = await client.fundMe.MAX_FEE_BPS()
+        if (args.bps < 0 || args.bps > maxFeeBps) {
+            fail(`the fee must be between 0 and ${maxFeeBps} basis points`)
+        }
+        if (args.bps > 0 && recipient === hre.ethers.constants.AddressZero) {
+            fail("pass where fees are sent with --recipient")
+        }
+
+        await send(client.setFee(args.bps, recipient))
+        console.log(`New campaigns pay a fee of ${args.bps / 100}% to ${recipient}`)
+    })
+
+task("campaign:pledge-receipts", "Gives donors of new campaigns a receipt NFT for their pledge, this can only be done once")
+    .addOptionalParam("address", "The PledgeReceipts contract, the one deployed on the network by default")
+    .addOptionalParam("account", "The named account of the FundMe owner", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        await requireOwner(client, "set the pledge receipts")
+        const current = await client.fundMe.pledgeReceipts()
+        if (current !== hre.ethers.constants.AddressZero) fail(`donors of new campaigns already get receipts from ${current}`)
+        const deployment = args.address ? undefined : await hre.deployments.getOrNull("PledgeReceipts")
+        const address = args.address || (deployment && deployment.address)
+        if (!address) fail(`PledgeReceipts is not deployed on ${hre.network.name}, pass --address`)
+        if (!hre.ethers.utils.isAddress(address)) fail(`${address} is not an address`)
+
+        await send(client.setPledgeReceipts(address))
+        console.log(`Donors of new campaigns get receipts from ${address}`)
+    })
+
+task("campaign:transfer-pledge", "Hands your whole pledge to a campaign over to another account with its receipt")
+    .addParam("id", "The campaign id", undefined, types.int)
+    .addParam("to", "The address of the new holder")
+    .addOptionalParam("account", "The named account holding the receipt", "player")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        const campaign = await getCampaign(client, args.id)
+        if (!hre.ethers.utils.isAddress(args.to)) fail(`${args.to} is not an address`)
+        const receipt = await client.getPledgeReceipt(args.id)
+        if (!receipt) fail(`${args.account} holds no pledge receipt for campaign #${args.id}`)
+        const receipts = await client.pledgeReceipts(args.id)
+        if (!(await receipts.receiptOf(args.id, args.to)).isZero()) fail(`${args.to} already holds a receipt for campaign #${args.id}`)
+
+        await send(client.transferPledge(args.id, args.to))
+        const token = await getTokenInfo(client, campaign.token)
+        console.log(`Transferred receipt #${receipt.receiptId} for ${formatAmount(hre, token, receipt.amount)} pledged to campaign #${args.id} to ${args.to}`)
+    })
+
+task("campaign:allow-token", "Allows a token for new campaigns, or disallows it with --allowed false")
+    .addParam("token", "The address of the token")
+    .addOptionalParam("allowed", "Whether new campaigns can raise the token", true, types.boolean)
+    .addOptionalParam("account", "The named account of the FundMe owner", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        if (!hre.ethers.utils.isAddress(args.token)) {
+            fail(`${args.token} is not an address`)
+        }
+        await requireOwner(client, "change the allowed tokens")
+
+        await send(client.setTokenAllowed(args.token, args.allowed))
+        console.log(`${args.allowed ? "Allowed" : "Disallowed"} ${args.token} for new campaigns`)
+    })
+
+task("campaign:pause", "Stops launching and pledging, or resumes them with --paused false")
+    .addOptionalParam("paused", "Whether FundMe is paused", true, types.boolean)
+    .addOptionalParam("account", "The named account of the FundMe owner", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        await requireOwner(client, args.paused ? "pause" : "unpause")
+        if ((await client.fundMe.paused()) === args.paused) {
+            fail(`FundMe is already ${args.paused ? "paused" : "unpaused"}`)
+        }
+
+        await send(client.setPaused(args.paused))
+        console.log(args.paused ? "Paused launching and pledging" : "Resumed launching and pledging")
+    })
+
+task("campaign:transfer-ownership", "Hands FundMe over to another account, which has to accept it with --accept")
+    .addOptionalParam("to", "The address of the new owner")
+    .addFlag("accept", "Accept a transfer to --account")
+    .addOptionalParam("account", "The named account sending the transaction", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        if (args.accept) {
+            const pendingOwner = await client.fundMe.pendingOwner()
+            if (pendingOwner !== (await client.signer.getAddress())) {
+                fail(`FundMe is not being transferred to ${args.account}, the pending owner is ${pendingOwner}`)
+            }
+            await send(client.acceptOwnership())
+            console.log(`${pendingOwner} is now the owner`)
+            return
+        }
+        if (!args.to || !hre.ethers.utils.isAddress(args.to)) {
+            fail("pass the address of the new owner with --to, or --accept")
+        }
+        await requireOwner(client, "transfer the ownership")
+
+        await send(client.transferOwnership(args.to))
+        console.log(`${args.to} can now accept the ownership`)
+    })
+
+task("campaign:emergency", "Announces an emergency, or calls it off with --cancel")
+    .addFlag("cancel", "Call off an emergency that is not active yet")
+    .addOptionalParam("account", "The named account of the FundMe owner", "deployer")
+    .setAction(async (args, hre) => {
+        const client = await getClient(hre, args.account)
+        await requireOwner(client, "announce an emergency")
+        const [emergencyAt, now] = await Promise.all([client.fundMe.emergencyAt(), client.now()])
+        if (args.cancel) {
+            if (emergencyAt === 0) fail("no emergency was announced")
+            if (now >= emergencyAt) fail("the emergency is already active")
+            await send(client.cancelEmergency())
+            console.log("Called off the emergency")
+            return
+        }
+        if (emergencyAt !== 0) fail(`an emergency was already announced for ${new Date(emergencyAt * 1000).toISOString()}`)
+
+        await send(client.announceEmergency())
+        const activeAt = await client.fundMe.emergencyAt()
+        console.log(`Donors can withdraw their pledges from ${new Date(activeAt * 1000).toISOString()}`)
+    })
+
+task("campaign:receipts", "Exports every pledge, unpledge, refund and reclaim of a donor as CSV or JSON")
+    .addParam("donor", "The address of the donor")
+    .addOptionalParam("from", "The first block to read, the FundMe deployment block by default", undefined, types.int)
+    .addOptionalParam("format", "csv or json", "csv")
+    .addOptionalParam("output", "A file to write the statement to instead of printing it")
+    .setAction(async (args, hre) => {
+        if (!hre.ethers.utils.isAddress(args.donor)) {
+            fail(`${args.donor} is not an address`)
+        }
+        if (!["csv", "json"].includes(args.format)) {
+            fail(`unknown format "${args.format}", expected csv or json`)
+        }
+        const fundMe = await hre.deployments.getOrNull("FundMe")
+        if (!fundMe) {
+            fail(`FundMe is not deployed on ${hre.network.name}, run \`npx hardhat deploy --network ${hre.network.name}\` first`)
+        }
+        const fromBlock = args.from !== undefined ? args.from : fundMe.receipt ? fundMe.receipt.blockNumber : 0
+
+        const receipts = await new DonorReceipts({ provider: hre.ethers.provider, fundMeAddress: fundMe.address }).build({ donor: args.donor, fromBlock })
+        const statement = args.format === "csv" ? toCSV(receipts) : toJSON(receipts)
+        if (args.output) {
+            fs.writeFileSync(args.output, statement)
+            console.log(`Wrote ${receipts.entries.length} entries to ${args.output}`)
+        } else {
+            process.stdout.write(statement)
+        }
+        for (const mismatch of receipts.mismatches) {
+            console.warn(
+                `Campaign #${mismatch.campaignId}: the receipts add up to ${mismatch.receipts} but pledgedAmount is ${mismatch.pledgedAmount}` +
+                ", the statement may start after the donor's first pledge"
+            )
+        }
+        return receipts
+    })
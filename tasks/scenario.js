@@ -0,0 +1,110 @@
+// Tasks to put a Hardhat or localhost node in the state described by scenario files, see utils/scenario.js:
+// npx hardhat scenario:run scenarios/mixed-states.yml --network localhost
+const { task } = require("hardhat/config")
+const { HardhatPluginError } = require("hardhat/plugins")
+const { ScenarioRunner, ScenarioValidationError, loadScenario } = require("../utils/scenario")
+const { developmentChains } = require("../helper-hardhat-config")
+
+const PLUGIN_NAME = "scenario"
+
+const fail = (message) => {
+    throw new HardhatPluginError(PLUGIN_NAME, message)
+}
+
+// scenarios jump the chain time, which only development chains allow
+const requireDevelopmentChain = (hre) => {
+    if (!developmentChains.includes(hre.network.name)) {
+        fail(`scenarios only run on ${developmentChains.join(" or ")}, not on ${hre.network.name}`)
+    }
+}
+
+/**
+ * Builds a ScenarioRunner for the FundMe and mock ERC20 deployments of the current network.
+ * The in-process hardhat network starts empty, so they are deployed there first.
+ */
+const getRunner = async (hre) => {
+    if (hre.network.name === "hardhat" && !(await hre.deployments.getOrNull("FundMe"))) {
+        await hre.deployments.fixture(["all"])
+    }
+    const [fundMe, token] = await Promise.all([hre.deployments.getOrNull("FundMe"), hre.deployments.getOrNull("ERC20")])
+    if (!fundMe || !token) {
+        fail(`FundMe and the mock ERC20 are not deployed on ${hre.network.name}, run \`npx hardhat deploy --network ${hre.network.name}\` first`)
+    }
+    return new ScenarioRunner({
+        provider: hre.ethers.provider,
+        signers: await hre.ethers.getSigners(),
+        fundMeAddress: fundMe.address,
+        tokenAddress: token.address,
+    })
+}
+
+const printResult = (hre, result, snapshot) => {
+    const { token } = result
+    const format = (amount) => hre.ethers.utils.formatUnits(amount, token.decimals)
+    const width = Math.max(...[...Object.keys(result.accounts), ...Object.keys(result.campaigns)].map((name) => name.length))
+    console.log(`Scenario "${result.name}", the state before it is snapshot ${snapshot}`)
+    console.log(`  FundMe: ${result.fundMe}`)
+    console.log(`  token:  ${token.symbol} ${token.address}`)
+    console.log("  accounts:")
+    for (const [name, address] of Object.entries(result.accounts)) {
+        console.log(`    ${name.padEnd(width)}  ${address}`)
+    }
+    if (Object.keys(result.campaigns).length > 0) console.log("  campaigns:")
+    for (const [name, campaign] of Object.entries(result.campaigns)) {
+        console.log(`    ${name.padEnd(width)}  #${campaign.id} ${campaign.status} ${format(campaign.pledged)} / ${format(campaign.goal)} ${token.symbol}`)
+    }
+    for (const mismatch of result.mismatches) {
+        console.log(`  MISMATCH ${mismatch}`)
+    }
+}
+
+task("scenario:run", "Applies scenario files to the node and prints the accounts and campaigns they set up")
+    .addFlag("isolated", "Reverts the node after each scenario, so that every scenario starts from the same state")
+    .addVariadicPositionalParam("files", "The scenario files, YAML or JSON, applied in order")
+    .setAction(async (args, hre) => {
+        requireDevelopmentChain(hre)
+        let scenarios
+        try {
+            scenarios = args.files.map(loadScenario)
+        } catch (e) {
+            fail(e instanceof ScenarioValidationError ? e.message : `cannot read the scenario: ${e.message}`)
+        }
+        const runner = await getRunner(hre)
+
+        const results = []
+        for (const scenario of scenarios) {
+            const snapshot = await runner.snapshot()
+            let result
+            try {
+                result = await runner.run(scenario)
+            } catch (e) {
+                await runner.revert(snapshot)
+                fail(e.message)
+            }
+            printResult(hre, result, snapshot)
+            if (args.isolated) await runner.revert(snapshot)
+            results.push(result)
+        }
+
+        const failed = results.filter((result) => result.mismatches.length > 0)
+        if (failed.length > 0) {
+            fail(`${failed.map((result) => `"${result.name}"`).join(", ")} did not end in the expected state`)
+        }
+        if (!args.isolated && results.length > 0) {
+            console.log("Revert with `npx hardhat scenario:revert <snapshot>`, a snapshot can only be reverted to once")
+        }
+        return results
+    })
+
+task("scenario:revert", "Takes the node back to a snapshot printed by scenario:run")
+    .addPositionalParam("snapshot", "The snapshot id, e.g. 0x1")
+    .setAction(async (args, hre) => {
+        requireDevelopmentChain(hre)
+        const runner = await getRunner(hre)
+        try {
+            await runner.revert(args.snapshot)
+        } catch (e) {
+            fail(e.message)
+        }
+        console.log(`Reverted to snapshot ${args.snapshot}`)
+    })
@@ -0,0 +1,245 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert } = require('chai')
+const { CampaignClient, CampaignStatus } = require('../utils/campaignClient')
+const { getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+describe('CampaignClient Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    let erc20, fundMe
+
+    let deployer, donor, donor2
+
+    let creatorClient, donorClient, donor2Client
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+
+        await erc20.transfer(donor.address, DONATION_AMOUNT)
+        await erc20.transfer(donor2.address, DONATION_AMOUNT)
+
+        creatorClient = new CampaignClient(deployer, fundMe.address)
+        donorClient = new CampaignClient(donor, fundMe.address)
+        donor2Client = new CampaignClient(donor2, fundMe.address)
+    })
+
+    describe('launch', async () =>
+    {
+        it('launches a campaign and returns its id', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 10, endAt: currentTime + 1000 })
+
+            assert(id === 1)
+            assert((await fundMe.count()).toString() === '1')
+        })
+
+        it('accepts Date objects for the start and end times', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({
+                token: erc20.address,
+                goal: GOAL,
+                startAt: new Date((currentTime + 10) * 1000),
+                endAt: new Date((currentTime + 1000) * 1000),
+            })
+
+            const campaign = await creatorClient.getCampaign(id)
+            assert(campaign.startAt === currentTime + 10)
+            assert(campaign.endAt === currentTime + 1000)
+        })
+    })
+
+    describe('getCampaign', async () =>
+    {
+        it('decodes the campaign tuple', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 10, endAt: currentTime + 1000 })
+
+            const campaign = await donorClient.getCampaign(id)
+
+            assert(campaign.id === id)
+            assert(campaign.creator === deployer.address)
+            assert(campaign.goal.eq(GOAL))
+            assert(campaign.pledged.eq(0))
+            assert(campaign.startDate.getTime() === (currentTime + 10) * 1000)
+            assert(campaign.endDate.getTime() === (currentTime + 1000) * 1000)
+            assert(campaign.claimed === false)
+        })
+
+        it('works with a read-only provider', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 10, endAt: currentTime + 1000 })
+
+            const readOnlyClient = new CampaignClient(ethers.provider, fundMe.address)
+            const campaigns = await readOnlyClient.getCampaigns()
+
+            assert(campaigns.length === 1)
+            assert(campaigns[0].id === id)
+            let error
+            try
+            {
+                await readOnlyClient.cancel(id)
+            }
+            catch (e)
+            {
+                error = e
+            }
+            assert(error && error.message.includes('a signer is needed'))
+        })
+    })
+
+    describe('status', async () =>
+    {
+        it('is pending before the campaign starts and active while it runs', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 100, endAt: currentTime + 1000 })
+
+            assert((await creatorClient.getCampaign(id)).status === CampaignStatus.PENDING)
+
+            await increaseTime(200)
+
+            assert((await creatorClient.getCampaign(id)).status === CampaignStatus.ACTIVE)
+        })
+
+        it('is succeeded once the goal was reached, and claimed after claim', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 5, endAt: currentTime + 1000 })
+
+            await network.provider.send("evm_increaseTime", [100])
+
+            await donorClient.pledge(id, DONATION_AMOUNT)
+            await donor2Client.pledge(id, DONATION_AMOUNT)
+
+            await increaseTime(2000)
+
+            assert((await creatorClient.getCampaign(id)).status === CampaignStatus.SUCCEEDED)
+
+            await creatorClient.claim(id)
+
+            assert((await creatorClient.getCampaign(id)).status === CampaignStatus.CLAIMED)
+        })
+
+        it('is failed when the goal was not reached', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 5, endAt: currentTime + 1000 })
+
+            await network.provider.send("evm_increaseTime", [100])
+
+            await donorClient.pledge(id, DONATION_AMOUNT)
+
+            await increaseTime(2000)
+
+            assert((await creatorClient.getCampaign(id)).status === CampaignStatus.FAILED)
+        })
+
+        it('is cancelled after cancel', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 100, endAt: currentTime + 1000 })
+
+            await creatorClient.cancel(id)
+
+            assert((await creatorClient.getCampaign(id)).status === CampaignStatus.CANCELLED)
+        })
+    })
+
+    describe('pledge', async () =>
+    {
+        it('approves the token before pledging', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 5, endAt: currentTime + 1000 })
+
+            await network.provider.send("evm_increaseTime", [100])
+
+            assert((await erc20.allowance(donor.address, fundMe.address)).eq(0))
+
+            await donorClient.pledge(id, DONATION_AMOUNT)
+
+            assert((await donorClient.pledgedAmount(id)).eq(DONATION_AMOUNT))
+            assert((await erc20.balanceOf(fundMe.address)).eq(DONATION_AMOUNT))
+        })
+
+        it('does not approve again when the allowance already covers the amount', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 5, endAt: currentTime + 1000 })
+
+            await network.provider.send("evm_increaseTime", [100])
+
+            await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT)
+
+            await donorClient.pledge(id, DONATION_AMOUNT.div(2))
+
+            // a fresh approve would have set the allowance to exactly the pledged amount
+            assert((await erc20.allowance(donor.address, fundMe.address)).eq(DONATION_AMOUNT.div(2)))
+        })
+
+        it('sets a token refusing to change a non-zero allowance back to 0 before approving', async () =>
+        {
+            const MockApproveFromZeroToken = await ethers.getContractFactory('MockApproveFromZeroToken', deployer)
+            const usdt = await MockApproveFromZeroToken.deploy('Tether USD', 'USDT', 1000000)
+            await fundMe.setTokenAllowed(usdt.address, true)
+            await usdt.transfer(donor.address, DONATION_AMOUNT)
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: usdt.address, goal: GOAL, startAt: currentTime + 5, endAt: currentTime + 1000 })
+            await increaseTime(100)
+            await usdt.connect(donor).approve(fundMe.address, 1)
+
+            await donorClient.pledge(id, DONATION_AMOUNT)
+
+            assert((await donorClient.pledgedAmount(id)).eq(DONATION_AMOUNT))
+            assert((await usdt.allowance(donor.address, fundMe.address)).eq(0))
+        })
+    })
+
+    describe('unpledge and refund', async () =>
+    {
+        it('unpledges tokens while the campaign is running', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 5, endAt: currentTime + 1000 })
+
+            await network.provider.send("evm_increaseTime", [100])
+
+            await donorClient.pledge(id, DONATION_AMOUNT)
+            await donorClient.unpledge(id, DONATION_AMOUNT)
+
+            assert((await donorClient.pledgedAmount(id)).eq(0))
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT))
+        })
+
+        it('refunds the donor of a failed campaign', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 5, endAt: currentTime + 1000 })
+
+            await network.provider.send("evm_increaseTime", [100])
+
+            await donorClient.pledge(id, DONATION_AMOUNT)
+
+            await network.provider.send("evm_increaseTime", [2000])
+
+            await donorClient.refund(id)
+
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT))
+        })
+    })
+})
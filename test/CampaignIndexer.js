@@ -0,0 +1,294 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { CampaignIndexer, JsonFileStore } = require('../utils/campaignIndexer')
+const { signIntent } = require('../utils/intents')
+const { NO_METADATA, getCurrentTime, launchRunningCampaign } = require('./helpers/campaigns')
+
+describe('CampaignIndexer Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    const SMALL_DONATION = ethers.utils.parseEther('0.01')
+
+    let erc20, fundMe
+
+    let deployer, donor, donor2
+
+    let startBlock
+
+    let indexer
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+        startBlock = (await deployments.get('FundMe')).receipt.blockNumber
+
+        await erc20.transfer(donor.address, DONATION_AMOUNT)
+        await erc20.transfer(donor2.address, DONATION_AMOUNT)
+        await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT)
+        await erc20.connect(donor2).approve(fundMe.address, DONATION_AMOUNT)
+
+        indexer = new CampaignIndexer({ provider: ethers.provider, fundMeAddress: fundMe.address, startBlock, batchSize: 3 })
+    })
+
+    // launches a campaign that has already started and returns its id, as the indexer keys campaigns
+    const launch = async () => (await launchRunningCampaign(fundMe, erc20.address, GOAL)).toString()
+
+    describe('sync', async () =>
+    {
+        it('lists every launched campaign', async () =>
+        {
+            await launch()
+            await launch()
+
+            await indexer.sync()
+
+            const campaigns = indexer.getCampaigns()
+            assert(campaigns.length === 2)
+            assert(campaigns[0].creator === deployer.address)
+            assert(campaigns[0].goal === GOAL.toString())
+            assert(campaigns[0].token === erc20.address)
+            assert.deepEqual(indexer.getAllowedTokens(), [erc20.address])
+        })
+
+        it('folds pledges and unpledges into campaign totals and donor positions', async () =>
+        {
+            const first = await launch()
+            const second = await launch()
+
+            await fundMe.connect(donor).pledge(first, DONATION_AMOUNT)
+            await fundMe.connect(donor).unpledge(first, SMALL_DONATION)
+            await fundMe.connect(donor2).pledge(second, SMALL_DONATION)
+
+            await indexer.sync()
+
+            assert(indexer.getCampaign(first).pledged === DONATION_AMOUNT.sub(SMALL_DONATION).toString())
+            assert(indexer.getCampaign(second).pledged === SMALL_DONATION.toString())
+            assert(indexer.getDonor(donor.address)[first] === DONATION_AMOUNT.sub(SMALL_DONATION).toString())
+            assert(indexer.getDonor(donor2.address)[second] === SMALL_DONATION.toString())
+        })
+
+        it('keeps a history timeline per campaign and per donor', async () =>
+        {
+            const id = await launch()
+
+            await fundMe.connect(donor).pledge(id, SMALL_DONATION)
+            await fundMe.connect(donor2).pledge(id, SMALL_DONATION)
+            await fundMe.connect(donor).unpledge(id, SMALL_DONATION)
+
+            await indexer.sync()
+
+            assert.deepEqual(indexer.getHistory({ campaignId: id }).map((e) => e.type), ['Launch', 'Pledge', 'Pledge', 'Unpledge'])
+            assert.deepEqual(indexer.getHistory({ donor: donor.address }).map((e) => e.type), ['Pledge', 'Unpledge'])
+            assert.deepEqual(indexer.getDonor(donor.address), {})
+        })
+
+        it('tracks refunds, claims and cancellations', async () =>
+        {
+            const failed = await launch()
+            const succeeded = await launch()
+            let currentTime = await getCurrentTime()
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5000, currentTime + 10000, ...NO_METADATA)
+            const cancelled = (await fundMe.count()).toString()
+            await fundMe.cancel(cancelled)
+
+            await erc20.approve(fundMe.address, SMALL_DONATION)
+            await fundMe.pledge(failed, SMALL_DONATION)
+            await fundMe.connect(donor).pledge(succeeded, DONATION_AMOUNT)
+            await fundMe.connect(donor2).pledge(succeeded, DONATION_AMOUNT)
+
+            await network.provider.send("evm_increaseTime", [2000])
+
+            await fundMe.refund(failed)
+            await fundMe.claim(succeeded)
+
+            await indexer.sync()
+
+            assert(indexer.getCampaign(failed).refunded === SMALL_DONATION.toString())
+            assert(indexer.getCampaign(succeeded).claimed === true)
+            assert(indexer.getCampaign(cancelled).cancelled === true)
+            assert(indexer.getDonor(deployer.address)[failed] === undefined)
+        })
+
+        it('follows extensions and hard caps', async () =>
+        {
+            const id = await launch()
+            const endAt = (await fundMe.campaigns(id)).endAt + 500
+            await fundMe.extend(id, endAt)
+            await fundMe.setHardCap(id, GOAL)
+
+            await indexer.sync()
+
+            assert(indexer.getCampaign(id).endAt === endAt)
+            assert(indexer.getCampaign(id).hardCap === GOAL.toString())
+        })
+
+        it('follows fees and stretch goals', async () =>
+        {
+            await fundMe.setFee(200, donor2.address)
+            const id = await launch()
+            await fundMe.setFee(0, donor2.address)
+            await fundMe.setStretchGoals(id, [GOAL.add(1), GOAL.mul(2)])
+            await erc20.approve(fundMe.address, GOAL.add(1))
+            await fundMe.pledge(id, GOAL.add(1))
+            await network.provider.send("evm_increaseTime", [1000])
+            await fundMe.claim(id)
+
+            await indexer.sync()
+
+            const campaign = indexer.getCampaign(id)
+            assert(campaign.feeBps === 200)
+            assert(campaign.fees === GOAL.add(1).mul(200).div(10000).toString())
+            assert.deepEqual(campaign.stretchGoals, [GOAL.add(1).toString(), GOAL.mul(2).toString()])
+            assert(campaign.stretchGoalsReached === 1)
+            assert(indexer.getSettings().feeBps === 0)
+        })
+
+        it('follows the owner, the pause switch and emergency withdrawals', async () =>
+        {
+            const id = await launch()
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await fundMe.pause()
+            await fundMe.transferOwnership(donor2.address)
+            await fundMe.announceEmergency()
+            await network.provider.send("evm_increaseTime", [await fundMe.EMERGENCY_DELAY()])
+            await fundMe.connect(donor).emergencyWithdraw(id)
+
+            await indexer.sync()
+
+            assert.deepEqual(indexer.getSettings(), {
+                owner: deployer.address,
+                pendingOwner: donor2.address,
+                paused: true,
+                emergencyAt: await fundMe.emergencyAt(),
+                feeBps: 0,
+                feeRecipient: null,
+                pledgeReceipts: null,
+            })
+            assert(indexer.getCampaign(id).refunded === DONATION_AMOUNT.toString())
+            assert.deepEqual(indexer.getDonor(donor.address), {})
+        })
+
+        it('indexes the pledges of intents sent by a relayer under the donor', async () =>
+        {
+            const id = await launch()
+            const intent = await signIntent(donor, {
+                fundMeAddress: fundMe.address, action: 'pledge', id, amount: SMALL_DONATION, nonce: 3, deadline: (await getCurrentTime()) + 3600,
+            })
+            await fundMe.connect(donor2).pledgeBySig(intent.donor, id, intent.amount, intent.nonce, intent.deadline, intent.signature)
+
+            await indexer.sync()
+
+            assert(indexer.getDonor(donor.address)[id] === SMALL_DONATION.toString())
+            assert.deepEqual(indexer.getDonor(donor2.address), {})
+            const used = indexer.getHistory().find((e) => e.type === 'IntentNonceUsed')
+            assert(used.donor === donor.address && used.nonce === '3')
+        })
+    })
+
+    describe('checkpoints', async () =>
+    {
+        it('resumes from the checkpoint persisted in a JSON file', async () =>
+        {
+            const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-')), 'state.json')
+
+            const id = await launch()
+            await fundMe.connect(donor).pledge(id, SMALL_DONATION)
+
+            const first = new CampaignIndexer({ provider: ethers.provider, fundMeAddress: fundMe.address, startBlock, store: new JsonFileStore(filePath) })
+            await first.sync()
+            const checkpoint = first.state.checkpoint.blockNumber
+
+            await fundMe.connect(donor2).pledge(id, SMALL_DONATION)
+
+            const second = new CampaignIndexer({ provider: ethers.provider, fundMeAddress: fundMe.address, startBlock, store: new JsonFileStore(filePath) })
+            await second.load()
+            assert(second.state.checkpoint.blockNumber === checkpoint)
+
+            await second.sync()
+
+            assert(second.getCampaign(id).pledged === SMALL_DONATION.mul(2).toString())
+            assert.deepEqual(second.getHistory().map((e) => e.type), ['OwnershipTransferred', 'TokenAllowed', 'Launch', 'Pledge', 'Pledge'])
+        })
+
+        it('rolls back and reindexes when the checkpoint block was reorged', async () =>
+        {
+            const id = await launch()
+            const snapshot = await network.provider.send("evm_snapshot")
+
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await indexer.sync()
+            assert(indexer.getCampaign(id).pledged === DONATION_AMOUNT.toString())
+
+            // replace the pledge with a different one on a competing chain of the same height
+            await network.provider.send("evm_revert", [snapshot])
+            await fundMe.connect(donor2).pledge(id, SMALL_DONATION)
+
+            await indexer.sync()
+
+            assert(indexer.getCampaign(id).pledged === SMALL_DONATION.toString())
+            assert(indexer.getDonor(donor.address)[id] === undefined)
+            assert.deepEqual(await indexer.crossCheck(), [])
+        })
+
+        it('keeps rolling back while the events kept are no longer on chain', async () =>
+        {
+            const id = await launch()
+            const shallow = new CampaignIndexer({ provider: ethers.provider, fundMeAddress: fundMe.address, startBlock, reorgDepth: 1 })
+            const snapshot = await network.provider.send("evm_snapshot")
+
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await network.provider.send("hardhat_mine", ['0x5'])
+            await shallow.sync()
+
+            // the competing chain replaces more blocks than the indexer rolls back at first
+            await network.provider.send("evm_revert", [snapshot])
+            await fundMe.connect(donor2).pledge(id, SMALL_DONATION)
+            await network.provider.send("hardhat_mine", ['0x5'])
+
+            await shallow.sync()
+
+            assert(shallow.getCampaign(id).pledged === SMALL_DONATION.toString())
+            assert.deepEqual(shallow.getHistory({ campaignId: id }).map((e) => e.donor), [undefined, donor2.address])
+            assert.deepEqual(await shallow.crossCheck(), [])
+        })
+    })
+
+    describe('crossCheck', async () =>
+    {
+        it('reports no mismatch when the indexed totals agree with the chain', async () =>
+        {
+            const id = await launch()
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+
+            await indexer.sync()
+
+            assert.deepEqual(await indexer.crossCheck(), [])
+        })
+
+        it('reports campaigns whose indexed total differs from campaigns(id).pledged', async () =>
+        {
+            const id = await launch()
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+
+            await indexer.sync()
+            indexer.getCampaign(id).pledged = '0'
+
+            const mismatches = await indexer.crossCheck()
+            assert(mismatches.length === 1)
+            assert(mismatches[0].onChain === DONATION_AMOUNT.toString())
+        })
+    })
+})
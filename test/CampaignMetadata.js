@@ -0,0 +1,183 @@
+const { ethers, deployments } = require('hardhat')
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { CampaignClient } = require('../utils/campaignClient')
+const { getCurrentTime } = require('./helpers/campaigns')
+const {
+    MetadataStore,
+    FileSystemStorage,
+    MemoryStorage,
+    MetadataValidationError,
+    validateMetadata,
+    hashMetadata,
+} = require('../utils/campaignMetadata')
+
+describe('Campaign Metadata Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DOCUMENT = {
+        title: 'Community garden',
+        description: 'Raised beds and a tool shed for the neighbourhood',
+        image: 'ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+        links: [{ label: 'Website', url: 'https://example.org/garden' }],
+    }
+
+    describe('validateMetadata', async () =>
+    {
+        it('accepts a complete document and one with only a title', async () =>
+        {
+            assert.deepEqual(validateMetadata(DOCUMENT), [])
+            assert.deepEqual(validateMetadata({ title: 'Garden' }), [])
+        })
+
+        it('reports every problem of an invalid document', async () =>
+        {
+            const errors = validateMetadata({
+                description: 42,
+                image: 'not a uri',
+                links: [{ label: 'Website' }, 'https://example.org'],
+                owner: 'me',
+            })
+
+            assert.deepEqual(errors, [
+                'owner is not allowed',
+                'title is required',
+                'description must be a string',
+                'image must be a URI',
+                'links[0].url must be a URI',
+                'links[1] must be an object',
+            ])
+        })
+
+        it('refuses an empty or too long title', async () =>
+        {
+            assert.deepEqual(validateMetadata({ title: '' }), ['title must not be empty'])
+            assert.deepEqual(validateMetadata({ title: 'x'.repeat(101) }), ['title must be at most 100 characters'])
+        })
+    })
+
+    describe('hashMetadata', async () =>
+    {
+        it('does not depend on the order of the keys', async () =>
+        {
+            const reordered = { links: DOCUMENT.links, image: DOCUMENT.image, title: DOCUMENT.title, description: DOCUMENT.description }
+
+            assert(hashMetadata(reordered) === hashMetadata(DOCUMENT))
+            assert(hashMetadata({ ...DOCUMENT, title: 'Another garden' }) !== hashMetadata(DOCUMENT))
+        })
+    })
+
+    describe('MetadataStore', async () =>
+    {
+        let storage, store
+
+        beforeEach(async () =>
+        {
+            storage = new MemoryStorage()
+            store = new MetadataStore({ storage })
+        })
+
+        it('publishes a document and reads it back verified', async () =>
+        {
+            const { uri, hash } = await store.publish(DOCUMENT)
+
+            assert(hash === hashMetadata(DOCUMENT))
+            const result = await store.read(uri, hash)
+            assert.deepEqual(result.document, DOCUMENT)
+            assert(result.verified === true)
+        })
+
+        it('refuses to publish an invalid document', async () =>
+        {
+            try
+            {
+                await store.publish({ description: 'no title' })
+                assert.fail('publish should have thrown')
+            }
+            catch (e)
+            {
+                assert(e instanceof MetadataValidationError)
+                assert.deepEqual(e.errors, ['title is required'])
+            }
+        })
+
+        it('flags a document that was changed after it was published', async () =>
+        {
+            const { uri, hash } = await store.publish(DOCUMENT)
+            storage.documents.set(uri, ethers.utils.toUtf8Bytes(JSON.stringify({ ...DOCUMENT, title: 'Something else' })))
+
+            const result = await store.read(uri, hash)
+            assert(result.verified === false)
+            assert(result.hash !== hash)
+            assert(result.document.title === 'Something else')
+        })
+
+        it('stores documents as files by default', async () =>
+        {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fundme-metadata-'))
+            const fileStore = new MetadataStore({ storage: new FileSystemStorage(directory) })
+
+            const { uri, hash } = await fileStore.publish(DOCUMENT)
+
+            assert(uri === `file://${path.join(directory, `${hash}.json`)}`)
+            assert((await fileStore.read(uri, hash)).verified === true)
+            fs.rmSync(directory, { recursive: true })
+        })
+    })
+
+    describe('CampaignClient', async () =>
+    {
+        let erc20, fundMe, client, store
+
+        beforeEach(async () =>
+        {
+            const [deployer] = await ethers.getSigners()
+            await deployments.fixture(['all'])
+            erc20 = await ethers.getContract('ERC20', deployer)
+            fundMe = await ethers.getContract('FundMe', deployer)
+            client = new CampaignClient(deployer, fundMe.address)
+            store = new MetadataStore({ storage: new MemoryStorage() })
+        })
+
+        it('launches with metadata and reads it back from the Launch event', async () =>
+        {
+            const { uri, hash } = await store.publish(DOCUMENT)
+            let currentTime = await getCurrentTime()
+            const { id } = await client.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 10, endAt: currentTime + 1000, metadataURI: uri, metadataHash: hash })
+
+            assert((await client.getCampaign(id)).metadataHash === hash)
+            assert((await client.getMetadataURI(id)) === uri)
+            const metadata = await client.getMetadata(id, store)
+            assert(metadata.verified === true)
+            assert.deepEqual(metadata.document, DOCUMENT)
+        })
+
+        it('flags metadata that does not match the hash stored on chain', async () =>
+        {
+            const { uri } = await store.publish(DOCUMENT)
+            let currentTime = await getCurrentTime()
+            const { id } = await client.launch({
+                token: erc20.address,
+                goal: GOAL,
+                startAt: currentTime + 10,
+                endAt: currentTime + 1000,
+                metadataURI: uri,
+                metadataHash: hashMetadata({ title: 'What the creator committed to' }),
+            })
+
+            assert((await client.getMetadata(id, store)).verified === false)
+        })
+
+        it('returns null for a campaign launched without metadata', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            const { id } = await client.launch({ token: erc20.address, goal: GOAL, startAt: currentTime + 10, endAt: currentTime + 1000 })
+
+            assert((await client.getCampaign(id)).metadataHash === ethers.constants.HashZero)
+            assert((await client.getMetadata(id, store)) === null)
+        })
+    })
+})
@@ -0,0 +1,185 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert } = require('chai')
+const request = require('supertest')
+const { createServer } = require('../utils/campaignServer')
+const { NO_METADATA, getCurrentTime } = require('./helpers/campaigns')
+
+describe('Campaign Server Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    const SMALL_DONATION = ethers.utils.parseEther('0.01')
+
+    let erc20, fundMe
+
+    let deployer, donor, donor2
+
+    let server
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+
+        await erc20.transfer(donor.address, DONATION_AMOUNT)
+        await erc20.transfer(donor2.address, DONATION_AMOUNT)
+        await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT)
+        await erc20.connect(donor2).approve(fundMe.address, DONATION_AMOUNT)
+
+        let currentTime = await getCurrentTime()
+        await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA)
+        await fundMe.launch(erc20.address, GOAL, currentTime + 5000, currentTime + 10000, ...NO_METADATA)
+        await network.provider.send("evm_increaseTime", [100])
+
+        await fundMe.connect(donor).pledge(1, DONATION_AMOUNT)
+        await fundMe.connect(donor2).pledge(1, SMALL_DONATION)
+
+        const startBlock = (await deployments.get('FundMe')).receipt.blockNumber
+        server = createServer({ provider: ethers.provider, fundMeAddress: fundMe.address, startBlock })
+    })
+
+    describe('GET /campaigns', async () =>
+    {
+        it('lists every campaign with amounts as decimal strings and formatted', async () =>
+        {
+            const res = await request(server).get('/campaigns').expect(200)
+
+            assert(res.body.length === 2)
+            assert(res.body[0].id === 1)
+            assert(res.body[0].creator === deployer.address)
+            assert(res.body[0].goal === GOAL.toString())
+            assert(res.body[0].goalFormatted === '0.2')
+            assert(res.body[0].pledged === DONATION_AMOUNT.add(SMALL_DONATION).toString())
+            assert(res.body[0].status === 'active')
+            assert(res.body[1].status === 'pending')
+        })
+    })
+
+    describe('GET /campaigns/:id', async () =>
+    {
+        it('returns one campaign', async () =>
+        {
+            const res = await request(server).get('/campaigns/2').expect(200)
+
+            assert(res.body.id === 2)
+            assert(res.body.pledged === '0')
+            assert(res.body.claimed === false)
+        })
+
+        it('returns 404 for a campaign that does not exist', async () =>
+        {
+            const res = await request(server).get('/campaigns/3').expect(404)
+
+            assert(res.body.error === 'campaign 3 does not exist')
+        })
+    })
+
+    describe('GET /campaigns/:id/pledges', async () =>
+    {
+        it('lists the donors of a campaign with their current pledge', async () =>
+        {
+            await fundMe.connect(donor2).unpledge(1, SMALL_DONATION)
+
+            const res = await request(server).get('/campaigns/1/pledges').expect(200)
+
+            assert.deepEqual(res.body, [
+                { donor: donor.address, amount: DONATION_AMOUNT.toString(), amountFormatted: '0.1' },
+                { donor: donor2.address, amount: '0', amountFormatted: '0.0' },
+            ])
+        })
+    })
+
+    describe('GET /donors/:address', async () =>
+    {
+        it('lists the campaigns a donor pledged to', async () =>
+        {
+            const res = await request(server).get(`/donors/${donor.address.toLowerCase()}`).expect(200)
+
+            assert(res.body.address === donor.address)
+            assert.deepEqual(res.body.pledges, [
+                { campaignId: 1, token: erc20.address, amount: DONATION_AMOUNT.toString(), amountFormatted: '0.1' },
+            ])
+        })
+
+        it('returns 400 for an invalid address', async () =>
+        {
+            await request(server).get('/donors/0x1234').expect(400)
+        })
+    })
+
+    describe('GET /tokens', async () =>
+    {
+        it('describes a token and the balance held by FundMe', async () =>
+        {
+            const res = await request(server).get(`/tokens/${erc20.address}`).expect(200)
+
+            assert(res.body.address === erc20.address)
+            assert(res.body.symbol === 'VIN')
+            assert(res.body.decimals === 18)
+            assert(res.body.allowed === true)
+            assert(res.body.fundMeBalance === DONATION_AMOUNT.add(SMALL_DONATION).toString())
+        })
+
+        it('keeps /token for the token FundMe was deployed with', async () =>
+        {
+            const MockDecimalsToken = await ethers.getContractFactory('MockDecimalsToken', deployer)
+            const usdc = await MockDecimalsToken.deploy('USD Coin', 'USDC', 1000000, 6)
+            await fundMe.setTokenAllowed(usdc.address, true)
+
+            const res = await request(server).get('/token').expect(200)
+
+            assert(res.body.address === erc20.address)
+            assert(res.body.symbol === 'VIN')
+            assert(res.body.fundMeBalance === DONATION_AMOUNT.add(SMALL_DONATION).toString())
+        })
+
+        it('lists the allowed tokens and formats campaigns with their own decimals', async () =>
+        {
+            const MockDecimalsToken = await ethers.getContractFactory('MockDecimalsToken', deployer)
+            const usdc = await MockDecimalsToken.deploy('USD Coin', 'USDC', 1000000, 6)
+            await fundMe.setTokenAllowed(usdc.address, true)
+            let currentTime = await getCurrentTime()
+            await fundMe.launch(usdc.address, ethers.utils.parseUnits('250', 6), currentTime + 5, currentTime + 1000, ...NO_METADATA)
+
+            const tokens = await request(server).get('/tokens').expect(200)
+            const campaign = await request(server).get('/campaigns/3').expect(200)
+
+            assert.deepEqual(tokens.body.map((token) => token.symbol), ['VIN', 'USDC'])
+            assert(campaign.body.token === usdc.address)
+            assert(campaign.body.goalFormatted === '250.0')
+        })
+    })
+
+    describe('caching', async () =>
+    {
+        it('serves the cached response until a new block is mined', async () =>
+        {
+            const first = await request(server).get('/campaigns/1').expect(200)
+            const blockNumber = first.headers['x-block-number']
+
+            // change the cached body behind the server's back to see whether it is reused
+            const cached = await server.api.cache.get('/campaigns/1')
+            cached.pledged = 'cached'
+            assert((await request(server).get('/campaigns/1')).body.pledged === 'cached')
+
+            await network.provider.send("evm_mine")
+
+            const fresh = await request(server).get('/campaigns/1').expect(200)
+            assert(fresh.headers['x-block-number'] === String(Number(blockNumber) + 1))
+            assert(fresh.body.pledged === DONATION_AMOUNT.add(SMALL_DONATION).toString())
+        })
+
+        it('rejects anything but GET', async () =>
+        {
+            await request(server).post('/campaigns').expect(405)
+        })
+    })
+})
@@ -0,0 +1,399 @@
+const hre = require('hardhat')
+const { ethers, deployments, getNamedAccounts } = hre
+const { assert } = require('chai')
+const { parseTime, parseDuration } = require('../utils/time')
+const { getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+// runs a task and resolves with the error it failed with, if any
+const runTask = async (name, args) =>
+{
+    try
+    {
+        await hre.run(name, args)
+    }
+    catch (e)
+    {
+        return e
+    }
+}
+
+describe('Campaign Tasks Unit Tests', async () =>
+{
+    let erc20, fundMe
+
+    let deployer, player
+
+    let log
+
+    beforeEach(async () =>
+    {
+        await deployments.fixture(['all'])
+        const namedAccounts = await getNamedAccounts()
+        deployer = namedAccounts.deployer
+        player = namedAccounts.player
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+
+        await erc20.transfer(player, ethers.utils.parseEther('10'))
+
+        // keep the task output out of the test report
+        log = console.log
+        console.log = () => {}
+    })
+
+    afterEach(async () =>
+    {
+        console.log = log
+    })
+
+    describe('time parsing', async () =>
+    {
+        it('parses durations and relative times', async () =>
+        {
+            assert(parseDuration('90') === 90)
+            assert(parseDuration('15m') === 15 * 60)
+            assert(parseDuration('7d') === 7 * 24 * 60 * 60)
+            assert(parseTime('+1h', 1000) === 1000 + 3600)
+            assert(parseTime('1700000000', 1000) === 1700000000)
+            assert(parseTime('2030-01-01T00:00:00Z', 1000) === 1893456000)
+        })
+    })
+
+    describe('campaign:launch', async () =>
+    {
+        it('launches a campaign with a human readable goal and relative times', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            await hre.run('campaign:launch', { goal: '1.5', start: '+1h', duration: '7d' })
+
+            const campaign = await fundMe.campaigns(1)
+            assert(campaign.goal.eq(ethers.utils.parseEther('1.5')))
+            assert(campaign.startAt === currentTime + 3600)
+            assert(campaign.endAt === currentTime + 3600 + 7 * 24 * 60 * 60)
+        })
+
+        it('refuses a campaign longer than the max duration', async () =>
+        {
+            const error = await runTask('campaign:launch', { goal: '1', duration: '91d' })
+            assert(error.message.includes('end at > max duration'))
+            assert((await fundMe.count()).eq(0))
+        })
+
+        it('launches with another token once the owner allowed it', async () =>
+        {
+            const MockDecimalsToken = await ethers.getContractFactory('MockDecimalsToken')
+            const usdc = await MockDecimalsToken.deploy('USD Coin', 'USDC', 1000000, 6)
+
+            const error = await runTask('campaign:launch', { goal: '250', duration: '1d', token: usdc.address })
+            assert(error.message.includes('USDC'))
+            assert(error.message.includes('is not allowed'))
+
+            const notAdmin = await runTask('campaign:allow-token', { token: usdc.address, account: 'player' })
+            assert(notAdmin.message.includes('only the owner'))
+
+            await hre.run('campaign:allow-token', { token: usdc.address })
+            await hre.run('campaign:launch', { goal: '250', duration: '1d', token: usdc.address })
+
+            const campaign = await fundMe.campaigns(1)
+            assert(campaign.token === usdc.address)
+            assert(campaign.goal.eq(ethers.utils.parseUnits('250', 6)))
+        })
+    })
+
+    describe('campaign:pledge and campaign:unpledge', async () =>
+    {
+        it('refuses to pledge before the campaign started', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1h', duration: '1d' })
+
+            const error = await runTask('campaign:pledge', { id: 1, amount: '1' })
+            assert(error.message.includes('campaign not started'))
+        })
+
+        it('approves and pledges for the player account', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1m', duration: '1d' })
+            await increaseTime(120)
+
+            await hre.run('campaign:pledge', { id: 1, amount: '2.5' })
+            await hre.run('campaign:unpledge', { id: 1, amount: '0.5' })
+
+            assert((await fundMe.pledgedAmount(1, player)).eq(ethers.utils.parseEther('2')))
+        })
+
+        it('refuses to unpledge more than was pledged', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1m', duration: '1d' })
+            await increaseTime(120)
+            await hre.run('campaign:pledge', { id: 1, amount: '1' })
+
+            const error = await runTask('campaign:unpledge', { id: 1, amount: '2' })
+            assert(error.message.includes('not enough pledged'))
+        })
+
+        it('refuses an unknown campaign', async () =>
+        {
+            const error = await runTask('campaign:pledge', { id: 3, amount: '1' })
+            assert(error.message.includes('campaign 3 does not exist'))
+        })
+    })
+
+    describe('campaign:claim, campaign:refund and campaign:cancel', async () =>
+    {
+        it('refuses to claim a campaign that did not reach its goal, and refunds instead', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '5', start: '+1m', duration: '1h' })
+            await increaseTime(120)
+            await hre.run('campaign:pledge', { id: 1, amount: '1' })
+            await increaseTime(7200)
+
+            const error = await runTask('campaign:claim', { id: 1 })
+            assert(error.message.includes('pledged < goal'))
+
+            await hre.run('campaign:refund', { id: 1 })
+            assert((await erc20.balanceOf(player)).eq(ethers.utils.parseEther('10')))
+        })
+
+        it('claims a successful campaign', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1m', duration: '1h' })
+            await increaseTime(120)
+            await hre.run('campaign:pledge', { id: 1, amount: '1' })
+
+            const tooEarly = await runTask('campaign:claim', { id: 1 })
+            assert(tooEarly.message.includes('campaign has not ended'))
+
+            await increaseTime(7200)
+
+            const notCreator = await runTask('campaign:claim', { id: 1, account: 'player' })
+            assert(notCreator.message.includes('not creator'))
+
+            await hre.run('campaign:claim', { id: 1 })
+            assert((await fundMe.campaigns(1)).claimed)
+        })
+
+        it('refunds and claims every campaign at once', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1m', duration: '1h' })
+            await hre.run('campaign:launch', { goal: '5', start: '+1m', duration: '1h' })
+            await hre.run('campaign:launch', { goal: '5', start: '+1m', duration: '1h' })
+            await increaseTime(120)
+            for (const id of [1, 2, 3])
+            {
+                await hre.run('campaign:pledge', { id, amount: '1' })
+            }
+            await increaseTime(7200)
+
+            await hre.run('campaign:refund-all', {})
+            assert((await erc20.balanceOf(player)).eq(ethers.utils.parseEther('9')))
+            const nothingLeft = await runTask('campaign:refund-all', {})
+            assert(nothingLeft.message.includes('nothing to refund'))
+
+            await hre.run('campaign:claim-all', {})
+            assert((await fundMe.campaigns(1)).claimed)
+        })
+
+        it('cancels a campaign that has not started', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1h', duration: '1h' })
+
+            await hre.run('campaign:cancel', { id: 1 })
+            assert((await fundMe.campaigns(1)).cancelled)
+
+            const error = await runTask('campaign:cancel', { id: 1 })
+            assert(error.message.includes('campaign cancelled'))
+        })
+    })
+
+    describe('campaign:extend and campaign:cap', async () =>
+    {
+        it('extends a running campaign and refuses to go past the max duration', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1m', duration: '1d' })
+            await increaseTime(120)
+
+            const now = await getCurrentTime()
+            await hre.run('campaign:extend', { id: 1, end: '+7d' })
+            assert((await fundMe.campaigns(1)).endAt === now + 7 * 24 * 60 * 60)
+
+            const error = await runTask('campaign:extend', { id: 1, end: '+91d' })
+            assert(error.message.includes('end at > max duration'))
+        })
+
+        it('caps a campaign and refuses pledges beyond the cap', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1m', duration: '1d' })
+            await increaseTime(120)
+
+            await hre.run('campaign:cap', { id: 1, amount: '2' })
+            assert((await fundMe.campaigns(1)).hardCap.eq(ethers.utils.parseEther('2')))
+
+            const error = await runTask('campaign:pledge', { id: 1, amount: '2.5' })
+            assert(error.message.includes('pledged > hard cap'))
+        })
+    })
+
+    describe('campaign:fee and campaign:stretch', async () =>
+    {
+        it('charges the fee on claim and refuses a fee above the cap', async () =>
+        {
+            const tooHigh = await runTask('campaign:fee', { bps: 1001, recipient: player })
+            assert(tooHigh.message.includes('between 0 and 1000'))
+            const noRecipient = await runTask('campaign:fee', { bps: 100 })
+            assert(noRecipient.message.includes('--recipient'))
+
+            await hre.run('campaign:fee', { bps: 100, recipient: player })
+            await hre.run('campaign:launch', { goal: '1', start: '+1m', duration: '1h' })
+            await increaseTime(120)
+            await hre.run('campaign:pledge', { id: 1, amount: '1' })
+            await increaseTime(7200)
+
+            await hre.run('campaign:claim', { id: 1 })
+            assert((await erc20.balanceOf(player)).eq(ethers.utils.parseEther('9.01')))
+        })
+
+        it('declares stretch goals and refuses goals that do not increase', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1m', duration: '1d' })
+
+            const error = await runTask('campaign:stretch', { id: 1, amounts: '3,2' })
+            assert(error.message.includes('stretch goals must increase'))
+
+            await hre.run('campaign:stretch', { id: 1, amounts: '2, 3' })
+            assert.deepEqual((await fundMe.stretchGoals(1)).map(String), [ethers.utils.parseEther('2').toString(), ethers.utils.parseEther('3').toString()])
+
+            await hre.run('campaign:stretch', { id: 1, amounts: 'none' })
+            assert((await fundMe.stretchGoals(1)).length === 0)
+        })
+    })
+
+    describe('campaign:pause, campaign:transfer-ownership and campaign:emergency', async () =>
+    {
+        it('pauses and resumes pledging', async () =>
+        {
+            await hre.run('campaign:pause', {})
+            assert(await fundMe.paused())
+
+            const error = await runTask('campaign:pause', { paused: true })
+            assert(error.message.includes('already paused'))
+
+            await hre.run('campaign:pause', { paused: false })
+            assert(!(await fundMe.paused()))
+        })
+
+        it('refuses to launch and pledge while paused', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1m', duration: '1h' })
+            await increaseTime(120)
+            await hre.run('campaign:pause', {})
+
+            const launch = await runTask('campaign:launch', { goal: '1', start: '+1m', duration: '1h' })
+            assert(launch.message.includes('would revert: Pausable: paused'))
+
+            const pledge = await runTask('campaign:pledge', { id: 1, amount: '1' })
+            assert(pledge.message.includes('would revert: Pausable: paused'))
+        })
+
+        it('hands the ownership over in two steps', async () =>
+        {
+            const notOwner = await runTask('campaign:transfer-ownership', { to: player, account: 'player' })
+            assert(notOwner.message.includes('only the owner'))
+
+            await hre.run('campaign:transfer-ownership', { to: player })
+            await hre.run('campaign:transfer-ownership', { accept: true, account: 'player' })
+
+            assert(await fundMe.owner() === player)
+        })
+
+        it('announces and calls off an emergency', async () =>
+        {
+            await hre.run('campaign:emergency', {})
+            assert(await fundMe.emergencyAt() > 0)
+
+            await hre.run('campaign:emergency', { cancel: true })
+            assert(await fundMe.emergencyAt() === 0)
+        })
+
+        it('refuses to launch, pledge and claim once the emergency is active', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1', start: '+1m', duration: '1h' })
+            await increaseTime(120)
+            await hre.run('campaign:pledge', { id: 1, amount: '1' })
+            await hre.run('campaign:emergency', {})
+            await increaseTime(await fundMe.EMERGENCY_DELAY())
+
+            const launch = await runTask('campaign:launch', { goal: '1', start: '+1m', duration: '1h' })
+            assert(launch.message.includes('would revert: emergency'))
+
+            const pledge = await runTask('campaign:pledge', { id: 1, amount: '1' })
+            assert(pledge.message.includes('would revert: emergency'))
+
+            const claim = await runTask('campaign:claim', { id: 1 })
+            assert(claim.message.includes('would revert: emergency'))
+        })
+    })
+
+    describe('campaign:pledge-receipts and campaign:transfer-pledge', async () =>
+    {
+        it('turns the receipts on and hands a pledge over with its receipt', async () =>
+        {
+            const notOwner = await runTask('campaign:pledge-receipts', { account: 'player' })
+            assert(notOwner.message.includes('only the owner'))
+
+            await hre.run('campaign:pledge-receipts', {})
+            await hre.run('campaign:launch', { goal: '5', start: '+1m', duration: '1h' })
+            await increaseTime(120)
+            await hre.run('campaign:pledge', { id: 1, amount: '1' })
+
+            await hre.run('campaign:transfer-pledge', { id: 1, to: deployer })
+            assert((await fundMe.pledgedAmount(1, deployer)).eq(ethers.utils.parseEther('1')))
+            const nothingLeft = await runTask('campaign:transfer-pledge', { id: 1, to: deployer })
+            assert(nothingLeft.message.includes('holds no pledge receipt'))
+
+            const again = await runTask('campaign:pledge-receipts', {})
+            assert(again.message.includes('already get receipts'))
+        })
+    })
+
+    describe('campaign:match and campaign:return-matching', async () =>
+    {
+        it('matches pledges at a ratio and returns the pool of a failed campaign', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '5', start: '+1m', duration: '1h' })
+            await increaseTime(120)
+
+            const badRatio = await runTask('campaign:match', { id: 1, amount: '1', ratio: '1/2' })
+            assert(badRatio.message.includes('invalid ratio "1/2"'))
+            await hre.run('campaign:match', { id: 1, amount: '1', ratio: '0.5' })
+            const twice = await runTask('campaign:match', { id: 1, amount: '1' })
+            assert(twice.message.includes('campaign already matched'))
+
+            await hre.run('campaign:pledge', { id: 1, amount: '1' })
+            assert((await fundMe.campaigns(1)).pledged.eq(ethers.utils.parseEther('1.5')))
+            const tooEarly = await runTask('campaign:return-matching', { id: 1 })
+            assert(tooEarly.message.includes('nothing to return'))
+
+            await increaseTime(3600)
+            const balance = await erc20.balanceOf(deployer)
+            await hre.run('campaign:return-matching', { id: 1, account: 'player' })
+            assert((await erc20.balanceOf(deployer)).eq(balance.add(ethers.utils.parseEther('1'))))
+        })
+    })
+
+    describe('campaign:show and campaign:list', async () =>
+    {
+        it('prints the campaigns with formatted amounts', async () =>
+        {
+            await hre.run('campaign:launch', { goal: '1.5', start: '+1h', duration: '1d' })
+
+            const lines = []
+            console.log = (line) => lines.push(line)
+            await hre.run('campaign:show', { id: 1 })
+            await hre.run('campaign:list')
+
+            assert(lines.includes('Campaign #1 (pending)'))
+            assert(lines.some((line) => line.includes('1.5 VIN')))
+            assert(lines.some((line) => line.startsWith('#1 pending')))
+        })
+    })
+})
@@ -0,0 +1,309 @@
+const { ethers, deployments } = require('hardhat')
+const { assert } = require('chai')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { CampaignWatcher, JsonLinesSink, WebhookSink, Transition } = require('../utils/campaignWatcher')
+const { JsonFileStore } = require('../utils/campaignIndexer')
+const { NO_METADATA, getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+describe('CampaignWatcher Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    let erc20, fundMe
+
+    let deployer, donor, creator
+
+    let startBlock
+
+    // collects the notifications sent to it
+    let sink
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        creator = accounts[2]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+        startBlock = (await deployments.get('FundMe')).receipt.blockNumber
+
+        await erc20.transfer(donor.address, GOAL.mul(2))
+        await erc20.connect(donor).approve(fundMe.address, GOAL.mul(2))
+
+        sink = { notifications: [], send: async (notification) => sink.notifications.push(notification) }
+    })
+
+    const newWatcher = (options = {}) =>
+        new CampaignWatcher({ provider: ethers.provider, fundMeAddress: fundMe.address, startBlock, sinks: [sink], ...options })
+
+    // launches a campaign starting in 10 seconds and ending in 1000 and returns its id
+    const launch = async (from = deployer, goal = GOAL) =>
+    {
+        let currentTime = await getCurrentTime()
+        await fundMe.connect(from).launch(erc20.address, goal, currentTime + 10, currentTime + 1000, ...NO_METADATA)
+        return (await fundMe.count()).toString()
+    }
+
+    const types = (notifications) => notifications.map((n) => (n.campaignId ? `${n.type} #${n.campaignId}` : n.type))
+
+    describe('poll', async () =>
+    {
+        it('notifies the events and the transitions as time goes by', async () =>
+        {
+            const watcher = newWatcher()
+            const funded = await launch()
+            const failed = await launch()
+
+            assert.deepEqual(types(await watcher.poll()), ['OwnershipTransferred', 'TokenAllowed', `Launch #${funded}`, `Launch #${failed}`])
+
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(funded, GOAL)
+            assert.deepEqual(types(await watcher.poll()), [
+                `Pledge #${funded}`,
+                `${Transition.STARTED} #${funded}`,
+                `${Transition.GOAL_REACHED} #${funded}`,
+                `${Transition.STARTED} #${failed}`,
+            ])
+            assert.deepEqual(await watcher.poll(), [])
+
+            await increaseTime(1000)
+            assert.deepEqual(types(await watcher.poll()), [
+                `${Transition.ENDED} #${funded}`,
+                `${Transition.CLAIM_OPEN} #${funded}`,
+                `${Transition.ENDED} #${failed}`,
+                `${Transition.REFUND_OPEN} #${failed}`,
+            ])
+        })
+
+        it('does not notify twice after a restart', async () =>
+        {
+            const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-')), 'sent.json')
+            const id = await launch()
+            await newWatcher({ store: new JsonFileStore(filePath) }).poll()
+
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+
+            const sent = await newWatcher({ store: new JsonFileStore(filePath) }).poll()
+            assert.deepEqual(types(sent), [`Pledge #${id}`, `${Transition.STARTED} #${id}`])
+        })
+
+        it('reads the events from the saved cursor after a restart', async () =>
+        {
+            const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-')), 'sent.json')
+            const first = await launch()
+            await newWatcher({ store: new JsonFileStore(filePath) }).poll()
+            const cursor = (await new JsonFileStore(filePath).load()).indexer.checkpoint.blockNumber
+            const second = await launch()
+
+            // the provider of the tests, recording the first block of every getLogs
+            const fromBlocks = []
+            const getLogs = async (filter) =>
+            {
+                fromBlocks.push(filter.fromBlock)
+                return ethers.provider.getLogs(filter)
+            }
+            const provider = new Proxy(ethers.provider, {
+                get: (target, key) => (key === 'getLogs' ? getLogs : typeof target[key] === 'function' ? target[key].bind(target) : target[key])
+            })
+            const sent = await newWatcher({ provider, store: new JsonFileStore(filePath) }).poll()
+
+            assert.deepEqual(fromBlocks, [cursor + 1])
+            assert(types(sent).includes(`Launch #${second}`) && !types(sent).includes(`Launch #${first}`))
+        })
+
+        it('only notifies about the campaigns matching the filter', async () =>
+        {
+            const mine = await launch(creator)
+            const other = await launch()
+            const third = await launch(creator)
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(other, DONATION_AMOUNT)
+
+            const byCreator = await newWatcher({ creators: [creator.address.toLowerCase()] }).poll()
+            assert.deepEqual(types(byCreator), [`Launch #${mine}`, `Launch #${third}`, `${Transition.STARTED} #${mine}`, `${Transition.STARTED} #${third}`])
+            assert(byCreator.every((n) => n.creator === creator.address))
+
+            sink.notifications = []
+            await newWatcher({ campaignIds: [Number(other)] }).poll()
+            assert.deepEqual(types(sink.notifications), [`Launch #${other}`, `Pledge #${other}`, `${Transition.STARTED} #${other}`])
+        })
+
+        it('does not notify claims once claimed nor transitions of cancelled campaigns', async () =>
+        {
+            const claimed = await launch(deployer, DONATION_AMOUNT)
+            const cancelled = await launch()
+            await fundMe.cancel(cancelled)
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(claimed, DONATION_AMOUNT)
+            await increaseTime(1000)
+            await fundMe.claim(claimed)
+
+            const sent = types(await newWatcher().poll())
+
+            assert(sent.includes(`Claim #${claimed}`))
+            assert(!sent.includes(`${Transition.CLAIM_OPEN} #${claimed}`))
+            assert.deepEqual(sent.filter((type) => type.endsWith(`#${cancelled}`)), [`Launch #${cancelled}`, `Cancel #${cancelled}`])
+        })
+    })
+
+    describe('sinks', async () =>
+    {
+        it('keeps notifying the other sinks when one fails', async () =>
+        {
+            const errors = []
+            const failing = { send: async () => { throw new Error('sink down') } }
+            await launch()
+
+            await newWatcher({ sinks: [failing, sink], onError: (e) => errors.push(e.message) }).poll()
+
+            assert(sink.notifications.length === 3)
+            assert(errors.length === 3 && errors[0] === 'sink down')
+        })
+
+        it('sends a notification again to the sink that failed on it until it takes it', async () =>
+        {
+            let down = true
+            const flaky = { notifications: [], send: async (notification) => { if (down) throw new Error('sink down'); flaky.notifications.push(notification) } }
+            const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-')), 'sent.json')
+            const id = await launch()
+            const watcher = newWatcher({ sinks: [flaky, sink], store: new JsonFileStore(filePath), retryDelay: 0, onError: () => {} })
+
+            assert.deepEqual(await watcher.poll(), [])
+            assert.deepEqual(await watcher.poll(), [])
+            assert(JSON.parse(fs.readFileSync(filePath, 'utf8')).sent.length === 0)
+
+            down = false
+            assert.deepEqual(types(await watcher.poll()), ['OwnershipTransferred', 'TokenAllowed', `Launch #${id}`])
+            assert(flaky.notifications.length === 3)
+            // the sink that did not fail got each notification once
+            assert(sink.notifications.length === 3)
+            assert(JSON.parse(fs.readFileSync(filePath, 'utf8')).sent.length === 3)
+            assert.deepEqual(await watcher.poll(), [])
+        })
+
+        it('waits longer after every failure before sending again', async () =>
+        {
+            let attempts = 0
+            const failing = { send: async () => { attempts++; throw new Error('sink down') } }
+            await launch()
+            const watcher = newWatcher({ sinks: [failing], retryDelay: 60000, onError: () => {} })
+
+            await watcher.poll()
+            await watcher.poll()
+            assert(attempts === 3)
+
+            const retry = [...watcher.retries.values()][0]
+            retry.at = 0
+            await watcher.poll()
+            assert(attempts === 4)
+            assert(retry.failures === 2 && retry.at - Date.now() > 60000)
+        })
+
+        it('saves what was sent and the block it read up to once per poll', async () =>
+        {
+            const store = { saves: [], load: async () => undefined, save: async (state) => store.saves.push(JSON.parse(JSON.stringify(state))) }
+            await launch()
+            const watcher = newWatcher({ store })
+
+            await watcher.poll()
+            await launch()
+            await watcher.poll()
+
+            assert(store.saves.length === 2)
+            assert(store.saves[0].sent.length === 3 && store.saves[1].sent.length === 4)
+            assert(store.saves[1].indexer.checkpoint.blockNumber === await ethers.provider.getBlockNumber())
+        })
+
+        it('appends the notifications to a JSON lines file', async () =>
+        {
+            const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-')), 'events.jsonl')
+            const id = await launch()
+
+            await newWatcher({ sinks: [new JsonLinesSink(filePath)] }).poll()
+
+            const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line))
+            assert(lines.length === 3)
+            assert(lines[2].type === 'Launch' && lines[2].campaignId === id && lines[2].creator === deployer.address)
+        })
+
+        it('POSTs the notifications to a webhook', async () =>
+        {
+            const received = []
+            const server = http.createServer((req, res) =>
+            {
+                let body = ''
+                req.on('data', (chunk) => (body += chunk))
+                req.on('end', () =>
+                {
+                    received.push({ method: req.method, secret: req.headers['x-secret'], notification: JSON.parse(body) })
+                    res.end()
+                })
+            })
+            await new Promise((resolve) => server.listen(0, resolve))
+            const url = `http://localhost:${server.address().port}/hook`
+
+            try
+            {
+                await launch()
+                await newWatcher({ sinks: [new WebhookSink({ url, headers: { 'X-Secret': 'shh' } })] }).poll()
+            }
+            finally
+            {
+                server.close()
+            }
+
+            assert(received.length === 3)
+            assert(received[2].method === 'POST' && received[2].secret === 'shh')
+            assert(received[2].notification.type === 'Launch')
+        })
+
+        it('fails on an error status from the webhook', async () =>
+        {
+            const server = http.createServer((req, res) =>
+            {
+                res.statusCode = 500
+                res.end()
+            })
+            await new Promise((resolve) => server.listen(0, resolve))
+            const sink = new WebhookSink({ url: `http://localhost:${server.address().port}` })
+
+            try
+            {
+                await sink.send({ type: 'Launch' })
+                assert.fail('webhook error was not reported')
+            }
+            catch (e)
+            {
+                assert(e.message.includes('500'))
+            }
+            finally
+            {
+                server.close()
+            }
+        })
+    })
+
+    describe('start', async () =>
+    {
+        it('polls right away and stops listening on stop', async () =>
+        {
+            await launch()
+            const watcher = newWatcher({ pollInterval: 60000 })
+
+            await watcher.start()
+            await watcher.stop()
+
+            assert(sink.notifications.length === 3)
+            assert(ethers.provider.listenerCount({ address: fundMe.address }) === 0)
+        })
+    })
+})
@@ -0,0 +1,133 @@
+const hre = require('hardhat')
+const { ethers, deployments } = hre
+const { assert } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { DonorReceipts, CSV_COLUMNS, toCSV } = require('../utils/donorReceipts')
+const { NO_METADATA, getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+describe('Donor Receipts Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('1')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.5')
+
+    const USDC_DECIMALS = 6
+
+    let erc20, usdc, fundMe
+
+    let deployer, donor, donor2
+
+    let receipts
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+        const MockDecimalsToken = await ethers.getContractFactory('MockDecimalsToken', deployer)
+        usdc = await MockDecimalsToken.deploy('USD Coin', 'USDC', 1000000, USDC_DECIMALS)
+        await fundMe.setTokenAllowed(usdc.address, true)
+
+        await erc20.transfer(donor.address, DONATION_AMOUNT.mul(2))
+        await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT.mul(2))
+        await usdc.transfer(donor.address, ethers.utils.parseUnits('100', USDC_DECIMALS))
+        await usdc.connect(donor).approve(fundMe.address, ethers.utils.parseUnits('100', USDC_DECIMALS))
+        await erc20.transfer(donor2.address, DONATION_AMOUNT)
+        await erc20.connect(donor2).approve(fundMe.address, DONATION_AMOUNT)
+
+        receipts = new DonorReceipts({ provider: ethers.provider, fundMeAddress: fundMe.address })
+    })
+
+    // a failed campaign the donor got refunded from, and a running USDC campaign
+    const donorHistory = async () =>
+    {
+        let currentTime = await getCurrentTime()
+        await fundMe.launch(erc20.address, GOAL.mul(10), currentTime + 5, currentTime + 1000, ...NO_METADATA)
+        await fundMe.launch(usdc.address, GOAL, currentTime + 5, currentTime + 5000, ...NO_METADATA)
+        await increaseTime(100)
+
+        await fundMe.connect(donor).pledge(1, DONATION_AMOUNT)
+        await fundMe.connect(donor2).pledge(1, DONATION_AMOUNT)
+        await fundMe.connect(donor).pledge(1, DONATION_AMOUNT)
+        await fundMe.connect(donor).unpledge(1, DONATION_AMOUNT.div(5))
+        await fundMe.connect(donor).pledge(2, ethers.utils.parseUnits('12.5', USDC_DECIMALS))
+        await increaseTime(1000)
+        await fundMe.connect(donor).refund(1)
+    }
+
+    it('lists the donor entries in order with a running position per campaign', async () =>
+    {
+        await donorHistory()
+
+        const { entries, campaigns, mismatches } = await receipts.build({ donor: donor.address })
+
+        assert.deepEqual(entries.map((entry) => `${entry.type} #${entry.campaignId} ${entry.positionFormatted}`), [
+            'Pledge #1 0.5',
+            'Pledge #1 1.0',
+            'Unpledge #1 0.9',
+            'Pledge #2 12.5',
+            'Refund #1 0.0',
+        ])
+        assert(entries[3].symbol === 'USDC')
+        assert(entries[3].amount === ethers.utils.parseUnits('12.5', USDC_DECIMALS).toString())
+        const block = await ethers.provider.getBlock(entries[0].blockNumber)
+        assert(entries[0].timestamp === block.timestamp)
+        assert(entries[0].date === new Date(block.timestamp * 1000).toISOString())
+        assert(entries[0].transactionHash === block.transactions[0])
+        assert(campaigns[1].position === '0')
+        assert(campaigns[2].positionFormatted === '12.5')
+        assert(mismatches.length === 0)
+    })
+
+    it('reports a mismatch when the statement starts after the first pledge', async () =>
+    {
+        await donorHistory()
+        const { entries } = await receipts.build({ donor: donor.address })
+
+        const { mismatches } = await receipts.build({ donor: donor.address, fromBlock: entries[1].blockNumber })
+
+        assert.deepEqual(mismatches, [{ campaignId: '1', receipts: DONATION_AMOUNT.mul(-1).toString(), pledgedAmount: '0' }])
+    })
+
+    it('formats the entries as CSV', async () =>
+    {
+        await donorHistory()
+
+        const csv = toCSV(await receipts.build({ donor: donor.address }))
+
+        const lines = csv.trim().split('\n')
+        assert(lines[0] === CSV_COLUMNS.join(','))
+        assert(lines.length === 6)
+        assert(lines[4].includes(',Pledge,') && lines[4].includes(',USDC,12500000,12.5,'))
+    })
+
+    it('exports the statement with the campaign:receipts task', async () =>
+    {
+        await donorHistory()
+        const output = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-')), 'receipts.json')
+        const log = console.log
+        console.log = () => {}
+
+        try
+        {
+            await hre.run('campaign:receipts', { donor: donor.address, format: 'json', output })
+        }
+        finally
+        {
+            console.log = log
+        }
+
+        const statement = JSON.parse(fs.readFileSync(output, 'utf8'))
+        assert(statement.donor === donor.address)
+        assert(statement.entries.length === 5)
+        assert(statement.mismatches.length === 0)
+        assert(!hre.tasks.receipts)
+    })
+})
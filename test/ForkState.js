@@ -0,0 +1,108 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert } = require('chai')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { ERC20_ABI } = require('../utils/abi')
+const { startRecordingProxy, saveState, readState, loadState } = require('./helpers/forkState')
+const { FORK_TOKENS } = require('./helpers/forkTokens')
+
+// the recording and replay test/FundMeFork.js relies on, run against the local network instead of mainnet
+describe('Fork State Unit Tests', async () =>
+{
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    let erc20, donor, server, proxy
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        donor = accounts[1]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', accounts[0])
+        await erc20.transfer(donor.address, DONATION_AMOUNT)
+
+        // serves the local network over HTTP, like the archive RPC the proxy normally forwards to
+        server = http.createServer((req, res) =>
+        {
+            let body = ''
+            req.on('data', (chunk) => (body += chunk))
+            req.on('end', async () =>
+            {
+                const { id, method, params } = JSON.parse(body)
+                const answer = await network.provider.send(method, params).then(
+                    (result) => ({ result }),
+                    (e) => ({ error: { code: -32603, message: e.message } })
+                )
+                res.setHeader('Content-Type', 'application/json')
+                res.end(JSON.stringify({ jsonrpc: '2.0', id, ...answer }))
+            })
+        })
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+        proxy = await startRecordingProxy(`http://127.0.0.1:${server.address().port}`, await ethers.provider.getBlockNumber())
+    })
+
+    afterEach(async () =>
+    {
+        await proxy.close()
+        await new Promise((resolve) => server.close(resolve))
+    })
+
+    it('replays the code and storage read through the recording proxy', async () =>
+    {
+        const remote = new ethers.providers.JsonRpcProvider(proxy.url)
+        // ERC20 keeps _balances at slot 0 and _totalSupply, _name and _symbol at slots 2 to 4
+        const balanceSlot = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['address', 'uint256'], [donor.address, 0]))
+        const slots = [balanceSlot, '0x2', '0x3', '0x4']
+        await remote.getCode(erc20.address)
+        await remote.getCode(donor.address)
+        for (const slot of slots)
+        {
+            await remote.getStorageAt(erc20.address, slot)
+        }
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fork-')), 'mainnet-fork.json')
+        saveState(filePath, proxy.state)
+
+        const state = readState(filePath)
+        assert.deepEqual(Object.keys(state.accounts), [erc20.address])
+        assert(Object.keys(state.accounts[erc20.address].storage).length === slots.length)
+
+        const symbol = await erc20.symbol()
+        const totalSupply = await erc20.totalSupply()
+        await network.provider.send('hardhat_setCode', [erc20.address, '0x'])
+        for (const slot of slots)
+        {
+            await network.provider.send('hardhat_setStorageAt', [erc20.address, slot, ethers.constants.HashZero])
+        }
+
+        await loadState(network.provider, state)
+
+        assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT))
+        assert((await erc20.totalSupply()).eq(totalSupply))
+        assert(await erc20.symbol() === symbol)
+    })
+
+    it('replays the committed mainnet fixture without an RPC', async () =>
+    {
+        const snapshot = await network.provider.send('evm_snapshot')
+        try
+        {
+            await loadState(network.provider, readState(path.join(__dirname, 'fixtures', 'mainnet-fork.json')))
+
+            for (const token of FORK_TOKENS)
+            {
+                const erc20 = new ethers.Contract(token.address, [...ERC20_ABI, ...token.blocklist.abi], ethers.provider)
+                assert(await erc20.decimals() === token.decimals)
+                // test/FundMeFork.js hands 1000 tokens to each of its two donors
+                assert((await erc20.balanceOf(token.holder)).gte(ethers.utils.parseUnits('2000', token.decimals)))
+                assert(await erc20[token.blocklist.admin]() !== ethers.constants.AddressZero)
+            }
+        }
+        finally
+        {
+            await network.provider.send('evm_revert', [snapshot])
+        }
+    })
+})
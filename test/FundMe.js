@@ -1,18 +1,10 @@
-const { ethers, network } = require('hardhat')
+const { ethers, network, deployments } = require('hardhat')
 const { assert, expect } = require('chai')
-
-getCurrentTime = async () =>
-{
-    let currentBlock = await ethers.provider.getBlock()
-    return currentBlock.timestamp
-}
+const { TOTAL_SUPPLY } = require('../helper-hardhat-config')
+const { getCurrentTime } = require('./helpers/campaigns')
 
 describe('FundMe Unit Tests', async () =>
 {
-    
-    const TOKEN_NAME = 'Vincent'
-    const TOKEN_SYMBOL = 'VIN'
-    const TOTAL_SUPPLY = 1000000
 
     // 1000 of any ERC-20 token with default 18 decimal places
     const GOAL = ethers.utils.parseEther('0.2')
@@ -23,7 +15,12 @@ describe('FundMe Unit Tests', async () =>
 
     const SMALL_DONATION = ethers.utils.parseEther('0.01')
 
-    let erc20, ERC20, fundMe, FundMe
+    // the metadata document itself lives off-chain, FundMe only keeps its hash
+    const METADATA_URI = 'file://campaign.json'
+
+    const METADATA_HASH = ethers.utils.id('{"title":"campaign"}')
+
+    let erc20, fundMe
 
     let deployer, donor, donor2
 
@@ -40,11 +37,10 @@ describe('FundMe Unit Tests', async () =>
         donor = accounts[1]
         donor2 = accounts[2]
 
-        ERC20 = await ethers.getContractFactory("ERC20", deployer)
-        FundMe = await ethers.getContractFactory("FundMe", deployer)
-
-        erc20 = await ERC20.deploy(TOKEN_NAME, TOKEN_SYMBOL, TOTAL_SUPPLY)
-        fundMe = await FundMe.deploy(erc20.address)
+        // runs every script in deploy/ tagged with "all" against a fresh snapshot
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
 
         // deployer address transfers tokens to the donor address
         await erc20.transfer(donor.address, DONATION_AMOUNT)
@@ -56,10 +52,25 @@ describe('FundMe Unit Tests', async () =>
 
     describe('constructor', async () =>
     {
-        it('initializes the token state variable to the ERC20 token', async () =>
+        it('allows the tokens it was deployed with', async () =>
+        {
+            assert(await fundMe.allowedTokens(erc20.address), 'token not allowed on deployment')
+        })
+
+        it('makes the deployer the owner', async () =>
         {
-            const tokenAddress = await fundMe.token()
-            assert(erc20.address === tokenAddress, 'token not initialized properly to Fund')
+            assert(await fundMe.owner() === deployer.address)
+        })
+
+        it('sets how long a campaign can last', async () =>
+        {
+            assert(await fundMe.maxDuration() === NINETY_DAYS_IN_SECONDS)
+        })
+
+        it('rejects a max duration of zero', async () =>
+        {
+            const FundMe = await ethers.getContractFactory('FundMe', deployer)
+            await expect(FundMe.deploy([erc20.address], 0)).to.be.revertedWith('max duration is zero')
         })
     })
 
@@ -68,25 +79,25 @@ describe('FundMe Unit Tests', async () =>
         it('rejects an invalid starting time', async () =>
         {
             let currentTime = await getCurrentTime()
-            await expect(fundMe.launch(GOAL, currentTime - 1, currentTime + 10000)).to.be.revertedWith('start at < current time')
+            await expect(fundMe.launch(erc20.address, GOAL, currentTime - 1, currentTime + 10000, METADATA_URI, METADATA_HASH)).to.be.revertedWith('start at < current time')
         })
 
         it('rejects an invalid ending time', async () =>
         {
             let currentTime = await getCurrentTime()
-            await expect(fundMe.launch(GOAL, currentTime + 10, currentTime - 10)).to.be.revertedWith('end at < start at')
+            await expect(fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime - 10, METADATA_URI, METADATA_HASH)).to.be.revertedWith('end at < start at')
         })
 
         it('enforces time limit of 90 days on how long the campaign can last', async () =>
         {
             let currentTime = await getCurrentTime()
-            await expect(fundMe.launch(GOAL, currentTime + 10, currentTime + NINETY_DAYS_IN_SECONDS + 10)).to.be.revertedWith('end at > max duration')
+            await expect(fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + NINETY_DAYS_IN_SECONDS + 10, METADATA_URI, METADATA_HASH)).to.be.revertedWith('end at > max duration')
         })
 
         it('increments the count state variable', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 10, currentTime + 10000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 10000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
             assert(count.toString() === '1', 'count.toString() !== 1')
@@ -95,7 +106,7 @@ describe('FundMe Unit Tests', async () =>
         it('stores the campaign struct in the campaigns mapping', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 10, currentTime + 10000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 10000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -104,15 +115,29 @@ describe('FundMe Unit Tests', async () =>
             assert(campaign.creator.toString() === deployer.address)
             assert(campaign.goal.toString() === GOAL.toString())
             assert(campaign.pledged.toString() === '0')
+            assert(campaign.token === erc20.address)
             assert(campaign.startAt.toString() === (currentTime + 10).toString())
             assert(campaign.endAt.toString() === (currentTime + 10000).toString())
             assert(campaign.claimed === false)
+            assert(campaign.cancelled === false)
+            assert(campaign.metadataHash === METADATA_HASH)
         })
 
         it('emits a Launch event', async () =>
         {
             let currentTime = await getCurrentTime()
-            expect(await fundMe.launch(GOAL, currentTime + 10, currentTime + 10000)).to.emit('Launch')
+            await expect(fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 10000, METADATA_URI, METADATA_HASH))
+                .to.emit(fundMe, 'Launch')
+                .withArgs(1, deployer.address, erc20.address, GOAL, currentTime + 10, currentTime + 10000, METADATA_URI, METADATA_HASH)
+        })
+
+        it('accepts a campaign without metadata', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 10000, '', ethers.constants.HashZero)
+
+            const campaign = await fundMe.campaigns(1)
+            assert(campaign.metadataHash === ethers.constants.HashZero)
         })
     })
 
@@ -121,7 +146,7 @@ describe('FundMe Unit Tests', async () =>
         it('only lets the campaign creator cancel', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 10, currentTime + 10000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 10000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -131,7 +156,7 @@ describe('FundMe Unit Tests', async () =>
         it('only allows cancellation if the campaign has not started yet', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 10, currentTime + 10000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 10000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -140,31 +165,44 @@ describe('FundMe Unit Tests', async () =>
             await expect(fundMe.cancel(count)).to.be.revertedWith('campaign already started')
         })
 
-        it('deletes the campaign struct in the campaigns mapping', async () =>
+        it('marks the campaign as cancelled in the campaigns mapping', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 10, currentTime + 10000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 10000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
             await fundMe.cancel(count)
 
             const campaign = await fundMe.campaigns(count)
 
-            assert(campaign.creator.toString().startsWith('0x'))
-            assert(campaign.goal.toString() === '0')
+            assert(campaign.creator.toString() === deployer.address)
+            assert(campaign.goal.toString() === GOAL.toString())
             assert(campaign.pledged.toString() === '0')
-            assert(campaign.startAt.toString() === '0')
-            assert(campaign.endAt.toString() === '0')
+            assert(campaign.token === erc20.address)
+            assert(campaign.startAt.toString() === (currentTime + 10).toString())
+            assert(campaign.endAt.toString() === (currentTime + 10000).toString())
             assert(campaign.claimed === false)
+            assert(campaign.cancelled === true)
+        })
+
+        it('does not cancel a campaign twice', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 10000, METADATA_URI, METADATA_HASH)
+
+            let count = await fundMe.count()
+            await fundMe.cancel(count)
+
+            await expect(fundMe.cancel(count)).to.be.revertedWith('campaign cancelled')
         })
 
         it('emits a Cancel event', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 10, currentTime + 10000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 10000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
-            expect(await fundMe.cancel(count)).to.emit('Cancel')
+            await expect(fundMe.cancel(count)).to.emit(fundMe, 'Cancel')
         })
     })
 
@@ -173,7 +211,7 @@ describe('FundMe Unit Tests', async () =>
         it('does not let donors pledge if the campaign has not started', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 3000, currentTime + 10000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 3000, currentTime + 10000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -183,7 +221,7 @@ describe('FundMe Unit Tests', async () =>
         it('only lets donors pledge if the campaign has not ended', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 10, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -195,7 +233,7 @@ describe('FundMe Unit Tests', async () =>
         it('updates the campaign struct in the campaigns mapping to reflect the added pledge', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -211,7 +249,7 @@ describe('FundMe Unit Tests', async () =>
         it('updates the pledgedAmount mapping', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -227,7 +265,7 @@ describe('FundMe Unit Tests', async () =>
         it('transfers the tokens from the donor address to the contract address', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -247,13 +285,13 @@ describe('FundMe Unit Tests', async () =>
         it('emits a Pledge event', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
             await network.provider.send("evm_increaseTime", [100])
 
-            expect(await fundMe.connect(donor).pledge(count, DONATION_AMOUNT)).to.emit('Pledge')
+            await expect(fundMe.connect(donor).pledge(count, DONATION_AMOUNT)).to.emit(fundMe, 'Pledge')
         })
     })
 
@@ -262,7 +300,7 @@ describe('FundMe Unit Tests', async () =>
         it('does not let donors unpledge if the campaign has ended', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 10, currentTime + 2000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 2000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -274,7 +312,7 @@ describe('FundMe Unit Tests', async () =>
         it('only allows the unpledge if the donor has enough tokens deposited', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 10, currentTime + 2000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 10, currentTime + 2000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -286,7 +324,7 @@ describe('FundMe Unit Tests', async () =>
         it('updates the campaign struct in the campaigns mapping to reflect the subtracted pledge', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -299,12 +337,13 @@ describe('FundMe Unit Tests', async () =>
             let campaign = await fundMe.campaigns(count)
 
             assert(campaign.pledged.toString() === '0')
+            assert(campaign.token === erc20.address)
         })
 
         it('updates the pledgedAmount mapping', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -322,7 +361,7 @@ describe('FundMe Unit Tests', async () =>
         it('transfers the tokens from the contract address to the donor address', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -344,7 +383,7 @@ describe('FundMe Unit Tests', async () =>
         it('emits an Unpledge event', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             let count = await fundMe.count()
 
@@ -352,7 +391,7 @@ describe('FundMe Unit Tests', async () =>
 
             await fundMe.connect(donor).pledge(count, DONATION_AMOUNT)
 
-            expect(await fundMe.connect(donor).unpledge(count, DONATION_AMOUNT)).to.emit('Unpledge')
+            await expect(fundMe.connect(donor).unpledge(count, DONATION_AMOUNT)).to.emit(fundMe, 'Unpledge')
         })
     })
 
@@ -361,7 +400,7 @@ describe('FundMe Unit Tests', async () =>
         it('checks for the campaign creator', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -378,7 +417,7 @@ describe('FundMe Unit Tests', async () =>
         it('checks that the campaign has ended', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -393,7 +432,7 @@ describe('FundMe Unit Tests', async () =>
         it('checks that the total amount pledged to the campaign is >= goal', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -409,7 +448,7 @@ describe('FundMe Unit Tests', async () =>
         it('sets the claimed boolean variable to true in the campaign struct', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -430,7 +469,7 @@ describe('FundMe Unit Tests', async () =>
         it('transfers the tokens from the contract address to the campaign creator address', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -453,7 +492,7 @@ describe('FundMe Unit Tests', async () =>
         it('emits a Claim event', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -464,7 +503,7 @@ describe('FundMe Unit Tests', async () =>
 
             await network.provider.send("evm_increaseTime", [2000])
 
-            expect(await fundMe.claim(count)).to.emit('Claim')
+            await expect(fundMe.claim(count)).to.emit(fundMe, 'Claim')
         })
     })
 
@@ -473,7 +512,7 @@ describe('FundMe Unit Tests', async () =>
         it('checks that the campaign has ended', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -488,7 +527,7 @@ describe('FundMe Unit Tests', async () =>
         it('checks that the total pledged amount is less than the goal', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -505,7 +544,7 @@ describe('FundMe Unit Tests', async () =>
         it('gets the amount of tokens that the donor donated from the amountPledged mapping', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -524,7 +563,7 @@ describe('FundMe Unit Tests', async () =>
         it('resets the pledgedAmount mapping and sends the tokens to the donor that withdrew', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -548,7 +587,7 @@ describe('FundMe Unit Tests', async () =>
         it('emits a Refund event', async () =>
         {
             let currentTime = await getCurrentTime()
-            await fundMe.launch(GOAL, currentTime + 5, currentTime + 1000)
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, METADATA_URI, METADATA_HASH)
 
             await network.provider.send("evm_increaseTime", [100])
 
@@ -559,7 +598,7 @@ describe('FundMe Unit Tests', async () =>
 
             await network.provider.send("evm_increaseTime", [2000])
 
-            expect(await fundMe.connect(donor).refund(count)).to.emit('Refund')
+            await expect(fundMe.connect(donor).refund(count)).to.emit(fundMe, 'Refund')
         })
     })
 })
\ No newline at end of file
@@ -0,0 +1,251 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert, expect } = require('chai')
+const { CampaignClient } = require('../utils/campaignClient')
+const { CampaignIndexer } = require('../utils/campaignIndexer')
+const { findRefunds, findClaims, refundAll, claimAll, pledgeMany } = require('../utils/campaignBatch')
+const { NO_METADATA, getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+describe('FundMe Batch Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    let erc20, fundMe
+
+    let deployer, donor, donor2
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+
+        for (const account of [donor, donor2])
+        {
+            await erc20.transfer(account.address, DONATION_AMOUNT.mul(10))
+            await erc20.connect(account).approve(fundMe.address, DONATION_AMOUNT.mul(10))
+        }
+    })
+
+    // launches `goals.length` campaigns that have already started and returns their ids
+    const launchRunningCampaigns = async (goals) =>
+    {
+        let currentTime = await getCurrentTime()
+        for (const goal of goals)
+        {
+            await fundMe.launch(erc20.address, goal, currentTime + 5, currentTime + 1000, ...NO_METADATA)
+        }
+        await increaseTime(100)
+        const count = (await fundMe.count()).toNumber()
+        return goals.map((_, i) => count - goals.length + 1 + i)
+    }
+
+    const gasUsed = async (tx) => (await (await tx).wait()).gasUsed
+
+    // sends one transaction per call, then `batch` from the same chain state, and resolves with the gas each used
+    const compareGas = async (calls, batch) =>
+    {
+        const snapshot = await network.provider.send("evm_snapshot")
+        let loopGas = ethers.BigNumber.from(0)
+        for (const call of calls)
+        {
+            loopGas = loopGas.add(await gasUsed(call()))
+        }
+        await network.provider.send("evm_revert", [snapshot])
+        return { loopGas, batchGas: await gasUsed(batch()) }
+    }
+
+    describe('refundMany', async () =>
+    {
+        it('refunds several failed campaigns for less gas than one refund per campaign', async () =>
+        {
+            const ids = await launchRunningCampaigns([GOAL, GOAL, GOAL, GOAL])
+            for (const id of ids)
+            {
+                await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            }
+            await increaseTime(1000)
+
+            const { loopGas, batchGas } = await compareGas(
+                ids.map((id) => () => fundMe.connect(donor).refund(id)),
+                () => fundMe.connect(donor).refundMany(ids)
+            )
+
+            assert(batchGas.lt(loopGas))
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT.mul(10)))
+            for (const id of ids)
+            {
+                assert((await fundMe.pledgedAmount(id, donor.address)).eq(0))
+            }
+        })
+
+        it('refunds nothing when one of the campaigns cannot be refunded', async () =>
+        {
+            const [failed, succeeded] = await launchRunningCampaigns([GOAL, DONATION_AMOUNT])
+            await fundMe.connect(donor).pledge(failed, DONATION_AMOUNT)
+            await fundMe.connect(donor).pledge(succeeded, DONATION_AMOUNT)
+            await increaseTime(1000)
+
+            await expect(fundMe.connect(donor).refundMany([failed, succeeded])).to.be.revertedWith('pledged amount reached goal')
+            await expect(fundMe.connect(donor).refundMany([failed, failed])).to.be.revertedWith('nothing to refund')
+            await expect(fundMe.connect(donor).refundMany([failed, 99])).to.be.revertedWith('campaign does not exist')
+
+            assert((await fundMe.pledgedAmount(failed, donor.address)).eq(DONATION_AMOUNT))
+        })
+    })
+
+    describe('claimMany', async () =>
+    {
+        it('claims several campaigns for less gas than one claim per campaign', async () =>
+        {
+            const ids = await launchRunningCampaigns([DONATION_AMOUNT, DONATION_AMOUNT, DONATION_AMOUNT])
+            for (const id of ids)
+            {
+                await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            }
+            await increaseTime(1000)
+            const balance = await erc20.balanceOf(deployer.address)
+
+            const { loopGas, batchGas } = await compareGas(
+                ids.map((id) => () => fundMe.claim(id)),
+                () => fundMe.claimMany(ids)
+            )
+
+            assert(batchGas.lt(loopGas))
+            assert((await erc20.balanceOf(deployer.address)).eq(balance.add(DONATION_AMOUNT.mul(3))))
+        })
+
+        it('claims nothing when one of the campaigns cannot be claimed', async () =>
+        {
+            const [first, second] = await launchRunningCampaigns([DONATION_AMOUNT, DONATION_AMOUNT])
+            await fundMe.connect(donor).launch(erc20.address, DONATION_AMOUNT, (await getCurrentTime()) + 5, (await getCurrentTime()) + 500, ...NO_METADATA)
+            const notMine = await fundMe.count()
+            await increaseTime(100)
+            for (const id of [first, second, notMine])
+            {
+                await fundMe.connect(donor2).pledge(id, DONATION_AMOUNT)
+            }
+            await increaseTime(1000)
+
+            await expect(fundMe.claimMany([first, notMine])).to.be.revertedWith('not creator')
+            await expect(fundMe.claimMany([first, first])).to.be.revertedWith('claimed')
+
+            await fundMe.claimMany([first, second])
+            assert((await fundMe.campaigns(first)).claimed && (await fundMe.campaigns(second)).claimed)
+        })
+
+        it('stops once an emergency is active', async () =>
+        {
+            const [id] = await launchRunningCampaigns([DONATION_AMOUNT])
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await fundMe.announceEmergency()
+            await increaseTime(await fundMe.EMERGENCY_DELAY())
+
+            await expect(fundMe.claimMany([id])).to.be.revertedWith('emergency')
+        })
+    })
+
+    describe('multicall', async () =>
+    {
+        it('runs several calls as the sender for less gas than one transaction per call', async () =>
+        {
+            const ids = await launchRunningCampaigns([GOAL, GOAL, GOAL])
+            const calls = ids.map((id) => fundMe.interface.encodeFunctionData('pledge', [id, DONATION_AMOUNT]))
+
+            const { loopGas, batchGas } = await compareGas(
+                ids.map((id) => () => fundMe.connect(donor).pledge(id, DONATION_AMOUNT)),
+                () => fundMe.connect(donor).multicall(calls)
+            )
+
+            assert(batchGas.lt(loopGas))
+            for (const id of ids)
+            {
+                assert((await fundMe.pledgedAmount(id, donor.address)).eq(DONATION_AMOUNT))
+            }
+        })
+
+        it('reverts every call with the reason of the one that failed', async () =>
+        {
+            const [id] = await launchRunningCampaigns([GOAL])
+            const calls = [
+                fundMe.interface.encodeFunctionData('pledge', [id, DONATION_AMOUNT]),
+                fundMe.interface.encodeFunctionData('unpledge', [id, DONATION_AMOUNT.mul(2)]),
+            ]
+
+            await expect(fundMe.connect(donor).multicall(calls)).to.be.revertedWith('not enough pledged')
+
+            assert((await fundMe.pledgedAmount(id, donor.address)).eq(0))
+        })
+    })
+
+    describe('campaignBatch', async () =>
+    {
+        let client, creatorClient, indexer
+
+        beforeEach(async () =>
+        {
+            client = new CampaignClient(donor, fundMe.address)
+            creatorClient = new CampaignClient(deployer, fundMe.address)
+            const startBlock = (await deployments.get('FundMe')).receipt.blockNumber
+            indexer = new CampaignIndexer({ provider: ethers.provider, fundMeAddress: fundMe.address, startBlock })
+        })
+
+        it('refunds everything the donor is owed, found with or without the indexer', async () =>
+        {
+            const [failed, refunded, succeeded, other] = await launchRunningCampaigns([GOAL, GOAL, DONATION_AMOUNT, GOAL])
+            for (const id of [failed, refunded, succeeded])
+            {
+                await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            }
+            await fundMe.connect(donor2).pledge(other, DONATION_AMOUNT)
+            await increaseTime(1000)
+            await fundMe.connect(donor).refund(refunded)
+            await indexer.sync()
+
+            const expected = [{ id: failed, token: erc20.address, amount: DONATION_AMOUNT }]
+            assert.deepEqual(await findRefunds(client), expected)
+            assert.deepEqual(await findRefunds(client, { indexer }), expected)
+
+            const { refunds, receipt } = await refundAll(client, { indexer })
+            assert(refunds.length === 1 && receipt.status === 1)
+            assert((await fundMe.pledgedAmount(failed, donor.address)).eq(0))
+            assert.deepEqual(await refundAll(client), { refunds: [] })
+        })
+
+        it('claims every successful campaign of the creator', async () =>
+        {
+            const [first, failed, second] = await launchRunningCampaigns([DONATION_AMOUNT, GOAL, DONATION_AMOUNT])
+            await fundMe.connect(donor).pledge(first, DONATION_AMOUNT)
+            await fundMe.connect(donor).pledge(second, DONATION_AMOUNT)
+            await fundMe.connect(donor).pledge(failed, DONATION_AMOUNT)
+            await increaseTime(1000)
+            await indexer.sync()
+
+            assert.deepEqual((await findClaims(creatorClient, { indexer })).map(({ id }) => id), [first, second])
+            assert.deepEqual(await findClaims(client), [])
+
+            await claimAll(creatorClient)
+            assert((await fundMe.campaigns(first)).claimed && (await fundMe.campaigns(second)).claimed)
+        })
+
+        it('approves the total and pledges to several campaigns in one transaction', async () =>
+        {
+            const ids = await launchRunningCampaigns([GOAL, GOAL])
+            await erc20.connect(donor).approve(fundMe.address, 0)
+
+            await pledgeMany(client, ids.map((id) => ({ id, amount: DONATION_AMOUNT })))
+
+            for (const id of ids)
+            {
+                assert((await fundMe.pledgedAmount(id, donor.address)).eq(DONATION_AMOUNT))
+            }
+            assert((await erc20.allowance(donor.address, fundMe.address)).eq(0))
+        })
+    })
+})
@@ -0,0 +1,222 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert, expect } = require('chai')
+const { CampaignClient } = require('../utils/campaignClient')
+const { NO_METADATA, getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+describe('FundMe Extension and Hard Cap Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    const DURATION = 1000
+
+    let erc20, fundMe
+
+    let deployer, donor, donor2
+
+    let maxDuration
+
+    let id, startAt, endAt
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+        maxDuration = await fundMe.maxDuration()
+
+        await erc20.transfer(donor.address, DONATION_AMOUNT)
+        await erc20.transfer(donor2.address, DONATION_AMOUNT)
+        await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT)
+        await erc20.connect(donor2).approve(fundMe.address, DONATION_AMOUNT)
+
+        let currentTime = await getCurrentTime()
+        startAt = currentTime + 5
+        endAt = startAt + DURATION
+        await fundMe.launch(erc20.address, GOAL, startAt, endAt, ...NO_METADATA)
+        id = await fundMe.count()
+    })
+
+    // moves the chain to `time`, the next block is mined at that time
+    const setNextBlockTime = async (time) =>
+    {
+        await network.provider.send("evm_setNextBlockTimestamp", [time])
+    }
+
+    describe('extend', async () =>
+    {
+        it('moves the end of a running campaign and emits an Extend event', async () =>
+        {
+            await increaseTime(100)
+
+            await expect(fundMe.extend(id, endAt + 500)).to.emit(fundMe, 'Extend').withArgs(id, endAt + 500)
+
+            assert((await fundMe.campaigns(id)).endAt === endAt + 500)
+        })
+
+        it('only lets the creator extend', async () =>
+        {
+            await increaseTime(100)
+
+            await expect(fundMe.connect(donor).extend(id, endAt + 500)).to.be.revertedWith('not creator')
+        })
+
+        it('only extends while the campaign runs', async () =>
+        {
+            await expect(fundMe.extend(id, endAt + 500)).to.be.revertedWith('campaign not started')
+
+            await increaseTime(DURATION + 100)
+            await expect(fundMe.extend(id, endAt + 500)).to.be.revertedWith('campaign has ended')
+        })
+
+        it('only moves the end later', async () =>
+        {
+            await increaseTime(100)
+
+            await expect(fundMe.extend(id, endAt)).to.be.revertedWith('end at <= current end at')
+            await expect(fundMe.extend(id, endAt - 1)).to.be.revertedWith('end at <= current end at')
+        })
+
+        it('keeps the campaign within the max duration from its start', async () =>
+        {
+            await increaseTime(100)
+
+            await expect(fundMe.extend(id, startAt + maxDuration + 1)).to.be.revertedWith('end at > max duration')
+
+            await fundMe.extend(id, startAt + maxDuration)
+            assert((await fundMe.campaigns(id)).endAt === startAt + maxDuration)
+        })
+
+        it('rejects a cancelled campaign', async () =>
+        {
+            await fundMe.cancel(id)
+
+            await expect(fundMe.extend(id, endAt + 500)).to.be.revertedWith('campaign cancelled')
+        })
+    })
+
+    describe('extend and the end of a campaign', async () =>
+    {
+        it('lets donors pledge and unpledge until the new end', async () =>
+        {
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await fundMe.extend(id, endAt + 500)
+
+            await setNextBlockTime(endAt + 250)
+            await fundMe.connect(donor).unpledge(id, DONATION_AMOUNT.div(2))
+            await fundMe.connect(donor2).pledge(id, DONATION_AMOUNT)
+
+            await setNextBlockTime(endAt + 501)
+            await expect(fundMe.connect(donor).unpledge(id, DONATION_AMOUNT.div(2))).to.be.revertedWith('campaign has ended')
+        })
+
+        it('makes claim wait for the new end', async () =>
+        {
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await fundMe.connect(donor2).pledge(id, DONATION_AMOUNT)
+            await fundMe.extend(id, endAt + 500)
+
+            await setNextBlockTime(endAt + 1)
+            await expect(fundMe.claim(id)).to.be.revertedWith('campaign has not ended')
+
+            await setNextBlockTime(endAt + 501)
+            await expect(fundMe.claim(id)).to.emit(fundMe, 'Claim')
+        })
+
+        it('makes refund wait for the new end, giving the campaign a chance to reach its goal', async () =>
+        {
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await fundMe.extend(id, endAt + 500)
+
+            await setNextBlockTime(endAt + 1)
+            await expect(fundMe.connect(donor).refund(id)).to.be.revertedWith('campaign has not ended')
+            await fundMe.connect(donor2).pledge(id, DONATION_AMOUNT)
+
+            await increaseTime(1000)
+            await expect(fundMe.connect(donor).refund(id)).to.be.revertedWith('pledged amount reached goal')
+        })
+    })
+
+    describe('setHardCap', async () =>
+    {
+        it('stores the cap and emits a HardCap event', async () =>
+        {
+            await expect(fundMe.setHardCap(id, GOAL)).to.emit(fundMe, 'HardCap').withArgs(id, GOAL)
+
+            assert((await fundMe.campaigns(id)).hardCap.eq(GOAL))
+        })
+
+        it('rejects pledges beyond the cap', async () =>
+        {
+            await fundMe.setHardCap(id, GOAL)
+            await increaseTime(100)
+            await erc20.transfer(donor.address, DONATION_AMOUNT)
+            await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT.mul(2))
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT.mul(2))
+
+            await expect(fundMe.connect(donor2).pledge(id, 1)).to.be.revertedWith('pledged > hard cap')
+        })
+
+        it('makes room again when a donor unpledges', async () =>
+        {
+            await fundMe.setHardCap(id, GOAL)
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await fundMe.connect(donor2).pledge(id, DONATION_AMOUNT)
+            await fundMe.connect(donor).unpledge(id, DONATION_AMOUNT)
+            await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT)
+
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+
+            assert((await fundMe.campaigns(id)).pledged.eq(GOAL))
+        })
+
+        it('rejects a cap below the goal or what is already pledged, and removes it with 0', async () =>
+        {
+            await expect(fundMe.setHardCap(id, GOAL.sub(1))).to.be.revertedWith('hard cap too low')
+
+            await fundMe.setHardCap(id, GOAL.mul(2))
+            await increaseTime(100)
+            await erc20.transfer(donor.address, GOAL.mul(2))
+            await erc20.connect(donor).approve(fundMe.address, GOAL.mul(3))
+            await fundMe.connect(donor).pledge(id, GOAL.mul(3).div(2))
+            await expect(fundMe.setHardCap(id, GOAL)).to.be.revertedWith('hard cap too low')
+
+            await fundMe.setHardCap(id, 0)
+            await fundMe.connect(donor).pledge(id, GOAL)
+        })
+
+        it('only lets the creator cap a campaign that has not ended', async () =>
+        {
+            await expect(fundMe.connect(donor).setHardCap(id, GOAL)).to.be.revertedWith('not creator')
+
+            await increaseTime(DURATION + 100)
+            await expect(fundMe.setHardCap(id, GOAL)).to.be.revertedWith('campaign has ended')
+        })
+    })
+
+    describe('CampaignClient', async () =>
+    {
+        it('extends and caps a campaign', async () =>
+        {
+            const client = new CampaignClient(deployer, fundMe.address)
+            await increaseTime(100)
+
+            await client.extend(id, new Date((endAt + 500) * 1000))
+            await client.setHardCap(id, GOAL)
+
+            const campaign = await client.getCampaign(id)
+            assert(campaign.endAt === endAt + 500)
+            assert(campaign.hardCap.eq(GOAL))
+        })
+    })
+})
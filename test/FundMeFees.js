@@ -0,0 +1,211 @@
+const { ethers, deployments } = require('hardhat')
+const { assert, expect } = require('chai')
+const { CampaignClient } = require('../utils/campaignClient')
+const { NO_METADATA, getCurrentTime, increaseTime, launchRunningCampaign } = require('./helpers/campaigns')
+
+describe('FundMe Fees and Stretch Goals Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    // not a multiple of 10000 so that fees have to be rounded
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.3').add(7)
+
+    const STRETCH_GOALS = [ethers.utils.parseEther('0.4'), ethers.utils.parseEther('0.6'), ethers.utils.parseEther('0.8')]
+
+    let erc20, fundMe
+
+    let deployer, donor, creator, feeRecipient, newFeeRecipient
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        creator = accounts[2]
+        feeRecipient = accounts[3]
+        newFeeRecipient = accounts[4]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+
+        await erc20.transfer(donor.address, DONATION_AMOUNT.mul(4))
+        await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT.mul(4))
+    })
+
+    const feeOf = (amount, feeBps) => amount.mul(feeBps).div(10000)
+
+    describe('setFee', async () =>
+    {
+        it('lets the owner set the fee up to MAX_FEE_BPS', async () =>
+        {
+            const maxFeeBps = await fundMe.MAX_FEE_BPS()
+
+            await expect(fundMe.setFee(maxFeeBps + 1, feeRecipient.address)).to.be.revertedWith('fee too high')
+            await expect(fundMe.setFee(maxFeeBps, feeRecipient.address))
+                .to.emit(fundMe, 'FeeChanged').withArgs(maxFeeBps, feeRecipient.address)
+
+            assert(await fundMe.feeBps() === maxFeeBps)
+            assert(await fundMe.feeRecipient() === feeRecipient.address)
+        })
+
+        it('needs a recipient to charge a fee', async () =>
+        {
+            await expect(fundMe.setFee(100, ethers.constants.AddressZero)).to.be.revertedWith('fee recipient is the zero address')
+            await fundMe.setFee(0, ethers.constants.AddressZero)
+        })
+
+        it('only lets the owner set the fee', async () =>
+        {
+            await expect(fundMe.connect(creator).setFee(100, creator.address)).to.be.revertedWith('not owner')
+        })
+    })
+
+    describe('claim', async () =>
+    {
+        it('sends the fee rounded down to the recipient and the rest to the creator', async () =>
+        {
+            await fundMe.setFee(250, feeRecipient.address)
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await increaseTime(1000)
+            const fee = feeOf(DONATION_AMOUNT, 250)
+            assert(!fee.mul(10000).eq(DONATION_AMOUNT.mul(250)))
+
+            await expect(fundMe.connect(creator).claim(id)).to.emit(fundMe, 'Fee').withArgs(id, feeRecipient.address, fee)
+
+            assert((await erc20.balanceOf(feeRecipient.address)).eq(fee))
+            assert((await erc20.balanceOf(creator.address)).eq(DONATION_AMOUNT.sub(fee)))
+            assert((await erc20.balanceOf(fundMe.address)).eq(0))
+        })
+
+        it('charges the fee set when the campaign was launched', async () =>
+        {
+            await fundMe.setFee(500, feeRecipient.address)
+            const first = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.setFee(100, newFeeRecipient.address)
+            const second = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            assert((await fundMe.campaigns(first)).feeBps === 500)
+            assert((await fundMe.campaigns(second)).feeBps === 100)
+            await fundMe.connect(donor).pledge(first, DONATION_AMOUNT)
+            await fundMe.connect(donor).pledge(second, DONATION_AMOUNT)
+            await increaseTime(1000)
+
+            await fundMe.connect(creator).claim(first)
+            await fundMe.connect(creator).claim(second)
+
+            const fees = feeOf(DONATION_AMOUNT, 500).add(feeOf(DONATION_AMOUNT, 100))
+            assert((await erc20.balanceOf(newFeeRecipient.address)).eq(fees))
+            assert((await erc20.balanceOf(creator.address)).eq(DONATION_AMOUNT.mul(2).sub(fees)))
+        })
+
+        it('pays the creator in full without a fee or without a recipient', async () =>
+        {
+            const free = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.setFee(500, feeRecipient.address)
+            const charged = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.setFee(0, ethers.constants.AddressZero)
+            await fundMe.connect(donor).pledge(free, DONATION_AMOUNT)
+            await fundMe.connect(donor).pledge(charged, DONATION_AMOUNT)
+            await increaseTime(1000)
+
+            await expect(fundMe.connect(creator).claim(free)).not.to.emit(fundMe, 'Fee')
+            await expect(fundMe.connect(creator).claim(charged)).not.to.emit(fundMe, 'Fee')
+
+            assert((await erc20.balanceOf(creator.address)).eq(DONATION_AMOUNT.mul(2)))
+        })
+
+        it('charges the fee on every milestone release', async () =>
+        {
+            await fundMe.setFee(300, feeRecipient.address)
+            let currentTime = await getCurrentTime()
+            await fundMe.connect(creator).launchWithMilestones(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA, [30, 70])
+            const id = await fundMe.count()
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await increaseTime(1000)
+
+            for (let milestone = 0; milestone < 2; milestone++)
+            {
+                await fundMe.connect(creator).requestRelease(id)
+                await fundMe.connect(donor).vote(id, true)
+                await increaseTime((await fundMe.VOTING_PERIOD()) + 1)
+                await fundMe.finalizeRelease(id)
+            }
+
+            const first = DONATION_AMOUNT.mul(30).div(100)
+            const fees = feeOf(first, 300).add(feeOf(DONATION_AMOUNT.sub(first), 300))
+            assert((await erc20.balanceOf(feeRecipient.address)).eq(fees))
+            assert((await erc20.balanceOf(creator.address)).eq(DONATION_AMOUNT.sub(fees)))
+            assert((await erc20.balanceOf(fundMe.address)).eq(0))
+        })
+    })
+
+    describe('stretch goals', async () =>
+    {
+        it('announces each stretch goal once when pledges cross it', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await expect(fundMe.connect(creator).setStretchGoals(id, STRETCH_GOALS)).to.emit(fundMe, 'StretchGoals')
+
+            await expect(fundMe.connect(donor).pledge(id, DONATION_AMOUNT)).not.to.emit(fundMe, 'StretchGoalReached')
+            await expect(fundMe.connect(donor).pledge(id, DONATION_AMOUNT))
+                .to.emit(fundMe, 'StretchGoalReached').withArgs(id, 0, STRETCH_GOALS[0])
+                .and.to.emit(fundMe, 'StretchGoalReached').withArgs(id, 1, STRETCH_GOALS[1])
+
+            await fundMe.connect(donor).unpledge(id, DONATION_AMOUNT)
+            await expect(fundMe.connect(donor).pledge(id, DONATION_AMOUNT)).not.to.emit(fundMe, 'StretchGoalReached')
+
+            assert((await fundMe.stretchGoalsReached(id)).eq(2))
+            assert.deepEqual((await fundMe.stretchGoals(id)).map(String), STRETCH_GOALS.map(String))
+        })
+
+        it('only accepts increasing stretch goals above the goal and what is pledged', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            const tooMany = Array.from({ length: 11 }, (_, i) => GOAL.mul(i + 2))
+
+            await expect(fundMe.connect(creator).setStretchGoals(id, [GOAL])).to.be.revertedWith('stretch goals must increase')
+            await expect(fundMe.connect(creator).setStretchGoals(id, [STRETCH_GOALS[1], STRETCH_GOALS[0]])).to.be.revertedWith('stretch goals must increase')
+            await expect(fundMe.connect(creator).setStretchGoals(id, tooMany)).to.be.revertedWith('too many stretch goals')
+            await expect(fundMe.connect(donor).setStretchGoals(id, STRETCH_GOALS)).to.be.revertedWith('not creator')
+
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT.mul(2))
+            await expect(fundMe.connect(creator).setStretchGoals(id, STRETCH_GOALS)).to.be.revertedWith('stretch goals must increase')
+            await increaseTime(1000)
+            await expect(fundMe.connect(creator).setStretchGoals(id, [])).to.be.revertedWith('campaign has ended')
+        })
+
+        it('starts over with new stretch goals', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(creator).setStretchGoals(id, [STRETCH_GOALS[0]])
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT.mul(2))
+
+            await fundMe.connect(creator).setStretchGoals(id, [STRETCH_GOALS[2]])
+            assert((await fundMe.stretchGoalsReached(id)).eq(0))
+
+            await expect(fundMe.connect(donor).pledge(id, DONATION_AMOUNT))
+                .to.emit(fundMe, 'StretchGoalReached').withArgs(id, 0, STRETCH_GOALS[2])
+        })
+    })
+
+    describe('CampaignClient', async () =>
+    {
+        it('sets the fee and the stretch goals', async () =>
+        {
+            const ownerClient = new CampaignClient(deployer, fundMe.address)
+            const creatorClient = new CampaignClient(creator, fundMe.address)
+
+            await ownerClient.setFee(150, feeRecipient.address)
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await creatorClient.setStretchGoals(id, STRETCH_GOALS)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT.mul(2))
+
+            assert((await creatorClient.getCampaign(id)).feeBps === 150)
+            const { amounts, reached } = await creatorClient.getStretchGoals(id)
+            assert.deepEqual(amounts.map(String), STRETCH_GOALS.map(String))
+            assert(reached === 2)
+        })
+    })
+})
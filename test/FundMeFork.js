@@ -0,0 +1,192 @@
+const path = require('path')
+const fs = require('fs')
+const { ethers, network } = require('hardhat')
+const { assert, expect } = require('chai')
+const { ERC20_ABI } = require('../utils/abi')
+const { MAX_DURATION } = require('../helper-hardhat-config')
+const { FORK_BLOCK, FORK_TOKENS } = require('./helpers/forkTokens')
+const { startRecordingProxy, saveState, readState, loadState } = require('./helpers/forkState')
+const { increaseTime, launchRunningCampaign } = require('./helpers/campaigns')
+
+// FORK_RECORD=true forks mainnet at FORK_BLOCK through MAINNET_RPC_URL and records the state the tests read,
+// otherwise the committed recording is replayed without an RPC. FORK_TESTS=true fails when it is missing
+// instead of skipping the tests.
+const FIXTURE = path.join(__dirname, 'fixtures', 'mainnet-fork.json')
+const RECORD = process.env.FORK_RECORD === 'true'
+const REPLAY = process.env.FORK_TESTS === 'true' || fs.existsSync(FIXTURE)
+
+const describeFork = RECORD || REPLAY ? describe : describe.skip
+
+describeFork('FundMe Mainnet Fork Tests', async () =>
+{
+    let fundMe, proxy, initialSnapshot, snapshot
+
+    let deployer, donor, donor2
+
+    const units = (token, amount) => ethers.utils.parseUnits(String(amount), token.decimals)
+
+    const impersonate = async (address) =>
+    {
+        await network.provider.send("hardhat_impersonateAccount", [address])
+        await network.provider.send("hardhat_setBalance", [address, ethers.utils.hexValue(ethers.utils.parseEther('10'))])
+        return ethers.getSigner(address)
+    }
+
+    before(async () =>
+    {
+        if (RECORD)
+        {
+            if (!process.env.MAINNET_RPC_URL) throw new Error('FORK_RECORD needs MAINNET_RPC_URL')
+            proxy = await startRecordingProxy(process.env.MAINNET_RPC_URL, FORK_BLOCK)
+            await network.provider.request({
+                method: 'hardhat_reset',
+                params: [{ forking: { jsonRpcUrl: proxy.url, blockNumber: FORK_BLOCK } }],
+            })
+        }
+        else
+        {
+            if (!fs.existsSync(FIXTURE)) throw new Error(`${FIXTURE} is missing, record it with FORK_RECORD=true and MAINNET_RPC_URL set`)
+            initialSnapshot = await network.provider.send("evm_snapshot")
+            await loadState(network.provider, readState(FIXTURE))
+        }
+
+        // fresh accounts, the default Hardhat ones may hold tokens on mainnet
+        const accounts = ['deployer', 'donor', 'donor2'].map((name) => new ethers.Wallet(ethers.utils.id(`FundMe fork ${name}`), ethers.provider))
+        for (const account of accounts)
+        {
+            await network.provider.send("hardhat_setBalance", [account.address, ethers.utils.hexValue(ethers.utils.parseEther('10'))])
+        }
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+
+        const FundMe = await ethers.getContractFactory('FundMe', deployer)
+        fundMe = await FundMe.deploy(FORK_TOKENS.map((token) => token.address), MAX_DURATION)
+
+        for (const token of FORK_TOKENS)
+        {
+            const erc20 = new ethers.Contract(token.address, ERC20_ABI, await impersonate(token.holder))
+            const amount = units(token, 1000)
+            if ((await erc20.balanceOf(token.holder)).lt(amount.mul(2)))
+            {
+                throw new Error(`${token.holder} holds too little ${token.symbol} at block ${FORK_BLOCK}, pick another holder in test/helpers/forkTokens.js`)
+            }
+            for (const account of [donor, donor2])
+            {
+                await erc20.transfer(account.address, amount)
+                await erc20.connect(account).approve(fundMe.address, amount)
+            }
+        }
+        snapshot = await network.provider.send("evm_snapshot")
+    })
+
+    beforeEach(async () =>
+    {
+        await network.provider.send("evm_revert", [snapshot])
+        snapshot = await network.provider.send("evm_snapshot")
+    })
+
+    after(async () =>
+    {
+        if (proxy)
+        {
+            saveState(FIXTURE, proxy.state)
+            await proxy.close()
+            await network.provider.request({ method: 'hardhat_reset', params: [] })
+        }
+        else if (initialSnapshot)
+        {
+            await network.provider.send("evm_revert", [initialSnapshot])
+        }
+    })
+
+    for (const token of FORK_TOKENS)
+    {
+        describe(token.symbol, async () =>
+        {
+            let erc20
+
+            beforeEach(async () =>
+            {
+                erc20 = new ethers.Contract(token.address, ERC20_ABI, deployer)
+            })
+
+            // launches a campaign that has already started and returns its id
+            const blocklist = async (account) =>
+            {
+                const readable = new ethers.Contract(token.address, token.blocklist.abi, ethers.provider)
+                const admin = await impersonate(await readable[token.blocklist.admin]())
+                await readable.connect(admin)[token.blocklist.block](account)
+                assert(await readable[token.blocklist.isBlocked](account))
+            }
+
+            it('has the decimals FundMe amounts are given in', async () =>
+            {
+                assert(await erc20.decimals() === token.decimals)
+            })
+
+            it('pays the creator of a successful campaign', async () =>
+            {
+                const id = await launchRunningCampaign(fundMe, token.address, units(token, 100))
+                await fundMe.connect(donor).pledge(id, units(token, 60))
+                await fundMe.connect(donor2).pledge(id, units(token, 60))
+                await fundMe.connect(donor2).unpledge(id, units(token, 20))
+                assert((await erc20.balanceOf(donor2.address)).eq(units(token, 960)))
+                await increaseTime(1000)
+                const balance = await erc20.balanceOf(deployer.address)
+
+                await fundMe.claim(id)
+
+                assert((await erc20.balanceOf(deployer.address)).eq(balance.add(units(token, 100))))
+                assert((await erc20.balanceOf(fundMe.address)).eq(0))
+            })
+
+            it('refunds the donors of a failed campaign', async () =>
+            {
+                const id = await launchRunningCampaign(fundMe, token.address, units(token, 500))
+                await fundMe.connect(donor).pledge(id, units(token, 100))
+                await fundMe.connect(donor2).pledge(id, units(token, 1.5))
+                await increaseTime(1000)
+
+                await fundMe.connect(donor).refund(id)
+                await fundMe.connect(donor2).refund(id)
+
+                assert((await erc20.balanceOf(donor.address)).eq(units(token, 1000)))
+                assert((await erc20.balanceOf(donor2.address)).eq(units(token, 1000)))
+                assert((await erc20.balanceOf(fundMe.address)).eq(0))
+            })
+
+            it('rejects pledges from a blocklisted donor', async () =>
+            {
+                const id = await launchRunningCampaign(fundMe, token.address, units(token, 100))
+                await blocklist(donor.address)
+
+                await expect(fundMe.connect(donor).pledge(id, units(token, 10))).to.be.reverted
+
+                assert((await fundMe.pledgedAmount(id, donor.address)).eq(0))
+            })
+
+            it(`${token.blocklist.blocksRecipients ? 'cannot refund' : 'still refunds'} a donor blocklisted after pledging`, async () =>
+            {
+                const id = await launchRunningCampaign(fundMe, token.address, units(token, 500))
+                await fundMe.connect(donor).pledge(id, units(token, 100))
+                await fundMe.connect(donor2).pledge(id, units(token, 100))
+                await increaseTime(1000)
+                await blocklist(donor.address)
+
+                if (token.blocklist.blocksRecipients)
+                {
+                    await expect(fundMe.connect(donor).refund(id)).to.be.reverted
+                    assert((await fundMe.pledgedAmount(id, donor.address)).eq(units(token, 100)))
+                }
+                else
+                {
+                    await fundMe.connect(donor).refund(id)
+                    assert((await erc20.balanceOf(donor.address)).eq(units(token, 1000)))
+                }
+                await fundMe.connect(donor2).refund(id)
+                assert((await erc20.balanceOf(donor2.address)).eq(units(token, 1000)))
+            })
+        })
+    }
+})
@@ -0,0 +1,164 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert, expect } = require('chai')
+const { signIntent, intentDomain, intentDigest } = require('../utils/intents')
+const { CampaignClient } = require('../utils/campaignClient')
+const { NO_METADATA, getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+describe('FundMe Intents Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    let erc20, fundMe
+
+    let deployer, donor, donor2, relayer
+
+    let id
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+        relayer = accounts[3]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+
+        await erc20.transfer(donor.address, DONATION_AMOUNT)
+        await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT)
+
+        let currentTime = await getCurrentTime()
+        await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA)
+        id = await fundMe.count()
+        await increaseTime(100)
+    })
+
+    // signs an intent of `signer` for FundMe, valid for an hour unless another deadline is given
+    const intentOf = async (signer, intent) =>
+    {
+        return signIntent(signer, {
+            fundMeAddress: fundMe.address,
+            deadline: (await getCurrentTime()) + 3600,
+            ...intent,
+        })
+    }
+
+    // sends a pledge or unpledge intent from the relayer account
+    const relay = (method, { donor, id, amount, nonce, deadline, signature }) =>
+        fundMe.connect(relayer)[method](donor, id, amount, nonce, deadline, signature)
+
+    describe('pledgeBySig', async () =>
+    {
+        it('pledges the tokens of the donor while the relayer pays the gas', async () =>
+        {
+            const intent = await intentOf(donor, { action: 'pledge', id, amount: DONATION_AMOUNT, nonce: 7 })
+            const ethBalance = await ethers.provider.getBalance(donor.address)
+
+            await expect(relay('pledgeBySig', intent))
+                .to.emit(fundMe, 'Pledge').withArgs(id, donor.address, DONATION_AMOUNT)
+                .and.to.emit(fundMe, 'IntentNonceUsed').withArgs(donor.address, 7)
+
+            assert((await fundMe.pledgedAmount(id, donor.address)).eq(DONATION_AMOUNT))
+            assert((await fundMe.pledgedAmount(id, relayer.address)).eq(0))
+            assert((await ethers.provider.getBalance(donor.address)).eq(ethBalance))
+            assert(await fundMe.intentNonceUsed(donor.address, 7))
+        })
+
+        it('signs in the domain FundMe checks against', async () =>
+        {
+            const domain = await intentDomain(ethers.provider, fundMe.address)
+            const intent = await intentOf(donor, { action: 'pledge', id, amount: 1 })
+
+            assert(await fundMe.DOMAIN_SEPARATOR() === ethers.utils._TypedDataEncoder.hashDomain(domain))
+            assert(intentDigest(domain, intent) !== intentDigest(domain, { ...intent, action: 'unpledge' }))
+        })
+
+        it('rejects a replayed intent, whatever the order nonces are used in', async () =>
+        {
+            const first = await intentOf(donor, { action: 'pledge', id, amount: 1, nonce: 2 })
+            const second = await intentOf(donor, { action: 'pledge', id, amount: 1, nonce: 1 })
+            await relay('pledgeBySig', first)
+            await relay('pledgeBySig', second)
+
+            await expect(relay('pledgeBySig', first)).to.be.revertedWith('intent nonce used')
+            assert((await fundMe.pledgedAmount(id, donor.address)).eq(2))
+        })
+
+        it('rejects an expired intent', async () =>
+        {
+            const intent = await intentOf(donor, { action: 'pledge', id, amount: 1, deadline: (await getCurrentTime()) - 1 })
+
+            await expect(relay('pledgeBySig', intent)).to.be.revertedWith('intent expired')
+        })
+
+        it('rejects an intent signed by someone else than the donor or for other terms', async () =>
+        {
+            const intent = await intentOf(donor2, { action: 'pledge', id, amount: 1 })
+
+            await expect(relay('pledgeBySig', { ...intent, donor: donor.address })).to.be.revertedWith('invalid signature')
+            const signed = await intentOf(donor, { action: 'pledge', id, amount: 1 })
+            await expect(relay('pledgeBySig', { ...signed, amount: 2 })).to.be.revertedWith('invalid signature')
+            await expect(relay('unpledgeBySig', signed)).to.be.revertedWith('invalid signature')
+        })
+
+        it('checks the campaign like pledge does', async () =>
+        {
+            const missing = await intentOf(donor, { action: 'pledge', id: id.add(1), amount: 1 })
+            await expect(relay('pledgeBySig', missing)).to.be.revertedWith('campaign does not exist')
+
+            const intent = await intentOf(donor, { action: 'pledge', id, amount: 1 })
+            await fundMe.pause()
+            await expect(relay('pledgeBySig', intent)).to.be.revertedWith('Pausable: paused')
+            await fundMe.unpause()
+            await network.provider.send("evm_increaseTime", [1000])
+            await expect(relay('pledgeBySig', intent)).to.be.revertedWith('campaign has ended')
+        })
+    })
+
+    describe('unpledgeBySig and refundBySig', async () =>
+    {
+        beforeEach(async () =>
+        {
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+        })
+
+        it('sends the unpledged tokens to the donor', async () =>
+        {
+            const intent = await intentOf(donor, { action: 'unpledge', id, amount: DONATION_AMOUNT.div(2) })
+
+            await expect(relay('unpledgeBySig', intent)).to.emit(fundMe, 'Unpledge').withArgs(id, donor.address, DONATION_AMOUNT.div(2))
+
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT.div(2)))
+            assert((await erc20.balanceOf(relayer.address)).eq(0))
+        })
+
+        it('refunds the donor from a failed campaign', async () =>
+        {
+            const intent = await intentOf(donor, { action: 'refund', id, deadline: (await getCurrentTime()) + 5000 })
+            await network.provider.send("evm_increaseTime", [1000])
+
+            await expect(fundMe.connect(relayer).refundBySig(intent.donor, intent.id, intent.nonce, intent.deadline, intent.signature))
+                .to.emit(fundMe, 'Refund').withArgs(id, donor.address, DONATION_AMOUNT)
+
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT))
+        })
+    })
+
+    describe('cancelIntent', async () =>
+    {
+        it('keeps relayers from sending an intent the donor cancelled', async () =>
+        {
+            const client = new CampaignClient(donor, fundMe.address)
+            const intent = await client.signIntent({ action: 'pledge', id, amount: 1 })
+
+            await client.cancelIntent(intent.nonce)
+
+            await expect(relay('pledgeBySig', intent)).to.be.revertedWith('intent nonce used')
+            await expect(fundMe.connect(donor).cancelIntent(intent.nonce)).to.be.revertedWith('intent nonce used')
+        })
+    })
+})
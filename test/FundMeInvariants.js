@@ -0,0 +1,107 @@
+const path = require('path')
+const { ethers } = require('hardhat')
+const { assert } = require('chai')
+const {
+    createRandom,
+    generateSequence,
+    runSequence,
+    shrink,
+    saveFailure,
+    loadFailures
+} = require('./helpers/invariantHarness')
+
+// the seed is fixed so every run checks the same sequences, FUZZ_SEED explores others
+// and FUZZ_RUNS and FUZZ_STEPS make a run longer
+const SEED = Number(process.env.FUZZ_SEED || 1)
+const RUNS = Number(process.env.FUZZ_RUNS || 5)
+const STEPS = Number(process.env.FUZZ_STEPS || 30)
+
+// shrunk failing sequences are saved here and replayed by every later run
+const FAILURES_DIR = path.join(__dirname, 'invariant-failures')
+
+describe('FundMe Invariant Tests', async () =>
+{
+    describe(`random sequences (seed ${SEED})`, async () =>
+    {
+        for (let run = 0; run < RUNS; run++)
+        {
+            it(`keeps the invariants over ${STEPS} random steps (run ${run})`, async () =>
+            {
+                const seed = SEED + run
+                const sequence = generateSequence(createRandom(seed), STEPS)
+
+                const failure = await runSequence(sequence)
+                if (failure)
+                {
+                    const shrunk = await shrink(sequence)
+                    const filePath = saveFailure(FAILURES_DIR, `seed-${seed}`, { seed, ...shrunk })
+                    assert.fail(`${shrunk.failure.message}\nminimal sequence of ${shrunk.sequence.length} steps saved to ${filePath}`)
+                }
+            })
+        }
+    })
+
+    describe('saved failures', async () =>
+    {
+        for (const { file, sequence } of loadFailures(FAILURES_DIR))
+        {
+            it(`no longer fails ${file}`, async () =>
+            {
+                const failure = await runSequence(sequence)
+                assert(!failure, failure && failure.message)
+            })
+        }
+    })
+
+    describe('harness', async () =>
+    {
+        // an invariant that the first successful pledge breaks
+        const nothingPledged = ({ campaigns }) =>
+        {
+            const pledged = campaigns.find(({ campaign }) => !campaign.pledged.isZero())
+            if (pledged)
+            {
+                return `campaign ${pledged.id} has tokens pledged`
+            }
+        }
+
+        it('generates the same sequence for the same seed', async () =>
+        {
+            assert.deepEqual(generateSequence(createRandom(42), 20), generateSequence(createRandom(42), 20))
+        })
+
+        it('fails on errors that are not reverts', async () =>
+        {
+            const sequence = [
+                { type: 'launch', signer: 0, goal: '1', startIn: 5, duration: 1000 },
+                { type: 'notAFunction', signer: 0, id: 1 },
+            ]
+
+            let error
+            await runSequence(sequence).catch((e) => (error = e))
+
+            assert(error instanceof TypeError)
+        })
+
+        it('shrinks a failing sequence to a minimal reproduction', async () =>
+        {
+            const sequence = [
+                { type: 'time', seconds: 10 },
+                { type: 'launch', signer: 0, goal: ethers.utils.parseEther('1').toString(), startIn: 5, duration: 1000 },
+                { type: 'pledge', signer: 1, id: 2, amount: '100' },
+                { type: 'launch', signer: 2, goal: '1', startIn: 5, duration: 1000 },
+                { type: 'time', seconds: 100 },
+                { type: 'refund', signer: 1, id: 1 },
+                { type: 'pledge', signer: 1, id: 1, amount: '100' },
+                { type: 'time', seconds: 10 },
+                { type: 'unpledge', signer: 1, id: 1, amount: '100' },
+            ]
+
+            const { sequence: shrunk, failure } = await shrink(sequence, [nothingPledged])
+
+            assert(failure.message === 'campaign 1 has tokens pledged')
+            assert.deepEqual(shrunk.map((action) => action.type), ['launch', 'time', 'pledge'])
+            assert(await runSequence(shrunk, [nothingPledged]))
+        })
+    })
+})
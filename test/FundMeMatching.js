@@ -0,0 +1,382 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert, expect } = require('chai')
+const { CampaignClient } = require('../utils/campaignClient')
+const { CampaignIndexer } = require('../utils/campaignIndexer')
+const { NO_METADATA, getCurrentTime, increaseTime, launchRunningCampaign } = require('./helpers/campaigns')
+
+describe('FundMe Matching Pools Unit Tests', async () =>
+{
+    const tokens = (amount) => ethers.utils.parseEther(String(amount))
+
+    const GOAL = tokens(10)
+
+    // 1:1 matching, in basis points
+    const ONE_TO_ONE = 10000
+
+    let erc20, fundMe
+
+    let deployer, donor, donor2, buyer, creator, sponsor
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+        buyer = accounts[3]
+        creator = accounts[4]
+        sponsor = accounts[5]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+
+        for (const account of [donor, donor2, buyer, sponsor])
+        {
+            await erc20.transfer(account.address, tokens(100))
+            await erc20.connect(account).approve(fundMe.address, tokens(100))
+        }
+    })
+
+    // checks the matching accounting of campaign `id`, the only campaign, against every donor
+    const checkAccounting = async (id) =>
+    {
+        const campaign = await fundMe.campaigns(id)
+        const pool = await fundMe.matchingPools(id)
+        let pledged = ethers.BigNumber.from(0)
+        let matched = ethers.BigNumber.from(0)
+        for (const account of [donor, donor2, buyer])
+        {
+            const donorPledged = await fundMe.pledgedAmount(id, account.address)
+            const donorMatched = await fundMe.matchedAmount(id, account.address)
+            assert(donorMatched.lte(donorPledged.mul(pool.ratioBps).div(10000)), `${account.address} is matched beyond the ratio`)
+            pledged = pledged.add(donorPledged)
+            matched = matched.add(donorMatched)
+        }
+        assert(pool.matched.eq(matched), `the pool matched ${pool.matched} but donors have ${matched} matched`)
+        assert(pool.matched.lte(pool.deposit))
+        assert(campaign.pledged.eq(pledged.add(pool.matched)))
+        assert((await erc20.balanceOf(fundMe.address)).eq(pledged.add(pool.deposit).sub(pool.returned)))
+    }
+
+    describe('fundMatching', async () =>
+    {
+        it('takes the deposit and records the pool', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+
+            await expect(fundMe.connect(sponsor).fundMatching(id, tokens(10), ONE_TO_ONE))
+                .to.emit(fundMe, 'MatchingFunded').withArgs(id, sponsor.address, tokens(10), ONE_TO_ONE)
+
+            const pool = await fundMe.matchingPools(id)
+            assert(pool.sponsor === sponsor.address && pool.ratioBps === ONE_TO_ONE)
+            assert(pool.deposit.eq(tokens(10)) && pool.matched.eq(0) && pool.returned.eq(0))
+            assert((await erc20.balanceOf(fundMe.address)).eq(tokens(10)))
+        })
+
+        it('gives a campaign a single pool while it has not ended', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+
+            await expect(fundMe.connect(sponsor).fundMatching(id, 0, ONE_TO_ONE)).to.be.revertedWith('invalid matching')
+            await expect(fundMe.connect(sponsor).fundMatching(id, tokens(1), 0)).to.be.revertedWith('invalid matching')
+            await expect(fundMe.connect(sponsor).fundMatching(id + 1, tokens(1), ONE_TO_ONE)).to.be.revertedWith('campaign does not exist')
+            await fundMe.connect(sponsor).fundMatching(id, tokens(1), ONE_TO_ONE)
+            await expect(fundMe.connect(buyer).fundMatching(id, tokens(1), ONE_TO_ONE)).to.be.revertedWith('campaign already matched')
+
+            const other = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await increaseTime(1000)
+            await expect(fundMe.connect(sponsor).fundMatching(other, tokens(1), ONE_TO_ONE)).to.be.revertedWith('campaign has ended')
+        })
+
+        it('is stopped by a pause', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.pause()
+
+            await expect(fundMe.connect(sponsor).fundMatching(id, tokens(1), ONE_TO_ONE)).to.be.revertedWith('Pausable: paused')
+        })
+    })
+
+    describe('matching pledges', async () =>
+    {
+        it('matches pledges at the ratio until the pool runs out and counts them toward the goal', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(sponsor).fundMatching(id, tokens(4), 2 * ONE_TO_ONE)
+
+            await expect(fundMe.connect(donor).pledge(id, tokens(1)))
+                .to.emit(fundMe, 'Matched').withArgs(id, donor.address, tokens(2))
+            await expect(fundMe.connect(donor2).pledge(id, tokens(3)))
+                .to.emit(fundMe, 'Matched').withArgs(id, donor2.address, tokens(2))
+            await expect(fundMe.connect(donor).pledge(id, tokens(2))).not.to.emit(fundMe, 'Matched')
+
+            assert((await fundMe.campaigns(id)).pledged.eq(GOAL))
+            assert((await fundMe.matchedAmount(id, donor.address)).eq(tokens(2)))
+            assert((await fundMe.matchedAmount(id, donor2.address)).eq(tokens(2)))
+            await checkAccounting(id)
+
+            await increaseTime(1000)
+            await expect(fundMe.connect(donor).refund(id)).to.be.revertedWith('pledged amount reached goal')
+        })
+
+        it('does not match the pledges made before the pool', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, tokens(1))
+            await fundMe.connect(sponsor).fundMatching(id, tokens(4), ONE_TO_ONE)
+
+            assert((await fundMe.matchedAmount(id, donor.address)).eq(0))
+            await checkAccounting(id)
+        })
+
+        it('reverses the matching on unpledge', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(sponsor).fundMatching(id, tokens(10), ONE_TO_ONE)
+            await fundMe.connect(donor).pledge(id, tokens(4))
+
+            await expect(fundMe.connect(donor).unpledge(id, tokens(1)))
+                .to.emit(fundMe, 'Unmatched').withArgs(id, donor.address, tokens(1))
+            assert((await fundMe.campaigns(id)).pledged.eq(tokens(6)))
+            await checkAccounting(id)
+
+            await fundMe.connect(donor).unpledge(id, tokens(3))
+            assert((await fundMe.campaigns(id)).pledged.eq(0))
+            assert((await fundMe.matchingPools(id)).matched.eq(0))
+            assert((await erc20.balanceOf(donor.address)).eq(tokens(100)))
+        })
+
+        it('only unmatches what the rest of a partly matched pledge no longer gets', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(sponsor).fundMatching(id, tokens(2), ONE_TO_ONE)
+            await fundMe.connect(donor).pledge(id, tokens(5))
+
+            await expect(fundMe.connect(donor).unpledge(id, tokens(3))).not.to.emit(fundMe, 'Unmatched')
+            await expect(fundMe.connect(donor).unpledge(id, tokens(1.5)))
+                .to.emit(fundMe, 'Unmatched').withArgs(id, donor.address, tokens(1.5))
+
+            assert((await fundMe.matchedAmount(id, donor.address)).eq(tokens(0.5)))
+            await checkAccounting(id)
+        })
+
+        it('keeps the accounting across interleaved pledges and unpledges', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(sponsor).fundMatching(id, tokens(5), ONE_TO_ONE)
+            const steps = [
+                [donor, 'pledge', 3],
+                [donor2, 'pledge', 4],
+                [donor, 'unpledge', 2],
+                [buyer, 'pledge', 3],
+                [donor2, 'unpledge', 4],
+                [donor, 'pledge', 1.25],
+                [buyer, 'unpledge', 0.5],
+                [donor2, 'pledge', 7],
+            ]
+
+            for (const [account, method, amount] of steps)
+            {
+                await fundMe.connect(account)[method](id, tokens(amount))
+                await checkAccounting(id)
+            }
+
+            // what unpledges gave back to the pool was matched to buyer, donor and donor2 in turn
+            assert((await fundMe.matchedAmount(id, donor.address)).eq(tokens(2.25)))
+            assert((await fundMe.matchedAmount(id, donor2.address)).eq(tokens(0.75)))
+            assert((await fundMe.matchedAmount(id, buyer.address)).eq(tokens(2)))
+        })
+
+        it('keeps the accounting when pledges and unpledges race in the same block', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(sponsor).fundMatching(id, tokens(5), ONE_TO_ONE)
+            await fundMe.connect(donor).pledge(id, tokens(4))
+
+            await network.provider.send('evm_setAutomine', [false])
+            try
+            {
+                const sent = [
+                    await fundMe.connect(donor2).pledge(id, tokens(3), { gasLimit: 500000 }),
+                    await fundMe.connect(donor).unpledge(id, tokens(3), { gasLimit: 500000 }),
+                    await fundMe.connect(buyer).pledge(id, tokens(2), { gasLimit: 500000 }),
+                ]
+                await network.provider.send('evm_mine')
+                const receipts = await Promise.all(sent.map((tx) => tx.wait()))
+                assert(new Set(receipts.map((receipt) => receipt.blockNumber)).size === 1)
+            }
+            finally
+            {
+                await network.provider.send('evm_setAutomine', [true])
+            }
+
+            // mined in the order sent: donor2 takes the last token of the pool, buyer gets what donor gave back
+            await checkAccounting(id)
+            assert((await fundMe.matchingPools(id)).matched.eq(tokens(4)))
+            assert((await fundMe.matchedAmount(id, buyer.address)).eq(tokens(2)))
+        })
+
+        it('never takes the campaign beyond its hard cap', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(creator).setHardCap(id, GOAL)
+            await fundMe.connect(sponsor).fundMatching(id, tokens(10), ONE_TO_ONE)
+
+            await fundMe.connect(donor).pledge(id, tokens(6))
+            assert((await fundMe.matchedAmount(id, donor.address)).eq(tokens(4)))
+            assert((await fundMe.campaigns(id)).pledged.eq(GOAL))
+
+            await expect(fundMe.connect(donor2).pledge(id, 1)).to.be.revertedWith('pledged > hard cap')
+        })
+
+        it('moves the matching along with a transferred pledge receipt', async () =>
+        {
+            const receipts = await ethers.getContract('PledgeReceipts', deployer)
+            await fundMe.setPledgeReceipts(receipts.address)
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(sponsor).fundMatching(id, tokens(10), ONE_TO_ONE)
+            await fundMe.connect(donor).pledge(id, tokens(2))
+
+            await receipts.connect(donor).transferFrom(donor.address, buyer.address, 1)
+
+            assert((await fundMe.matchedAmount(id, donor.address)).eq(0))
+            assert((await fundMe.matchedAmount(id, buyer.address)).eq(tokens(2)))
+            await expect(fundMe.connect(buyer).unpledge(id, tokens(1)))
+                .to.emit(fundMe, 'Unmatched').withArgs(id, buyer.address, tokens(1))
+            await checkAccounting(id)
+        })
+    })
+
+    describe('returning the pool', async () =>
+    {
+        it('returns what was not matched when the campaign is claimed', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, tokens(5))
+            await fundMe.connect(sponsor).fundMatching(id, tokens(10), ONE_TO_ONE / 2)
+            await fundMe.connect(donor).pledge(id, tokens(8))
+            await increaseTime(1000)
+
+            await expect(fundMe.connect(creator).claim(id))
+                .to.emit(fundMe, 'MatchingReturned').withArgs(id, sponsor.address, tokens(6))
+
+            assert((await erc20.balanceOf(creator.address)).eq(tokens(12)))
+            assert((await erc20.balanceOf(sponsor.address)).eq(tokens(96)))
+            assert((await erc20.balanceOf(fundMe.address)).eq(0))
+            await expect(fundMe.returnMatching(id)).to.be.revertedWith('nothing to return')
+        })
+
+        it('returns the whole pool of a failed campaign and refunds donors only what they pledged', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(sponsor).fundMatching(id, tokens(2), ONE_TO_ONE)
+            await fundMe.connect(donor).pledge(id, tokens(3))
+            await fundMe.connect(donor2).pledge(id, tokens(1))
+
+            await expect(fundMe.returnMatching(id)).to.be.revertedWith('nothing to return')
+            await increaseTime(1000)
+
+            await expect(fundMe.connect(donor).refund(id)).to.emit(fundMe, 'Refund').withArgs(id, donor.address, tokens(3))
+            assert((await fundMe.matchingReturnable(id)).eq(tokens(2)))
+            // anyone can send the sponsor the pool back
+            await expect(fundMe.connect(buyer).returnMatching(id))
+                .to.emit(fundMe, 'MatchingReturned').withArgs(id, sponsor.address, tokens(2))
+            await fundMe.connect(donor2).refund(id)
+
+            for (const account of [donor, donor2, sponsor])
+            {
+                assert((await erc20.balanceOf(account.address)).eq(tokens(100)))
+            }
+            assert((await erc20.balanceOf(fundMe.address)).eq(0))
+            await expect(fundMe.connect(donor).refund(id)).to.be.revertedWith('nothing to refund')
+            await expect(fundMe.returnMatching(id)).to.be.revertedWith('nothing to return')
+        })
+
+        it('returns the pool of a cancelled campaign', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            await fundMe.connect(creator).launch(erc20.address, GOAL, currentTime + 100, currentTime + 1000, ...NO_METADATA)
+            const id = await fundMe.count()
+            await fundMe.connect(sponsor).fundMatching(id, tokens(5), ONE_TO_ONE)
+            await fundMe.connect(creator).cancel(id)
+
+            await fundMe.returnMatching(id)
+
+            assert((await erc20.balanceOf(sponsor.address)).eq(tokens(100)))
+        })
+
+        it('shares what was not released between donors and the sponsor after a rejected release', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            await fundMe.connect(creator).launchWithMilestones(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA, [50, 50])
+            const id = await fundMe.count()
+            await increaseTime(100)
+            await fundMe.connect(sponsor).fundMatching(id, tokens(5), ONE_TO_ONE)
+            await fundMe.connect(donor).pledge(id, tokens(4))
+            await fundMe.connect(donor2).pledge(id, tokens(2))
+            await increaseTime(1000)
+
+            const votingPeriod = (await fundMe.VOTING_PERIOD()) + 1
+            await fundMe.connect(creator).requestRelease(id)
+            await fundMe.connect(donor).vote(id, true)
+            await increaseTime(votingPeriod)
+            await fundMe.finalizeRelease(id)
+            await fundMe.connect(creator).requestRelease(id)
+            await fundMe.connect(donor).vote(id, false)
+            await increaseTime(votingPeriod)
+            await fundMe.finalizeRelease(id)
+
+            // 11 pledged with the matching, 5.5 released, the rest goes back pro rata
+            await expect(fundMe.connect(donor).reclaim(id)).to.emit(fundMe, 'Reclaim').withArgs(id, donor.address, tokens(2))
+            await expect(fundMe.connect(donor2).reclaim(id)).to.emit(fundMe, 'Reclaim').withArgs(id, donor2.address, tokens(1))
+            await expect(fundMe.returnMatching(id)).to.emit(fundMe, 'MatchingReturned').withArgs(id, sponsor.address, tokens(2.5))
+
+            assert((await erc20.balanceOf(creator.address)).eq(tokens(5.5)))
+            assert((await erc20.balanceOf(fundMe.address)).eq(0))
+        })
+
+        it('returns the whole pool in an emergency while donors withdraw their pledges', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await fundMe.connect(sponsor).fundMatching(id, tokens(5), ONE_TO_ONE)
+            await fundMe.connect(donor).pledge(id, tokens(3))
+            await fundMe.announceEmergency()
+            await increaseTime(await fundMe.EMERGENCY_DELAY())
+
+            await fundMe.connect(donor).emergencyWithdraw(id)
+            await fundMe.returnMatching(id)
+
+            assert((await erc20.balanceOf(donor.address)).eq(tokens(100)))
+            assert((await erc20.balanceOf(sponsor.address)).eq(tokens(100)))
+            assert((await erc20.balanceOf(fundMe.address)).eq(0))
+        })
+    })
+
+    describe('CampaignClient and CampaignIndexer', async () =>
+    {
+        it('funds and reads the pool, and indexes the matched tokens in the pledged total', async () =>
+        {
+            const startBlock = (await deployments.get('FundMe')).receipt.blockNumber
+            const id = await launchRunningCampaign(fundMe.connect(creator), erc20.address, GOAL)
+            await erc20.connect(sponsor).approve(fundMe.address, 0)
+            const client = new CampaignClient(sponsor, fundMe.address)
+
+            await client.fundMatching(id, tokens(3), ONE_TO_ONE)
+            await fundMe.connect(donor).pledge(id, tokens(2))
+            await fundMe.connect(donor).unpledge(id, tokens(1))
+
+            const pool = await client.getMatchingPool(id)
+            assert(pool.sponsor === sponsor.address && pool.matched.eq(tokens(1)) && pool.available.eq(tokens(2)))
+            assert(pool.returnable.eq(0))
+            assert(await client.getMatchingPool(id + 1) === undefined)
+
+            const indexer = new CampaignIndexer({ provider: ethers.provider, fundMeAddress: fundMe.address, startBlock })
+            await indexer.sync()
+            assert.deepEqual(await indexer.crossCheck(), [])
+            assert.deepEqual(indexer.getCampaign(id).matching, {
+                sponsor: sponsor.address, ratioBps: ONE_TO_ONE, deposit: tokens(3).toString(), matched: tokens(1).toString(), returned: '0',
+            })
+            assert.deepEqual(indexer.getDonor(donor.address), { [id]: tokens(1).toString() })
+        })
+    })
+})
@@ -0,0 +1,251 @@
+const { ethers, deployments } = require('hardhat')
+const { assert, expect } = require('chai')
+const { CampaignClient } = require('../utils/campaignClient')
+const { NO_METADATA, getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+describe('FundMe Milestone Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    const MILESTONES = [30, 70]
+
+    let erc20, fundMe
+
+    let deployer, donor, donor2, stranger
+
+    let votingPeriod
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+        stranger = accounts[3]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+        votingPeriod = await fundMe.VOTING_PERIOD()
+
+        await erc20.transfer(donor.address, DONATION_AMOUNT)
+        await erc20.transfer(donor2.address, DONATION_AMOUNT)
+        await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT)
+        await erc20.connect(donor2).approve(fundMe.address, DONATION_AMOUNT)
+    })
+
+    const launchWithMilestones = async (milestones, goal = GOAL) =>
+    {
+        let currentTime = await getCurrentTime()
+        return fundMe.launchWithMilestones(erc20.address, goal, currentTime + 5, currentTime + 1000, ...NO_METADATA, milestones)
+    }
+
+    // a campaign that both donors funded and that has ended successfully
+    const succeededCampaign = async () =>
+    {
+        await launchWithMilestones(MILESTONES)
+        const id = await fundMe.count()
+        await increaseTime(100)
+        await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+        await fundMe.connect(donor2).pledge(id, DONATION_AMOUNT)
+        await increaseTime(1000)
+        return id
+    }
+
+    describe('launchWithMilestones', async () =>
+    {
+        it('stores the milestones and emits them', async () =>
+        {
+            await expect(launchWithMilestones(MILESTONES)).to.emit(fundMe, 'Milestones').withArgs(1, MILESTONES)
+
+            assert.deepEqual(await fundMe.milestones(1), MILESTONES)
+        })
+
+        it('rejects milestones that do not sum to 100', async () =>
+        {
+            await expect(launchWithMilestones([30, 60])).to.be.revertedWith('milestones must sum to 100')
+            await expect(launchWithMilestones([100, 0])).to.be.revertedWith('empty milestone')
+        })
+
+        it('rejects no milestones or too many', async () =>
+        {
+            await expect(launchWithMilestones([])).to.be.revertedWith('invalid milestone count')
+            await expect(launchWithMilestones(new Array(11).fill(9))).to.be.revertedWith('invalid milestone count')
+        })
+
+        it('cannot be claimed at once', async () =>
+        {
+            const id = await succeededCampaign()
+
+            await expect(fundMe.claim(id)).to.be.revertedWith('campaign has milestones')
+        })
+    })
+
+    describe('requestRelease', async () =>
+    {
+        it('opens a vote for the first milestone', async () =>
+        {
+            const id = await succeededCampaign()
+
+            await expect(fundMe.requestRelease(id)).to.emit(fundMe, 'ReleaseRequested')
+
+            const releases = await fundMe.releases(id)
+            assert(releases.voteEndAt === (await getCurrentTime()) + votingPeriod)
+            assert(releases.next === 0)
+        })
+
+        it('checks who asks and when', async () =>
+        {
+            await launchWithMilestones(MILESTONES)
+            await expect(fundMe.requestRelease(1)).to.be.revertedWith('campaign has not ended')
+
+            const id = await succeededCampaign()
+            await expect(fundMe.connect(donor).requestRelease(id)).to.be.revertedWith('not creator')
+            await fundMe.requestRelease(id)
+            await expect(fundMe.requestRelease(id)).to.be.revertedWith('vote in progress')
+        })
+
+        it('refuses a campaign that missed its goal or has no milestones', async () =>
+        {
+            await launchWithMilestones(MILESTONES, DONATION_AMOUNT.mul(3))
+            let currentTime = await getCurrentTime()
+            await fundMe.launch(erc20.address, 0, currentTime + 5, currentTime + 10, ...NO_METADATA)
+            await increaseTime(2000)
+
+            await expect(fundMe.requestRelease(1)).to.be.revertedWith('pledged < goal')
+            await expect(fundMe.requestRelease(2)).to.be.revertedWith('campaign has no milestones')
+        })
+    })
+
+    describe('vote', async () =>
+    {
+        it('counts the pledge of each donor once', async () =>
+        {
+            const id = await succeededCampaign()
+            await fundMe.requestRelease(id)
+
+            await expect(fundMe.connect(donor).vote(id, true))
+                .to.emit(fundMe, 'Vote').withArgs(id, 0, donor.address, true, DONATION_AMOUNT)
+            await fundMe.connect(donor2).vote(id, false)
+
+            const releases = await fundMe.releases(id)
+            assert(releases.approvals.eq(DONATION_AMOUNT))
+            assert(releases.rejections.eq(DONATION_AMOUNT))
+            assert(await fundMe.hasVoted(id, 0, donor.address))
+            await expect(fundMe.connect(donor).vote(id, true)).to.be.revertedWith('already voted')
+        })
+
+        it('rejects non-donors, closed votes and votes that never opened', async () =>
+        {
+            const id = await succeededCampaign()
+            await expect(fundMe.connect(donor).vote(id, true)).to.be.revertedWith('no vote in progress')
+
+            await fundMe.requestRelease(id)
+            await expect(fundMe.connect(stranger).vote(id, true)).to.be.revertedWith('not a donor')
+
+            await increaseTime(votingPeriod + 1)
+            await expect(fundMe.connect(donor).vote(id, true)).to.be.revertedWith('vote has ended')
+        })
+    })
+
+    describe('finalizeRelease', async () =>
+    {
+        it('waits for the vote to end', async () =>
+        {
+            const id = await succeededCampaign()
+            await fundMe.requestRelease(id)
+
+            await expect(fundMe.finalizeRelease(id)).to.be.revertedWith('vote has not ended')
+        })
+
+        it('releases an approved milestone to the creator, and the rest with the last one', async () =>
+        {
+            const id = await succeededCampaign()
+            const pledged = DONATION_AMOUNT.mul(2)
+            const before = await erc20.balanceOf(deployer.address)
+
+            await fundMe.requestRelease(id)
+            await fundMe.connect(donor).vote(id, true)
+            await increaseTime(votingPeriod + 1)
+            await expect(fundMe.finalizeRelease(id))
+                .to.emit(fundMe, 'Release').withArgs(id, 0, true, pledged.mul(30).div(100))
+
+            await fundMe.requestRelease(id)
+            await fundMe.connect(donor2).vote(id, true)
+            await increaseTime(votingPeriod + 1)
+            await fundMe.finalizeRelease(id)
+
+            assert((await erc20.balanceOf(deployer.address)).sub(before).eq(pledged))
+            assert((await fundMe.campaigns(id)).claimed === true)
+            await expect(fundMe.requestRelease(id)).to.be.revertedWith('all milestones released')
+        })
+
+        it('rejects a milestone that did not get more approvals than rejections', async () =>
+        {
+            const id = await succeededCampaign()
+            await fundMe.requestRelease(id)
+            await fundMe.connect(donor).vote(id, true)
+            await fundMe.connect(donor2).vote(id, false)
+            await increaseTime(votingPeriod + 1)
+
+            await expect(fundMe.finalizeRelease(id)).to.emit(fundMe, 'Release').withArgs(id, 0, false, 0)
+
+            assert((await fundMe.releases(id)).rejected === true)
+            await expect(fundMe.requestRelease(id)).to.be.revertedWith('release rejected')
+        })
+    })
+
+    describe('reclaim', async () =>
+    {
+        it('returns the unreleased share of each donor once', async () =>
+        {
+            const id = await succeededCampaign()
+            await fundMe.requestRelease(id)
+            await fundMe.connect(donor).vote(id, true)
+            await increaseTime(votingPeriod + 1)
+            await fundMe.finalizeRelease(id)
+            await fundMe.requestRelease(id)
+            await increaseTime(votingPeriod + 1)
+            await fundMe.finalizeRelease(id)
+
+            await expect(fundMe.connect(donor).reclaim(id))
+                .to.emit(fundMe, 'Reclaim').withArgs(id, donor.address, DONATION_AMOUNT.mul(70).div(100))
+
+            await expect(fundMe.connect(donor).reclaim(id)).to.be.revertedWith('nothing to reclaim')
+        })
+
+        it('is only possible after a rejected release', async () =>
+        {
+            const id = await succeededCampaign()
+
+            await expect(fundMe.connect(donor).reclaim(id)).to.be.revertedWith('release not rejected')
+        })
+    })
+
+    describe('CampaignClient', async () =>
+    {
+        it('launches with milestones and drives a release', async () =>
+        {
+            const creatorClient = new CampaignClient(deployer, fundMe.address)
+            const donorClient = new CampaignClient(donor, fundMe.address)
+            let currentTime = await getCurrentTime()
+            const { id } = await creatorClient.launch({ token: erc20.address, goal: DONATION_AMOUNT, startAt: currentTime + 5, endAt: currentTime + 1000, milestones: MILESTONES })
+            await increaseTime(100)
+            await donorClient.pledge(id, DONATION_AMOUNT)
+            await increaseTime(1000)
+
+            await creatorClient.requestRelease(id)
+            await donorClient.vote(id, true)
+            await increaseTime(votingPeriod + 1)
+            await donorClient.finalizeRelease(id)
+
+            const campaign = await creatorClient.getCampaign(id)
+            const releases = await creatorClient.getReleases(id)
+            assert.deepEqual(campaign.milestones, MILESTONES)
+            assert(releases.released.eq(DONATION_AMOUNT.mul(30).div(100)))
+            assert(releases.next === 1)
+        })
+    })
+})
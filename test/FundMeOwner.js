@@ -0,0 +1,256 @@
+const { ethers, deployments } = require('hardhat')
+const { assert, expect } = require('chai')
+const { CampaignClient } = require('../utils/campaignClient')
+const { NO_METADATA, getCurrentTime, increaseTime, launchRunningCampaign } = require('./helpers/campaigns')
+
+describe('FundMe Owner Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    let erc20, fundMe
+
+    let deployer, donor, donor2, newOwner
+
+    let emergencyDelay
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+        newOwner = accounts[3]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+        emergencyDelay = await fundMe.EMERGENCY_DELAY()
+
+        await erc20.transfer(donor.address, DONATION_AMOUNT)
+        await erc20.transfer(donor2.address, DONATION_AMOUNT)
+        await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT)
+        await erc20.connect(donor2).approve(fundMe.address, DONATION_AMOUNT)
+    })
+
+    describe('ownership', async () =>
+    {
+        it('hands the contract over once the new owner accepts', async () =>
+        {
+            await expect(fundMe.transferOwnership(newOwner.address))
+                .to.emit(fundMe, 'OwnershipTransferStarted').withArgs(deployer.address, newOwner.address)
+            assert(await fundMe.owner() === deployer.address)
+            assert(await fundMe.pendingOwner() === newOwner.address)
+
+            await expect(fundMe.connect(newOwner).acceptOwnership())
+                .to.emit(fundMe, 'OwnershipTransferred').withArgs(deployer.address, newOwner.address)
+
+            assert(await fundMe.owner() === newOwner.address)
+            assert(await fundMe.pendingOwner() === ethers.constants.AddressZero)
+            await expect(fundMe.pause()).to.be.revertedWith('not owner')
+            await fundMe.connect(newOwner).pause()
+        })
+
+        it('only lets the pending owner accept', async () =>
+        {
+            await fundMe.transferOwnership(newOwner.address)
+
+            await expect(fundMe.connect(donor).acceptOwnership()).to.be.revertedWith('not pending owner')
+            await expect(fundMe.acceptOwnership()).to.be.revertedWith('not pending owner')
+        })
+
+        it('lets the owner call off a transfer', async () =>
+        {
+            await fundMe.transferOwnership(newOwner.address)
+            await fundMe.transferOwnership(ethers.constants.AddressZero)
+
+            await expect(fundMe.connect(newOwner).acceptOwnership()).to.be.revertedWith('not pending owner')
+        })
+
+        it('only lets the owner transfer the ownership', async () =>
+        {
+            await expect(fundMe.connect(donor).transferOwnership(donor.address)).to.be.revertedWith('not owner')
+        })
+    })
+
+    describe('pause', async () =>
+    {
+        it('stops launching and pledging until unpaused', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+
+            await expect(fundMe.pause()).to.emit(fundMe, 'Paused').withArgs(deployer.address)
+
+            let currentTime = await getCurrentTime()
+            await expect(fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA)).to.be.revertedWith('Pausable: paused')
+            await expect(fundMe.launchWithMilestones(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA, [100])).to.be.revertedWith('Pausable: paused')
+            await expect(fundMe.connect(donor).pledge(id, DONATION_AMOUNT)).to.be.revertedWith('Pausable: paused')
+
+            await expect(fundMe.unpause()).to.emit(fundMe, 'Unpaused').withArgs(deployer.address)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+        })
+
+        it('lets donors unpledge and get refunds while paused', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await fundMe.connect(donor2).pledge(id, DONATION_AMOUNT.div(2))
+            await fundMe.pause()
+
+            await fundMe.connect(donor).unpledge(id, DONATION_AMOUNT)
+            await increaseTime(1000)
+            await fundMe.connect(donor2).refund(id)
+
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT))
+            assert((await erc20.balanceOf(donor2.address)).eq(DONATION_AMOUNT))
+        })
+
+        it('only lets the owner pause and unpause', async () =>
+        {
+            await expect(fundMe.connect(donor).pause()).to.be.revertedWith('not owner')
+            await fundMe.pause()
+            await expect(fundMe.connect(donor).unpause()).to.be.revertedWith('not owner')
+        })
+    })
+
+    describe('emergency', async () =>
+    {
+        it('becomes active after the delay', async () =>
+        {
+            await expect(fundMe.announceEmergency()).to.emit(fundMe, 'EmergencyAnnounced')
+
+            assert(await fundMe.emergencyAt() === (await getCurrentTime()) + emergencyDelay)
+            assert(await fundMe.emergency() === false)
+            await increaseTime(emergencyDelay)
+            assert(await fundMe.emergency() === true)
+        })
+
+        it('can be called off before it is active, and only then', async () =>
+        {
+            await fundMe.announceEmergency()
+            await expect(fundMe.announceEmergency()).to.be.revertedWith('emergency already announced')
+
+            await expect(fundMe.cancelEmergency()).to.emit(fundMe, 'EmergencyCancelled')
+            assert(await fundMe.emergencyAt() === 0)
+            await expect(fundMe.cancelEmergency()).to.be.revertedWith('no emergency announced')
+
+            await fundMe.announceEmergency()
+            await increaseTime(emergencyDelay)
+            await expect(fundMe.cancelEmergency()).to.be.revertedWith('emergency')
+        })
+
+        it('lets each donor withdraw what they pledged to an unclaimed campaign', async () =>
+        {
+            const running = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            const succeeded = await launchRunningCampaign(fundMe, erc20.address, DONATION_AMOUNT.div(2), 500)
+            await fundMe.connect(donor).pledge(running, DONATION_AMOUNT)
+            await fundMe.connect(donor2).pledge(succeeded, DONATION_AMOUNT)
+            await fundMe.announceEmergency()
+            await expect(fundMe.connect(donor).emergencyWithdraw(running)).to.be.revertedWith('no emergency')
+            await increaseTime(emergencyDelay)
+
+            await expect(fundMe.connect(donor).emergencyWithdraw(running))
+                .to.emit(fundMe, 'EmergencyWithdraw').withArgs(running, donor.address, DONATION_AMOUNT)
+            await fundMe.connect(donor2).emergencyWithdraw(succeeded)
+
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT))
+            assert((await erc20.balanceOf(donor2.address)).eq(DONATION_AMOUNT))
+            assert((await erc20.balanceOf(fundMe.address)).eq(0))
+            await expect(fundMe.connect(donor).emergencyWithdraw(running)).to.be.revertedWith('nothing to withdraw')
+        })
+
+        it('stops claims, launches and pledges once active', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, DONATION_AMOUNT, emergencyDelay * 2)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await fundMe.announceEmergency()
+            await increaseTime(emergencyDelay * 2)
+
+            await expect(fundMe.claim(id)).to.be.revertedWith('emergency')
+            await expect(fundMe.connect(donor2).pledge(id, DONATION_AMOUNT)).to.be.revertedWith('emergency')
+            let currentTime = await getCurrentTime()
+            await expect(fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA)).to.be.revertedWith('emergency')
+        })
+
+        it('does not pay twice for a campaign claimed before the emergency', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, DONATION_AMOUNT)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await fundMe.announceEmergency()
+            await increaseTime(1000)
+            await fundMe.claim(id)
+            await increaseTime(emergencyDelay)
+
+            await expect(fundMe.connect(donor).emergencyWithdraw(id)).to.be.revertedWith('claimed')
+        })
+
+        it('pays back the unreleased share of a milestone campaign', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            await fundMe.launchWithMilestones(erc20.address, DONATION_AMOUNT, currentTime + 5, currentTime + 1000, ...NO_METADATA, [40, 60])
+            const id = await fundMe.count()
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            await increaseTime(1000)
+            await fundMe.requestRelease(id)
+            await fundMe.connect(donor).vote(id, true)
+            await increaseTime((await fundMe.VOTING_PERIOD()) + 1)
+            await fundMe.finalizeRelease(id)
+            await fundMe.announceEmergency()
+            await increaseTime(emergencyDelay)
+
+            await fundMe.connect(donor).emergencyWithdraw(id)
+
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT.mul(60).div(100)))
+        })
+    })
+
+    describe('donor funds', async () =>
+    {
+        it('can never be moved by the owner', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL.mul(10))
+            await fundMe.connect(donor).pledge(id, DONATION_AMOUNT)
+            const ownerBalance = await erc20.balanceOf(deployer.address)
+
+            await fundMe.pause()
+            await fundMe.announceEmergency()
+            await increaseTime(emergencyDelay)
+            await expect(fundMe.claim(id)).to.be.revertedWith('emergency')
+            await expect(fundMe.emergencyWithdraw(id)).to.be.revertedWith('nothing to withdraw')
+            await expect(fundMe.refund(id)).to.be.revertedWith('nothing to refund')
+
+            assert((await erc20.balanceOf(deployer.address)).eq(ownerBalance))
+            assert((await erc20.balanceOf(fundMe.address)).eq(DONATION_AMOUNT))
+
+            await increaseTime(1000)
+            await fundMe.connect(donor).emergencyWithdraw(id)
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT))
+        })
+    })
+
+    describe('CampaignClient', async () =>
+    {
+        it('pauses, transfers the ownership and withdraws in an emergency', async () =>
+        {
+            const ownerClient = new CampaignClient(deployer, fundMe.address)
+            const newOwnerClient = new CampaignClient(newOwner, fundMe.address)
+            const donorClient = new CampaignClient(donor, fundMe.address)
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await donorClient.pledge(id, DONATION_AMOUNT)
+
+            await ownerClient.setPaused(true)
+            assert(await fundMe.paused() === true)
+            await ownerClient.setPaused(false)
+            await ownerClient.transferOwnership(newOwner.address)
+            await newOwnerClient.acceptOwnership()
+            await newOwnerClient.announceEmergency()
+            await increaseTime(emergencyDelay)
+            await donorClient.emergencyWithdraw(id)
+
+            assert(await fundMe.owner() === newOwner.address)
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT))
+        })
+    })
+})
@@ -0,0 +1,145 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert, expect } = require('chai')
+const { signPermit } = require('../utils/permit')
+const { CampaignClient } = require('../utils/campaignClient')
+const { TOKEN_NAME, TOKEN_SYMBOL, TOTAL_SUPPLY, MAX_DURATION } = require('../helper-hardhat-config')
+const { NO_METADATA, getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+describe('FundMe Permit Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    let erc20Permit, fundMe
+
+    let deployer, donor, donor2
+
+    let id
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+
+        // FundMe's token is set once in the constructor, so these tests get their own FundMe
+        const ERC20Permit = await ethers.getContractFactory('ERC20Permit', deployer)
+        const FundMe = await ethers.getContractFactory('FundMe', deployer)
+        erc20Permit = await ERC20Permit.deploy(TOKEN_NAME, TOKEN_SYMBOL, TOTAL_SUPPLY)
+        fundMe = await FundMe.deploy([erc20Permit.address], MAX_DURATION)
+
+        await erc20Permit.transfer(donor.address, DONATION_AMOUNT)
+        await erc20Permit.transfer(donor2.address, DONATION_AMOUNT)
+
+        let currentTime = await getCurrentTime()
+        await fundMe.launch(erc20Permit.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA)
+        id = await fundMe.count()
+        await increaseTime(100)
+    })
+
+    // signs a permit for FundMe, valid for an hour unless another deadline is given
+    const permitFor = async (signer, value, deadline) =>
+    {
+        return signPermit(signer, {
+            token: erc20Permit.address,
+            spender: fundMe.address,
+            value,
+            deadline: deadline === undefined ? (await getCurrentTime()) + 3600 : deadline,
+        })
+    }
+
+    describe('pledgeWithPermit', async () =>
+    {
+        it('pledges without a separate approve transaction', async () =>
+        {
+            const { deadline, v, r, s } = await permitFor(donor, DONATION_AMOUNT)
+
+            await expect(fundMe.connect(donor).pledgeWithPermit(id, DONATION_AMOUNT, deadline, v, r, s))
+                .to.emit(fundMe, 'Pledge').withArgs(id, donor.address, DONATION_AMOUNT)
+
+            assert((await fundMe.pledgedAmount(id, donor.address)).eq(DONATION_AMOUNT))
+            assert((await erc20Permit.balanceOf(fundMe.address)).eq(DONATION_AMOUNT))
+            assert((await erc20Permit.nonces(donor.address)).eq(1))
+        })
+
+        it('rejects an expired deadline', async () =>
+        {
+            const { deadline, v, r, s } = await permitFor(donor, DONATION_AMOUNT, (await getCurrentTime()) - 1)
+
+            await expect(fundMe.connect(donor).pledgeWithPermit(id, DONATION_AMOUNT, deadline, v, r, s)).to.be.revertedWith('permit expired')
+        })
+
+        it('rejects a permit signed by someone else than the donor', async () =>
+        {
+            const { deadline, v, r, s } = await permitFor(donor2, DONATION_AMOUNT)
+
+            await expect(fundMe.connect(donor).pledgeWithPermit(id, DONATION_AMOUNT, deadline, v, r, s)).to.be.revertedWith('invalid permit')
+            assert((await erc20Permit.balanceOf(donor2.address)).eq(DONATION_AMOUNT))
+        })
+
+        it('rejects a permit for a smaller amount than the pledge', async () =>
+        {
+            const { deadline, v, r, s } = await permitFor(donor, DONATION_AMOUNT.div(2))
+
+            await expect(fundMe.connect(donor).pledgeWithPermit(id, DONATION_AMOUNT, deadline, v, r, s)).to.be.revertedWith('invalid permit')
+        })
+
+        it('rejects a replayed signature', async () =>
+        {
+            const { deadline, v, r, s } = await permitFor(donor, DONATION_AMOUNT.div(2))
+            await fundMe.connect(donor).pledgeWithPermit(id, DONATION_AMOUNT.div(2), deadline, v, r, s)
+
+            await expect(fundMe.connect(donor).pledgeWithPermit(id, DONATION_AMOUNT.div(2), deadline, v, r, s)).to.be.revertedWith('invalid permit')
+            assert((await fundMe.pledgedAmount(id, donor.address)).eq(DONATION_AMOUNT.div(2)))
+        })
+
+        it('still pledges when someone submitted the permit first', async () =>
+        {
+            const { deadline, v, r, s } = await permitFor(donor, DONATION_AMOUNT)
+            await erc20Permit.connect(donor2).permit(donor.address, fundMe.address, DONATION_AMOUNT, deadline, v, r, s)
+
+            await fundMe.connect(donor).pledgeWithPermit(id, DONATION_AMOUNT, deadline, v, r, s)
+
+            assert((await fundMe.pledgedAmount(id, donor.address)).eq(DONATION_AMOUNT))
+        })
+
+        it('checks the campaign like pledge does', async () =>
+        {
+            const { deadline, v, r, s } = await permitFor(donor, DONATION_AMOUNT)
+
+            await expect(fundMe.connect(donor).pledgeWithPermit(id.add(1), DONATION_AMOUNT, deadline, v, r, s)).to.be.revertedWith('campaign does not exist')
+        })
+
+        it('rejects tokens without permit support', async () =>
+        {
+            // sign while erc20Permit exists, the fixture snapshot may predate its deployment
+            const { deadline, v, r, s } = await permitFor(donor, DONATION_AMOUNT)
+            await deployments.fixture(['all'])
+            const erc20 = await ethers.getContract('ERC20', deployer)
+            const plainFundMe = await ethers.getContract('FundMe', deployer)
+            // reverting to the fixture snapshot also rewinds the latest block time
+            await network.provider.send("evm_mine")
+            let currentTime = await getCurrentTime()
+            await plainFundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA)
+            await network.provider.send("evm_increaseTime", [100])
+
+            await expect(plainFundMe.connect(donor).pledgeWithPermit(1, DONATION_AMOUNT, deadline, v, r, s)).to.be.revertedWith('invalid permit')
+        })
+    })
+
+    describe('CampaignClient.pledgeWithPermit', async () =>
+    {
+        it('signs the permit and pledges in one transaction', async () =>
+        {
+            const client = new CampaignClient(donor, fundMe.address)
+
+            const receipt = await client.pledgeWithPermit(id, DONATION_AMOUNT)
+
+            assert(receipt.events.some((e) => e.event === 'Pledge'))
+            assert((await fundMe.pledgedAmount(id, donor.address)).eq(DONATION_AMOUNT))
+            assert((await erc20Permit.allowance(donor.address, fundMe.address)).eq(0))
+        })
+    })
+})
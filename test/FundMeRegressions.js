@@ -0,0 +1,168 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert, expect } = require('chai')
+const { NO_METADATA, getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+// Campaigns share the token balance held by FundMe, so every test here checks
+// that a call against one campaign never pays out tokens pledged to another.
+describe('FundMe Regression Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    const SMALL_DONATION = ethers.utils.parseEther('0.01')
+
+    let erc20, fundMe
+
+    let deployer, donor, donor2
+
+    // a running campaign that donor and donor2 pledged to
+    let funded
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+
+        await erc20.transfer(donor.address, DONATION_AMOUNT)
+        await erc20.transfer(donor2.address, DONATION_AMOUNT)
+        await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT)
+        await erc20.connect(donor2).approve(fundMe.address, DONATION_AMOUNT)
+
+        let currentTime = await getCurrentTime()
+        await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA)
+        funded = await fundMe.count()
+
+        await increaseTime(100)
+
+        await fundMe.connect(donor).pledge(funded, SMALL_DONATION)
+        await fundMe.connect(donor2).pledge(funded, SMALL_DONATION)
+    })
+
+    // launches a campaign that has not started yet and cancels it
+    const launchAndCancel = async () =>
+    {
+        let currentTime = await getCurrentTime()
+        await fundMe.launch(erc20.address, GOAL, currentTime + 500, currentTime + 600, ...NO_METADATA)
+        const id = await fundMe.count()
+        await fundMe.cancel(id)
+        return id
+    }
+
+    const assertPoolIntact = async () =>
+    {
+        assert((await erc20.balanceOf(fundMe.address)).eq(SMALL_DONATION.mul(2)))
+        assert((await fundMe.campaigns(funded)).pledged.eq(SMALL_DONATION.mul(2)))
+    }
+
+    describe('cancelled campaigns', async () =>
+    {
+        it('keep their data instead of being deleted', async () =>
+        {
+            const id = await launchAndCancel()
+
+            const campaign = await fundMe.campaigns(id)
+            assert(campaign.creator === deployer.address)
+            assert(campaign.cancelled === true)
+        })
+
+        it('do not accept pledges once their start time has passed', async () =>
+        {
+            const id = await launchAndCancel()
+            await network.provider.send("evm_increaseTime", [550])
+
+            await expect(fundMe.connect(donor).pledge(id, SMALL_DONATION)).to.be.revertedWith('campaign cancelled')
+        })
+
+        it('do not let anyone unpledge from them', async () =>
+        {
+            const id = await launchAndCancel()
+
+            await expect(fundMe.connect(donor).unpledge(id, 0)).to.be.revertedWith('campaign cancelled')
+            await expect(fundMe.connect(donor).unpledge(id, SMALL_DONATION)).to.be.revertedWith('campaign cancelled')
+            await assertPoolIntact()
+        })
+
+        it('do not refund anything, even after their end time', async () =>
+        {
+            const id = await launchAndCancel()
+            await network.provider.send("evm_increaseTime", [700])
+
+            await expect(fundMe.connect(donor).refund(id)).to.be.revertedWith('campaign cancelled')
+            await assertPoolIntact()
+        })
+
+        it('cannot be claimed', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            await fundMe.launch(erc20.address, 0, currentTime + 500, currentTime + 600, ...NO_METADATA)
+            const id = await fundMe.count()
+            await fundMe.cancel(id)
+            await network.provider.send("evm_increaseTime", [700])
+
+            await expect(fundMe.claim(id)).to.be.revertedWith('campaign cancelled')
+            await assertPoolIntact()
+        })
+    })
+
+    describe('campaigns that do not exist', async () =>
+    {
+        it('reject every call instead of reading a zeroed struct', async () =>
+        {
+            const missing = funded.add(1)
+
+            await expect(fundMe.connect(donor).pledge(missing, SMALL_DONATION)).to.be.revertedWith('campaign does not exist')
+            await expect(fundMe.connect(donor).unpledge(missing, 0)).to.be.revertedWith('campaign does not exist')
+            await expect(fundMe.connect(donor).refund(missing)).to.be.revertedWith('campaign does not exist')
+            await expect(fundMe.claim(missing)).to.be.revertedWith('campaign does not exist')
+            await expect(fundMe.cancel(missing)).to.be.revertedWith('campaign does not exist')
+            await expect(fundMe.connect(donor).refund(0)).to.be.revertedWith('campaign does not exist')
+            await assertPoolIntact()
+        })
+    })
+
+    describe('refunds', async () =>
+    {
+        beforeEach(async () =>
+        {
+            // let the funded campaign fail
+            await increaseTime(2000)
+        })
+
+        it('revert when the donor has nothing pledged, without emitting Refund', async () =>
+        {
+            await expect(fundMe.refund(funded)).to.be.revertedWith('nothing to refund')
+            await assertPoolIntact()
+        })
+
+        it('revert the second time a donor asks for one', async () =>
+        {
+            await fundMe.connect(donor).refund(funded)
+
+            await expect(fundMe.connect(donor).refund(funded)).to.be.revertedWith('nothing to refund')
+            assert((await erc20.balanceOf(fundMe.address)).eq(SMALL_DONATION))
+        })
+
+        it('only pay out what was pledged to the failed campaign when another one is running', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA)
+            const running = await fundMe.count()
+            await network.provider.send("evm_increaseTime", [100])
+            await fundMe.connect(donor).pledge(running, SMALL_DONATION)
+
+            await fundMe.connect(donor).refund(funded)
+            await fundMe.connect(donor2).refund(funded)
+
+            assert((await erc20.balanceOf(fundMe.address)).eq(SMALL_DONATION))
+            assert((await fundMe.pledgedAmount(running, donor.address)).eq(SMALL_DONATION))
+            await expect(fundMe.connect(donor).refund(funded)).to.be.revertedWith('nothing to refund')
+        })
+    })
+})
@@ -0,0 +1,214 @@
+const { ethers, deployments } = require('hardhat')
+const { assert, expect } = require('chai')
+const { CampaignClient } = require('../utils/campaignClient')
+const { NO_METADATA, getCurrentTime, increaseTime, launchRunningCampaign } = require('./helpers/campaigns')
+
+describe('FundMe Multi-Token Unit Tests', async () =>
+{
+    const USDC_DECIMALS = 6
+
+    // 1% of every transfer of the fee token is burned
+    const FEE_BPS = 100
+
+    let erc20, usdc, feeToken, falseToken, fundMe
+
+    let deployer, donor, donor2
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+
+        const MockDecimalsToken = await ethers.getContractFactory('MockDecimalsToken', deployer)
+        const MockFeeOnTransferToken = await ethers.getContractFactory('MockFeeOnTransferToken', deployer)
+        const MockFalseReturningToken = await ethers.getContractFactory('MockFalseReturningToken', deployer)
+        usdc = await MockDecimalsToken.deploy('USD Coin', 'USDC', 1000000, USDC_DECIMALS)
+        feeToken = await MockFeeOnTransferToken.deploy('Fee Token', 'FEE', 1000000, FEE_BPS)
+        falseToken = await MockFalseReturningToken.deploy('False Token', 'FALSE', 1000000)
+        for (const token of [usdc, feeToken, falseToken])
+        {
+            await fundMe.setTokenAllowed(token.address, true)
+        }
+    })
+
+    const fund = async (token, signer, amount) =>
+    {
+        await token.transfer(signer.address, amount)
+        await token.connect(signer).approve(fundMe.address, amount)
+    }
+
+    const endCampaign = async () =>
+    {
+        await increaseTime(2000)
+    }
+
+    describe('token allowlist', async () =>
+    {
+        it('lets the owner allow and disallow tokens', async () =>
+        {
+            await expect(fundMe.setTokenAllowed(usdc.address, false))
+                .to.emit(fundMe, 'TokenAllowed').withArgs(usdc.address, false)
+
+            assert(await fundMe.allowedTokens(usdc.address) === false)
+        })
+
+        it('rejects anyone else than the owner', async () =>
+        {
+            await expect(fundMe.connect(donor).setTokenAllowed(donor.address, true)).to.be.revertedWith('not owner')
+        })
+
+        it('rejects the zero address', async () =>
+        {
+            await expect(fundMe.setTokenAllowed(ethers.constants.AddressZero, true)).to.be.revertedWith('token is the zero address')
+        })
+
+        it('rejects campaigns raising a token that is not allowed', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            await expect(fundMe.launch(donor.address, 1, currentTime + 5, currentTime + 1000, ...NO_METADATA)).to.be.revertedWith('token not allowed')
+        })
+
+        it('keeps running campaigns working after their token is disallowed', async () =>
+        {
+            const amount = ethers.utils.parseUnits('10', USDC_DECIMALS)
+            const id = await launchRunningCampaign(fundMe, usdc.address, amount)
+            await fundMe.setTokenAllowed(usdc.address, false)
+            await fund(usdc, donor, amount)
+
+            await fundMe.connect(donor).pledge(id, amount)
+
+            assert((await fundMe.campaigns(id)).pledged.eq(amount))
+            let currentTime = await getCurrentTime()
+            await expect(fundMe.launch(usdc.address, amount, currentTime + 5, currentTime + 1000, ...NO_METADATA)).to.be.revertedWith('token not allowed')
+        })
+    })
+
+    describe('accounting per token', async () =>
+    {
+        it('pays out each campaign in its own token', async () =>
+        {
+            const etherGoal = ethers.utils.parseEther('1')
+            const usdcGoal = ethers.utils.parseUnits('250', USDC_DECIMALS)
+            const etherCampaign = await launchRunningCampaign(fundMe, erc20.address, etherGoal)
+            const usdcCampaign = await launchRunningCampaign(fundMe, usdc.address, usdcGoal)
+            await fund(erc20, donor, etherGoal)
+            await fund(usdc, donor, usdcGoal)
+            await fundMe.connect(donor).pledge(etherCampaign, etherGoal.div(2))
+            await fundMe.connect(donor).pledge(usdcCampaign, usdcGoal)
+            await endCampaign()
+
+            const usdcBefore = await usdc.balanceOf(deployer.address)
+            await fundMe.claim(usdcCampaign)
+            await fundMe.connect(donor).refund(etherCampaign)
+
+            assert((await usdc.balanceOf(deployer.address)).sub(usdcBefore).eq(usdcGoal))
+            assert((await erc20.balanceOf(donor.address)).eq(etherGoal))
+            assert((await usdc.balanceOf(fundMe.address)).eq(0))
+            assert((await erc20.balanceOf(fundMe.address)).eq(0))
+        })
+
+        it('handles tokens with 6 decimals through the client', async () =>
+        {
+            const client = new CampaignClient(donor, fundMe.address)
+            const amount = ethers.utils.parseUnits('12.5', USDC_DECIMALS)
+            const id = await launchRunningCampaign(fundMe, usdc.address, amount)
+            await usdc.transfer(donor.address, amount)
+
+            await client.pledge(id, amount)
+
+            const token = await client.token(id)
+            assert(token.address === usdc.address)
+            assert(await token.decimals() === USDC_DECIMALS)
+            const campaign = await client.getCampaign(id)
+            assert(campaign.token === usdc.address)
+            assert(ethers.utils.formatUnits(campaign.pledged, await token.decimals()) === '12.5')
+        })
+    })
+
+    describe('fee-on-transfer tokens', async () =>
+    {
+        const AMOUNT = ethers.utils.parseEther('100')
+
+        const afterFee = (amount) => amount.mul(10000 - FEE_BPS).div(10000)
+
+        // the fee is taken once when funding the donor and once more when pledging
+        const HELD = afterFee(AMOUNT)
+
+        const RECEIVED = afterFee(HELD)
+
+        it('credits the donor with the amount FundMe received', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, feeToken.address, AMOUNT)
+            await fund(feeToken, donor, AMOUNT)
+
+            await expect(fundMe.connect(donor).pledge(id, HELD))
+                .to.emit(fundMe, 'Pledge').withArgs(id, donor.address, RECEIVED)
+
+            assert((await fundMe.pledgedAmount(id, donor.address)).eq(RECEIVED))
+            assert((await fundMe.campaigns(id)).pledged.eq(RECEIVED))
+            assert((await feeToken.balanceOf(fundMe.address)).eq(RECEIVED))
+        })
+
+        it('can refund every donor of a failed campaign', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, feeToken.address, AMOUNT.mul(10))
+            await fund(feeToken, donor, AMOUNT)
+            await fund(feeToken, donor2, AMOUNT)
+            await fundMe.connect(donor).pledge(id, HELD)
+            await fundMe.connect(donor2).pledge(id, HELD)
+            await endCampaign()
+
+            await fundMe.connect(donor).refund(id)
+            await fundMe.connect(donor2).refund(id)
+
+            assert((await feeToken.balanceOf(fundMe.address)).eq(0))
+        })
+
+        it('can pay out a successful campaign', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, feeToken.address, RECEIVED)
+            await fund(feeToken, donor, AMOUNT)
+            await fundMe.connect(donor).pledge(id, HELD)
+            await endCampaign()
+
+            await fundMe.claim(id)
+
+            assert((await feeToken.balanceOf(fundMe.address)).eq(0))
+        })
+    })
+
+    describe('tokens returning false', async () =>
+    {
+        const AMOUNT = ethers.utils.parseEther('10')
+
+        it('rejects a pledge whose transfer returned false', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, falseToken.address, AMOUNT)
+            await falseToken.transfer(donor.address, AMOUNT)
+            await falseToken.connect(donor).approve(fundMe.address, AMOUNT.div(2))
+
+            await expect(fundMe.connect(donor).pledge(id, AMOUNT)).to.be.revertedWith('SafeERC20: ERC20 operation did not succeed')
+
+            assert((await fundMe.pledgedAmount(id, donor.address)).eq(0))
+            assert((await fundMe.campaigns(id)).pledged.eq(0))
+        })
+
+        it('works like any token when the transfers go through', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, falseToken.address, AMOUNT.mul(2))
+            await fund(falseToken, donor, AMOUNT)
+            await fundMe.connect(donor).pledge(id, AMOUNT)
+            await endCampaign()
+
+            await fundMe.connect(donor).refund(id)
+
+            assert((await falseToken.balanceOf(donor.address)).eq(AMOUNT))
+        })
+    })
+})
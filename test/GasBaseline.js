@@ -0,0 +1,83 @@
+const { assert } = require('chai')
+const { TRACKED_METHODS, summarizeGas, deployedSize, compare, formatTable } = require('../utils/gasBaseline')
+const { BENCHMARKS, runBenchmarks } = require('../utils/gasBenchmarks')
+
+describe('Gas Baseline Unit Tests', async () =>
+{
+    // what runBenchmarks resolves with
+    const results = [
+        { method: 'pledge', name: 'a', gasUsed: 100 },
+        { method: 'launch', name: 'b', gasUsed: 1000 },
+        { method: 'pledge', name: 'c', gasUsed: 300 },
+        { method: 'setTokenAllowed', name: 'd', gasUsed: 50 },
+        { method: 'pledge', name: 'e', gasUsed: 200 },
+    ]
+
+    const baseline = {
+        methods: { pledge: { avg: 200 }, launch: { avg: 1000 } },
+        size: 20000,
+    }
+
+    it('sums up the benchmarks of the tracked methods', async () =>
+    {
+        assert.deepEqual(summarizeGas(results), {
+            launch: { min: 1000, max: 1000, avg: 1000, calls: 1 },
+            pledge: { min: 100, max: 300, avg: 200, calls: 3 },
+        })
+    })
+
+    it('measures every tracked method the same way on every run', async () =>
+    {
+        const first = await runBenchmarks()
+
+        assert.deepEqual(first.map((r) => r.name), BENCHMARKS.map((b) => b.name))
+        assert.deepEqual(Object.keys(summarizeGas(first)).sort(), [...TRACKED_METHODS].sort())
+        assert.deepEqual(await runBenchmarks(), first)
+    })
+
+    it('measures the deployed bytecode in bytes', async () =>
+    {
+        assert(deployedSize({ deployedBytecode: '0x6080604052' }) === 5)
+    })
+
+    it('flags what grew beyond the threshold', async () =>
+    {
+        const current = {
+            methods: { pledge: { avg: 211 }, launch: { avg: 1040 } },
+            size: 19000,
+        }
+
+        const { rows, regressions } = compare(baseline, current, 5)
+
+        assert.deepEqual(regressions.map((row) => row.name), ['pledge'])
+        assert(rows.find((row) => row.name === 'bytecode size').regressed === false)
+    })
+
+    it('does not flag methods new or gone since the baseline', async () =>
+    {
+        const current = {
+            methods: { pledge: { avg: 200 }, refund: { avg: 5000 } },
+            size: 20000,
+        }
+
+        const { rows, regressions } = compare(baseline, current, 5)
+
+        assert(regressions.length === 0)
+        const table = formatTable(rows)
+        assert.match(table, /launch\s+1000\s+-\s+removed/)
+        assert.match(table, /refund\s+-\s+5000\s+new/)
+    })
+
+    it('prints the change of every row', async () =>
+    {
+        const current = {
+            methods: { pledge: { avg: 300 }, launch: { avg: 1000 } },
+            size: 20000,
+        }
+
+        const table = formatTable(compare(baseline, current, 5).rows)
+
+        assert.match(table, /pledge\s+200\s+300\s+\+50\.00%\s+REGRESSED/)
+        assert.match(table, /bytecode size\s+20000\s+20000\s+0\.00%/)
+    })
+})
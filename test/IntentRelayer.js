@@ -0,0 +1,194 @@
+const { ethers, network, deployments } = require('hardhat')
+const { assert } = require('chai')
+const request = require('supertest')
+const { createRelayerServer, IntentStatus } = require('../utils/intentRelayer')
+const { signIntent } = require('../utils/intents')
+const { NO_METADATA, getCurrentTime, increaseTime } = require('./helpers/campaigns')
+
+describe('Intent Relayer Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('0.2')
+
+    const DONATION_AMOUNT = ethers.utils.parseEther('0.1')
+
+    let erc20, fundMe
+
+    let deployer, relayerAccount, donor
+
+    let server, relayer
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        relayerAccount = accounts[3]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+
+        // a local signer holding tokens but, once it approved FundMe, no ETH
+        donor = ethers.Wallet.createRandom().connect(ethers.provider)
+        await deployer.sendTransaction({ to: donor.address, value: ethers.utils.parseEther('1') })
+        await erc20.transfer(donor.address, DONATION_AMOUNT)
+        await erc20.connect(donor).approve(fundMe.address, DONATION_AMOUNT)
+        await network.provider.send('hardhat_setBalance', [donor.address, '0x0'])
+
+        let currentTime = await getCurrentTime()
+        await fundMe.launch(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA)
+        await fundMe.launch(erc20.address, GOAL, currentTime + 5000, currentTime + 10000, ...NO_METADATA)
+        await increaseTime(100)
+
+        server = createRelayerServer({ signer: relayerAccount, fundMeAddress: fundMe.address })
+        relayer = server.relayer
+    })
+
+    // signs an intent of the donor for FundMe, valid for an hour unless another deadline is given
+    const intentOf = async (intent) =>
+    {
+        return signIntent(donor, { fundMeAddress: fundMe.address, deadline: (await getCurrentTime()) + 3600, ...intent })
+    }
+
+    describe('GET /domain', async () =>
+    {
+        it('returns what intents are signed with', async () =>
+        {
+            const res = await request(server).get('/domain').expect(200)
+
+            assert.deepEqual(res.body.domain, { name: 'FundMe', version: '1', chainId: 31337, verifyingContract: fundMe.address })
+            assert.deepEqual(Object.keys(res.body.types), ['Pledge', 'Unpledge', 'Refund'])
+        })
+    })
+
+    describe('POST /intents', async () =>
+    {
+        it('queues a pledge and sends it from the relayer account', async () =>
+        {
+            const intent = await intentOf({ action: 'pledge', id: 1, amount: DONATION_AMOUNT })
+
+            const res = await request(server).post('/intents').send(intent).expect(202)
+            assert(res.body.status === IntentStatus.QUEUED && res.body.donor === donor.address)
+            assert(res.body.signature === undefined)
+            await relayer.idle()
+
+            const status = await request(server).get(`/intents/${res.body.digest}`).expect(200)
+            assert(status.body.status === IntentStatus.MINED)
+            const tx = await ethers.provider.getTransaction(status.body.transactionHash)
+            assert(tx.from === relayerAccount.address && tx.blockNumber === status.body.blockNumber)
+            assert((await fundMe.pledgedAmount(1, donor.address)).eq(DONATION_AMOUNT))
+            assert((await ethers.provider.getBalance(donor.address)).eq(0))
+        })
+
+        it('unpledges and refunds for the donor', async () =>
+        {
+            await request(server).post('/intents').send(await intentOf({ action: 'pledge', id: 1, amount: DONATION_AMOUNT })).expect(202)
+            // intents are checked against the chain, so the unpledge waits for the pledge to be mined
+            await relayer.idle()
+            await request(server).post('/intents').send(await intentOf({ action: 'unpledge', id: 1, amount: DONATION_AMOUNT.div(4) })).expect(202)
+            await relayer.idle()
+            const refund = await intentOf({ action: 'refund', id: 1, deadline: (await getCurrentTime()) + 5000 })
+            await increaseTime(1000)
+
+            const res = await request(server).post('/intents').send(refund).expect(202)
+            await relayer.idle()
+
+            assert(relayer.get(res.body.digest).status === IntentStatus.MINED)
+            assert((await erc20.balanceOf(donor.address)).eq(DONATION_AMOUNT))
+            assert((await fundMe.pledgedAmount(1, donor.address)).eq(0))
+        })
+
+        it('refuses the intents FundMe would revert on without sending them', async () =>
+        {
+            const pledge = await intentOf({ action: 'pledge', id: 1, amount: 1 })
+            const cases = [
+                [await intentOf({ action: 'pledge', id: 2, amount: 1 }), 'campaign not started'],
+                [await intentOf({ action: 'pledge', id: 3, amount: 1 }), 'campaign does not exist'],
+                [await intentOf({ action: 'pledge', id: 1, amount: DONATION_AMOUNT.add(1) }), 'ERC20: insufficient allowance'],
+                [await intentOf({ action: 'pledge', id: 1, amount: 1, deadline: (await getCurrentTime()) - 1 }), 'intent expired'],
+                [{ ...pledge, amount: '2' }, 'invalid signature'],
+                [{ ...pledge, signature: `0x${'11'.repeat(65)}` }, 'invalid signature'],
+                [await intentOf({ action: 'unpledge', id: 1, amount: 1 }), 'not enough pledged'],
+                [await intentOf({ action: 'refund', id: 1 }), 'campaign has not ended'],
+            ]
+            const transactions = await ethers.provider.getTransactionCount(relayerAccount.address)
+
+            for (const [intent, reason] of cases)
+            {
+                const res = await request(server).post('/intents').send(intent).expect(422)
+                assert(res.body.error === reason, `expected ${reason}, got ${res.body.error}`)
+            }
+            await fundMe.pause()
+            const paused = await request(server).post('/intents').send(pledge).expect(422)
+            assert(paused.body.error === 'Pausable: paused')
+            assert(await ethers.provider.getTransactionCount(relayerAccount.address) === transactions)
+        })
+
+        it('refuses malformed intents', async () =>
+        {
+            const intent = await intentOf({ action: 'pledge', id: 1, amount: 1 })
+
+            const cases = [
+                [{ ...intent, action: 'claim' }, 'action must be one of pledge, unpledge, refund'],
+                [{ ...intent, donor: 'alice' }, 'donor must be an address'],
+                [{ ...intent, amount: '-1' }, 'amount must be a non-negative integer'],
+                [{ ...intent, signature: undefined }, 'signature must be 65 bytes of hex'],
+            ]
+            for (const [body, error] of cases)
+            {
+                const res = await request(server).post('/intents').send(body).expect(400)
+                assert(res.body.error === error)
+            }
+            const notJson = await request(server).post('/intents').set('Content-Type', 'application/json').send('{').expect(400)
+            assert(notJson.body.error === 'the body is not JSON')
+        })
+
+        it('answers 413 to a body over 16 KiB', async () =>
+        {
+            const intent = await intentOf({ action: 'pledge', id: 1, amount: 1 })
+
+            const res = await request(server).post('/intents').send({ ...intent, padding: 'x'.repeat(64 * 1024) }).expect(413)
+
+            assert(res.body.error === 'the body is over 16384 bytes')
+            assert(res.headers.connection === 'close')
+            assert(relayer.records.size === 0)
+        })
+
+        it('refuses a nonce that is already queued', async () =>
+        {
+            const intent = await intentOf({ action: 'pledge', id: 1, amount: 1 })
+
+            const results = await Promise.allSettled([relayer.submit(intent), relayer.submit({ ...intent })])
+            await relayer.idle()
+
+            assert(results[0].status === 'fulfilled')
+            assert(results[1].status === 'rejected' && results[1].reason.status === 409)
+            assert((await fundMe.pledgedAmount(1, donor.address)).eq(1))
+        })
+
+        it('checks each intent again right before sending it', async () =>
+        {
+            const first = await intentOf({ action: 'pledge', id: 1, amount: DONATION_AMOUNT.div(2) })
+            const second = await intentOf({ action: 'pledge', id: 1, amount: DONATION_AMOUNT })
+
+            // both pass while queued, but the first one uses up the allowance the second needs
+            const [queued, late] = await Promise.all([relayer.submit(first), relayer.submit(second)])
+            await relayer.idle()
+
+            assert(relayer.get(queued.digest).status === IntentStatus.MINED)
+            const failed = relayer.get(late.digest)
+            assert(failed.status === IntentStatus.FAILED && failed.error === 'ERC20: insufficient allowance')
+            assert(failed.transactionHash === undefined)
+        })
+    })
+
+    describe('GET /intents/:digest', async () =>
+    {
+        it('returns 404 for an unknown intent and 405 for other methods', async () =>
+        {
+            await request(server).get(`/intents/${ethers.constants.HashZero}`).expect(404)
+            const res = await request(server).get('/intents').expect(405)
+            assert(res.headers.allow === 'POST')
+            await request(server).get('/nothing').expect(404)
+        })
+    })
+})
@@ -0,0 +1,93 @@
+const { ethers } = require('hardhat')
+const { assert } = require('chai')
+const { runLifecycle } = require('./helpers/milestoneSimulation')
+
+// whole campaigns with four donors, one per voting outcome
+describe('Milestone Simulation Tests', async () =>
+{
+    const tokens = (amount) => ethers.utils.parseEther(amount)
+
+    // the first donor alone outweighs the three others
+    const PLEDGES = { 0: tokens('4'), 1: tokens('1'), 2: tokens('1'), 3: tokens('1') }
+
+    const TOTAL = tokens('7')
+
+    it('releases every milestone when the donors approve them all', async () =>
+    {
+        const { model, campaign, releases, leftover } = await runLifecycle({
+            percentages: [20, 30, 50],
+            pledges: PLEDGES,
+            votes: [
+                { 0: true, 1: true, 2: true, 3: true },
+                { 0: true, 1: true },
+                { 0: true },
+            ],
+        })
+
+        assert(model.released.eq(TOTAL))
+        assert(releases.next === 3)
+        assert(campaign.claimed === true)
+        assert(leftover.eq(0))
+    })
+
+    it('weighs votes by pledge rather than by donor', async () =>
+    {
+        const { model, releases } = await runLifecycle({
+            percentages: [50, 50],
+            pledges: PLEDGES,
+            votes: [
+                { 0: true, 1: false, 2: false, 3: false },
+                { 0: false, 1: true, 2: true, 3: true },
+            ],
+        })
+
+        assert(model.released.eq(TOTAL.div(2)))
+        assert(releases.rejected === true)
+    })
+
+    it('lets donors reclaim the unreleased tokens pro-rata when a later milestone is rejected', async () =>
+    {
+        const { model, reclaimed, leftover } = await runLifecycle({
+            percentages: [25, 25, 50],
+            pledges: { 0: tokens('3'), 1: tokens('2'), 2: tokens('1.3') },
+            votes: [
+                { 0: true, 1: true },
+                { 0: false, 2: true },
+            ],
+        })
+
+        const unreleased = tokens('6.3').sub(model.released)
+        assert(model.released.eq(tokens('6.3').div(4)))
+        assert(reclaimed[0].eq(tokens('3').mul(unreleased).div(tokens('6.3'))))
+        const totalReclaimed = Object.values(reclaimed).reduce((sum, amount) => sum.add(amount), ethers.BigNumber.from(0))
+        assert(totalReclaimed.add(leftover).eq(unreleased))
+        assert(leftover.lt(3))
+    })
+
+    it('rejects a release nobody votes on, and every donor gets everything back', async () =>
+    {
+        const { model, reclaimed } = await runLifecycle({
+            percentages: [100],
+            pledges: PLEDGES,
+            votes: [{}],
+        })
+
+        assert(model.released.eq(0))
+        for (const [index, amount] of Object.entries(PLEDGES))
+        {
+            assert(reclaimed[index].eq(amount))
+        }
+    })
+
+    it('rejects a release on a tie', async () =>
+    {
+        const { model, releases } = await runLifecycle({
+            percentages: [40, 60],
+            pledges: { 0: tokens('2'), 1: tokens('1'), 2: tokens('1') },
+            votes: [{ 0: true, 1: false, 2: false }],
+        })
+
+        assert(model.released.eq(0))
+        assert(releases.rejected === true)
+    })
+})
@@ -0,0 +1,129 @@
+const { assert } = require('chai')
+const {
+    buildNetworkConfig,
+    getHardhatNetworks,
+    getSelectedNetwork,
+    reportSkippedNetworks,
+    getEtherscanConfig,
+    getExplorerConfig
+} = require('../helper-hardhat-config')
+
+describe('Network Config Unit Tests', async () =>
+{
+    const PRIVATE_KEY = '0x0123456789012345678901234567890123456789012345678901234567890123'
+
+    const SEPOLIA_TOKEN = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238'
+
+    const FULL_ENV = {
+        PRIVATE_KEY,
+        SEPOLIA_RPC_URL: 'https://sepolia.example',
+        SEPOLIA_TOKEN_ADDRESS: SEPOLIA_TOKEN,
+        HOLESKY_RPC_URL: 'https://holesky.example',
+        ETHERSCAN_API_KEY: 'etherscan-key',
+    }
+
+    describe('buildNetworkConfig', async () =>
+    {
+        it('resolves the url, token address and explorer of each network from the environment', async () =>
+        {
+            const config = buildNetworkConfig(FULL_ENV)
+
+            assert(config[11155111].name === 'sepolia')
+            assert(config[11155111].url === 'https://sepolia.example')
+            assert(config[11155111].tokenAddress === SEPOLIA_TOKEN)
+            assert(config[11155111].blockConfirmations === 6)
+            assert(config[11155111].explorer.apiKey === 'etherscan-key')
+            assert(config[17000].name === 'holesky')
+            assert(config[17000].tokenAddress === undefined)
+            assert(config[31337].name === 'localhost')
+            assert(config[31337].url === 'http://127.0.0.1:8545')
+        })
+
+        it('no longer knows the shut down rinkeby network', async () =>
+        {
+            assert(buildNetworkConfig(FULL_ENV)[4] === undefined)
+        })
+    })
+
+    describe('getHardhatNetworks', async () =>
+    {
+        it('adds every live network whose variables are set', async () =>
+        {
+            const { networks, skipped } = getHardhatNetworks(FULL_ENV)
+
+            assert.deepEqual(Object.keys(networks).sort(), ['hardhat', 'holesky', 'localhost', 'sepolia'])
+            assert.deepEqual(networks.sepolia, {
+                chainId: 11155111,
+                blockConfirmations: 6,
+                url: 'https://sepolia.example',
+                accounts: [PRIVATE_KEY],
+            })
+            assert.deepEqual(skipped, {})
+        })
+
+        it('skips networks with missing variables and tells what to set instead of crashing', async () =>
+        {
+            const { networks, skipped } = getHardhatNetworks({ SEPOLIA_RPC_URL: 'https://sepolia.example' })
+
+            assert.deepEqual(Object.keys(networks).sort(), ['hardhat', 'localhost'])
+            assert.deepEqual(skipped, {
+                holesky: 'Network "holesky" skipped: HOLESKY_RPC_URL and PRIVATE_KEY not set',
+                sepolia: 'Network "sepolia" skipped: PRIVATE_KEY not set',
+            })
+        })
+
+        it('finds the network selected on the command line or for hardhat run', async () =>
+        {
+            assert(getSelectedNetwork(['node', 'hardhat', 'test', '--network', 'sepolia'], {}) === 'sepolia')
+            assert(getSelectedNetwork(['node', 'hardhat', 'test', '--network=holesky'], {}) === 'holesky')
+            assert(getSelectedNetwork(['node', 'script.js'], { HARDHAT_NETWORK: 'localhost' }) === 'localhost')
+            assert(getSelectedNetwork(['node', 'hardhat', 'test'], {}) === undefined)
+        })
+
+        it('warns about every skipped network and fails with the same message when one is selected', async () =>
+        {
+            const { skipped } = getHardhatNetworks({ SEPOLIA_RPC_URL: 'https://sepolia.example' })
+            const warnings = []
+
+            reportSkippedNetworks(skipped, undefined, (message) => warnings.push(message))
+            assert.deepEqual(warnings, [skipped.holesky, skipped.sepolia])
+            assert.throws(() => reportSkippedNetworks(skipped, 'sepolia', () => {}), skipped.sepolia)
+            reportSkippedNetworks({}, 'sepolia', () => assert.fail('nothing was skipped'))
+        })
+
+        it('always has the development networks', async () =>
+        {
+            const { networks } = getHardhatNetworks({})
+
+            assert(networks.hardhat.chainId === 31337)
+            assert(networks.localhost.url === 'http://127.0.0.1:8545')
+        })
+    })
+
+    describe('explorers', async () =>
+    {
+        it('declares a custom chain per explorer and an API key per configured network', async () =>
+        {
+            const { apiKey, customChains } = getEtherscanConfig(FULL_ENV)
+
+            assert.deepEqual(apiKey, { sepolia: 'etherscan-key', holesky: 'etherscan-key' })
+            assert.deepEqual(customChains.map((chain) => chain.network).sort(), ['holesky', 'sepolia'])
+        })
+
+        it('resolves the explorer of a chain for verification', async () =>
+        {
+            const explorer = getExplorerConfig(17000, FULL_ENV)
+
+            assert(explorer.apiURL === 'https://api-holesky.etherscan.io/api')
+            assert(explorer.browserURL === 'https://holesky.etherscan.io')
+            assert(explorer.apiKey === 'etherscan-key')
+        })
+
+        it('has no explorer for local chains or when the API key is missing', async () =>
+        {
+            assert(getExplorerConfig(31337, FULL_ENV) === undefined)
+            assert(getExplorerConfig(11155111, {}) === undefined)
+            assert(getExplorerConfig(4, FULL_ENV) === undefined)
+        })
+    })
+})
@@ -0,0 +1,66 @@
+const { artifacts, ethers } = require('hardhat')
+const { assert, expect } = require('chai')
+const { PACKAGE_CONTRACTS, abiHash, compareVersions, checkLock, updateLock } = require('../utils/abiLock')
+const { version } = require('../package.json')
+const lock = require('../abi-lock.json')
+
+describe('Package ABI Unit Tests', async () =>
+{
+    const currentHashes = async () =>
+    {
+        const hashes = {}
+        for (const name of PACKAGE_CONTRACTS)
+        {
+            hashes[name] = abiHash((await artifacts.readArtifact(name)).abi)
+        }
+        return hashes
+    }
+
+    it('exports the ABIs recorded in abi-lock.json for the package version', async () =>
+    {
+        assert.deepEqual(checkLock(lock, { version, abis: await currentHashes() }), [])
+    })
+
+    describe('the lock', async () =>
+    {
+        const abi = ['function pledge(uint256 _id, uint256 _amount)', 'event Pledge(uint256 indexed id, address indexed caller, uint256 amount)']
+        const locked = { version: '1.2.0', abis: { FundMe: abiHash(abi) } }
+        const changed = { FundMe: abiHash([...abi, 'function unpledge(uint256 _id, uint256 _amount)']) }
+
+        it('hashes ABIs regardless of the order and format of their entries', async () =>
+        {
+            const json = JSON.parse(new ethers.utils.Interface(abi).format(ethers.utils.FormatTypes.json))
+            assert(abiHash([...json].reverse()) === locked.abis.FundMe)
+        })
+
+        it('fails when an ABI changed without a version bump', async () =>
+        {
+            const problems = checkLock(locked, { version: '1.2.0', abis: changed })
+            assert(problems.length === 1)
+            assert.match(problems[0], /ABI of FundMe changed without a version bump/)
+        })
+
+        it('fails when the version was bumped without updating the lock', async () =>
+        {
+            assert.match(checkLock(locked, { version: '1.3.0', abis: locked.abis })[0], /abi-lock.json is for version 1.2.0/)
+            assert.match(checkLock(locked, { version: '1.3.0', abis: changed })[0], /abi-lock.json is for version 1.2.0/)
+        })
+
+        it('is only updated for changed ABIs along with a greater version', async () =>
+        {
+            expect(() => updateLock(locked, { version: '1.2.0', abis: changed })).to.throw('bump the version')
+            expect(() => updateLock(locked, { version: '1.1.9', abis: changed })).to.throw('bump the version')
+
+            const updated = updateLock(locked, { version: '1.10.0', abis: changed })
+            assert.deepEqual(checkLock(updated, { version: '1.10.0', abis: changed }), [])
+            assert.deepEqual(updateLock(locked, { version: '1.2.0', abis: locked.abis }), locked)
+        })
+
+        it('compares versions numerically', async () =>
+        {
+            assert(compareVersions('1.10.0', '1.9.3') > 0)
+            assert(compareVersions('2.0.0', '2.0.0') === 0)
+            assert(compareVersions('0.9.0', '1.0.0') < 0)
+        })
+    })
+})
@@ -0,0 +1,329 @@
+const fs = require('fs')
+const path = require('path')
+const { ethers, network, deployments, artifacts } = require('hardhat')
+const { assert, expect } = require('chai')
+const { CampaignClient } = require('../utils/campaignClient')
+const { CampaignIndexer } = require('../utils/campaignIndexer')
+const { DonorReceipts } = require('../utils/donorReceipts')
+const { RECEIPT_TIERS } = require('../helper-hardhat-config')
+const { NO_METADATA, getCurrentTime, increaseTime, launchRunningCampaign } = require('./helpers/campaigns')
+
+describe('PledgeReceipts Unit Tests', async () =>
+{
+    const GOAL = ethers.utils.parseEther('10')
+
+    let erc20, fundMe, receipts
+
+    let deployer, donor, donor2, buyer
+
+    beforeEach(async () =>
+    {
+        const accounts = await ethers.getSigners()
+        deployer = accounts[0]
+        donor = accounts[1]
+        donor2 = accounts[2]
+        buyer = accounts[3]
+
+        await deployments.fixture(['all'])
+        erc20 = await ethers.getContract('ERC20', deployer)
+        fundMe = await ethers.getContract('FundMe', deployer)
+        receipts = await ethers.getContract('PledgeReceipts', deployer)
+        await fundMe.setPledgeReceipts(receipts.address)
+        await fundDonors()
+    })
+
+    // the deployment fixture leaves the donors without tokens
+    const fundDonors = async () =>
+    {
+        for (const account of [donor, donor2, buyer])
+        {
+            await erc20.transfer(account.address, GOAL)
+            await erc20.connect(account).approve(fundMe.address, GOAL)
+        }
+    }
+
+    const metadataOf = async (receiptId) =>
+    {
+        const uri = await receipts.tokenURI(receiptId)
+        assert(uri.startsWith('data:application/json;base64,'))
+        return JSON.parse(Buffer.from(uri.split(',')[1], 'base64').toString())
+    }
+
+    const attribute = (metadata, name) => metadata.attributes.find((a) => a.trait_type === name).value
+
+    describe('minting and burning', async () =>
+    {
+        it('mints one receipt per donor and campaign on the first pledge', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+
+            await expect(fundMe.connect(donor).pledge(id, ethers.utils.parseEther('0.05')))
+                .to.emit(receipts, 'Transfer').withArgs(ethers.constants.AddressZero, donor.address, 1)
+            await expect(fundMe.connect(donor).pledge(id, ethers.utils.parseEther('0.05'))).not.to.emit(receipts, 'Transfer')
+
+            assert(await receipts.ownerOf(1) === donor.address)
+            assert((await receipts.receiptOf(id, donor.address)).eq(1))
+            const { amount } = await receipts.pledgeOf(1)
+            assert(amount.eq(ethers.utils.parseEther('0.1')))
+        })
+
+        it('carries the tier of what is pledged behind the receipt', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('0.05'))
+            assert((await receipts.tierOf(1)).eq(0))
+
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('0.05'))
+            assert((await receipts.tierOf(1)).eq(1))
+
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('0.9'))
+            const metadata = await metadataOf(1)
+            assert(metadata.name === 'FundMe pledge #1')
+            assert(attribute(metadata, 'Campaign') === id.toNumber())
+            assert(attribute(metadata, 'Amount') === ethers.utils.parseEther('1').toString())
+            assert(attribute(metadata, 'Tier') === RECEIPT_TIERS[2].name)
+        })
+
+        it('keeps the receipt on a partial unpledge and burns it once nothing is left', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('2'))
+
+            await fundMe.connect(donor).unpledge(id, ethers.utils.parseEther('1.95'))
+            assert(await receipts.ownerOf(1) === donor.address)
+            assert(attribute(await metadataOf(1), 'Tier') === RECEIPT_TIERS[0].name)
+
+            await expect(fundMe.connect(donor).unpledge(id, ethers.utils.parseEther('0.05')))
+                .to.emit(receipts, 'Transfer').withArgs(donor.address, ethers.constants.AddressZero, 1)
+            assert((await receipts.receiptOf(id, donor.address)).eq(0))
+            await expect(receipts.tokenURI(1)).to.be.revertedWith('ERC721: invalid token ID')
+
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('1'))
+            assert((await receipts.receiptOf(id, donor.address)).eq(2))
+        })
+
+        it('burns the receipt on a refund', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('1'))
+            await increaseTime(1000)
+
+            await fundMe.connect(donor).refund(id)
+
+            assert((await receipts.balanceOf(donor.address)).eq(0))
+        })
+
+        it('only gives receipts to donors of campaigns launched once they were set', async () =>
+        {
+            const withReceipts = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await deployments.fixture(['all'])
+            await fundDonors()
+            const without = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.setPledgeReceipts(receipts.address)
+            const withReceiptsAgain = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+
+            await fundMe.connect(donor).pledge(without, ethers.utils.parseEther('1'))
+            await fundMe.connect(donor).pledge(withReceiptsAgain, ethers.utils.parseEther('1'))
+
+            assert(withReceipts.eq(without))
+            assert(await fundMe.pledgeReceiptsOf(without) === ethers.constants.AddressZero)
+            assert((await receipts.balanceOf(donor.address)).eq(1))
+            assert((await receipts.campaignOf(1)).eq(withReceiptsAgain))
+        })
+
+        it('only lets FundMe mint and the receipts move pledges', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('1'))
+
+            await expect(receipts.update(id, donor.address, 1)).to.be.revertedWith('not FundMe')
+            await expect(fundMe.transferPledge(id, donor.address, deployer.address)).to.be.revertedWith('not pledge receipts')
+            await expect(fundMe.connect(donor).setPledgeReceipts(donor.address)).to.be.revertedWith('not owner')
+        })
+    })
+
+    describe('hostile receipts', async () =>
+    {
+        let hostile
+
+        beforeEach(async () =>
+        {
+            // a FundMe whose receipts were never set
+            await deployments.fixture(['all'])
+            await fundDonors()
+            const MockHostilePledgeReceipts = await ethers.getContractFactory('MockHostilePledgeReceipts', deployer)
+            hostile = await MockHostilePledgeReceipts.deploy(fundMe.address)
+        })
+
+        // puts the hostile code at the address of the receipts FundMe took, as if they had a bug
+        const breakReceipts = async () =>
+        {
+            await network.provider.send('hardhat_setCode', [receipts.address, await ethers.provider.getCode(hostile.address)])
+            hostile = hostile.attach(receipts.address)
+            // burnGas shares its slot with the receipts' name
+            await hostile.setBurnGas(false)
+        }
+
+        it('knows the hash of the compiled PledgeReceipts', async () =>
+        {
+            const { deployedBytecode } = await artifacts.readArtifact('PledgeReceipts')
+            const codeHash = ethers.utils.keccak256(deployedBytecode)
+            const source = fs.readFileSync(path.join(__dirname, '..', 'contracts', 'FundMe.sol'), 'utf8')
+
+            assert(source.includes(`PLEDGE_RECEIPTS_CODEHASH = ${codeHash};`), `set PLEDGE_RECEIPTS_CODEHASH in contracts/FundMe.sol to ${codeHash}`)
+            assert(ethers.utils.keccak256(await ethers.provider.getCode(receipts.address)) === codeHash)
+        })
+
+        it('only takes PledgeReceipts made for this FundMe, and only once', async () =>
+        {
+            const PledgeReceipts = await ethers.getContractFactory('PledgeReceipts', deployer)
+            const elsewhere = await PledgeReceipts.deploy(erc20.address, [0], ['Backer'])
+
+            await expect(fundMe.setPledgeReceipts(hostile.address)).to.be.revertedWith('receipts not made for FundMe')
+            await expect(fundMe.setPledgeReceipts(elsewhere.address)).to.be.revertedWith('receipts not made for FundMe')
+            await expect(fundMe.setPledgeReceipts(donor.address)).to.be.revertedWith('receipts not made for FundMe')
+            await fundMe.setPledgeReceipts(receipts.address)
+            await expect(fundMe.setPledgeReceipts(hostile.address)).to.be.revertedWith('pledge receipts already set')
+            await expect(fundMe.setPledgeReceipts(ethers.constants.AddressZero)).to.be.revertedWith('pledge receipts already set')
+        })
+
+        it('cannot move the pledges of campaigns launched before or after the receipts were set', async () =>
+        {
+            const before = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.setPledgeReceipts(receipts.address)
+            const after = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            for (const id of [before, after])
+            {
+                await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('1'))
+            }
+
+            for (const id of [before, after])
+            {
+                await expect(hostile.steal(id, donor.address)).to.be.revertedWith('not pledge receipts')
+                assert((await fundMe.pledgedAmount(id, donor.address)).eq(ethers.utils.parseEther('1')))
+            }
+        })
+
+        it('never keeps donors from unpledging, getting a refund or withdrawing in an emergency', async () =>
+        {
+            await fundMe.setPledgeReceipts(receipts.address)
+            await breakReceipts()
+            const failing = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            const running = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            for (const id of [failing, running])
+            {
+                await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('2'))
+            }
+
+            await fundMe.connect(donor).unpledge(running, ethers.utils.parseEther('1'))
+            await fundMe.announceEmergency()
+            await increaseTime((await fundMe.EMERGENCY_DELAY()) + 1000)
+            await fundMe.connect(donor).refund(failing)
+            // receipts that burn the 63/64 of the gas they get still leave enough to pay for the exit
+            await hostile.setBurnGas(true)
+            await fundMe.connect(donor).emergencyWithdraw(running, { gasLimit: 5000000 })
+
+            assert((await erc20.balanceOf(donor.address)).eq(GOAL))
+            assert((await fundMe.pledgedAmount(failing, donor.address)).eq(0))
+            assert((await fundMe.pledgedAmount(running, donor.address)).eq(0))
+        })
+    })
+
+    describe('transfers', async () =>
+    {
+        it('lets the new holder get the refund and not the previous one', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('2'))
+
+            await expect(receipts.connect(donor).transferFrom(donor.address, buyer.address, 1))
+                .to.emit(fundMe, 'PledgeTransfer').withArgs(id, donor.address, buyer.address, ethers.utils.parseEther('2'))
+            await increaseTime(1000)
+
+            await expect(fundMe.connect(donor).refund(id)).to.be.revertedWith('nothing to refund')
+            await fundMe.connect(buyer).refund(id)
+
+            assert((await erc20.balanceOf(buyer.address)).eq(GOAL.add(ethers.utils.parseEther('2'))))
+            assert((await erc20.balanceOf(donor.address)).eq(GOAL.sub(ethers.utils.parseEther('2'))))
+            assert((await receipts.balanceOf(buyer.address)).eq(0))
+        })
+
+        it('lets the new holder unpledge part of the pledge', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('2'))
+            await receipts.connect(donor).transferFrom(donor.address, buyer.address, 1)
+
+            await expect(fundMe.connect(donor).unpledge(id, 1)).to.be.revertedWith('not enough pledged')
+            await fundMe.connect(buyer).unpledge(id, ethers.utils.parseEther('0.5'))
+
+            assert((await fundMe.pledgedAmount(id, buyer.address)).eq(ethers.utils.parseEther('1.5')))
+            assert((await fundMe.campaigns(id)).pledged.eq(ethers.utils.parseEther('1.5')))
+            assert(await receipts.ownerOf(1) === buyer.address)
+        })
+
+        it('cannot send a receipt to a donor of the same campaign', async () =>
+        {
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('1'))
+            await fundMe.connect(donor2).pledge(id, ethers.utils.parseEther('1'))
+
+            await expect(receipts.connect(donor).transferFrom(donor.address, donor2.address, 1))
+                .to.be.revertedWith('already holds a receipt for this campaign')
+
+            // but the new holder can add to the pledge it received
+            await receipts.connect(donor).transferFrom(donor.address, buyer.address, 1)
+            await expect(fundMe.connect(buyer).pledge(id, ethers.utils.parseEther('1'))).not.to.emit(receipts, 'Transfer')
+            assert((await fundMe.pledgedAmount(id, buyer.address)).eq(ethers.utils.parseEther('2')))
+        })
+
+        it('does not let the new holder vote again on a release', async () =>
+        {
+            let currentTime = await getCurrentTime()
+            await fundMe.launchWithMilestones(erc20.address, GOAL, currentTime + 5, currentTime + 1000, ...NO_METADATA, [50, 50])
+            const id = await fundMe.count()
+            await increaseTime(100)
+            await fundMe.connect(donor).pledge(id, GOAL)
+            await increaseTime(1000)
+            await fundMe.requestRelease(id)
+
+            await fundMe.connect(donor).vote(id, false)
+            await receipts.connect(donor).transferFrom(donor.address, buyer.address, 1)
+
+            await expect(fundMe.connect(buyer).vote(id, true)).to.be.revertedWith('already voted')
+        })
+    })
+
+    describe('CampaignClient, CampaignIndexer and DonorReceipts', async () =>
+    {
+        it('reads and transfers a receipt, and follows the pledge to its new holder', async () =>
+        {
+            const startBlock = (await deployments.get('FundMe')).receipt.blockNumber
+            const id = await launchRunningCampaign(fundMe, erc20.address, GOAL)
+            await fundMe.connect(donor).pledge(id, ethers.utils.parseEther('2'))
+            const client = new CampaignClient(donor, fundMe.address)
+
+            const receipt = await client.getPledgeReceipt(id)
+            assert(receipt.receiptId.eq(1) && receipt.amount.eq(ethers.utils.parseEther('2')))
+            assert(receipt.tierName === RECEIPT_TIERS[2].name)
+
+            await client.transferPledge(id, buyer.address)
+            assert(await client.getPledgeReceipt(id) === undefined)
+            assert((await new CampaignClient(buyer, fundMe.address).getPledgeReceipt(id)).receiptId.eq(1))
+
+            const indexer = new CampaignIndexer({ provider: ethers.provider, fundMeAddress: fundMe.address, startBlock })
+            await indexer.sync()
+            assert.deepEqual(indexer.getDonor(donor.address), {})
+            assert.deepEqual(indexer.getDonor(buyer.address), { [id]: ethers.utils.parseEther('2').toString() })
+            assert(indexer.getCampaign(id).pledgeReceipts === receipts.address)
+            assert(indexer.getHistory({ donor: buyer.address }).some((entry) => entry.type === 'PledgeTransfer'))
+
+            const statements = new DonorReceipts({ provider: ethers.provider, fundMeAddress: fundMe.address })
+            for (const account of [donor, buyer])
+            {
+                const { mismatches } = await statements.build({ donor: account.address, fromBlock: startBlock })
+                assert.deepEqual(mismatches, [])
+            }
+        })
+    })
+})
@@ -0,0 +1,201 @@
+const hre = require('hardhat')
+const { ethers, deployments } = hre
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { assert } = require('chai')
+const { ScenarioRunner, ScenarioValidationError, validateScenario, loadScenario } = require('../utils/scenario')
+
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios')
+
+// the sample scenarios, which double as regression tests
+const SAMPLES = fs.readdirSync(SCENARIOS_DIR).sort().map((file) => path.join(SCENARIOS_DIR, file))
+
+// resolves with the error `promise` was rejected with, if any
+const errorOf = async (promise) =>
+{
+    try
+    {
+        await promise
+    }
+    catch (e)
+    {
+        return e
+    }
+}
+
+describe('Scenario Unit Tests', async () =>
+{
+    let fundMe, runner
+
+    beforeEach(async () =>
+    {
+        await deployments.fixture(['all'])
+        fundMe = await ethers.getContract('FundMe')
+        runner = new ScenarioRunner({
+            provider: ethers.provider,
+            signers: await ethers.getSigners(),
+            fundMeAddress: fundMe.address,
+            tokenAddress: (await ethers.getContract('ERC20')).address,
+        })
+    })
+
+    describe('sample scenarios', async () =>
+    {
+        for (const file of SAMPLES)
+        {
+            it(`${path.basename(file)} ends in the expected state`, async () =>
+            {
+                const snapshot = await runner.snapshot()
+
+                const result = await runner.run(loadScenario(file))
+
+                assert.deepEqual(result.mismatches, [])
+                await runner.revert(snapshot)
+                assert((await fundMe.count()).eq(0))
+            })
+        }
+
+        it('can be applied on top of each other', async () =>
+        {
+            let count = 0
+            for (const file of SAMPLES)
+            {
+                const scenario = loadScenario(file)
+                const result = await runner.run({ ...scenario, expect: { campaigns: scenario.expect.campaigns } })
+                assert.deepEqual(result.mismatches, [])
+                assert.deepEqual(Object.values(result.campaigns).map((campaign) => campaign.id), Object.keys(scenario.campaigns).map(() => ++count))
+            }
+        })
+    })
+
+    describe('runner', async () =>
+    {
+        const scenario = {
+            name: 'half funded',
+            accounts: ['creator', 'alice'],
+            balances: { alice: 10 },
+            campaigns: { main: { creator: 'creator', goal: 20, duration: '1d' } },
+            steps: [{ wait: '2m' }, { pledge: { campaign: 'main', account: 'alice', amount: 10 } }],
+        }
+
+        it('returns the addresses of the accounts and the ids of the campaigns', async () =>
+        {
+            const signers = await ethers.getSigners()
+
+            const result = await runner.run(scenario)
+
+            assert.deepEqual(result.accounts, { deployer: signers[0].address, creator: signers[1].address, alice: signers[2].address })
+            assert(result.campaigns.main.id === 1 && result.campaigns.main.status === 'active')
+            assert((await fundMe.campaigns(1)).creator === signers[1].address)
+            assert((await fundMe.pledgedAmount(1, signers[2].address)).eq(ethers.utils.parseEther('10')))
+        })
+
+        it('reports the expectations that were not met', async () =>
+        {
+            const result = await runner.run({ ...scenario, expect: { campaigns: { main: { status: 'failed', pledged: 10 } }, balances: { alice: 1 } } })
+
+            assert.deepEqual(result.mismatches, [
+                'campaign main: expected status failed, got active',
+                'balance of alice: expected 1, got 0.0',
+            ])
+        })
+
+        it('tells which step failed and why', async () =>
+        {
+            const failing = { ...scenario, steps: [{ pledge: { campaign: 'main', account: 'alice', amount: 10 } }] }
+
+            const error = await errorOf(runner.run(failing))
+
+            assert.match(error.message, /^step 1 \(pledge\) of "half funded" failed: .*not started/)
+        })
+
+        it('cannot revert to the same snapshot twice', async () =>
+        {
+            const snapshot = await runner.snapshot()
+            await runner.revert(snapshot)
+
+            assert((await errorOf(runner.revert(snapshot))).message.startsWith(`cannot revert to snapshot ${snapshot}`))
+        })
+    })
+
+    describe('validation', async () =>
+    {
+        it('accepts the sample scenarios', async () =>
+        {
+            for (const file of SAMPLES)
+            {
+                loadScenario(file)
+            }
+        })
+
+        it('reports unknown accounts, campaigns and steps', async () =>
+        {
+            const errors = validateScenario({
+                name: 'broken',
+                accounts: ['alice', 'alice'],
+                balances: { bob: 1 },
+                campaigns: { main: { goal: 'lots', duration: '1y' } },
+                steps: [{ pledge: { campaign: 'other', account: 'alice', amount: 1 } }, { vote: {} }, { refund: { campaign: 'main' } }],
+                expect: { campaigns: { main: { status: 'done' } } },
+            })
+
+            assert.deepEqual(errors, [
+                'accounts must be unique and not "deployer"',
+                'balances.bob is not an account of the scenario',
+                'campaigns.main.goal must be an amount of tokens like 100 or 0.5',
+                'campaigns.main.duration: Invalid duration "1y", expected something like 90s, 15m, 1h, 7d or 2w',
+                'steps[0].pledge.campaign is not a campaign of the scenario',
+                'steps[1].vote is not a step, expected one of wait, pledge, unpledge, claim, refund, cancel',
+                'steps[2].refund.account is required',
+                'expect.campaigns.main.status must be one of pending, active, succeeded, failed, claimed, cancelled',
+            ])
+        })
+
+        it('refuses to run an invalid scenario', async () =>
+        {
+            const error = await errorOf(runner.run({ steps: [] }))
+
+            assert(error instanceof ScenarioValidationError)
+            assert.deepEqual(error.errors, ['name is required'])
+        })
+    })
+
+    describe('scenario:run', async () =>
+    {
+        let log, output
+
+        beforeEach(async () =>
+        {
+            log = console.log
+            output = []
+            console.log = (line) => output.push(line)
+        })
+
+        afterEach(async () =>
+        {
+            console.log = log
+        })
+
+        it('prints the campaigns of each scenario and reverts them with --isolated', async () =>
+        {
+            const results = await hre.run('scenario:run', { files: SAMPLES, isolated: true })
+
+            assert(results.length === SAMPLES.length)
+            assert(output.some((line) => /half-funded\s+#3 active 100\.0 \/ 200\.0 VIN/.test(line)))
+            assert((await fundMe.count()).eq(0))
+        })
+
+        it('fails on an invalid scenario before applying any', async () =>
+        {
+            const invalid = path.join(os.tmpdir(), 'invalid-scenario.yml')
+            fs.writeFileSync(invalid, 'name: invalid\nsteps:\n  - vote: {}\n')
+
+            const error = await errorOf(hre.run('scenario:run', { files: [...SAMPLES, invalid] }))
+
+            fs.rmSync(invalid)
+            assert.match(error.message, /invalid scenario: invalid-scenario.yml: steps\[0\].vote is not a step/)
+            assert((await fundMe.count()).eq(0))
+        })
+    })
+})
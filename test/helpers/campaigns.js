@@ -0,0 +1,38 @@
+// What the FundMe tests share, so that no test file has to define it as a global for the others:
+// reading and moving the time of the Hardhat network and launching campaigns.
+const { ethers, network } = require('hardhat')
+
+// launch() arguments for a campaign without a metadata document
+const NO_METADATA = ['', ethers.constants.HashZero]
+
+const getCurrentTime = async () =>
+{
+    let currentBlock = await ethers.provider.getBlock()
+    return currentBlock.timestamp
+}
+
+const increaseTime = async (seconds) =>
+{
+    await network.provider.send('evm_increaseTime', [seconds])
+    await network.provider.send('evm_mine')
+}
+
+/**
+ * Launches a campaign of `token` from the account `fundMe` is connected to, starting in 5 seconds
+ * and ending in `duration`, and moves past its start.
+ * @returns the id of the campaign
+ */
+const launchRunningCampaign = async (fundMe, token, goal, duration = 1000) =>
+{
+    let currentTime = await getCurrentTime()
+    await fundMe.launch(token, goal, currentTime + 5, currentTime + duration, ...NO_METADATA)
+    await increaseTime(100)
+    return fundMe.count()
+}
+
+module.exports = {
+    NO_METADATA,
+    getCurrentTime,
+    increaseTime,
+    launchRunningCampaign,
+}
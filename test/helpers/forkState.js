@@ -0,0 +1,117 @@
+// Records the mainnet state a forked Hardhat network reads and replays it without an RPC.
+// In record mode the fork talks to MAINNET_RPC_URL through a local proxy that keeps every
+// account and storage slot it answers; the result is saved as a JSON fixture and later
+// written into a plain Hardhat network with hardhat_setCode and hardhat_setStorageAt.
+const fs = require('fs')
+const http = require('http')
+const https = require('https')
+const path = require('path')
+const { ethers } = require('ethers')
+
+const emptyAccount = () => ({ code: '0x', storage: {} })
+
+// POSTs a JSON-RPC request, or a batch of them, to `url`
+const post = (url, body) =>
+{
+    const target = new URL(url)
+    const transport = target.protocol === 'https:' ? https : http
+    return new Promise((resolve, reject) =>
+    {
+        const req = transport.request(target, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) =>
+        {
+            let data = ''
+            res.on('data', (chunk) => (data += chunk))
+            res.on('end', () => resolve(data))
+        })
+        req.on('error', reject)
+        req.end(body)
+    })
+}
+
+// keeps the code and storage the fork learned from one request and its response. Balances and
+// nonces are left out: the local accounts the tests sign with must keep their own
+const recordResponse = (state, { method, params }, { result }) =>
+{
+    if (result === undefined || result === null) return
+    const address = params && typeof params[0] === 'string' && ethers.utils.isAddress(params[0]) && ethers.utils.getAddress(params[0])
+    if (!address) return
+    const account = state.accounts[address] || (state.accounts[address] = emptyAccount())
+    if (method === 'eth_getCode') account.code = result
+    if (method === 'eth_getStorageAt') account.storage[ethers.utils.hexValue(params[1])] = result
+}
+
+/**
+ * Starts a JSON-RPC proxy to `targetUrl` that records the accounts and storage slots it answers for.
+ * @returns { url, state, close } where `state` is filled in as the fork reads from the proxy
+ */
+const startRecordingProxy = async (targetUrl, blockNumber) =>
+{
+    const state = { blockNumber, accounts: {} }
+    const server = http.createServer((req, res) =>
+    {
+        let body = ''
+        req.on('data', (chunk) => (body += chunk))
+        req.on('end', async () =>
+        {
+            try
+            {
+                const answer = await post(targetUrl, body)
+                const requests = [].concat(JSON.parse(body))
+                const responses = [].concat(JSON.parse(answer))
+                for (const request of requests)
+                {
+                    const response = responses.find((r) => r.id === request.id)
+                    if (response) recordResponse(state, request, response)
+                }
+                res.setHeader('Content-Type', 'application/json')
+                res.end(answer)
+            }
+            catch (e)
+            {
+                res.statusCode = 502
+                res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32603, message: e.message } }))
+            }
+        })
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    }
+}
+
+/**
+ * Saves the contracts among the recorded accounts, the others have nothing to replay.
+ */
+const saveState = (filePath, state) =>
+{
+    const accounts = Object.fromEntries(Object.entries(state.accounts).filter(([, account]) => account.code !== '0x'))
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, JSON.stringify({ ...state, accounts }, null, 2) + '\n')
+}
+
+const readState = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'))
+
+/**
+ * Writes the recorded accounts into a Hardhat network, e.g. network.provider.
+ */
+const loadState = async (provider, state) =>
+{
+    for (const [address, account] of Object.entries(state.accounts))
+    {
+        await provider.send('hardhat_setCode', [address, account.code])
+        for (const [slot, value] of Object.entries(account.storage))
+        {
+            // a QUANTITY, which hardhat_setStorageAt refuses with leading zeros
+            await provider.send('hardhat_setStorageAt', [address, ethers.utils.hexValue(slot), value])
+        }
+    }
+}
+
+module.exports = {
+    startRecordingProxy,
+    saveState,
+    readState,
+    loadState,
+}
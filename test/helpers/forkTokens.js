@@ -0,0 +1,47 @@
+// The mainnet tokens test/FundMeFork.js runs FundMe against, and the block their state is recorded at.
+// `holder` is an account holding enough of the token at FORK_BLOCK to fund the donors, it is impersonated.
+// `blocklist` describes how the token's admin blocks an account: USDT only checks the sender of a
+// transfer, USDC checks the sender and the recipient.
+const FORK_BLOCK = 17000000
+
+const FORK_TOKENS = [
+    {
+        symbol: 'USDT',
+        address: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+        decimals: 6,
+        holder: '0xF977814e90dA44bFA03b6295A0616a897441aceC',
+        blocklist: {
+            abi: [
+                'function owner() view returns (address)',
+                'function addBlackList(address _evilUser)',
+                'function isBlackListed(address) view returns (bool)',
+            ],
+            admin: 'owner',
+            block: 'addBlackList',
+            isBlocked: 'isBlackListed',
+            blocksRecipients: false,
+        },
+    },
+    {
+        symbol: 'USDC',
+        address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+        decimals: 6,
+        holder: '0xF977814e90dA44bFA03b6295A0616a897441aceC',
+        blocklist: {
+            abi: [
+                'function blacklister() view returns (address)',
+                'function blacklist(address _account)',
+                'function isBlacklisted(address _account) view returns (bool)',
+            ],
+            admin: 'blacklister',
+            block: 'blacklist',
+            isBlocked: 'isBlacklisted',
+            blocksRecipients: true,
+        },
+    },
+]
+
+module.exports = {
+    FORK_BLOCK,
+    FORK_TOKENS,
+}
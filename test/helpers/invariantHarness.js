@@ -0,0 +1,356 @@
+// A randomized stateful test harness for FundMe.
+// Sequences of actions are plain JSON so that a failing one can be saved and replayed.
+// After every step the invariants are checked against the chain and a ghost model
+// of what happened so far (pledges, refunds and claimed campaigns).
+const fs = require('fs')
+const path = require('path')
+const { ethers, network, deployments } = require('hardhat')
+
+// every account that takes part in a sequence starts with this many tokens
+const STARTING_BALANCE = ethers.utils.parseEther('1')
+
+const ACCOUNTS = 4
+
+const MAX_CAMPAIGNS = 4
+
+/**
+ * A small seeded pseudo random generator (mulberry32), so that a seed reproduces a sequence.
+ */
+const createRandom = (seed) =>
+{
+    let state = seed >>> 0
+    const next = () =>
+    {
+        state = (state + 0x6d2b79f5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1))
+    const pick = (items) => items[int(0, items.length - 1)]
+    return { next, int, pick }
+}
+
+// amounts are whole hundredths of a token to keep the sequences readable
+const randomAmount = (random, max) => ethers.utils.parseEther('0.01').mul(random.int(1, max)).toString()
+
+const generateAction = (random) =>
+{
+    const signer = random.int(0, ACCOUNTS - 1)
+    const id = random.int(1, MAX_CAMPAIGNS)
+    switch (random.pick(['launch', 'pledge', 'pledge', 'pledge', 'unpledge', 'cancel', 'claim', 'refund', 'time', 'time', 'fundMatching', 'returnMatching']))
+    {
+        case 'launch':
+            return { type: 'launch', signer, goal: randomAmount(random, 200), startIn: random.int(1, 600), duration: random.int(60, 3000) }
+        case 'pledge':
+            return { type: 'pledge', signer, id, amount: randomAmount(random, 50) }
+        case 'unpledge':
+            return { type: 'unpledge', signer, id, amount: randomAmount(random, 50) }
+        case 'cancel':
+            return { type: 'cancel', signer, id }
+        case 'claim':
+            return { type: 'claim', signer, id }
+        case 'refund':
+            return { type: 'refund', signer, id }
+        case 'time':
+            return { type: 'time', seconds: random.int(1, 2000) }
+        case 'fundMatching':
+            return { type: 'fundMatching', signer, id, amount: randomAmount(random, 100), ratioBps: random.pick([5000, 10000, 20000]) }
+        case 'returnMatching':
+            return { type: 'returnMatching', signer, id }
+    }
+}
+
+const generateSequence = (random, length) =>
+{
+    const sequence = []
+    for (let i = 0; i < length; i++)
+    {
+        sequence.push(generateAction(random))
+    }
+    return sequence
+}
+
+/**
+ * Deploys a fresh FundMe and funds every account taking part in a sequence.
+ */
+const setup = async () =>
+{
+    await deployments.fixture(['all'])
+    const signers = (await ethers.getSigners()).slice(0, ACCOUNTS)
+    const erc20 = await ethers.getContract('ERC20', signers[0])
+    const fundMe = await ethers.getContract('FundMe', signers[0])
+    for (const signer of signers.slice(1))
+    {
+        await erc20.transfer(signer.address, STARTING_BALANCE)
+    }
+    for (const signer of signers)
+    {
+        await erc20.connect(signer).approve(fundMe.address, ethers.constants.MaxUint256)
+    }
+    return { signers, erc20, fundMe, model: { pledged: {}, refunded: {}, refundedDonors: {}, claimed: {}, doubleRefunds: [], overRefunds: [] } }
+}
+
+const isRevert = (e) => e.code === 'CALL_EXCEPTION' || /reverted/.test(e.message)
+
+/**
+ * Sends one action. Reverts are expected, most random actions are invalid at the time they run.
+ */
+const runAction = async ({ signers, erc20, fundMe, model }, action) =>
+{
+    if (action.type === 'time')
+    {
+        await network.provider.send('evm_increaseTime', [action.seconds])
+        await network.provider.send('evm_mine')
+        return
+    }
+    const contract = fundMe.connect(signers[action.signer])
+    let receipt
+    try
+    {
+        if (action.type === 'launch')
+        {
+            const now = (await ethers.provider.getBlock()).timestamp
+            const startAt = now + action.startIn
+            receipt = await (await contract.launch(erc20.address, action.goal, startAt, startAt + action.duration, '', ethers.constants.HashZero)).wait()
+        }
+        else if (action.type === 'pledge' || action.type === 'unpledge')
+        {
+            receipt = await (await contract[action.type](action.id, action.amount)).wait()
+        }
+        else if (action.type === 'fundMatching')
+        {
+            receipt = await (await contract.fundMatching(action.id, action.amount, action.ratioBps)).wait()
+        }
+        else
+        {
+            receipt = await (await contract[action.type](action.id)).wait()
+        }
+    }
+    catch (e)
+    {
+        // a revert only means the action was not allowed at that time, anything else is a broken sequence or harness
+        if (!isRevert(e))
+        {
+            throw e
+        }
+        return
+    }
+    // what each donor put in themselves, net of unpledges, which is all a refund can pay them
+    for (const event of receipt.events.filter((e) => e.event === 'Pledge' || e.event === 'Unpledge'))
+    {
+        const { id, donor, amount } = event.args
+        const key = `${id}:${donor}`
+        const pledged = ethers.BigNumber.from(model.pledged[key] || 0)
+        model.pledged[key] = event.event === 'Pledge' ? pledged.add(amount) : pledged.sub(amount)
+    }
+    for (const event of receipt.events.filter((e) => e.event === 'Refund'))
+    {
+        const { id, donor, amount } = event.args
+        if (amount.isZero()) continue
+        const key = `${id}:${donor}`
+        if (!amount.eq(model.pledged[key] || 0))
+        {
+            model.overRefunds.push(`${key} got ${amount} for ${model.pledged[key] || 0} pledged`)
+        }
+        if (model.refundedDonors[key])
+        {
+            model.doubleRefunds.push(key)
+        }
+        model.refundedDonors[key] = true
+        model.refunded[id] = amount.add(model.refunded[id] || 0)
+    }
+}
+
+/**
+ * Reads everything the invariants look at.
+ */
+const readState = async ({ signers, erc20, fundMe, model }) =>
+{
+    const count = (await fundMe.count()).toNumber()
+    const campaigns = []
+    for (let id = 1; id <= count; id++)
+    {
+        const campaign = await fundMe.campaigns(id)
+        const pool = await fundMe.matchingPools(id)
+        let donorTotal = ethers.BigNumber.from(0)
+        let matchedTotal = ethers.BigNumber.from(0)
+        const donors = []
+        for (const signer of signers)
+        {
+            const pledged = await fundMe.pledgedAmount(id, signer.address)
+            const matched = await fundMe.matchedAmount(id, signer.address)
+            donorTotal = donorTotal.add(pledged)
+            matchedTotal = matchedTotal.add(matched)
+            donors.push({ address: signer.address, pledged, matched })
+        }
+        campaigns.push({ id, campaign, pool, donors, donorTotal, matchedTotal, refunded: model.refunded[id] || ethers.BigNumber.from(0) })
+    }
+    return { campaigns, balance: await erc20.balanceOf(fundMe.address), model }
+}
+
+// campaigns(id).pledged is not reduced by refunds, so the ghost model adds refunds back,
+// and it includes what the matching pool added on top of the pledges
+const pledgedMatchesDonors = ({ campaigns }) =>
+{
+    for (const { id, campaign, pool, donorTotal, refunded } of campaigns)
+    {
+        if (!campaign.pledged.eq(donorTotal.add(refunded).add(pool.matched)))
+        {
+            return `campaigns(${id}).pledged is ${campaign.pledged} but donors have ${donorTotal} pledged and ${refunded} refunded, and ${pool.matched} is matched`
+        }
+    }
+}
+
+// the tokens held by FundMe are exactly what unclaimed campaigns still owe, net of refunds,
+// and what matching pools still hold besides what they matched
+const balanceMatchesUnclaimed = ({ campaigns, balance }) =>
+{
+    const owed = campaigns
+        .filter(({ campaign }) => !campaign.claimed)
+        .reduce((total, { campaign, refunded }) => total.add(campaign.pledged).sub(refunded), ethers.BigNumber.from(0))
+    const pools = campaigns
+        .reduce((total, { pool }) => total.add(pool.deposit).sub(pool.matched).sub(pool.returned), ethers.BigNumber.from(0))
+    if (!balance.eq(owed.add(pools)))
+    {
+        return `FundMe holds ${balance} tokens but unclaimed campaigns owe ${owed} and matching pools hold ${pools}`
+    }
+}
+
+// a pool never matches more than it holds, nor a donor more than the ratio of what they pledged
+const matchingWithinPool = ({ campaigns, model }) =>
+{
+    for (const { id, pool, donors, matchedTotal } of campaigns)
+    {
+        if (!pool.matched.eq(matchedTotal) || pool.matched.gt(pool.deposit) || pool.returned.gt(pool.deposit))
+        {
+            return `matching pool ${id} matched ${pool.matched} and returned ${pool.returned} of ${pool.deposit}, donors have ${matchedTotal} matched`
+        }
+        // a refund leaves what was matched to the donor in place, only the pledge is paid back
+        const overMatched = donors.find(({ address, pledged, matched }) =>
+            !model.refundedDonors[`${id}:${address}`] && matched.gt(pledged.mul(pool.ratioBps).div(10000)))
+        if (overMatched)
+        {
+            return `${overMatched.address} has ${overMatched.matched} matched for ${overMatched.pledged} pledged to campaign ${id}`
+        }
+    }
+}
+
+const refundsOnlyPayPledges = ({ model }) =>
+{
+    if (model.overRefunds.length > 0)
+    {
+        return `refunds paid other than what was pledged: ${model.overRefunds.join(', ')}`
+    }
+}
+
+const noDoubleRefund = ({ model }) =>
+{
+    if (model.doubleRefunds.length > 0)
+    {
+        return `refunded twice: ${model.doubleRefunds.join(', ')}`
+    }
+}
+
+const claimedNeverChanges = ({ campaigns, model }) =>
+{
+    for (const { id, campaign } of campaigns)
+    {
+        const snapshot = JSON.stringify(campaign.map((value) => value.toString()))
+        if (model.claimed[id] && model.claimed[id] !== snapshot)
+        {
+            return `claimed campaign ${id} changed from ${model.claimed[id]} to ${snapshot}`
+        }
+        if (campaign.claimed)
+        {
+            model.claimed[id] = snapshot
+        }
+    }
+}
+
+const INVARIANTS = [pledgedMatchesDonors, balanceMatchesUnclaimed, matchingWithinPool, refundsOnlyPayPledges, noDoubleRefund, claimedNeverChanges]
+
+/**
+ * Runs a sequence from a fresh deployment, checking the invariants after every step.
+ * Resolves with the first failure, { step, message }, or undefined when every invariant held.
+ */
+const runSequence = async (sequence, invariants = INVARIANTS) =>
+{
+    const context = await setup()
+    for (let step = 0; step < sequence.length; step++)
+    {
+        await runAction(context, sequence[step])
+        const state = await readState(context)
+        for (const invariant of invariants)
+        {
+            const message = invariant(state)
+            if (message)
+            {
+                return { step, message }
+            }
+        }
+    }
+}
+
+/**
+ * Shrinks a failing sequence to a smaller one that still fails, by cutting it after the
+ * failing step and then removing chunks of steps, halving the chunk size until single steps.
+ */
+const shrink = async (sequence, invariants = INVARIANTS) =>
+{
+    let failure = await runSequence(sequence, invariants)
+    if (!failure) return { sequence, failure }
+    let current = sequence.slice(0, failure.step + 1)
+    let chunk = Math.max(1, Math.floor(current.length / 2))
+    while (chunk >= 1)
+    {
+        let removed = false
+        for (let i = 0; i + chunk <= current.length;)
+        {
+            const candidate = [...current.slice(0, i), ...current.slice(i + chunk)]
+            const candidateFailure = candidate.length > 0 ? await runSequence(candidate, invariants) : undefined
+            if (candidateFailure)
+            {
+                current = candidate.slice(0, candidateFailure.step + 1)
+                failure = candidateFailure
+                removed = true
+            }
+            else
+            {
+                i += chunk
+            }
+        }
+        if (!removed)
+        {
+            chunk = Math.floor(chunk / 2)
+        }
+    }
+    return { sequence: current, failure }
+}
+
+const saveFailure = (directory, name, data) =>
+{
+    fs.mkdirSync(directory, { recursive: true })
+    const filePath = path.join(directory, `${name}.json`)
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2))
+    return filePath
+}
+
+const loadFailures = (directory) =>
+{
+    if (!fs.existsSync(directory)) return []
+    return fs.readdirSync(directory)
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => ({ file, ...JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')) }))
+}
+
+module.exports = {
+    INVARIANTS,
+    createRandom,
+    generateSequence,
+    runSequence,
+    shrink,
+    saveFailure,
+    loadFailures,
+}
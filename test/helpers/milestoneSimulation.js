@@ -0,0 +1,135 @@
+// Drives whole milestone campaigns through FundMe: launch, pledges from several donors,
+// then one vote per milestone until every milestone is released or one is rejected and
+// the donors reclaim what is left. A plain JS model of the same rules runs next to the
+// chain and every payout is compared against it.
+const { ethers, network, deployments } = require('hardhat')
+const { assert } = require('chai')
+const { NO_METADATA, increaseTime } = require('./campaigns')
+
+/**
+ * The release rules of FundMe, over BigNumbers.
+ */
+class MilestoneModel
+{
+    constructor(percentages)
+    {
+        this.percentages = percentages
+        this.pledges = {}
+        this.pledged = ethers.BigNumber.from(0)
+        this.released = ethers.BigNumber.from(0)
+        this.next = 0
+        this.rejected = false
+    }
+
+    pledge(donor, amount)
+    {
+        this.pledges[donor] = (this.pledges[donor] || ethers.BigNumber.from(0)).add(amount)
+        this.pledged = this.pledged.add(amount)
+    }
+
+    // resolves a vote given as { donor: approve }, returns the amount released
+    vote(votes)
+    {
+        let approvals = ethers.BigNumber.from(0)
+        let rejections = ethers.BigNumber.from(0)
+        for (const [donor, approve] of Object.entries(votes))
+        {
+            if (approve) approvals = approvals.add(this.pledges[donor])
+            else rejections = rejections.add(this.pledges[donor])
+        }
+        if (approvals.lte(rejections))
+        {
+            this.rejected = true
+            return ethers.BigNumber.from(0)
+        }
+        const last = this.next === this.percentages.length - 1
+        const amount = last ? this.pledged.sub(this.released) : this.pledged.mul(this.percentages[this.next]).div(100)
+        this.next += 1
+        this.released = this.released.add(amount)
+        return amount
+    }
+
+    reclaim(donor)
+    {
+        return this.pledges[donor].mul(this.pledged.sub(this.released)).div(this.pledged)
+    }
+}
+
+/**
+ * Runs one campaign lifecycle and checks every payout against the model.
+ * @param scenario.percentages the milestones of the campaign
+ * @param scenario.pledges what each donor pledges, by donor index
+ * @param scenario.votes one { donorIndex: approve } object per release vote, donors left out abstain
+ * @returns the model after the lifecycle, and what the chain says about it
+ */
+const runLifecycle = async (scenario) =>
+{
+    await deployments.fixture(['all'])
+    const [creator, ...donors] = await ethers.getSigners()
+    const erc20 = await ethers.getContract('ERC20', creator)
+    const fundMe = await ethers.getContract('FundMe', creator)
+    const model = new MilestoneModel(scenario.percentages)
+    // reverting to the fixture snapshot also rewinds the latest block time
+    await network.provider.send('evm_mine')
+
+    const goal = Object.values(scenario.pledges).reduce((sum, amount) => sum.add(amount), ethers.BigNumber.from(0))
+    const now = (await ethers.provider.getBlock()).timestamp
+    await fundMe.launchWithMilestones(erc20.address, goal, now + 10, now + 1000, ...NO_METADATA, scenario.percentages)
+    const id = await fundMe.count()
+    await increaseTime(100)
+
+    for (const [index, amount] of Object.entries(scenario.pledges))
+    {
+        const donor = donors[index]
+        await erc20.transfer(donor.address, amount)
+        await erc20.connect(donor).approve(fundMe.address, amount)
+        await fundMe.connect(donor).pledge(id, amount)
+        model.pledge(index, amount)
+    }
+    await increaseTime(1000)
+
+    for (const votes of scenario.votes)
+    {
+        await fundMe.requestRelease(id)
+        for (const [index, approve] of Object.entries(votes))
+        {
+            await fundMe.connect(donors[index]).vote(id, approve)
+        }
+        await increaseTime((await fundMe.VOTING_PERIOD()) + 1)
+
+        const creatorBefore = await erc20.balanceOf(creator.address)
+        await fundMe.finalizeRelease(id)
+        const expected = model.vote(votes)
+
+        assert((await erc20.balanceOf(creator.address)).sub(creatorBefore).eq(expected), `milestone ${model.next} released the wrong amount`)
+        assert((await fundMe.releases(id)).released.eq(model.released))
+        if (model.rejected) break
+    }
+
+    const reclaimed = {}
+    if (model.rejected)
+    {
+        for (const index of Object.keys(scenario.pledges))
+        {
+            const donor = donors[index]
+            const before = await erc20.balanceOf(donor.address)
+            await fundMe.connect(donor).reclaim(id)
+            reclaimed[index] = (await erc20.balanceOf(donor.address)).sub(before)
+            assert(reclaimed[index].eq(model.reclaim(index)), `donor ${index} reclaimed the wrong amount`)
+        }
+    }
+
+    return {
+        model,
+        reclaimed,
+        campaign: await fundMe.campaigns(id),
+        releases: await fundMe.releases(id),
+        // what is left is rounding dust from the pro-rata reclaims
+        leftover: await erc20.balanceOf(fundMe.address),
+    }
+}
+
+module.exports = {
+    MilestoneModel,
+    runLifecycle,
+}
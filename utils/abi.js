@@ -0,0 +1,160 @@
+// Human-readable ABIs of the contracts in contracts/, so that code outside of
+// hardhat (front-ends, scripts, services) can talk to them without compiling.
+// Keep these in sync with the Solidity sources.
+
+const FUND_ME_ABI = [
+    "event Launch(uint256 indexed id, address indexed creator, address indexed token, uint256 goal, uint32 startAt, uint32 endAt, string metadataURI, bytes32 metadataHash)",
+    "event Cancel(uint256 id)",
+    "event Pledge(uint256 indexed id, address indexed donor, uint256 amount)",
+    "event Unpledge(uint256 indexed id, address indexed donor, uint256 amount)",
+    "event Claim(uint256 id)",
+    "event Refund(uint256 indexed id, address indexed donor, uint256 amount)",
+    "event Extend(uint256 indexed id, uint32 endAt)",
+    "event HardCap(uint256 indexed id, uint256 hardCap)",
+    "event TokenAllowed(address indexed token, bool allowed)",
+    "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+    "event Paused(address account)",
+    "event Unpaused(address account)",
+    "event FeeChanged(uint16 feeBps, address indexed feeRecipient)",
+    "event Fee(uint256 indexed id, address indexed recipient, uint256 amount)",
+    "event StretchGoals(uint256 indexed id, uint256[] amounts)",
+    "event StretchGoalReached(uint256 indexed id, uint256 tier, uint256 amount)",
+    "event EmergencyAnnounced(uint32 activeAt)",
+    "event EmergencyCancelled()",
+    "event EmergencyWithdraw(uint256 indexed id, address indexed donor, uint256 amount)",
+    "event Milestones(uint256 indexed id, uint8[] percentages)",
+    "event ReleaseRequested(uint256 indexed id, uint256 milestone, uint32 voteEndAt)",
+    "event Vote(uint256 indexed id, uint256 milestone, address indexed donor, bool approve, uint256 weight)",
+    "event Release(uint256 indexed id, uint256 milestone, bool approved, uint256 amount)",
+    "event Reclaim(uint256 indexed id, address indexed donor, uint256 amount)",
+    "event PledgeReceiptsChanged(address indexed pledgeReceipts)",
+    "event PledgeTransfer(uint256 indexed id, address indexed from, address indexed to, uint256 amount)",
+    "event MatchingFunded(uint256 indexed id, address indexed sponsor, uint256 amount, uint32 ratioBps)",
+    "event Matched(uint256 indexed id, address indexed donor, uint256 amount)",
+    "event Unmatched(uint256 indexed id, address indexed donor, uint256 amount)",
+    "event MatchingReturned(uint256 indexed id, address indexed sponsor, uint256 amount)",
+    "event IntentNonceUsed(address indexed donor, uint256 indexed nonce)",
+    "function VOTING_PERIOD() view returns (uint32)",
+    "function MAX_MILESTONES() view returns (uint256)",
+    "function EMERGENCY_DELAY() view returns (uint32)",
+    "function MAX_FEE_BPS() view returns (uint16)",
+    "function MAX_STRETCH_GOALS() view returns (uint256)",
+    "function PLEDGE_TYPEHASH() view returns (bytes32)",
+    "function UNPLEDGE_TYPEHASH() view returns (bytes32)",
+    "function REFUND_TYPEHASH() view returns (bytes32)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function maxDuration() view returns (uint32)",
+    "function owner() view returns (address)",
+    "function pendingOwner() view returns (address)",
+    "function paused() view returns (bool)",
+    "function emergencyAt() view returns (uint32)",
+    "function emergency() view returns (bool)",
+    "function feeBps() view returns (uint16)",
+    "function feeRecipient() view returns (address)",
+    "function pledgeReceipts() view returns (address)",
+    "function pledgeReceiptsOf(uint256) view returns (address)",
+    "function allowedTokens(address) view returns (bool)",
+    "function count() view returns (uint256)",
+    "function campaigns(uint256) view returns (address creator, uint256 goal, uint256 pledged, address token, uint32 startAt, uint32 endAt, bool claimed, bool cancelled, uint16 feeBps, bytes32 metadataHash, uint256 hardCap)",
+    "function pledgedAmount(uint256, address) view returns (uint256)",
+    "function milestones(uint256 _id) view returns (uint8[])",
+    "function releases(uint256) view returns (uint256 released, uint256 approvals, uint256 rejections, uint32 voteEndAt, uint8 next, bool rejected)",
+    "function hasVoted(uint256, uint256, address) view returns (bool)",
+    "function stretchGoals(uint256 _id) view returns (uint256[])",
+    "function stretchGoalsReached(uint256) view returns (uint256)",
+    "function matchingPools(uint256) view returns (address sponsor, uint32 ratioBps, uint256 deposit, uint256 matched, uint256 returned)",
+    "function matchedAmount(uint256, address) view returns (uint256)",
+    "function matchingReturnable(uint256 _id) view returns (uint256)",
+    "function intentNonceUsed(address, uint256) view returns (bool)",
+    "function launch(address _token, uint256 _goal, uint32 _startAt, uint32 _endAt, string _metadataURI, bytes32 _metadataHash)",
+    "function launchWithMilestones(address _token, uint256 _goal, uint32 _startAt, uint32 _endAt, string _metadataURI, bytes32 _metadataHash, uint8[] _percentages)",
+    "function transferOwnership(address _newOwner)",
+    "function acceptOwnership()",
+    "function pause()",
+    "function unpause()",
+    "function announceEmergency()",
+    "function cancelEmergency()",
+    "function setFee(uint16 _feeBps, address _feeRecipient)",
+    "function setPledgeReceipts(address _pledgeReceipts)",
+    "function setTokenAllowed(address _token, bool _allowed)",
+    "function extend(uint256 _id, uint32 _endAt)",
+    "function setHardCap(uint256 _id, uint256 _hardCap)",
+    "function setStretchGoals(uint256 _id, uint256[] _amounts)",
+    "function cancel(uint256 _id)",
+    "function pledge(uint256 _id, uint256 _amount)",
+    "function pledgeWithPermit(uint256 _id, uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s)",
+    "function pledgeBySig(address _donor, uint256 _id, uint256 _amount, uint256 _nonce, uint256 _deadline, bytes _signature)",
+    "function unpledge(uint256 _id, uint256 _amount)",
+    "function unpledgeBySig(address _donor, uint256 _id, uint256 _amount, uint256 _nonce, uint256 _deadline, bytes _signature)",
+    "function fundMatching(uint256 _id, uint256 _amount, uint32 _ratioBps)",
+    "function returnMatching(uint256 _id)",
+    "function claim(uint256 _id)",
+    "function claimMany(uint256[] _ids)",
+    "function refund(uint256 _id)",
+    "function refundMany(uint256[] _ids)",
+    "function refundBySig(address _donor, uint256 _id, uint256 _nonce, uint256 _deadline, bytes _signature)",
+    "function cancelIntent(uint256 _nonce)",
+    "function requestRelease(uint256 _id)",
+    "function vote(uint256 _id, bool _approve)",
+    "function finalizeRelease(uint256 _id)",
+    "function reclaim(uint256 _id)",
+    "function emergencyWithdraw(uint256 _id)",
+    "function transferPledge(uint256 _id, address _from, address _to)",
+    "function multicall(bytes[] data) returns (bytes[] results)",
+]
+
+const ERC20_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)",
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)",
+    "function totalSupply() view returns (uint256)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+]
+
+// tokens implementing EIP-2612, like contracts/ERC20Permit.sol
+const ERC20_PERMIT_ABI = [
+    ...ERC20_ABI,
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+]
+
+// the ERC-721 receipts of contracts/PledgeReceipts.sol
+const PLEDGE_RECEIPTS_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+    "event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)",
+    "event ApprovalForAll(address indexed owner, address indexed operator, bool approved)",
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function fundMe() view returns (address)",
+    "function count() view returns (uint256)",
+    "function campaignOf(uint256) view returns (uint256)",
+    "function receiptOf(uint256, address) view returns (uint256)",
+    "function tiers() view returns (tuple(uint16 goalBps, string name)[])",
+    "function pledgeOf(uint256 _receiptId) view returns (uint256 id, uint256 amount)",
+    "function tierOf(uint256 _receiptId) view returns (uint256 tier)",
+    "function tokenURI(uint256 _receiptId) view returns (string)",
+    "function balanceOf(address owner) view returns (uint256)",
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function getApproved(uint256 tokenId) view returns (address)",
+    "function isApprovedForAll(address owner, address operator) view returns (bool)",
+    "function approve(address to, uint256 tokenId)",
+    "function setApprovalForAll(address operator, bool approved)",
+    "function transferFrom(address from, address to, uint256 tokenId)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId)",
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+]
+
+module.exports = {
+    FUND_ME_ABI,
+    ERC20_ABI,
+    ERC20_PERMIT_ABI,
+    PLEDGE_RECEIPTS_ABI,
+}
@@ -0,0 +1,69 @@
+// Ties the ABIs the package exports to its version, see scripts/build-package.js.
+// abi-lock.json records the package version and a hash of each exported ABI, and
+// test/PackageAbi.js fails when an ABI no longer matches it: changing an ABI needs a
+// version bump, so that front-ends pinned to a version never get another ABI silently.
+const { ethers } = require("ethers")
+
+// the contracts the package exports typed bindings, ABIs and addresses for
+const PACKAGE_CONTRACTS = ["FundMe", "ERC20", "PledgeReceipts"]
+
+/**
+ * Hashes an ABI independently of the order and formatting of its entries.
+ */
+const abiHash = (abi) => {
+    const signatures = new ethers.utils.Interface(abi).format(ethers.utils.FormatTypes.full)
+    return ethers.utils.id([...signatures].sort().join("\n"))
+}
+
+/**
+ * Compares two x.y.z versions, negative when `a` is older than `b`.
+ */
+const compareVersions = (a, b) => {
+    const [pa, pb] = [a, b].map((version) => version.split(".").map(Number))
+    for (let i = 0; i < 3; i++) {
+        if (pa[i] !== pb[i]) return pa[i] - pb[i]
+    }
+    return 0
+}
+
+/**
+ * Returns the contracts whose ABI hash differs from the lock, including added and removed ones.
+ */
+const changedContracts = (lock, abis) => {
+    const names = new Set([...Object.keys(lock.abis), ...Object.keys(abis)])
+    return [...names].filter((name) => lock.abis[name] !== abis[name]).sort()
+}
+
+/**
+ * Checks the package `version` and the current ABI hashes (`abis`, by contract) against `lock`.
+ * @returns the problems found, empty when the lock is up to date
+ */
+const checkLock = (lock, { version, abis }) => {
+    const changed = changedContracts(lock, abis)
+    if (changed.length > 0 && version === lock.version) {
+        return [`the ABI of ${changed.join(", ")} changed without a version bump, bump the version in package.json and run \`node scripts/build-package.js --lock\``]
+    }
+    if (version !== lock.version) {
+        return [`abi-lock.json is for version ${lock.version} but the package is ${version}, run \`node scripts/build-package.js --lock\``]
+    }
+    return []
+}
+
+/**
+ * Builds the lock for `version`, refusing when an ABI changed and the version was not bumped.
+ */
+const updateLock = (lock, { version, abis }) => {
+    if (lock && changedContracts(lock, abis).length > 0 && compareVersions(version, lock.version) <= 0) {
+        throw new Error(`the ABIs changed, bump the version in package.json above ${lock.version} first`)
+    }
+    return { version, abis }
+}
+
+module.exports = {
+    PACKAGE_CONTRACTS,
+    abiHash,
+    compareVersions,
+    changedContracts,
+    checkLock,
+    updateLock,
+}
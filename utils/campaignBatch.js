@@ -0,0 +1,109 @@
+// Builds batches for FundMe's refundMany, claimMany and multicall, e.g. "refund everything
+// I'm owed" in one transaction. Candidate campaigns come from a CampaignIndexer when one is
+// given, or from reading every campaign otherwise, and are kept only when the same checks
+// as the contract pass on the current chain state, so that a batch never reverts because of
+// a campaign that was already refunded or claimed.
+const { ethers } = require("ethers")
+const { checkClaim, checkRefund } = require("./campaignChecks")
+
+// ids of the campaigns `donor` may have something pledged to, as strings
+const donorCandidates = async (client, donor, indexer) => {
+    if (indexer) return Object.keys(indexer.getDonor(donor))
+    const count = await client.count()
+    const candidates = []
+    for (let id = 1; id <= count; id++) {
+        if (!(await client.pledgedAmount(id, donor)).isZero()) candidates.push(String(id))
+    }
+    return candidates
+}
+
+// ids of the unclaimed campaigns of `creator`, as strings
+const creatorCandidates = async (client, creator, indexer) => {
+    const campaigns = indexer ? indexer.getCampaigns() : await client.getCampaigns()
+    return campaigns.filter((campaign) => campaign.creator === creator && !campaign.claimed).map((campaign) => String(campaign.id))
+}
+
+/**
+ * Returns the campaigns `donor` (the client's signer by default) can get a refund from right now.
+ * @param indexer an optional synced CampaignIndexer to find the donor's campaigns without reading them all
+ * @returns [{ id, token, amount }]
+ */
+const findRefunds = async (client, { donor, indexer } = {}) => {
+    donor = ethers.utils.getAddress(donor || (await client.signer.getAddress()))
+    const now = await client.now()
+    const refunds = []
+    for (const id of await donorCandidates(client, donor, indexer)) {
+        const [campaign, amount] = await Promise.all([client.getCampaign(id, now), client.pledgedAmount(id, donor)])
+        if (!checkRefund(campaign, amount, now)) refunds.push({ id: campaign.id, token: campaign.token, amount })
+    }
+    return refunds
+}
+
+/**
+ * Returns the campaigns `creator` (the client's signer by default) can claim right now.
+ * Milestone campaigns are left out, they are paid out through releases.
+ * @param indexer an optional synced CampaignIndexer to find the creator's campaigns without reading them all
+ * @returns [{ id, token, amount }]
+ */
+const findClaims = async (client, { creator, indexer } = {}) => {
+    creator = ethers.utils.getAddress(creator || (await client.signer.getAddress()))
+    const [now, status] = await Promise.all([client.now(), client.getStatus()])
+    const claims = []
+    for (const id of await creatorCandidates(client, creator, indexer)) {
+        const campaign = await client.getCampaign(id, now)
+        if (!checkClaim(campaign, creator, now, status)) claims.push({ id: campaign.id, token: campaign.token, amount: campaign.pledged })
+    }
+    return claims
+}
+
+/**
+ * Gets every refund the signer is owed in one transaction.
+ * @returns { refunds, receipt } where receipt is undefined when there was nothing to refund
+ */
+const refundAll = async (client, { indexer } = {}) => {
+    const refunds = await findRefunds(client, { indexer })
+    if (refunds.length === 0) return { refunds }
+    const receipt = await client.refundMany(refunds.map(({ id }) => id))
+    return { refunds, receipt }
+}
+
+/**
+ * Claims every campaign of the signer that can be claimed in one transaction.
+ * @returns { claims, receipt } where receipt is undefined when there was nothing to claim
+ */
+const claimAll = async (client, { indexer } = {}) => {
+    const claims = await findClaims(client, { indexer })
+    if (claims.length === 0) return { claims }
+    const receipt = await client.claimMany(claims.map(({ id }) => id))
+    return { claims, receipt }
+}
+
+/**
+ * Pledges to several campaigns in one transaction, approving FundMe first for the total
+ * of each token where the current allowance does not cover it.
+ * @param pledges [{ id, amount }]
+ */
+const pledgeMany = async (client, pledges) => {
+    const signer = client._requireSigner()
+    const owner = await signer.getAddress()
+    const totals = new Map()
+    for (const { id, amount } of pledges) {
+        const token = await client.token(id)
+        const total = totals.get(token.address)
+        totals.set(token.address, { token, amount: total ? total.amount.add(amount) : ethers.BigNumber.from(amount) })
+    }
+    for (const { token, amount } of totals.values()) {
+        if ((await token.allowance(owner, client.fundMe.address)).lt(amount)) {
+            await (await token.approve(client.fundMe.address, amount)).wait()
+        }
+    }
+    return client.multicall(pledges.map(({ id, amount }) => ({ method: "pledge", args: [id, amount] })))
+}
+
+module.exports = {
+    findRefunds,
+    findClaims,
+    refundAll,
+    claimAll,
+    pledgeMany,
+}
@@ -0,0 +1,118 @@
+// The same conditions FundMe checks with `require`, evaluated off-chain so that
+// tools can refuse to send a transaction that would revert. Each function returns
+// the revert reason the contract would give, or undefined when the call would pass.
+// `now` is the current chain time in Unix seconds, `campaign` a decoded campaigns(id) and
+// `status` FundMe's { paused, emergencyAt }, see CampaignClient.getStatus.
+const { ethers } = require("ethers")
+
+const toBigNumber = (value) => ethers.BigNumber.from(value)
+
+// what FundMe.emergency() returns at `now`
+const isEmergency = ({ emergencyAt }, now) => emergencyAt > 0 && now >= emergencyAt
+
+// FundMe's whenNotPaused and whenNoEmergency modifiers
+const checkRunning = (status, now) => {
+    if (status.paused) return "Pausable: paused"
+    if (isEmergency(status, now)) return "emergency"
+}
+
+// `maxDuration` is FundMe.maxDuration(), in seconds
+const checkLaunch = ({ startAt, endAt }, now, maxDuration, status) => {
+    const reason = checkRunning(status, now)
+    if (reason) return reason
+    if (startAt < now) return "start at < current time"
+    if (endAt < startAt) return "end at < start at"
+    if (endAt > now + maxDuration) return "end at > max duration"
+}
+
+const checkCancel = (campaign, sender, now) => {
+    if (sender !== campaign.creator) return "not creator"
+    if (campaign.cancelled) return "campaign cancelled"
+    if (now >= campaign.startAt) return "campaign already started"
+}
+
+const checkExtend = (campaign, sender, endAt, now, maxDuration) => {
+    if (sender !== campaign.creator) return "not creator"
+    if (campaign.cancelled) return "campaign cancelled"
+    if (now < campaign.startAt) return "campaign not started"
+    if (now > campaign.endAt) return "campaign has ended"
+    if (endAt <= campaign.endAt) return "end at <= current end at"
+    if (endAt > campaign.startAt + maxDuration) return "end at > max duration"
+}
+
+const checkSetHardCap = (campaign, sender, hardCap, now) => {
+    if (sender !== campaign.creator) return "not creator"
+    if (campaign.cancelled) return "campaign cancelled"
+    if (now > campaign.endAt) return "campaign has ended"
+    const cap = toBigNumber(hardCap)
+    if (!cap.isZero() && (cap.lt(campaign.goal) || cap.lt(campaign.pledged))) return "hard cap too low"
+}
+
+// `amounts` are the stretch goals in increasing order, empty to remove them
+const checkSetStretchGoals = (campaign, sender, amounts, now, maxStretchGoals) => {
+    if (sender !== campaign.creator) return "not creator"
+    if (campaign.cancelled) return "campaign cancelled"
+    if (now > campaign.endAt) return "campaign has ended"
+    if (amounts.length > maxStretchGoals) return "too many stretch goals"
+    let previous = toBigNumber(campaign.goal).lt(campaign.pledged) ? toBigNumber(campaign.pledged) : toBigNumber(campaign.goal)
+    for (const amount of amounts) {
+        if (toBigNumber(amount).lte(previous)) return "stretch goals must increase"
+        previous = toBigNumber(amount)
+    }
+}
+
+// `amount` is optional, without it the hard cap is not checked
+const checkPledge = (campaign, now, status, amount) => {
+    const reason = checkRunning(status, now)
+    if (reason) return reason
+    if (campaign.cancelled) return "campaign cancelled"
+    if (now < campaign.startAt) return "campaign not started"
+    if (now > campaign.endAt) return "campaign has ended"
+    const hardCap = toBigNumber(campaign.hardCap || 0)
+    if (amount !== undefined && !hardCap.isZero() && hardCap.lt(toBigNumber(campaign.pledged).add(amount))) return "pledged > hard cap"
+}
+
+// `pool` is the campaign's matching pool, undefined when it has none
+const checkFundMatching = (campaign, pool, amount, ratioBps, now) => {
+    if (campaign.cancelled) return "campaign cancelled"
+    if (now > campaign.endAt) return "campaign has ended"
+    if (pool) return "campaign already matched"
+    if (toBigNumber(amount).isZero() || ratioBps <= 0) return "invalid matching"
+}
+
+const checkUnpledge = (campaign, pledgedAmount, amount, now) => {
+    if (campaign.cancelled) return "campaign cancelled"
+    if (now > campaign.endAt) return "campaign has ended"
+    if (toBigNumber(pledgedAmount).lt(amount)) return "not enough pledged"
+}
+
+const checkClaim = (campaign, sender, now, status) => {
+    if (isEmergency(status, now)) return "emergency"
+    if (sender !== campaign.creator) return "not creator"
+    if (campaign.cancelled) return "campaign cancelled"
+    if (now <= campaign.endAt) return "campaign has not ended"
+    if (toBigNumber(campaign.pledged).lt(campaign.goal)) return "pledged < goal"
+    if (campaign.claimed) return "claimed"
+    if (campaign.milestones && campaign.milestones.length > 0) return "campaign has milestones"
+}
+
+const checkRefund = (campaign, pledgedAmount, now) => {
+    if (campaign.cancelled) return "campaign cancelled"
+    if (now <= campaign.endAt) return "campaign has not ended"
+    if (toBigNumber(campaign.pledged).gte(campaign.goal)) return "pledged amount reached goal"
+    if (toBigNumber(pledgedAmount).isZero()) return "nothing to refund"
+}
+
+module.exports = {
+    checkRunning,
+    checkLaunch,
+    checkExtend,
+    checkSetHardCap,
+    checkSetStretchGoals,
+    checkCancel,
+    checkPledge,
+    checkUnpledge,
+    checkFundMatching,
+    checkClaim,
+    checkRefund,
+}
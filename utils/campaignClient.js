@@ -0,0 +1,511 @@
+// A thin ethers v5 wrapper around a deployed FundMe contract.
+// It takes care of the token approval before pledging, decodes the
+// campaigns(id) tuple and derives the status of a campaign from its fields.
+const { ethers } = require("ethers")
+const { FUND_ME_ABI, ERC20_ABI, PLEDGE_RECEIPTS_ABI } = require("./abi")
+const { signPermit } = require("./permit")
+const { signIntent } = require("./intents")
+const { MetadataStore } = require("./campaignMetadata")
+
+const CampaignStatus = Object.freeze({
+    PENDING: "pending",
+    ACTIVE: "active",
+    SUCCEEDED: "succeeded",
+    FAILED: "failed",
+    CLAIMED: "claimed",
+    CANCELLED: "cancelled",
+})
+
+/**
+ * Derives the status of a campaign the same way FundMe's require statements do.
+ * @param campaign a decoded campaign, see CampaignClient.getCampaign
+ * @param now the current time in Unix seconds (use the latest block timestamp)
+ */
+const campaignStatus = (campaign, now) => {
+    if (campaign.cancelled) return CampaignStatus.CANCELLED
+    if (campaign.claimed) return CampaignStatus.CLAIMED
+    if (now < campaign.startAt) return CampaignStatus.PENDING
+    if (now <= campaign.endAt) return CampaignStatus.ACTIVE
+    return campaign.pledged.gte(campaign.goal) ? CampaignStatus.SUCCEEDED : CampaignStatus.FAILED
+}
+
+// accepts a Date or Unix seconds and returns Unix seconds
+const toTimestamp = (time) => (time instanceof Date ? Math.floor(time.getTime() / 1000) : Number(time))
+
+class CampaignClient {
+    /**
+     * @param signerOrProvider an ethers Signer to send transactions, or a Provider for read-only use
+     * @param fundMeAddress the address of the deployed FundMe contract
+     */
+    constructor(signerOrProvider, fundMeAddress) {
+        this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : undefined
+        this.provider = this.signer ? this.signer.provider : signerOrProvider
+        this.fundMe = new ethers.Contract(fundMeAddress, FUND_ME_ABI, signerOrProvider)
+        this._tokens = new Map()
+    }
+
+    /**
+     * Returns the ERC-20 token campaign `id` raises, connected to the same signer or provider.
+     */
+    async token(id) {
+        const campaign = await this.fundMe.campaigns(id)
+        return this.tokenAt(campaign.token)
+    }
+
+    /**
+     * Returns the ERC-20 token at `address`, connected to the same signer or provider.
+     */
+    tokenAt(address) {
+        const key = ethers.utils.getAddress(address)
+        if (!this._tokens.has(key)) {
+            this._tokens.set(key, new ethers.Contract(key, ERC20_ABI, this.signer || this.provider))
+        }
+        return this._tokens.get(key)
+    }
+
+    /**
+     * Tells whether new campaigns can be launched with `token`.
+     */
+    async isTokenAllowed(token) {
+        return this.fundMe.allowedTokens(token)
+    }
+
+    /**
+     * Returns the current time as seen by the chain, which is what FundMe compares against.
+     */
+    async now() {
+        const block = await this.provider.getBlock("latest")
+        return block.timestamp
+    }
+
+    /**
+     * Reads whether FundMe is paused and when an announced emergency becomes active, 0 without one.
+     */
+    async getStatus() {
+        const [paused, emergencyAt] = await Promise.all([this.fundMe.paused(), this.fundMe.emergencyAt()])
+        return { paused, emergencyAt }
+    }
+
+    async count() {
+        return (await this.fundMe.count()).toNumber()
+    }
+
+    /**
+     * Reads campaigns(id) and returns it as a plain object with its derived status.
+     */
+    async getCampaign(id, now) {
+        const [raw, milestones, timestamp] = await Promise.all([
+            this.fundMe.campaigns(id),
+            this.fundMe.milestones(id),
+            now === undefined ? this.now() : now,
+        ])
+        const campaign = {
+            id: ethers.BigNumber.from(id).toNumber(),
+            creator: raw.creator,
+            goal: raw.goal,
+            pledged: raw.pledged,
+            token: raw.token,
+            startAt: raw.startAt,
+            endAt: raw.endAt,
+            startDate: new Date(raw.startAt * 1000),
+            endDate: new Date(raw.endAt * 1000),
+            claimed: raw.claimed,
+            cancelled: raw.cancelled,
+            metadataHash: raw.metadataHash,
+            hardCap: raw.hardCap,
+            feeBps: raw.feeBps,
+            milestones,
+        }
+        campaign.status = campaignStatus(campaign, timestamp)
+        return campaign
+    }
+
+    /**
+     * Returns every campaign launched so far, ids 1 to count().
+     */
+    async getCampaigns() {
+        const [count, now] = await Promise.all([this.count(), this.now()])
+        const campaigns = []
+        for (let id = 1; id <= count; id++) {
+            campaigns.push(await this.getCampaign(id, now))
+        }
+        return campaigns
+    }
+
+    /**
+     * Returns the milestones of campaign `id` and the state of their releases, see FundMe.releases.
+     * `percentages` is empty for a campaign paid out with claim.
+     */
+    async getReleases(id) {
+        const [percentages, raw] = await Promise.all([this.fundMe.milestones(id), this.fundMe.releases(id)])
+        return {
+            percentages,
+            released: raw.released,
+            approvals: raw.approvals,
+            rejections: raw.rejections,
+            voteEndAt: raw.voteEndAt,
+            next: raw.next,
+            rejected: raw.rejected,
+        }
+    }
+
+    /**
+     * Returns the stretch goals of campaign `id` and how many of them pledges have reached.
+     */
+    async getStretchGoals(id) {
+        const [amounts, reached] = await Promise.all([this.fundMe.stretchGoals(id), this.fundMe.stretchGoalsReached(id)])
+        return { amounts, reached: reached.toNumber() }
+    }
+
+    async pledgedAmount(id, donor) {
+        return this.fundMe.pledgedAmount(id, donor || (await this._requireSigner().getAddress()))
+    }
+
+    /**
+     * Returns the matching pool of campaign `id`, or undefined when it has none.
+     * `available` is what is left to match and `returnable` what its sponsor can get back now.
+     * @returns { sponsor, ratioBps, deposit, matched, returned, available, returnable }
+     */
+    async getMatchingPool(id) {
+        const [pool, returnable] = await Promise.all([this.fundMe.matchingPools(id), this.fundMe.matchingReturnable(id)])
+        if (pool.sponsor === ethers.constants.AddressZero) return undefined
+        const { sponsor, ratioBps, deposit, matched, returned } = pool
+        return { sponsor, ratioBps, deposit, matched, returned, available: deposit.sub(matched), returnable }
+    }
+
+    /**
+     * Returns the tokens matched to the pledge of `donor` (the signer by default) to campaign `id`.
+     */
+    async matchedAmount(id, donor) {
+        return this.fundMe.matchedAmount(id, donor || (await this._requireSigner().getAddress()))
+    }
+
+    /**
+     * Returns the PledgeReceipts contract campaign `id` was launched with, connected to the same
+     * signer or provider, or undefined when its donors get no receipts.
+     */
+    async pledgeReceipts(id) {
+        const address = await this.fundMe.pledgeReceiptsOf(id)
+        if (address === ethers.constants.AddressZero) return undefined
+        return new ethers.Contract(address, PLEDGE_RECEIPTS_ABI, this.signer || this.provider)
+    }
+
+    /**
+     * Returns the receipt `donor` (the signer by default) holds for their pledge to campaign `id`,
+     * or undefined when the campaign has no receipts or the donor has nothing pledged.
+     * @returns { address, receiptId, amount, tier, tierName, tokenURI }
+     */
+    async getPledgeReceipt(id, donor) {
+        const receipts = await this.pledgeReceipts(id)
+        if (!receipts) return undefined
+        const receiptId = await receipts.receiptOf(id, donor || (await this._requireSigner().getAddress()))
+        if (receiptId.isZero()) return undefined
+        const [{ amount }, tier, tiers, tokenURI] = await Promise.all([
+            receipts.pledgeOf(receiptId),
+            receipts.tierOf(receiptId).then((tier) => tier.toNumber()),
+            receipts.tiers(),
+            receipts.tokenURI(receiptId),
+        ])
+        return { address: receipts.address, receiptId, amount, tier, tierName: tiers[tier].name, tokenURI }
+    }
+
+    /**
+     * Hands the signer's whole pledge to campaign `id` over to `to` by transferring its receipt.
+     * `to` can then unpledge, get the refund or vote with it.
+     */
+    async transferPledge(id, to) {
+        const from = await this._requireSigner().getAddress()
+        const receipt = await this.getPledgeReceipt(id, from)
+        if (!receipt) throw new Error(`${from} holds no pledge receipt for campaign ${id}`)
+        const receipts = await this.pledgeReceipts(id)
+        const tx = await receipts.transferFrom(from, to, receipt.receiptId)
+        return tx.wait()
+    }
+
+    /**
+     * Returns the metadata URI campaign `id` was launched with, which is only
+     * available from its Launch event. Resolves with "" when there is none.
+     */
+    async getMetadataURI(id) {
+        const [launchEvent] = await this.fundMe.queryFilter(this.fundMe.filters.Launch(id))
+        if (!launchEvent) {
+            throw new Error(`no Launch event found for campaign ${id}`)
+        }
+        return launchEvent.args.metadataURI
+    }
+
+    /**
+     * Reads the metadata document of campaign `id` and checks it against the hash
+     * stored on chain, see MetadataStore.read. Resolves with null when the campaign
+     * was launched without metadata.
+     * @param store the MetadataStore able to read the campaign's URI
+     */
+    async getMetadata(id, store = new MetadataStore()) {
+        const [uri, campaign] = await Promise.all([this.getMetadataURI(id), this.fundMe.campaigns(id)])
+        if (!uri) return null
+        return store.read(uri, campaign.metadataHash)
+    }
+
+    /**
+     * Launches a campaign and resolves with its id and the transaction receipt.
+     * @param token the address of the ERC-20 token to raise, it must be allowed by the owner
+     * @param goal the amount of tokens to raise, in the token's smallest unit (see the token's decimals())
+     * @param startAt a Date or Unix seconds
+     * @param endAt a Date or Unix seconds
+     * @param metadataURI where the metadata document is stored, see MetadataStore.publish
+     * @param metadataHash the hash of the metadata document
+     * @param milestones the percentages of the pledged tokens released one vote at a time, summing to 100;
+     * without them the creator claims everything at once
+     */
+    async launch({ token, goal, startAt, endAt, metadataURI = "", metadataHash = ethers.constants.HashZero, milestones }) {
+        this._requireSigner()
+        const args = [token, goal, toTimestamp(startAt), toTimestamp(endAt), metadataURI, metadataHash]
+        const tx = milestones ? await this.fundMe.launchWithMilestones(...args, milestones) : await this.fundMe.launch(...args)
+        const receipt = await tx.wait()
+        const launchEvent = receipt.events.find((e) => e.event === "Launch")
+        return { id: launchEvent.args.id.toNumber(), receipt }
+    }
+
+    /**
+     * Pledges `amount` tokens to campaign `id`, approving FundMe first if the
+     * current allowance does not cover the amount.
+     */
+    async pledge(id, amount) {
+        await this._approve(await this.token(id), amount)
+        return this._send("pledge", id, amount)
+    }
+
+    /**
+     * Pledges `amount` tokens to campaign `id` in a single transaction, approving them
+     * with an EIP-2612 permit. Only works with permit-capable tokens.
+     * @param deadline Unix seconds until which the permit is valid, one hour from now by default
+     */
+    async pledgeWithPermit(id, amount, deadline) {
+        const signer = this._requireSigner()
+        const token = await this.token(id)
+        const permit = await signPermit(signer, {
+            token: token.address,
+            spender: this.fundMe.address,
+            value: amount,
+            deadline: deadline === undefined ? (await this.now()) + 60 * 60 : deadline,
+        })
+        return this._send("pledgeWithPermit", id, amount, permit.deadline, permit.v, permit.r, permit.s)
+    }
+
+    async unpledge(id, amount) {
+        return this._send("unpledge", id, amount)
+    }
+
+    /**
+     * Signs a pledge, unpledge or refund intent of the signer for a relayer to send, see utils/intentRelayer.js.
+     * A pledge still needs FundMe to be approved for the tokens.
+     * @param action "pledge", "unpledge" or "refund", which has no amount
+     * @param deadline Unix seconds until which the intent can be executed, one hour from now by default
+     * @param nonce a nonce the signer has not used in an intent yet, random by default
+     */
+    async signIntent({ action, id, amount, deadline, nonce }) {
+        const signer = this._requireSigner()
+        return signIntent(signer, {
+            fundMeAddress: this.fundMe.address,
+            action,
+            id,
+            amount,
+            nonce,
+            deadline: deadline === undefined ? (await this.now()) + 60 * 60 : deadline,
+        })
+    }
+
+    /**
+     * Cancels the signer's intent with `nonce` so that no relayer can send it.
+     */
+    async cancelIntent(nonce) {
+        return this._send("cancelIntent", nonce)
+    }
+
+    /**
+     * Deposits `amount` tokens to match the pledges to campaign `id` with `ratioBps` basis points
+     * of each pledged token, 10000 for 1:1, approving FundMe first if needed.
+     */
+    async fundMatching(id, amount, ratioBps) {
+        await this._approve(await this.token(id), amount)
+        return this._send("fundMatching", id, amount, ratioBps)
+    }
+
+    /**
+     * Sends the sponsor of campaign `id` what is left of its matching pool, see getMatchingPool.
+     */
+    async returnMatching(id) {
+        return this._send("returnMatching", id)
+    }
+
+    async claim(id) {
+        return this._send("claim", id)
+    }
+
+    async refund(id) {
+        return this._send("refund", id)
+    }
+
+    /**
+     * Claims several successful campaigns of the signer in one transaction, which reverts if any of them cannot be claimed.
+     */
+    async claimMany(ids) {
+        return this._send("claimMany", ids)
+    }
+
+    /**
+     * Gets refunds from several failed campaigns in one transaction, which reverts if any of them cannot be refunded.
+     */
+    async refundMany(ids) {
+        return this._send("refundMany", ids)
+    }
+
+    /**
+     * Runs several FundMe calls in one transaction, e.g. [{ method: "pledge", args: [1, amount] }].
+     * If one of them reverts, they all do.
+     */
+    async multicall(calls) {
+        return this._send(
+            "multicall",
+            calls.map(({ method, args = [] }) => this.fundMe.interface.encodeFunctionData(method, args))
+        )
+    }
+
+    async cancel(id) {
+        return this._send("cancel", id)
+    }
+
+    /**
+     * Moves the end of running campaign `id` to `endAt`, a Date or Unix seconds. Only the creator can do this.
+     */
+    async extend(id, endAt) {
+        return this._send("extend", id, toTimestamp(endAt))
+    }
+
+    /**
+     * Caps how much can be pledged to campaign `id`, 0 removes the cap. Only the creator can do this.
+     */
+    async setHardCap(id, hardCap) {
+        return this._send("setHardCap", id, hardCap)
+    }
+
+    /**
+     * Declares the stretch goals of campaign `id`, replacing earlier ones. Only the creator can do this.
+     */
+    async setStretchGoals(id, amounts) {
+        return this._send("setStretchGoals", id, amounts)
+    }
+
+    /**
+     * Opens the donor vote on the release of the next milestone, only the creator can do this.
+     */
+    async requestRelease(id) {
+        return this._send("requestRelease", id)
+    }
+
+    async vote(id, approve) {
+        return this._send("vote", id, approve)
+    }
+
+    /**
+     * Closes the vote once it has ended, releasing the milestone to the creator if it was approved.
+     */
+    async finalizeRelease(id) {
+        return this._send("finalizeRelease", id)
+    }
+
+    /**
+     * Takes back the signer's share of the unreleased tokens after a release was rejected.
+     */
+    async reclaim(id) {
+        return this._send("reclaim", id)
+    }
+
+    /**
+     * Once an emergency is active, takes back what the signer pledged to unclaimed campaign `id`.
+     */
+    async emergencyWithdraw(id) {
+        return this._send("emergencyWithdraw", id)
+    }
+
+    /**
+     * Adds `token` to or removes it from the allowlist, only the owner can do this.
+     */
+    async setTokenAllowed(token, allowed) {
+        return this._send("setTokenAllowed", token, allowed)
+    }
+
+    /**
+     * Sets the fee in basis points campaigns launched from now on pay, and where fees go. Only the owner can do this.
+     */
+    async setFee(feeBps, feeRecipient) {
+        return this._send("setFee", feeBps, feeRecipient)
+    }
+
+    /**
+     * Sets the PledgeReceipts contract donors of campaigns launched from now on get. Only the owner
+     * can do this, once, with a PledgeReceipts contract made for this FundMe.
+     */
+    async setPledgeReceipts(pledgeReceipts) {
+        return this._send("setPledgeReceipts", pledgeReceipts)
+    }
+
+    /**
+     * Stops or resumes launching and pledging, only the owner can do this.
+     */
+    async setPaused(paused) {
+        return this._send(paused ? "pause" : "unpause")
+    }
+
+    /**
+     * Hands FundMe over to `newOwner` once they call acceptOwnership.
+     */
+    async transferOwnership(newOwner) {
+        return this._send("transferOwnership", newOwner)
+    }
+
+    async acceptOwnership() {
+        return this._send("acceptOwnership")
+    }
+
+    /**
+     * Announces an emergency, donors can withdraw once EMERGENCY_DELAY has passed. Only the owner can do this.
+     */
+    async announceEmergency() {
+        return this._send("announceEmergency")
+    }
+
+    async cancelEmergency() {
+        return this._send("cancelEmergency")
+    }
+
+    async _send(method, ...args) {
+        this._requireSigner()
+        const tx = await this.fundMe[method](...args)
+        return tx.wait()
+    }
+
+    // approves FundMe for `amount` of `token` unless the allowance covers it already. Tokens like USDT
+    // refuse to change an allowance that is not 0, so it is set back to 0 first
+    async _approve(token, amount) {
+        const allowance = await token.allowance(await this._requireSigner().getAddress(), this.fundMe.address)
+        if (allowance.gte(amount)) return
+        if (!allowance.isZero()) {
+            await (await token.approve(this.fundMe.address, 0)).wait()
+        }
+        await (await token.approve(this.fundMe.address, amount)).wait()
+    }
+
+    _requireSigner() {
+        if (!this.signer) {
+            throw new Error("CampaignClient was created with a provider, a signer is needed to send transactions")
+        }
+        return this.signer
+    }
+}
+
+module.exports = {
+    CampaignClient,
+    CampaignStatus,
+    campaignStatus,
+}
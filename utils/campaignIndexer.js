@@ -0,0 +1,465 @@
+// Rebuilds campaign and donor state from the events emitted by FundMe.
+// Logs are scanned in block ranges starting at `startBlock` and folded into a
+// plain JSON state, so it can be kept in memory or persisted to a file and
+// resumed later from the last checkpoint.
+const fs = require("fs")
+const path = require("path")
+const { ethers } = require("ethers")
+const { FUND_ME_ABI } = require("./abi")
+
+const fundMeInterface = new ethers.utils.Interface(FUND_ME_ABI)
+
+class MemoryStore {
+    constructor() {
+        this.state = undefined
+    }
+
+    async load() {
+        return this.state
+    }
+
+    async save(state) {
+        this.state = JSON.parse(JSON.stringify(state))
+    }
+}
+
+class JsonFileStore {
+    constructor(filePath) {
+        this.filePath = filePath
+    }
+
+    async load() {
+        if (!fs.existsSync(this.filePath)) return undefined
+        return JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+    }
+
+    async save(state) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+        // write to a temporary file first so that a crash never leaves a half written checkpoint
+        const tmpPath = `${this.filePath}.tmp`
+        fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2))
+        fs.renameSync(tmpPath, this.filePath)
+    }
+}
+
+const emptyState = (startBlock) => ({
+    checkpoint: { blockNumber: startBlock - 1, blockHash: null },
+    history: [],
+    campaigns: {},
+    donors: {},
+    tokens: {},
+    fundMe: { owner: null, pendingOwner: null, paused: false, emergencyAt: 0, feeBps: 0, feeRecipient: null, pledgeReceipts: null },
+})
+
+const add = (a, b) => ethers.BigNumber.from(a).add(b).toString()
+const sub = (a, b) => ethers.BigNumber.from(a).sub(b).toString()
+
+/**
+ * Applies one history entry to the campaigns, donors, tokens and owner settings of `state`.
+ */
+const applyEntry = (state, entry) => {
+    switch (entry.type) {
+        case "TokenAllowed":
+            state.tokens[entry.token] = entry.allowed
+            return
+        case "OwnershipTransferStarted":
+            state.fundMe.pendingOwner = entry.newOwner
+            return
+        case "OwnershipTransferred":
+            state.fundMe.owner = entry.newOwner
+            state.fundMe.pendingOwner = null
+            return
+        case "Paused":
+        case "Unpaused":
+            state.fundMe.paused = entry.type === "Paused"
+            return
+        case "EmergencyAnnounced":
+            state.fundMe.emergencyAt = entry.activeAt
+            return
+        case "EmergencyCancelled":
+            state.fundMe.emergencyAt = 0
+            return
+        case "FeeChanged":
+            state.fundMe.feeBps = entry.feeBps
+            state.fundMe.feeRecipient = entry.feeRecipient
+            return
+        case "PledgeReceiptsChanged":
+            state.fundMe.pledgeReceipts = entry.pledgeReceipts
+            return
+        case "IntentNonceUsed":
+            // the Pledge, Unpledge or Refund of an executed intent is indexed on its own
+            return
+    }
+    const id = entry.campaignId
+    const campaign = state.campaigns[id]
+    switch (entry.type) {
+        case "Launch":
+            state.campaigns[id] = {
+                id: Number(id),
+                creator: entry.creator,
+                token: entry.token,
+                goal: entry.goal,
+                startAt: entry.startAt,
+                endAt: entry.endAt,
+                metadataURI: entry.metadataURI,
+                metadataHash: entry.metadataHash,
+                hardCap: "0",
+                // Launch does not carry the fee, but it is the one set when the campaign was launched
+                feeBps: state.fundMe.feeBps || 0,
+                // likewise for the receipt NFTs, kept when the owner sets other ones later
+                pledgeReceipts: state.fundMe.pledgeReceipts || null,
+                matching: null,
+                fees: "0",
+                stretchGoals: [],
+                stretchGoalsReached: 0,
+                pledged: "0",
+                refunded: "0",
+                released: "0",
+                claimed: false,
+                cancelled: false,
+                donors: {},
+            }
+            break
+        case "Cancel":
+            campaign.cancelled = true
+            break
+        case "Extend":
+            campaign.endAt = entry.endAt
+            break
+        case "HardCap":
+            campaign.hardCap = entry.hardCap
+            break
+        case "StretchGoals":
+            campaign.stretchGoals = entry.amounts
+            campaign.stretchGoalsReached = 0
+            break
+        case "StretchGoalReached":
+            campaign.stretchGoalsReached = entry.tier + 1
+            break
+        case "Fee":
+            campaign.fees = add(campaign.fees, entry.amount)
+            break
+        case "Claim":
+            campaign.claimed = true
+            break
+        case "Milestones":
+            campaign.milestones = entry.percentages
+            break
+        case "Release":
+            if (entry.approved) {
+                campaign.released = add(campaign.released, entry.amount)
+            } else {
+                campaign.rejected = true
+            }
+            break
+        case "Pledge":
+        case "Unpledge":
+        case "Refund": {
+            const delta = entry.type === "Pledge" ? add : sub
+            // refunds leave campaigns(id).pledged untouched on chain, so only the donor side moves
+            if (entry.type === "Refund") {
+                campaign.refunded = add(campaign.refunded, entry.amount)
+            } else {
+                campaign.pledged = delta(campaign.pledged, entry.amount)
+            }
+            campaign.donors[entry.donor] = delta(campaign.donors[entry.donor] || "0", entry.amount)
+            const positions = state.donors[entry.donor] || (state.donors[entry.donor] = {})
+            positions[id] = delta(positions[id] || "0", entry.amount)
+            break
+        }
+        case "PledgeTransfer": {
+            // the whole position moves with the receipt, the campaign total stays the same
+            campaign.donors[entry.from] = sub(campaign.donors[entry.from], entry.amount)
+            campaign.donors[entry.to] = add(campaign.donors[entry.to] || "0", entry.amount)
+            state.donors[entry.from][id] = sub(state.donors[entry.from][id], entry.amount)
+            const positions = state.donors[entry.to] || (state.donors[entry.to] = {})
+            positions[id] = add(positions[id] || "0", entry.amount)
+            break
+        }
+        case "MatchingFunded":
+            campaign.matching = { sponsor: entry.sponsor, ratioBps: entry.ratioBps, deposit: entry.amount, matched: "0", returned: "0" }
+            break
+        case "Matched":
+        case "Unmatched": {
+            // matched tokens count in campaigns(id).pledged but are not part of the donor's position
+            const delta = entry.type === "Matched" ? add : sub
+            campaign.pledged = delta(campaign.pledged, entry.amount)
+            campaign.matching.matched = delta(campaign.matching.matched, entry.amount)
+            break
+        }
+        case "MatchingReturned":
+            campaign.matching.returned = add(campaign.matching.returned, entry.amount)
+            break
+        case "Reclaim":
+        case "EmergencyWithdraw":
+            // the donor gets a share of the unreleased tokens back, which can be less than
+            // they pledged, but their whole position is closed either way
+            campaign.refunded = add(campaign.refunded, entry.amount)
+            campaign.donors[entry.donor] = "0"
+            state.donors[entry.donor][id] = "0"
+            break
+    }
+}
+
+/**
+ * Turns a raw FundMe log into a history entry.
+ */
+const toEntry = (log) => {
+    const { name, args } = fundMeInterface.parseLog(log)
+    const entry = {
+        type: name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+    }
+    // events about FundMe itself rather than one campaign
+    if (name === "TokenAllowed") {
+        entry.token = args.token
+        entry.allowed = args.allowed
+        return entry
+    }
+    if (name === "OwnershipTransferStarted" || name === "OwnershipTransferred") {
+        entry.previousOwner = args.previousOwner
+        entry.newOwner = args.newOwner
+        return entry
+    }
+    if (name === "Paused" || name === "Unpaused") {
+        entry.account = args.account
+        return entry
+    }
+    if (name === "EmergencyAnnounced") {
+        entry.activeAt = args.activeAt
+        return entry
+    }
+    if (name === "EmergencyCancelled") {
+        return entry
+    }
+    if (name === "FeeChanged") {
+        entry.feeBps = args.feeBps
+        entry.feeRecipient = args.feeRecipient
+        return entry
+    }
+    if (name === "PledgeReceiptsChanged") {
+        entry.pledgeReceipts = args.pledgeReceipts
+        return entry
+    }
+    if (name === "IntentNonceUsed") {
+        entry.donor = args.donor
+        entry.nonce = args.nonce.toString()
+        return entry
+    }
+    entry.campaignId = args.id.toString()
+    if (name === "Launch") {
+        entry.creator = args.creator
+        entry.token = args.token
+        entry.goal = args.goal.toString()
+        entry.startAt = args.startAt
+        entry.endAt = args.endAt
+        entry.metadataURI = args.metadataURI
+        entry.metadataHash = args.metadataHash
+    } else if (name === "Extend") {
+        entry.endAt = args.endAt
+    } else if (name === "HardCap") {
+        entry.hardCap = args.hardCap.toString()
+    } else if (name === "StretchGoals") {
+        entry.amounts = args.amounts.map((amount) => amount.toString())
+    } else if (name === "StretchGoalReached") {
+        entry.tier = args.tier.toNumber()
+        entry.amount = args.amount.toString()
+    } else if (name === "Fee") {
+        entry.recipient = args.recipient
+        entry.amount = args.amount.toString()
+    } else if (name === "Milestones") {
+        entry.percentages = args.percentages
+    } else if (name === "Release") {
+        entry.milestone = args.milestone.toNumber()
+        entry.approved = args.approved
+        entry.amount = args.amount.toString()
+    } else if (name === "Vote") {
+        entry.milestone = args.milestone.toNumber()
+        entry.donor = args.donor
+        entry.approve = args.approve
+        entry.weight = args.weight.toString()
+    } else if (name === "MatchingFunded" || name === "MatchingReturned") {
+        entry.sponsor = args.sponsor
+        entry.amount = args.amount.toString()
+        if (name === "MatchingFunded") entry.ratioBps = args.ratioBps
+    } else if (name === "PledgeTransfer") {
+        entry.from = args.from
+        entry.to = args.to
+        entry.amount = args.amount.toString()
+    } else if (args.donor !== undefined) {
+        entry.donor = args.donor
+        entry.amount = args.amount.toString()
+    }
+    return entry
+}
+
+class CampaignIndexer {
+    /**
+     * @param provider an ethers provider
+     * @param fundMeAddress the address of the deployed FundMe contract
+     * @param startBlock the first block to scan, usually the FundMe deployment block
+     * @param store where the state is persisted, a MemoryStore by default
+     * @param batchSize how many blocks are requested per getLogs call
+     * @param reorgDepth how many blocks are rolled back when a reorg is detected
+     */
+    constructor({ provider, fundMeAddress, startBlock = 0, store = new MemoryStore(), batchSize = 2000, reorgDepth = 12 }) {
+        this.provider = provider
+        this.fundMeAddress = fundMeAddress
+        this.startBlock = startBlock
+        this.store = store
+        this.batchSize = batchSize
+        this.reorgDepth = reorgDepth
+        this.fundMe = new ethers.Contract(fundMeAddress, FUND_ME_ABI, provider)
+        this.state = undefined
+    }
+
+    /**
+     * Loads the persisted state, or starts from scratch if there is none.
+     */
+    async load() {
+        this.state = (await this.store.load()) || emptyState(this.startBlock)
+        return this.state
+    }
+
+    /**
+     * Scans every block from the checkpoint up to `toBlock` (the latest block by default)
+     * and saves the state after each batch.
+     */
+    async sync(toBlock) {
+        if (!this.state) await this.load()
+        if (toBlock === undefined) toBlock = await this.provider.getBlockNumber()
+
+        await this._handleReorg()
+
+        let fromBlock = this.state.checkpoint.blockNumber + 1
+        while (fromBlock <= toBlock) {
+            const batchEnd = Math.min(fromBlock + this.batchSize - 1, toBlock)
+            const logs = await this.provider.getLogs({
+                address: this.fundMeAddress,
+                fromBlock,
+                toBlock: batchEnd,
+            })
+            for (const log of logs) {
+                const entry = toEntry(log)
+                this.state.history.push(entry)
+                applyEntry(this.state, entry)
+            }
+            const block = await this.provider.getBlock(batchEnd)
+            this.state.checkpoint = { blockNumber: batchEnd, blockHash: block.hash }
+            await this.store.save(this.state)
+            fromBlock = batchEnd + 1
+        }
+        return this.state
+    }
+
+    /**
+     * Drops everything indexed after `blockNumber` and refolds the remaining history.
+     * When the last event kept is no longer on chain, the reorg went deeper and more is dropped.
+     */
+    async rollback(blockNumber) {
+        if (!this.state) await this.load()
+        let target = Math.max(blockNumber, this.startBlock - 1)
+        let history = this.state.history.filter((entry) => entry.blockNumber <= target)
+        while (history.length > 0 && !(await this._onChain(history[history.length - 1]))) {
+            target = Math.max(history[history.length - 1].blockNumber - this.reorgDepth, this.startBlock - 1)
+            history = history.filter((entry) => entry.blockNumber <= target)
+        }
+        this.state = emptyState(this.startBlock)
+        this.state.history = history
+        history.forEach((entry) => applyEntry(this.state, entry))
+        const block = target >= 0 ? await this.provider.getBlock(target) : null
+        this.state.checkpoint = { blockNumber: target, blockHash: block ? block.hash : null }
+        await this.store.save(this.state)
+        return this.state
+    }
+
+    getCampaign(id) {
+        return this.state.campaigns[id]
+    }
+
+    getCampaigns() {
+        return Object.values(this.state.campaigns)
+    }
+
+    /**
+     * Returns the addresses of the tokens new campaigns can currently be launched with.
+     */
+    getAllowedTokens() {
+        return Object.keys(this.state.tokens).filter((token) => this.state.tokens[token])
+    }
+
+    /**
+     * Returns the owner, pending owner, whether FundMe is paused, when an announced emergency becomes active,
+     * and the fee and the pledge receipts new campaigns are launched with.
+     */
+    getSettings() {
+        return this.state.fundMe
+    }
+
+    /**
+     * Returns the campaigns a donor currently has tokens pledged to, by campaign id.
+     */
+    getDonor(address) {
+        const positions = this.state.donors[ethers.utils.getAddress(address)] || {}
+        return Object.fromEntries(Object.entries(positions).filter(([, amount]) => amount !== "0"))
+    }
+
+    /**
+     * Returns the history timeline, optionally only for one campaign or one donor.
+     * A donor's timeline includes the pledges they transferred or received with a receipt.
+     */
+    getHistory({ campaignId, donor } = {}) {
+        const address = donor === undefined ? undefined : ethers.utils.getAddress(donor)
+        return this.state.history.filter(
+            (entry) =>
+                (campaignId === undefined || entry.campaignId === String(campaignId)) &&
+                (address === undefined || entry.donor === address || entry.from === address || entry.to === address)
+        )
+    }
+
+    /**
+     * Compares the indexed totals with campaigns(id).pledged on chain.
+     * Resolves with the list of campaigns that do not match, empty when everything agrees.
+     */
+    async crossCheck(ids) {
+        const campaignIds = ids || Object.keys(this.state.campaigns)
+        const mismatches = []
+        for (const id of campaignIds) {
+            const indexed = this.state.campaigns[id]
+            const onChain = await this.fundMe.campaigns(id, { blockTag: this.state.checkpoint.blockNumber })
+            const indexedPledged = indexed ? indexed.pledged : "0"
+            if (!onChain.pledged.eq(indexedPledged)) {
+                mismatches.push({ id: Number(id), indexed: indexedPledged, onChain: onChain.pledged.toString() })
+            }
+        }
+        return mismatches
+    }
+
+    // rolls back until the checkpoint block is still on chain, checking it again after every rollback
+    // since the chain can reorg once more while it runs
+    async _handleReorg() {
+        for (;;) {
+            const { blockNumber, blockHash } = this.state.checkpoint
+            if (!blockHash) return
+            const block = await this.provider.getBlock(blockNumber)
+            if (block && block.hash === blockHash) return
+            await this.rollback(blockNumber - this.reorgDepth)
+        }
+    }
+
+    // entries indexed before their block hash was kept are trusted
+    async _onChain(entry) {
+        if (!entry.blockHash) return true
+        const block = await this.provider.getBlock(entry.blockNumber)
+        return Boolean(block) && block.hash === entry.blockHash
+    }
+}
+
+module.exports = {
+    CampaignIndexer,
+    MemoryStore,
+    JsonFileStore,
+}
@@ -0,0 +1,213 @@
+// Campaign metadata (title, description, image, links) is kept off-chain. FundMe only
+// stores the keccak256 of the document and emits its URI in Launch, so that whoever
+// reads the document back can tell whether it was changed after the launch.
+//
+// Documents are serialized canonically (sorted keys, no whitespace) before hashing, so
+// the same document always hashes the same no matter how it was written.
+const fs = require("fs")
+const path = require("path")
+const { ethers } = require("ethers")
+
+const MAX_TITLE_LENGTH = 100
+const MAX_DESCRIPTION_LENGTH = 5000
+const MAX_LINKS = 10
+
+class MetadataValidationError extends Error {
+    constructor(errors) {
+        super(`invalid campaign metadata: ${errors.join(", ")}`)
+        this.errors = errors
+    }
+}
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value)
+
+const isUri = (value) => {
+    try {
+        return Boolean(new URL(value).protocol)
+    } catch (e) {
+        return false
+    }
+}
+
+const checkString = (errors, name, value, maxLength) => {
+    if (typeof value !== "string") {
+        errors.push(`${name} must be a string`)
+    } else if (value.length > maxLength) {
+        errors.push(`${name} must be at most ${maxLength} characters`)
+    }
+}
+
+const checkUri = (errors, name, value) => {
+    if (typeof value !== "string" || !isUri(value)) {
+        errors.push(`${name} must be a URI`)
+    }
+}
+
+const checkKeys = (errors, name, value, allowed) => {
+    for (const key of Object.keys(value)) {
+        if (!allowed.includes(key)) errors.push(`${name}${key} is not allowed`)
+    }
+}
+
+/**
+ * Checks a document against the metadata schema and returns the list of problems,
+ * empty when the document is valid:
+ *
+ *   {
+ *     title: string, required, 1 to 100 characters
+ *     description?: string, up to 5000 characters
+ *     image?: URI
+ *     links?: [{ label: string, url: URI }], up to 10
+ *   }
+ */
+const validateMetadata = (document) => {
+    if (!isObject(document)) return ["the document must be an object"]
+    const errors = []
+    checkKeys(errors, "", document, ["title", "description", "image", "links"])
+    if (document.title === undefined) {
+        errors.push("title is required")
+    } else {
+        checkString(errors, "title", document.title, MAX_TITLE_LENGTH)
+        if (document.title === "") errors.push("title must not be empty")
+    }
+    if (document.description !== undefined) {
+        checkString(errors, "description", document.description, MAX_DESCRIPTION_LENGTH)
+    }
+    if (document.image !== undefined) {
+        checkUri(errors, "image", document.image)
+    }
+    if (document.links !== undefined) {
+        if (!Array.isArray(document.links)) {
+            errors.push("links must be an array")
+        } else {
+            if (document.links.length > MAX_LINKS) errors.push(`links must have at most ${MAX_LINKS} entries`)
+            document.links.forEach((link, i) => {
+                if (!isObject(link)) {
+                    errors.push(`links[${i}] must be an object`)
+                    return
+                }
+                checkKeys(errors, `links[${i}].`, link, ["label", "url"])
+                checkString(errors, `links[${i}].label`, link.label, MAX_TITLE_LENGTH)
+                checkUri(errors, `links[${i}].url`, link.url)
+            })
+        }
+    }
+    return errors
+}
+
+// JSON.stringify with the keys of every object sorted
+const canonicalize = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalize).join(",")}]`
+    if (isObject(value)) {
+        const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort()
+        return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(",")}}`
+    }
+    return JSON.stringify(value)
+}
+
+const encodeMetadata = (document) => ethers.utils.toUtf8Bytes(canonicalize(document))
+
+// the hash FundMe stores, over the exact bytes that were stored
+const hashBytes = (bytes) => ethers.utils.keccak256(bytes)
+
+/**
+ * Returns the content hash of a document, as passed to FundMe.launch.
+ */
+const hashMetadata = (document) => hashBytes(encodeMetadata(document))
+
+/**
+ * Stores documents as `<hash>.json` files in a directory and addresses them with file:// URIs.
+ */
+class FileSystemStorage {
+    constructor(directory = "metadata") {
+        this.directory = path.resolve(directory)
+    }
+
+    async put(bytes, hash) {
+        fs.mkdirSync(this.directory, { recursive: true })
+        const filePath = path.join(this.directory, `${hash}.json`)
+        fs.writeFileSync(filePath, bytes)
+        return `file://${filePath}`
+    }
+
+    async get(uri) {
+        const { protocol, pathname } = new URL(uri)
+        if (protocol !== "file:") {
+            throw new Error(`FileSystemStorage cannot read ${uri}`)
+        }
+        return new Uint8Array(fs.readFileSync(decodeURIComponent(pathname)))
+    }
+}
+
+/**
+ * Keeps documents in memory under memory:// URIs, for tests and short-lived scripts.
+ */
+class MemoryStorage {
+    constructor() {
+        this.documents = new Map()
+    }
+
+    async put(bytes, hash) {
+        const uri = `memory://${hash}`
+        this.documents.set(uri, new Uint8Array(bytes))
+        return uri
+    }
+
+    async get(uri) {
+        if (!this.documents.has(uri)) {
+            throw new Error(`no document stored at ${uri}`)
+        }
+        return this.documents.get(uri)
+    }
+}
+
+class MetadataStore {
+    /**
+     * @param storage any object with `put(bytes, hash)` resolving to a URI and `get(uri)`
+     * resolving to the stored bytes, a FileSystemStorage in ./metadata by default
+     */
+    constructor({ storage = new FileSystemStorage() } = {}) {
+        this.storage = storage
+    }
+
+    /**
+     * Validates and stores a document, and resolves with the URI and hash to launch the campaign with.
+     */
+    async publish(document) {
+        const errors = validateMetadata(document)
+        if (errors.length > 0) {
+            throw new MetadataValidationError(errors)
+        }
+        const bytes = encodeMetadata(document)
+        const hash = hashBytes(bytes)
+        const uri = await this.storage.put(bytes, hash)
+        return { uri, hash }
+    }
+
+    /**
+     * Reads the document stored at `uri`. When `expectedHash` is given (usually
+     * campaigns(id).metadataHash), `verified` tells whether the content matches it;
+     * a mismatch means the document was changed or replaced after the launch.
+     */
+    async read(uri, expectedHash) {
+        const bytes = await this.storage.get(uri)
+        const hash = hashBytes(bytes)
+        const document = JSON.parse(ethers.utils.toUtf8String(bytes))
+        const result = { uri, document, hash, errors: validateMetadata(document) }
+        if (expectedHash !== undefined) {
+            result.expectedHash = expectedHash
+            result.verified = hash === expectedHash.toLowerCase()
+        }
+        return result
+    }
+}
+
+module.exports = {
+    MetadataStore,
+    FileSystemStorage,
+    MemoryStorage,
+    MetadataValidationError,
+    validateMetadata,
+    hashMetadata,
+    canonicalize,
+}
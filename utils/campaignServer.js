@@ -0,0 +1,246 @@
+// A small read-only HTTP API over a deployed FundMe contract, for front-ends
+// that would rather not talk to a node through ethers.
+//
+//   GET /campaigns                every campaign
+//   GET /campaigns/:id            one campaign
+//   GET /campaigns/:id/pledges    the donors of a campaign and what they currently have pledged
+//   GET /donors/:address          the campaigns a donor pledged to
+//   GET /token                    the ERC-20 token FundMe was deployed with, from when it accepted a single token
+//   GET /tokens                   the ERC-20 tokens new campaigns can be launched with
+//   GET /tokens/:address          one token and the balance FundMe holds of it
+//
+// Amounts are serialized as decimal strings in the smallest unit of the campaign's token, next
+// to a `...Formatted` field using that token's decimals. Responses are cached per block number.
+const http = require("http")
+const { ethers } = require("ethers")
+const { FUND_ME_ABI, ERC20_ABI } = require("./abi")
+const { campaignStatus } = require("./campaignClient")
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.status = status
+    }
+}
+
+class CampaignApi {
+    /**
+     * @param provider an ethers provider
+     * @param fundMeAddress the address of the deployed FundMe contract
+     * @param startBlock the first block to look for Pledge events in, usually the FundMe deployment block
+     */
+    constructor({ provider, fundMeAddress, startBlock = 0 }) {
+        this.provider = provider
+        this.startBlock = startBlock
+        this.fundMe = new ethers.Contract(fundMeAddress, FUND_ME_ABI, provider)
+        this.cacheBlock = undefined
+        this.cache = new Map()
+        this.tokens = new Map()
+    }
+
+    /**
+     * Resolves a request path to its JSON body, reusing the body computed for the same
+     * path as long as no new block was mined.
+     */
+    async handle(pathname) {
+        const blockNumber = await this.provider.getBlockNumber()
+        if (blockNumber !== this.cacheBlock) {
+            this.cache.clear()
+            this.cacheBlock = blockNumber
+        }
+        if (!this.cache.has(pathname)) {
+            const body = this.route(pathname, blockNumber)
+            this.cache.set(pathname, body)
+            // don't keep failures around, the next block may fix them
+            body.catch(() => this.cache.delete(pathname))
+        }
+        return { blockNumber, body: await this.cache.get(pathname) }
+    }
+
+    route(pathname, blockTag) {
+        let match
+        if (pathname === "/campaigns") return this.getCampaigns(blockTag)
+        if ((match = /^\/campaigns\/(\d+)$/.exec(pathname))) return this.getCampaign(Number(match[1]), blockTag)
+        if ((match = /^\/campaigns\/(\d+)\/pledges$/.exec(pathname))) return this.getPledges(Number(match[1]), blockTag)
+        if ((match = /^\/donors\/([^/]+)$/.exec(pathname))) return this.getDonor(match[1], blockTag)
+        if (pathname === "/token") return this.getDefaultToken(blockTag)
+        if (pathname === "/tokens") return this.getTokens(blockTag)
+        if ((match = /^\/tokens\/([^/]+)$/.exec(pathname))) return this.getToken(match[1], blockTag)
+        return Promise.reject(new HttpError(404, `no route for ${pathname}`))
+    }
+
+    // name, symbol and decimals never change, so they are kept across blocks
+    async tokenInfo(address) {
+        const key = ethers.utils.getAddress(address)
+        if (!this.tokens.has(key)) {
+            const token = new ethers.Contract(key, ERC20_ABI, this.provider)
+            const info = Promise.all([token.name(), token.symbol(), token.decimals()])
+                .then(([name, symbol, decimals]) => ({ address: key, name, symbol, decimals, contract: token }))
+            this.tokens.set(key, info)
+            info.catch(() => this.tokens.delete(key))
+        }
+        return this.tokens.get(key)
+    }
+
+    async getTokens(blockTag) {
+        const events = await this.fundMe.queryFilter(this.fundMe.filters.TokenAllowed(), this.startBlock, blockTag)
+        const addresses = [...new Set(events.map((e) => e.args.token))]
+        const tokens = []
+        for (const address of addresses) {
+            if (await this.fundMe.allowedTokens(address, { blockTag })) {
+                tokens.push(await this.getToken(address, blockTag))
+            }
+        }
+        return tokens
+    }
+
+    // the first token FundMe allowed, which its constructor does with the token it is deployed with
+    async getDefaultToken(blockTag) {
+        const [first] = await this.fundMe.queryFilter(this.fundMe.filters.TokenAllowed(), this.startBlock, blockTag)
+        if (!first) {
+            throw new HttpError(404, "FundMe was deployed without a token")
+        }
+        return this.getToken(first.args.token, blockTag)
+    }
+
+    async getToken(address, blockTag) {
+        if (!ethers.utils.isAddress(address)) {
+            throw new HttpError(400, `${address} is not an address`)
+        }
+        const { contract, ...info } = await this.tokenInfo(address)
+        const [allowed, balance] = await Promise.all([
+            this.fundMe.allowedTokens(info.address, { blockTag }),
+            contract.balanceOf(this.fundMe.address, { blockTag }),
+        ])
+        return { ...info, allowed, ...this.amount("fundMeBalance", balance, info.decimals) }
+    }
+
+    async getCampaigns(blockTag) {
+        const count = (await this.fundMe.count({ blockTag })).toNumber()
+        const campaigns = []
+        for (let id = 1; id <= count; id++) {
+            campaigns.push(await this.getCampaign(id, blockTag))
+        }
+        return campaigns
+    }
+
+    async getCampaign(id, blockTag) {
+        await this.requireCampaign(id, blockTag)
+        const [raw, stretchGoals, stretchGoalsReached, block] = await Promise.all([
+            this.fundMe.campaigns(id, { blockTag }),
+            this.fundMe.stretchGoals(id, { blockTag }),
+            this.fundMe.stretchGoalsReached(id, { blockTag }),
+            this.provider.getBlock(blockTag),
+        ])
+        const { decimals } = await this.tokenInfo(raw.token)
+        return {
+            id,
+            creator: raw.creator,
+            token: raw.token,
+            ...this.amount("goal", raw.goal, decimals),
+            ...this.amount("pledged", raw.pledged, decimals),
+            ...this.amount("hardCap", raw.hardCap, decimals),
+            feeBps: raw.feeBps,
+            stretchGoals: stretchGoals.map((amount) => this.amount("amount", amount, decimals)),
+            stretchGoalsReached: stretchGoalsReached.toNumber(),
+            startAt: raw.startAt,
+            endAt: raw.endAt,
+            claimed: raw.claimed,
+            cancelled: raw.cancelled,
+            metadataHash: raw.metadataHash,
+            status: campaignStatus(raw, block.timestamp),
+        }
+    }
+
+    async getPledges(id, blockTag) {
+        await this.requireCampaign(id, blockTag)
+        // a pledge transferred with its receipt has a holder who never pledged
+        const [events, transfers] = await Promise.all([
+            this.fundMe.queryFilter(this.fundMe.filters.Pledge(id), this.startBlock, blockTag),
+            this.fundMe.queryFilter(this.fundMe.filters.PledgeTransfer(id), this.startBlock, blockTag),
+        ])
+        const donors = [...new Set([...events.map((e) => e.args.donor), ...transfers.map((e) => e.args.to)])]
+        const { decimals } = await this.campaignToken(id, blockTag)
+        const pledges = []
+        for (const donor of donors) {
+            const amount = await this.fundMe.pledgedAmount(id, donor, { blockTag })
+            pledges.push({ donor, ...this.amount("amount", amount, decimals) })
+        }
+        return pledges
+    }
+
+    async getDonor(address, blockTag) {
+        if (!ethers.utils.isAddress(address)) {
+            throw new HttpError(400, `${address} is not an address`)
+        }
+        const donor = ethers.utils.getAddress(address)
+        const [events, transfers] = await Promise.all([
+            this.fundMe.queryFilter(this.fundMe.filters.Pledge(null, donor), this.startBlock, blockTag),
+            this.fundMe.queryFilter(this.fundMe.filters.PledgeTransfer(null, null, donor), this.startBlock, blockTag),
+        ])
+        const ids = [...new Set([...events, ...transfers].map((e) => e.args.id.toNumber()))].sort((a, b) => a - b)
+        const pledges = []
+        for (const id of ids) {
+            const [amount, { address, decimals }] = await Promise.all([
+                this.fundMe.pledgedAmount(id, donor, { blockTag }),
+                this.campaignToken(id, blockTag),
+            ])
+            pledges.push({ campaignId: id, token: address, ...this.amount("amount", amount, decimals) })
+        }
+        return { address: donor, pledges }
+    }
+
+    async requireCampaign(id, blockTag) {
+        const count = await this.fundMe.count({ blockTag })
+        if (id < 1 || count.lt(id)) {
+            throw new HttpError(404, `campaign ${id} does not exist`)
+        }
+    }
+
+    async campaignToken(id, blockTag) {
+        const campaign = await this.fundMe.campaigns(id, { blockTag })
+        return this.tokenInfo(campaign.token)
+    }
+
+    // serializes a BigNumber amount as `name` and `nameFormatted`, using the token's decimals
+    amount(name, value, decimals) {
+        return {
+            [name]: value.toString(),
+            [`${name}Formatted`]: ethers.utils.formatUnits(value, decimals),
+        }
+    }
+}
+
+/**
+ * Creates an http.Server serving the campaign API. The server is not listening yet.
+ */
+const createServer = (options) => {
+    const api = new CampaignApi(options)
+    const server = http.createServer(async (req, res) => {
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, { "Content-Type": "application/json", ...headers })
+            res.end(JSON.stringify(body))
+        }
+        if (req.method !== "GET") {
+            return send(405, { error: `${req.method} is not allowed` }, { Allow: "GET" })
+        }
+        const { pathname } = new URL(req.url, "http://localhost")
+        try {
+            const { blockNumber, body } = await api.handle(pathname.replace(/\/$/, "") || "/")
+            send(200, body, { "X-Block-Number": String(blockNumber) })
+        } catch (e) {
+            if (e instanceof HttpError) {
+                send(e.status, { error: e.message })
+            } else {
+                send(500, { error: e.message })
+            }
+        }
+    })
+    server.api = api
+    return server
+}
+
+module.exports = {
+    CampaignApi,
+    createServer,
+}
@@ -0,0 +1,254 @@
+// Watches a FundMe deployment and sends a notification for every event and for the
+// transitions that only happen with time: a campaign starting, ending, reaching its goal,
+// and claim or refund becoming possible. Notifications go to pluggable sinks, can be
+// filtered by creator or campaign id, and are deduplicated across restarts through a store.
+const fs = require("fs")
+const path = require("path")
+const http = require("http")
+const https = require("https")
+const { ethers } = require("ethers")
+const { CampaignIndexer, MemoryStore } = require("./campaignIndexer")
+
+const Transition = Object.freeze({
+    STARTED: "CampaignStarted",
+    ENDED: "CampaignEnded",
+    GOAL_REACHED: "GoalReached",
+    CLAIM_OPEN: "ClaimOpen",
+    REFUND_OPEN: "RefundOpen",
+})
+
+/**
+ * Returns the transitions campaign `campaign` (as indexed by CampaignIndexer) has gone through at `now`.
+ */
+const transitions = (campaign, now) => {
+    if (campaign.cancelled) return []
+    const reached = ethers.BigNumber.from(campaign.pledged).gte(campaign.goal)
+    const ended = now > campaign.endAt
+    const result = []
+    if (now >= campaign.startAt) result.push(Transition.STARTED)
+    if (reached) result.push(Transition.GOAL_REACHED)
+    if (ended) result.push(Transition.ENDED)
+    // milestone campaigns are paid out through release votes rather than claim
+    if (ended && reached && !campaign.claimed && !campaign.milestones) result.push(Transition.CLAIM_OPEN)
+    if (ended && !reached) result.push(Transition.REFUND_OPEN)
+    return result
+}
+
+/**
+ * Prints one line per notification.
+ */
+class ConsoleSink {
+    constructor({ log = console.log } = {}) {
+        this.log = log
+    }
+
+    async send(notification) {
+        const campaign = notification.campaignId ? ` campaign #${notification.campaignId}` : ""
+        const detail = notification.kind === "event" ? ` tx ${notification.transactionHash}` : ` at ${new Date(notification.timestamp * 1000).toISOString()}`
+        this.log(`[${notification.type}]${campaign}${detail}`)
+    }
+}
+
+/**
+ * Appends every notification to a file as one JSON object per line.
+ */
+class JsonLinesSink {
+    constructor(filePath) {
+        this.filePath = filePath
+    }
+
+    async send(notification) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+        fs.appendFileSync(this.filePath, JSON.stringify(notification) + "\n")
+    }
+}
+
+/**
+ * POSTs every notification as JSON to `url`, failing on any status other than 2xx.
+ */
+class WebhookSink {
+    constructor({ url, headers = {}, timeout = 10000 }) {
+        this.url = new URL(url)
+        this.headers = headers
+        this.timeout = timeout
+    }
+
+    send(notification) {
+        const body = JSON.stringify(notification)
+        const transport = this.url.protocol === "https:" ? https : http
+        return new Promise((resolve, reject) => {
+            const req = transport.request(
+                this.url,
+                {
+                    method: "POST",
+                    timeout: this.timeout,
+                    headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body), ...this.headers },
+                },
+                (res) => {
+                    res.resume()
+                    res.on("end", () => {
+                        if (res.statusCode >= 200 && res.statusCode < 300) resolve()
+                        else reject(new Error(`webhook ${this.url} answered ${res.statusCode}`))
+                    })
+                }
+            )
+            req.on("timeout", () => req.destroy(new Error(`webhook ${this.url} timed out`)))
+            req.on("error", reject)
+            req.end(body)
+        })
+    }
+}
+
+class CampaignWatcher {
+    /**
+     * @param provider an ethers provider
+     * @param fundMeAddress the address of the deployed FundMe contract
+     * @param startBlock the first block to scan, usually the FundMe deployment block
+     * @param sinks where notifications are sent, objects with an async send(notification)
+     * @param creators only notify about campaigns launched by these addresses
+     * @param campaignIds only notify about these campaigns
+     * @param store where the notifications already sent and the indexed events are remembered, a MemoryStore
+     * by default; use a JsonFileStore to not send them again nor read the same blocks after a restart
+     * @param pollInterval how often time based transitions are checked, in milliseconds
+     * @param retryDelay how long a notification a sink failed on waits before it is sent to it again,
+     * in milliseconds, doubling after every failure up to `maxRetryDelay`
+     * @param onError called when a sink fails
+     */
+    constructor({
+        provider,
+        fundMeAddress,
+        startBlock = 0,
+        sinks = [new ConsoleSink()],
+        creators,
+        campaignIds,
+        store = new MemoryStore(),
+        pollInterval = 15000,
+        retryDelay = 15000,
+        maxRetryDelay = 3600000,
+        onError = (error) => console.error(error.message),
+    }) {
+        this.provider = provider
+        this.fundMeAddress = fundMeAddress
+        this.sinks = sinks
+        this.creators = creators && creators.map((creator) => ethers.utils.getAddress(creator))
+        this.campaignIds = campaignIds && campaignIds.map(String)
+        this.store = store
+        this.pollInterval = pollInterval
+        this.retryDelay = retryDelay
+        this.maxRetryDelay = maxRetryDelay
+        this.onError = onError
+        // notifications some sink failed on, by id: the sinks that got them, the failures and when to retry;
+        // only kept in memory, so after a restart they go to every sink again
+        this.retries = new Map()
+        // the indexer state is saved in `store` next to what was sent, so that a restart reads
+        // the events from the last poll's block rather than from `startBlock`
+        this.indexer = new CampaignIndexer({ provider, fundMeAddress, startBlock })
+        this.sent = undefined
+        this.polling = Promise.resolve()
+    }
+
+    /**
+     * Reads new events and checks the time based transitions once. Calls are queued,
+     * so that a poll never runs while another one is still sending.
+     * A notification is only remembered as sent once every sink took it, the ones a sink failed on
+     * are sent to that sink again by a later poll.
+     * @returns the notifications every sink took
+     */
+    poll() {
+        const result = this.polling.then(() => this._poll())
+        this.polling = result.catch(() => {})
+        return result
+    }
+
+    /**
+     * Polls now, then on every FundMe log and every `pollInterval`.
+     */
+    async start() {
+        await this.poll()
+        this.listener = () => this.poll().catch(this.onError)
+        this.provider.on({ address: this.fundMeAddress }, this.listener)
+        this.timer = setInterval(this.listener, this.pollInterval)
+    }
+
+    async stop() {
+        if (this.listener) this.provider.off({ address: this.fundMeAddress }, this.listener)
+        clearInterval(this.timer)
+        this.listener = undefined
+        await this.polling
+    }
+
+    async _poll() {
+        if (!this.sent) {
+            const saved = await this.store.load()
+            this.sent = new Set(saved ? saved.sent : [])
+            if (saved && saved.indexer) await this.indexer.store.save(saved.indexer)
+        }
+        const state = await this.indexer.sync()
+        const { timestamp } = await this.provider.getBlock(state.checkpoint.blockNumber)
+
+        const notifications = state.history.map((entry) => ({
+            id: `${entry.transactionHash}:${entry.logIndex}`,
+            kind: "event",
+            type: entry.type,
+            campaignId: entry.campaignId,
+            blockNumber: entry.blockNumber,
+            transactionHash: entry.transactionHash,
+            event: entry,
+        }))
+        for (const campaign of Object.values(state.campaigns)) {
+            for (const type of transitions(campaign, timestamp)) {
+                notifications.push({ id: `${campaign.id}:${type}`, kind: "transition", type, campaignId: String(campaign.id), timestamp })
+            }
+        }
+
+        const sent = []
+        for (const notification of notifications) {
+            if (this.sent.has(notification.id) || !this._matches(state, notification)) continue
+            const retry = this.retries.get(notification.id) || { delivered: new Set(), failures: 0 }
+            if (retry.at > Date.now()) continue
+            const campaign = notification.campaignId && state.campaigns[notification.campaignId]
+            if (campaign) notification.creator = campaign.creator
+            let failed = false
+            for (const [index, sink] of this.sinks.entries()) {
+                if (retry.delivered.has(index)) continue
+                try {
+                    await sink.send(notification)
+                    retry.delivered.add(index)
+                } catch (e) {
+                    failed = true
+                    this.onError(e)
+                }
+            }
+            if (failed) {
+                retry.failures++
+                retry.at = Date.now() + Math.min(this.retryDelay * 2 ** (retry.failures - 1), this.maxRetryDelay)
+                this.retries.set(notification.id, retry)
+                continue
+            }
+            this.retries.delete(notification.id)
+            this.sent.add(notification.id)
+            sent.push(notification)
+        }
+        await this.store.save({ sent: [...this.sent], indexer: state })
+        return sent
+    }
+
+    // events about FundMe itself only pass when no campaign filter is set
+    _matches(state, notification) {
+        if (!this.creators && !this.campaignIds) return true
+        const campaign = notification.campaignId && state.campaigns[notification.campaignId]
+        if (!campaign) return false
+        if (this.creators && !this.creators.includes(campaign.creator)) return false
+        if (this.campaignIds && !this.campaignIds.includes(notification.campaignId)) return false
+        return true
+    }
+}
+
+module.exports = {
+    CampaignWatcher,
+    ConsoleSink,
+    JsonLinesSink,
+    WebhookSink,
+    Transition,
+    transitions,
+}
@@ -0,0 +1,163 @@
+// Builds a statement of everything a donor pledged to, unpledged from, got refunded,
+// reclaimed or withdrew in an emergency from FundMe campaigns, or transferred along with a
+// pledge receipt NFT, for accounting and tax reports. Entries come from the event logs, and the final position per campaign is
+// reconciled with pledgedAmount.
+const { ethers } = require("ethers")
+const { FUND_ME_ABI, ERC20_ABI } = require("./abi")
+
+// every event that moves tokens between a donor and a campaign, they all index the donor second
+const RECEIPT_EVENTS = ["Pledge", "Unpledge", "Refund", "Reclaim", "EmergencyWithdraw"]
+
+// events paying back a share of the pledge that close the position whatever the amount
+const CLOSING_EVENTS = ["Reclaim", "EmergencyWithdraw"]
+
+// a whole position moving from one holder to another with its receipt, the donor is either side
+const TRANSFER_EVENT = "PledgeTransfer"
+
+const CSV_COLUMNS = [
+    "date",
+    "timestamp",
+    "blockNumber",
+    "transactionHash",
+    "campaignId",
+    "type",
+    "token",
+    "symbol",
+    "amount",
+    "amountFormatted",
+    "position",
+    "positionFormatted",
+]
+
+class DonorReceipts {
+    /**
+     * @param provider an ethers provider
+     * @param fundMeAddress the address of the deployed FundMe contract
+     */
+    constructor({ provider, fundMeAddress }) {
+        this.provider = provider
+        this.fundMe = new ethers.Contract(fundMeAddress, FUND_ME_ABI, provider)
+        this.tokens = new Map()
+        this.timestamps = new Map()
+    }
+
+    /**
+     * Reads the receipts of `donor` between `fromBlock` and `toBlock` (the latest block by default).
+     * `position` is the donor's running net pledge to the campaign after each entry. A reclaim or an
+     * emergency withdrawal closes the position even though it can pay back less than was pledged.
+     * @returns { donor, fromBlock, toBlock, entries, campaigns, mismatches } where `campaigns` has the
+     * final position per campaign and `mismatches` the campaigns where it differs from pledgedAmount,
+     * e.g. because `fromBlock` is after the donor's first pledge
+     */
+    async build({ donor, fromBlock = 0, toBlock }) {
+        donor = ethers.utils.getAddress(donor)
+        if (toBlock === undefined) toBlock = await this.provider.getBlockNumber()
+
+        const topics = [...RECEIPT_EVENTS, TRANSFER_EVENT].map((name) => this.fundMe.interface.getEventTopic(name))
+        const donorTopic = ethers.utils.hexZeroPad(donor, 32)
+        const filter = { address: this.fundMe.address, fromBlock, toBlock }
+        const [sent, received] = await Promise.all([
+            this.provider.getLogs({ ...filter, topics: [topics, null, donorTopic] }),
+            this.provider.getLogs({ ...filter, topics: [this.fundMe.interface.getEventTopic(TRANSFER_EVENT), null, null, donorTopic] }),
+        ])
+        // a transfer to oneself is found by both queries
+        const logs = [...sent, ...received.filter((log) => !sent.some((other) => other.transactionHash === log.transactionHash && other.logIndex === log.logIndex))]
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+
+        const positions = {}
+        const entries = []
+        for (const log of logs) {
+            const { name, args } = this.fundMe.interface.parseLog(log)
+            const campaignId = args.id.toString()
+            const token = await this.campaignToken(campaignId)
+            const before = positions[campaignId] || ethers.BigNumber.from(0)
+            const position = positionAfter(name, args, donor, before)
+            positions[campaignId] = position
+            const timestamp = await this.blockTimestamp(log.blockNumber)
+            entries.push({
+                date: new Date(timestamp * 1000).toISOString(),
+                timestamp,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                campaignId,
+                type: name,
+                token: token.address,
+                symbol: token.symbol,
+                ...amount("amount", args.amount, token.decimals),
+                ...amount("position", position, token.decimals),
+            })
+        }
+
+        const campaigns = {}
+        const mismatches = []
+        for (const [campaignId, position] of Object.entries(positions)) {
+            const token = await this.campaignToken(campaignId)
+            const onChain = await this.fundMe.pledgedAmount(campaignId, donor, { blockTag: toBlock })
+            campaigns[campaignId] = { token: token.address, symbol: token.symbol, ...amount("position", position, token.decimals) }
+            if (!onChain.eq(position)) {
+                mismatches.push({ campaignId, receipts: position.toString(), pledgedAmount: onChain.toString() })
+            }
+        }
+
+        return { donor, fromBlock, toBlock, entries, campaigns, mismatches }
+    }
+
+    async campaignToken(id) {
+        const { token: address } = await this.fundMe.campaigns(id)
+        if (!this.tokens.has(address)) {
+            const token = new ethers.Contract(address, ERC20_ABI, this.provider)
+            const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()])
+            this.tokens.set(address, { address, symbol, decimals })
+        }
+        return this.tokens.get(address)
+    }
+
+    async blockTimestamp(blockNumber) {
+        if (!this.timestamps.has(blockNumber)) {
+            this.timestamps.set(blockNumber, (await this.provider.getBlock(blockNumber)).timestamp)
+        }
+        return this.timestamps.get(blockNumber)
+    }
+}
+
+// the donor's net pledge to a campaign after one of its events
+const positionAfter = (name, args, donor, before) => {
+    if (name === "Pledge") return before.add(args.amount)
+    if (CLOSING_EVENTS.includes(name)) return ethers.BigNumber.from(0)
+    if (name === TRANSFER_EVENT) {
+        if (args.from === args.to) return before
+        return args.to === donor ? before.add(args.amount) : before.sub(args.amount)
+    }
+    return before.sub(args.amount)
+}
+
+const amount = (name, value, decimals) => ({
+    [name]: value.toString(),
+    [`${name}Formatted`]: ethers.utils.formatUnits(value, decimals),
+})
+
+const csvValue = (value) => {
+    const text = String(value)
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Formats the entries of a statement built by DonorReceipts.build as CSV, one line per entry.
+ */
+const toCSV = (receipts) =>
+    [CSV_COLUMNS, ...receipts.entries.map((entry) => CSV_COLUMNS.map((column) => entry[column]))]
+        .map((row) => row.map(csvValue).join(","))
+        .join("\n") + "\n"
+
+/**
+ * Formats a statement built by DonorReceipts.build as JSON.
+ */
+const toJSON = (receipts) => JSON.stringify(receipts, null, 2) + "\n"
+
+module.exports = {
+    DonorReceipts,
+    RECEIPT_EVENTS,
+    CSV_COLUMNS,
+    toCSV,
+    toJSON,
+}
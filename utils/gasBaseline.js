@@ -0,0 +1,86 @@
+// Compares the gas used by FundMe's methods and its deployed bytecode size against a
+// committed baseline, see scripts/gas-report.js. Everything here works on plain data:
+// the gas measured by utils/gasBenchmarks.js and the compiled artifact.
+
+// the methods whose gas is tracked
+const TRACKED_METHODS = ["launch", "pledge", "unpledge", "claim", "refund", "cancel"]
+
+// the most a contract's deployed bytecode can weigh on mainnet (EIP-170)
+const MAX_CONTRACT_SIZE = 24576
+
+const average = (values) => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+
+/**
+ * Sums up the gas of the benchmarks ([{ method, gasUsed }]) of each tracked method.
+ * Methods without a benchmark are left out.
+ * @returns { method: { min, max, avg, calls } }
+ */
+const summarizeGas = (results, methods = TRACKED_METHODS) => {
+    const result = {}
+    for (const method of methods) {
+        const gas = results.filter((r) => r.method === method).map((r) => r.gasUsed)
+        if (gas.length === 0) continue
+        result[method] = { min: Math.min(...gas), max: Math.max(...gas), avg: average(gas), calls: gas.length }
+    }
+    return result
+}
+
+/**
+ * Returns the size in bytes of the deployed bytecode of a hardhat artifact.
+ */
+const deployedSize = (artifact) => (artifact.deployedBytecode.length - 2) / 2
+
+/**
+ * Compares `current` ({ methods, size }) with `baseline` of the same shape.
+ * A method or the size regresses when it grew by more than `threshold` percent.
+ * @returns the rows of the diff table and the ones that regressed
+ */
+const compare = (baseline, current, threshold) => {
+    const rows = []
+    const names = new Set([...Object.keys(baseline.methods), ...Object.keys(current.methods)])
+    for (const name of [...names].sort()) {
+        const before = baseline.methods[name] ? baseline.methods[name].avg : undefined
+        const after = current.methods[name] ? current.methods[name].avg : undefined
+        rows.push(row(name, before, after, threshold))
+    }
+    rows.push(row("bytecode size", baseline.size, current.size, threshold))
+    return { rows, regressions: rows.filter((r) => r.regressed) }
+}
+
+const row = (name, before, after, threshold) => {
+    if (before === undefined || after === undefined) {
+        return { name, before, after, change: undefined, regressed: false }
+    }
+    const change = ((after - before) / before) * 100
+    return { name, before, after, change, regressed: change > threshold }
+}
+
+/**
+ * Formats the rows returned by compare as a plain text table.
+ */
+const formatTable = (rows) => {
+    const percentage = (change) => {
+        const rounded = Number(change.toFixed(2))
+        return `${rounded > 0 ? "+" : ""}${rounded.toFixed(2)}%`
+    }
+    const cells = rows.map((r) => [
+        r.name,
+        r.before === undefined ? "-" : String(r.before),
+        r.after === undefined ? "-" : String(r.after),
+        r.change === undefined ? (r.before === undefined ? "new" : "removed") : percentage(r.change),
+        r.regressed ? "REGRESSED" : "",
+    ])
+    const header = ["", "baseline", "current", "change", ""]
+    const widths = header.map((h, i) => Math.max(h.length, ...cells.map((c) => c[i].length)))
+    const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd()
+    return [line(header), ...cells.map(line)].join("\n")
+}
+
+module.exports = {
+    TRACKED_METHODS,
+    MAX_CONTRACT_SIZE,
+    summarizeGas,
+    deployedSize,
+    compare,
+    formatTable,
+}
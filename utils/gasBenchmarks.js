@@ -0,0 +1,129 @@
+// A fixed set of calls to the methods tracked in gas-baseline.json, see scripts/gas-report.js.
+// Each benchmark runs on a fresh deployment, so the gas it uses only changes with the contract
+// and not with the tests that happen to call a method.
+const { ethers, deployments, network } = require("hardhat")
+
+const GOAL = ethers.utils.parseEther("10")
+const AMOUNT = ethers.utils.parseEther("1")
+const DURATION = 1000
+
+const increaseTime = async (seconds) => {
+    await network.provider.send("evm_increaseTime", [seconds])
+    await network.provider.send("evm_mine")
+}
+
+// sends launch() as the creator for a campaign starting in 10 seconds
+const sendLaunch = async ({ fundMe, token, creator }, goal = GOAL, metadataURI = "", metadataHash = ethers.constants.HashZero) => {
+    const { timestamp } = await ethers.provider.getBlock("latest")
+    return fundMe.connect(creator).launch(token.address, goal, timestamp + 10, timestamp + 10 + DURATION, metadataURI, metadataHash)
+}
+
+// launches a campaign and moves past its start, @returns its id
+const launched = async (context, goal = GOAL) => {
+    await (await sendLaunch(context, goal)).wait()
+    await increaseTime(100)
+    return context.fundMe.count()
+}
+
+const pledged = async ({ fundMe, donor }, id, amount = AMOUNT) => {
+    await (await fundMe.connect(donor).pledge(id, amount)).wait()
+}
+
+// { method, name, run }: `run` prepares what the call needs and resolves with the transaction measured
+const BENCHMARKS = [
+    { method: "launch", name: "launch", run: (context) => sendLaunch(context) },
+    {
+        method: "launch",
+        name: "launch with metadata",
+        run: (context) => sendLaunch(context, GOAL, "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi", ethers.utils.id("metadata")),
+    },
+    {
+        method: "pledge",
+        name: "first pledge of a donor",
+        run: async (context) => context.fundMe.connect(context.donor).pledge(await launched(context), AMOUNT),
+    },
+    {
+        method: "pledge",
+        name: "second pledge of a donor",
+        run: async (context) => {
+            const id = await launched(context)
+            await pledged(context, id)
+            return context.fundMe.connect(context.donor).pledge(id, AMOUNT)
+        },
+    },
+    {
+        method: "unpledge",
+        name: "unpledge part of a pledge",
+        run: async (context) => {
+            const id = await launched(context)
+            await pledged(context, id)
+            return context.fundMe.connect(context.donor).unpledge(id, AMOUNT.div(2))
+        },
+    },
+    {
+        method: "unpledge",
+        name: "unpledge a whole pledge",
+        run: async (context) => {
+            const id = await launched(context)
+            await pledged(context, id)
+            return context.fundMe.connect(context.donor).unpledge(id, AMOUNT)
+        },
+    },
+    {
+        method: "claim",
+        name: "claim",
+        run: async (context) => {
+            const id = await launched(context, AMOUNT)
+            await pledged(context, id)
+            await increaseTime(DURATION)
+            return context.fundMe.connect(context.creator).claim(id)
+        },
+    },
+    {
+        method: "refund",
+        name: "refund",
+        run: async (context) => {
+            const id = await launched(context)
+            await pledged(context, id)
+            await increaseTime(DURATION)
+            return context.fundMe.connect(context.donor).refund(id)
+        },
+    },
+    {
+        method: "cancel",
+        name: "cancel",
+        run: async (context) => {
+            await (await sendLaunch(context)).wait()
+            return context.fundMe.connect(context.creator).cancel(await context.fundMe.count())
+        },
+    },
+]
+
+// deploys FundMe and its token afresh and funds the donor
+const setup = async () => {
+    await deployments.fixture(["all"])
+    const [deployer, creator, donor] = await ethers.getSigners()
+    const token = await ethers.getContract("ERC20", deployer)
+    const fundMe = await ethers.getContract("FundMe", deployer)
+    await (await token.transfer(donor.address, AMOUNT.mul(2))).wait()
+    await (await token.connect(donor).approve(fundMe.address, ethers.constants.MaxUint256)).wait()
+    return { fundMe, token, creator, donor }
+}
+
+/**
+ * Runs every benchmark on the Hardhat network.
+ * @returns [{ method, name, gasUsed }] in the order of `benchmarks`
+ */
+const runBenchmarks = async (benchmarks = BENCHMARKS) => {
+    const results = []
+    for (const { method, name, run } of benchmarks) {
+        const receipt = await (await run(await setup())).wait()
+        results.push({ method, name, gasUsed: receipt.gasUsed.toNumber() })
+    }
+    return results
+}
+
+module.exports = {
+    BENCHMARKS,
+    runBenchmarks,
+}
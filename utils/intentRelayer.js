@@ -0,0 +1,271 @@
+// A relayer for the intents of utils/intents.js. It takes signed intents over HTTP, refuses the ones
+// FundMe would revert on, and sends the others one at a time from its own account, which pays the gas.
+//
+//   GET  /domain           the EIP-712 domain and types to sign intents with
+//   POST /intents          queues an intent { action, donor, id, amount, nonce, deadline, signature }
+//   GET  /intents/:digest  the status of an intent, by the EIP-712 digest POST /intents returned
+//
+// Amounts, ids, nonces and deadlines are decimal strings. An intent goes from queued to submitted
+// and mined, or to failed with the reason, as its conditions are checked again right before sending.
+const http = require("http")
+const { ethers } = require("ethers")
+const { FUND_ME_ABI, ERC20_ABI } = require("./abi")
+const { checkRunning, checkPledge, checkUnpledge, checkRefund } = require("./campaignChecks")
+const { INTENT_TYPES, INTENT_ACTIONS, intentDomain, intentDigest, recoverIntentSigner } = require("./intents")
+
+const IntentStatus = Object.freeze({
+    QUEUED: "queued",
+    SUBMITTED: "submitted",
+    MINED: "mined",
+    FAILED: "failed",
+})
+
+// intents are a few hundred bytes, anything much larger is not one
+const MAX_BODY_SIZE = 16 * 1024
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.status = status
+    }
+}
+
+const isUint = (value) => (typeof value === "string" || Number.isSafeInteger(value)) && /^\d+$/.test(String(value))
+
+class IntentRelayer {
+    /**
+     * @param signer the ethers Signer that sends the intents and pays for their gas
+     * @param fundMeAddress the address of the deployed FundMe contract
+     */
+    constructor({ signer, fundMeAddress }) {
+        this.signer = signer
+        this.provider = signer.provider
+        this.fundMe = new ethers.Contract(fundMeAddress, FUND_ME_ABI, signer)
+        this.records = new Map()
+        this.queue = []
+        this.sending = undefined
+        this.running = Promise.resolve()
+        this._domain = undefined
+    }
+
+    /**
+     * Returns the EIP-712 domain intents for this FundMe are signed with.
+     */
+    async domain() {
+        if (!this._domain) {
+            this._domain = intentDomain(this.provider, this.fundMe.address)
+            this._domain.catch(() => (this._domain = undefined))
+        }
+        return this._domain
+    }
+
+    /**
+     * Checks the fields of a submitted intent and returns it with its numbers as decimal strings.
+     */
+    parse(body) {
+        if (!body || typeof body !== "object" || Array.isArray(body)) throw new HttpError(400, "the intent must be a JSON object")
+        const { action, donor, id, amount, nonce, deadline, signature } = body
+        if (!INTENT_ACTIONS[action]) throw new HttpError(400, `action must be one of ${Object.keys(INTENT_ACTIONS).join(", ")}`)
+        if (typeof donor !== "string" || !ethers.utils.isAddress(donor)) throw new HttpError(400, "donor must be an address")
+        const numbers = action === "refund" ? { id, nonce, deadline } : { id, amount, nonce, deadline }
+        for (const [name, value] of Object.entries(numbers)) {
+            if (!isUint(value)) throw new HttpError(400, `${name} must be a non-negative integer`)
+        }
+        if (!ethers.utils.isHexString(signature, 65)) throw new HttpError(400, "signature must be 65 bytes of hex")
+        const intent = { action, donor: ethers.utils.getAddress(donor), signature }
+        for (const [name, value] of Object.entries(numbers)) {
+            intent[name] = ethers.BigNumber.from(value).toString()
+        }
+        return intent
+    }
+
+    /**
+     * Returns the reason FundMe would revert with if `intent` was sent now, or undefined when it would pass.
+     * The checks follow the order of the contract's modifiers and requires.
+     */
+    async check(intent) {
+        const { action, donor, id, amount, nonce, deadline } = intent
+        const [count, block] = await Promise.all([this.fundMe.count(), this.provider.getBlock("latest")])
+        if (ethers.BigNumber.from(id).isZero() || count.lt(id)) return "campaign does not exist"
+        let status
+        if (action === "pledge") {
+            const [paused, emergencyAt] = await Promise.all([this.fundMe.paused(), this.fundMe.emergencyAt()])
+            status = { paused, emergencyAt }
+            const reason = checkRunning(status, block.timestamp)
+            if (reason) return reason
+        }
+        if (ethers.BigNumber.from(deadline).lt(block.timestamp)) return "intent expired"
+        if (await this.fundMe.intentNonceUsed(donor, nonce)) return "intent nonce used"
+        let signer
+        try {
+            signer = recoverIntentSigner(await this.domain(), intent)
+        } catch (e) {
+            // a signature that does not recover to any address
+        }
+        if (signer !== donor) return "invalid signature"
+
+        const [campaign, pledged] = await Promise.all([this.fundMe.campaigns(id), this.fundMe.pledgedAmount(id, donor)])
+        if (action === "unpledge") return checkUnpledge(campaign, pledged, amount, block.timestamp)
+        if (action === "refund") return checkRefund(campaign, pledged, block.timestamp)
+        const reason = checkPledge(campaign, block.timestamp, status)
+        if (reason) return reason
+        // the tokens come from the donor, the same checks the token does
+        const token = new ethers.Contract(campaign.token, ERC20_ABI, this.provider)
+        const [allowance, balance] = await Promise.all([token.allowance(donor, this.fundMe.address), token.balanceOf(donor)])
+        if (allowance.lt(amount)) return "ERC20: insufficient allowance"
+        if (balance.lt(amount)) return "ERC20: transfer amount exceeds balance"
+        return checkPledge(campaign, block.timestamp, status, amount)
+    }
+
+    /**
+     * Queues a signed intent and resolves with its status, rejecting with an HttpError when it is
+     * malformed (400), already queued (409) or would revert (422).
+     */
+    async submit(body) {
+        const intent = this.parse(body)
+        const digest = intentDigest(await this.domain(), intent)
+        const reason = await this.check(intent)
+        if (reason) throw new HttpError(422, reason)
+        // the same nonce cannot be used twice, even for two different intents, but a failed intent can be sent again
+        const pending = this.sending ? [this.sending, ...this.queue] : this.queue
+        if (pending.some((other) => other.intent.donor === intent.donor && other.intent.nonce === intent.nonce)) {
+            throw new HttpError(409, `an intent of ${intent.donor} with nonce ${intent.nonce} is already queued`)
+        }
+        const record = { digest, status: IntentStatus.QUEUED, intent }
+        this.records.set(digest, record)
+        this.queue.push(record)
+        this.running = this.running.then(() => this._sendNext())
+        return this.view(record)
+    }
+
+    /**
+     * Returns the status of the intent with EIP-712 digest `digest`, undefined if it was never queued.
+     */
+    get(digest) {
+        const record = this.records.get(digest)
+        return record && this.view(record)
+    }
+
+    /**
+     * Resolves once every queued intent was sent and mined, or failed.
+     */
+    async idle() {
+        let running
+        do {
+            running = this.running
+            await running
+        } while (running !== this.running)
+    }
+
+    view({ digest, status, intent, transactionHash, blockNumber, error }) {
+        const { signature, ...fields } = intent
+        return { digest, status, ...fields, transactionHash, blockNumber, error }
+    }
+
+    async _sendNext() {
+        const record = this.queue.shift()
+        this.sending = record
+        try {
+            // the chain may have moved on while the intent was waiting
+            const reason = await this.check(record.intent)
+            if (reason) throw new Error(reason)
+            const tx = await this._send(record.intent)
+            record.status = IntentStatus.SUBMITTED
+            record.transactionHash = tx.hash
+            const receipt = await tx.wait()
+            record.status = IntentStatus.MINED
+            record.blockNumber = receipt.blockNumber
+        } catch (e) {
+            record.status = IntentStatus.FAILED
+            record.error = e.reason || e.message
+        }
+        this.sending = undefined
+    }
+
+    _send({ action, donor, id, amount, nonce, deadline, signature }) {
+        if (action === "pledge") return this.fundMe.pledgeBySig(donor, id, amount, nonce, deadline, signature)
+        if (action === "unpledge") return this.fundMe.unpledgeBySig(donor, id, amount, nonce, deadline, signature)
+        return this.fundMe.refundBySig(donor, id, nonce, deadline, signature)
+    }
+}
+
+// reads the JSON body of `req`, refusing bodies over MAX_BODY_SIZE
+const readJson = (req) =>
+    new Promise((resolve, reject) => {
+        const chunks = []
+        let size = 0
+        const onData = (chunk) => {
+            size += chunk.length
+            if (size > MAX_BODY_SIZE) {
+                // stop reading, the server answers and closes the connection after that
+                req.off("data", onData)
+                req.pause()
+                reject(new HttpError(413, `the body is over ${MAX_BODY_SIZE} bytes`))
+                return
+            }
+            chunks.push(chunk)
+        }
+        req.on("data", onData)
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")))
+            } catch (e) {
+                reject(new HttpError(400, "the body is not JSON"))
+            }
+        })
+        req.on("error", reject)
+    })
+
+/**
+ * Creates an http.Server relaying intents with an IntentRelayer built from `options`.
+ * The server is not listening yet.
+ */
+const createRelayerServer = (options) => {
+    const relayer = new IntentRelayer(options)
+    const server = http.createServer(async (req, res) => {
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, { "Content-Type": "application/json", ...headers })
+            res.end(JSON.stringify(body))
+        }
+        const { pathname } = new URL(req.url, "http://localhost")
+        const path = pathname.replace(/\/$/, "") || "/"
+        const route = (method) => {
+            if (req.method !== method) throw new HttpError(405, `${req.method} is not allowed`)
+        }
+        try {
+            let match
+            if (path === "/domain") {
+                route("GET")
+                send(200, { domain: await relayer.domain(), types: INTENT_TYPES })
+            } else if (path === "/intents") {
+                route("POST")
+                send(202, await relayer.submit(await readJson(req)))
+            } else if ((match = /^\/intents\/(0x[0-9a-fA-F]{64})$/.exec(path))) {
+                route("GET")
+                const intent = relayer.get(match[1].toLowerCase())
+                if (!intent) throw new HttpError(404, `no intent ${match[1]}`)
+                send(200, intent)
+            } else {
+                throw new HttpError(404, `no route for ${path}`)
+            }
+        } catch (e) {
+            if (e instanceof HttpError && e.status === 413) {
+                // the rest of the body was never read, so the connection cannot take another request
+                res.on("finish", () => req.destroy())
+                send(413, { error: e.message }, { Connection: "close" })
+            } else if (e instanceof HttpError) {
+                send(e.status, { error: e.message }, e.status === 405 ? { Allow: path === "/intents" ? "POST" : "GET" } : {})
+            } else {
+                send(500, { error: e.message })
+            }
+        }
+    })
+    server.relayer = relayer
+    return server
+}
+
+module.exports = {
+    IntentStatus,
+    IntentRelayer,
+    createRelayerServer,
+}
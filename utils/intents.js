@@ -0,0 +1,106 @@
+// Builds, signs and verifies the EIP-712 intents FundMe executes for donors who have no ETH for gas:
+// a donor signs a Pledge, Unpledge or Refund intent and any relayer sends it with pledgeBySig,
+// unpledgeBySig or refundBySig, see utils/intentRelayer.js.
+const { ethers } = require("ethers")
+
+const INTENT_TYPES = {
+    Pledge: [
+        { name: "donor", type: "address" },
+        { name: "id", type: "uint256" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+    Unpledge: [
+        { name: "donor", type: "address" },
+        { name: "id", type: "uint256" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+    Refund: [
+        { name: "donor", type: "address" },
+        { name: "id", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+}
+
+// the actions of intents, as sent to a relayer, and the EIP-712 type each is signed as
+const INTENT_ACTIONS = Object.freeze({
+    pledge: "Pledge",
+    unpledge: "Unpledge",
+    refund: "Refund",
+})
+
+/**
+ * Returns the EIP-712 domain of the FundMe contract at `fundMeAddress` on the chain of `provider`.
+ */
+const intentDomain = async (provider, fundMeAddress) => {
+    const { chainId } = await provider.getNetwork()
+    return { name: "FundMe", version: "1", chainId, verifyingContract: ethers.utils.getAddress(fundMeAddress) }
+}
+
+/**
+ * Returns the typed data of `intent` for `domain`: { domain, types, message }.
+ * @param intent { action, donor, id, amount, nonce, deadline }, a refund has no amount
+ */
+const buildIntent = (domain, { action, donor, id, amount, nonce, deadline }) => {
+    const type = INTENT_ACTIONS[action]
+    if (!type) throw new Error(`unknown action "${action}", expected one of ${Object.keys(INTENT_ACTIONS).join(", ")}`)
+    const message = {
+        donor: ethers.utils.getAddress(donor),
+        id: ethers.BigNumber.from(id).toString(),
+        nonce: ethers.BigNumber.from(nonce).toString(),
+        deadline: ethers.BigNumber.from(deadline).toString(),
+    }
+    if (action !== "refund") message.amount = ethers.BigNumber.from(amount).toString()
+    return { domain, types: { [type]: INTENT_TYPES[type] }, message }
+}
+
+/**
+ * Returns the EIP-712 digest of `intent`, which FundMe recovers the signer from.
+ */
+const intentDigest = (domain, intent) => {
+    const { types, message } = buildIntent(domain, intent)
+    return ethers.utils._TypedDataEncoder.hash(domain, types, message)
+}
+
+/**
+ * Returns the address that signed `intent`, which is valid when it is the intent's donor.
+ */
+const recoverIntentSigner = (domain, intent) => {
+    const { types, message } = buildIntent(domain, intent)
+    return ethers.utils.verifyTypedData(domain, types, message, intent.signature)
+}
+
+/**
+ * Signs an intent of `signer` for the FundMe contract at `fundMeAddress`.
+ * The nonce is random unless given: FundMe accepts each nonce of a donor once, in any order.
+ * Resolves with { action, donor, id, amount, nonce, deadline, signature }, ready to be sent to a relayer.
+ * @param deadline Unix seconds until which the intent can be executed
+ */
+const signIntent = async (signer, { fundMeAddress, action, id, amount, nonce, deadline }) => {
+    const donor = await signer.getAddress()
+    const domain = await intentDomain(signer.provider, fundMeAddress)
+    const { types, message } = buildIntent(domain, {
+        action,
+        donor,
+        id,
+        amount,
+        nonce: nonce === undefined ? ethers.BigNumber.from(ethers.utils.randomBytes(32)) : nonce,
+        deadline,
+    })
+    const signature = await signer._signTypedData(domain, types, message)
+    return { action, ...message, signature }
+}
+
+module.exports = {
+    INTENT_TYPES,
+    INTENT_ACTIONS,
+    intentDomain,
+    buildIntent,
+    intentDigest,
+    recoverIntentSigner,
+    signIntent,
+}
@@ -0,0 +1,67 @@
+// Builds and signs EIP-2612 permits, so that a donor can approve and pledge
+// in a single FundMe.pledgeWithPermit transaction.
+const { ethers } = require("ethers")
+const { ERC20_PERMIT_ABI } = require("./abi")
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+}
+
+/**
+ * Returns the EIP-712 typed data of a permit: { domain, types, message }.
+ * The nonce is read from the token unless given.
+ * @param token the address of a permit-capable token, or an ethers Contract
+ * @param version the version of the token's EIP-712 domain, "1" for OpenZeppelin's ERC20Permit
+ */
+const buildPermit = async ({ provider, token, owner, spender, value, deadline, nonce, version = "1" }) => {
+    const contract = new ethers.Contract(token.address || token, ERC20_PERMIT_ABI, provider)
+    const [name, chainId, tokenNonce] = await Promise.all([
+        contract.name(),
+        provider.getNetwork().then((network) => network.chainId),
+        nonce === undefined ? contract.nonces(owner) : nonce,
+    ])
+    return {
+        domain: { name, version, chainId, verifyingContract: contract.address },
+        types: PERMIT_TYPES,
+        message: {
+            owner,
+            spender,
+            value: ethers.BigNumber.from(value).toString(),
+            nonce: ethers.BigNumber.from(tokenNonce).toString(),
+            deadline: ethers.BigNumber.from(deadline).toString(),
+        },
+    }
+}
+
+/**
+ * Signs a permit allowing `spender` to transfer `value` tokens of `signer` until `deadline`.
+ * Resolves with { owner, spender, value, deadline, v, r, s }.
+ */
+const signPermit = async (signer, { token, spender, value, deadline, nonce, version }) => {
+    const owner = await signer.getAddress()
+    const { domain, types, message } = await buildPermit({
+        provider: signer.provider,
+        token,
+        owner,
+        spender,
+        value,
+        deadline,
+        nonce,
+        version,
+    })
+    const signature = await signer._signTypedData(domain, types, message)
+    const { v, r, s } = ethers.utils.splitSignature(signature)
+    return { owner, spender, value: message.value, deadline: message.deadline, v, r, s }
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    buildPermit,
+    signPermit,
+}
@@ -0,0 +1,345 @@
+// Declarative scenarios that put a Hardhat or localhost node in a known state for demos and QA, e.g.
+// npx hardhat scenario:run scenarios/mixed-states.yml --network localhost
+// A scenario names accounts, hands them tokens, launches campaigns and then runs its steps in
+// order: pledges, unpledges, time jumps, claims, refunds and cancellations. Its `expect` section
+// describes the state it should end in, so that the sample scenarios double as regression tests.
+const fs = require("fs")
+const path = require("path")
+const yaml = require("js-yaml")
+const { ethers } = require("ethers")
+const { ERC20_ABI } = require("./abi")
+const { CampaignClient, CampaignStatus } = require("./campaignClient")
+const { parseDuration, parseTime } = require("./time")
+
+// the node's first account, which deployed FundMe and the token and hands out the balances
+const DEPLOYER = "deployer"
+
+// when a campaign starts if the scenario does not say
+const DEFAULT_START = "+1m"
+
+// what each step takes besides the name of its campaign, `account` defaults to the campaign creator
+const STEPS = {
+    wait: [],
+    pledge: ["account", "amount"],
+    unpledge: ["account", "amount"],
+    claim: [],
+    refund: ["account"],
+    cancel: [],
+}
+
+class ScenarioValidationError extends Error {
+    constructor(errors) {
+        super(`invalid scenario: ${errors.join(", ")}`)
+        this.errors = errors
+    }
+}
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value)
+
+const isAmount = (value) => /^\d+(\.\d+)?$/.test(String(value))
+
+const checkKeys = (errors, name, value, allowed) => {
+    for (const key of Object.keys(value)) {
+        if (!allowed.includes(key)) errors.push(`${name}${key} is not allowed`)
+    }
+}
+
+const checkAmount = (errors, name, value) => {
+    if (!isAmount(value)) errors.push(`${name} must be an amount of tokens like 100 or 0.5`)
+}
+
+const checkParse = (errors, name, parse, value) => {
+    try {
+        parse(value, 0)
+    } catch (e) {
+        errors.push(`${name}: ${e.message}`)
+    }
+}
+
+// checks a mapping from account names to amounts, as in `balances`
+const checkBalances = (errors, name, value, accounts) => {
+    if (!isObject(value)) {
+        errors.push(`${name} must map account names to amounts`)
+        return
+    }
+    for (const [account, amount] of Object.entries(value)) {
+        if (!accounts.includes(account)) errors.push(`${name}.${account} is not an account of the scenario`)
+        checkAmount(errors, `${name}.${account}`, amount)
+    }
+}
+
+const checkCampaign = (errors, name, campaign, accounts) => {
+    if (!isObject(campaign)) {
+        errors.push(`${name} must be an object`)
+        return
+    }
+    checkKeys(errors, `${name}.`, campaign, ["creator", "goal", "start", "duration"])
+    if (campaign.creator !== undefined && !accounts.includes(campaign.creator)) {
+        errors.push(`${name}.creator is not an account of the scenario`)
+    }
+    checkAmount(errors, `${name}.goal`, campaign.goal)
+    if (campaign.start !== undefined) checkParse(errors, `${name}.start`, parseTime, campaign.start)
+    checkParse(errors, `${name}.duration`, parseDuration, campaign.duration)
+}
+
+const checkStep = (errors, name, step, accounts, campaigns) => {
+    if (!isObject(step) || Object.keys(step).length !== 1) {
+        errors.push(`${name} must have a single key, one of ${Object.keys(STEPS).join(", ")}`)
+        return
+    }
+    const [type, args] = Object.entries(step)[0]
+    if (!STEPS[type]) {
+        errors.push(`${name}.${type} is not a step, expected one of ${Object.keys(STEPS).join(", ")}`)
+        return
+    }
+    if (type === "wait") {
+        checkParse(errors, `${name}.wait`, parseDuration, args)
+        return
+    }
+    if (!isObject(args)) {
+        errors.push(`${name}.${type} must be an object`)
+        return
+    }
+    checkKeys(errors, `${name}.${type}.`, args, ["campaign", "account", ...STEPS[type]])
+    if (!campaigns.includes(args.campaign)) errors.push(`${name}.${type}.campaign is not a campaign of the scenario`)
+    if (STEPS[type].includes("account") && args.account === undefined) {
+        errors.push(`${name}.${type}.account is required`)
+    } else if (args.account !== undefined && !accounts.includes(args.account)) {
+        errors.push(`${name}.${type}.account is not an account of the scenario`)
+    }
+    if (STEPS[type].includes("amount")) checkAmount(errors, `${name}.${type}.amount`, args.amount)
+}
+
+const checkExpect = (errors, expect, accounts, campaigns) => {
+    if (!isObject(expect)) {
+        errors.push("expect must be an object")
+        return
+    }
+    checkKeys(errors, "expect.", expect, ["campaigns", "balances"])
+    if (expect.balances !== undefined) checkBalances(errors, "expect.balances", expect.balances, accounts)
+    if (expect.campaigns === undefined) return
+    if (!isObject(expect.campaigns)) {
+        errors.push("expect.campaigns must map campaign names to their expected state")
+        return
+    }
+    for (const [campaign, expected] of Object.entries(expect.campaigns)) {
+        const name = `expect.campaigns.${campaign}`
+        if (!campaigns.includes(campaign)) errors.push(`${name} is not a campaign of the scenario`)
+        if (!isObject(expected)) {
+            errors.push(`${name} must be an object`)
+            continue
+        }
+        checkKeys(errors, `${name}.`, expected, ["status", "pledged", "donors"])
+        if (expected.status !== undefined && !Object.values(CampaignStatus).includes(expected.status)) {
+            errors.push(`${name}.status must be one of ${Object.values(CampaignStatus).join(", ")}`)
+        }
+        if (expected.pledged !== undefined) checkAmount(errors, `${name}.pledged`, expected.pledged)
+        if (expected.donors !== undefined) checkBalances(errors, `${name}.donors`, expected.donors, accounts)
+    }
+}
+
+/**
+ * Checks a scenario against the scenario format and returns the list of problems,
+ * empty when the scenario is valid. Amounts are in whole tokens, times as in utils/time.js:
+ *
+ *   {
+ *     name: string, required
+ *     description?: string
+ *     accounts?: [string], names for the node's accounts 1, 2, ..., account 0 is "deployer"
+ *     balances?: { [account]: amount }, tokens the deployer sends before the campaigns launch
+ *     campaigns?: { [name]: { creator?: account, goal: amount, start?: time, duration: duration } }
+ *     steps?: [{ wait: duration } | { pledge | unpledge: { campaign, account, amount } }
+ *              | { refund: { campaign, account } } | { claim | cancel: { campaign, account? } }]
+ *     expect?: {
+ *       campaigns?: { [name]: { status?, pledged?: amount, donors?: { [account]: amount } } }
+ *       balances?: { [account]: amount }
+ *     }
+ *   }
+ */
+const validateScenario = (scenario) => {
+    if (!isObject(scenario)) return ["the scenario must be an object"]
+    const errors = []
+    checkKeys(errors, "", scenario, ["name", "description", "accounts", "balances", "campaigns", "steps", "expect"])
+    if (typeof scenario.name !== "string" || scenario.name === "") errors.push("name is required")
+
+    const names = scenario.accounts === undefined ? [] : scenario.accounts
+    if (!Array.isArray(names) || names.some((name) => typeof name !== "string")) {
+        errors.push("accounts must be a list of names")
+    } else if (names.includes(DEPLOYER) || new Set(names).size !== names.length) {
+        errors.push(`accounts must be unique and not "${DEPLOYER}"`)
+    }
+    const accounts = [DEPLOYER, ...(Array.isArray(names) ? names : [])]
+    if (scenario.balances !== undefined) checkBalances(errors, "balances", scenario.balances, accounts)
+
+    const campaigns = isObject(scenario.campaigns) ? Object.keys(scenario.campaigns) : []
+    if (scenario.campaigns !== undefined && !isObject(scenario.campaigns)) {
+        errors.push("campaigns must map campaign names to campaigns")
+    }
+    for (const name of campaigns) {
+        checkCampaign(errors, `campaigns.${name}`, scenario.campaigns[name], accounts)
+    }
+
+    if (scenario.steps !== undefined) {
+        if (!Array.isArray(scenario.steps)) {
+            errors.push("steps must be a list")
+        } else {
+            scenario.steps.forEach((step, i) => checkStep(errors, `steps[${i}]`, step, accounts, campaigns))
+        }
+    }
+    if (scenario.expect !== undefined) checkExpect(errors, scenario.expect, accounts, campaigns)
+    return errors
+}
+
+/**
+ * Reads a scenario from a YAML or JSON file and validates it.
+ * @throws ScenarioValidationError when the scenario is not valid
+ */
+const loadScenario = (file) => {
+    const text = fs.readFileSync(file, "utf8")
+    const scenario = path.extname(file) === ".json" ? JSON.parse(text) : yaml.load(text)
+    const errors = validateScenario(scenario)
+    if (errors.length > 0) throw new ScenarioValidationError(errors.map((error) => `${path.basename(file)}: ${error}`))
+    return scenario
+}
+
+/**
+ * Applies scenarios to a Hardhat or localhost node through FundMe and the time RPC methods.
+ */
+class ScenarioRunner {
+    /**
+     * @param provider a JSON-RPC provider of a Hardhat or localhost node
+     * @param signers the node's accounts, the first one holds the token and hands out the balances
+     * @param fundMeAddress the address of the deployed FundMe contract
+     * @param tokenAddress the token the campaigns raise, which FundMe must allow
+     */
+    constructor({ provider, signers, fundMeAddress, tokenAddress }) {
+        this.provider = provider
+        this.signers = signers
+        this.fundMeAddress = fundMeAddress
+        this.token = new ethers.Contract(tokenAddress, ERC20_ABI, signers[0])
+    }
+
+    /**
+     * Records the state of the node, see revert.
+     * @returns the id of the snapshot
+     */
+    async snapshot() {
+        return this.provider.send("evm_snapshot", [])
+    }
+
+    /**
+     * Takes the node back to the state of `snapshot`, which cannot be reverted to again afterwards.
+     */
+    async revert(snapshot) {
+        if (!(await this.provider.send("evm_revert", [snapshot]))) {
+            throw new Error(`cannot revert to snapshot ${snapshot}, it does not exist or was already reverted to`)
+        }
+    }
+
+    /**
+     * Moves the chain time forward by `seconds` and mines a block at the new time.
+     */
+    async increaseTime(seconds) {
+        await this.provider.send("evm_increaseTime", [seconds])
+        await this.provider.send("evm_mine", [])
+    }
+
+    /**
+     * Applies `scenario` on top of the current state of the node.
+     * @returns the addresses of the accounts, the id and state of the campaigns, and the
+     * expectations of the scenario that were not met in `mismatches`
+     */
+    async run(scenario) {
+        const errors = validateScenario(scenario)
+        if (errors.length > 0) throw new ScenarioValidationError(errors)
+        const names = [DEPLOYER, ...(scenario.accounts || [])]
+        if (names.length > this.signers.length) {
+            throw new Error(`"${scenario.name}" needs ${names.length} accounts but the node has ${this.signers.length}`)
+        }
+        const [decimals, symbol] = await Promise.all([this.token.decimals(), this.token.symbol()])
+        const toUnits = (amount) => ethers.utils.parseUnits(String(amount), decimals)
+        const clients = Object.fromEntries(names.map((name, i) => [name, new CampaignClient(this.signers[i], this.fundMeAddress)]))
+        const accounts = Object.fromEntries(await Promise.all(names.map(async (name) => [name, await clients[name].signer.getAddress()])))
+
+        for (const [name, amount] of Object.entries(scenario.balances || {})) {
+            await (await this.token.transfer(accounts[name], toUnits(amount))).wait()
+        }
+
+        const campaigns = {}
+        for (const [name, campaign] of Object.entries(scenario.campaigns || {})) {
+            const client = clients[campaign.creator || DEPLOYER]
+            const startAt = parseTime(campaign.start || DEFAULT_START, await client.now())
+            const endAt = startAt + parseDuration(campaign.duration)
+            const { id } = await client.launch({ token: this.token.address, goal: toUnits(campaign.goal), startAt, endAt })
+            campaigns[name] = { id, creator: campaign.creator || DEPLOYER }
+        }
+
+        const steps = scenario.steps || []
+        for (let i = 0; i < steps.length; i++) {
+            const [type, args] = Object.entries(steps[i])[0]
+            try {
+                if (type === "wait") {
+                    await this.increaseTime(parseDuration(args))
+                    continue
+                }
+                const { id, creator } = campaigns[args.campaign]
+                const client = clients[args.account || creator]
+                if (type === "pledge" || type === "unpledge") {
+                    await client[type](id, toUnits(args.amount))
+                } else {
+                    await client[type](id)
+                }
+            } catch (e) {
+                throw new Error(`step ${i + 1} (${type}) of "${scenario.name}" failed: ${e.reason || e.message}`)
+            }
+        }
+
+        const result = {
+            name: scenario.name,
+            fundMe: this.fundMeAddress,
+            token: { address: this.token.address, symbol, decimals },
+            accounts,
+            campaigns: {},
+            mismatches: [],
+        }
+        const reader = clients[DEPLOYER]
+        const now = await reader.now()
+        for (const [name, { id }] of Object.entries(campaigns)) {
+            const { status, goal, pledged } = await reader.getCampaign(id, now)
+            result.campaigns[name] = { id, status, goal, pledged }
+        }
+        result.mismatches = await this._check(scenario.expect || {}, result, toUnits)
+        return result
+    }
+
+    // compares the state the scenario ended in with its `expect` section
+    async _check(expect, result, toUnits) {
+        const mismatches = []
+        const reader = new CampaignClient(this.provider, this.fundMeAddress)
+        const format = (amount) => ethers.utils.formatUnits(amount, result.token.decimals)
+        const compare = (name, expected, actual) => {
+            if (!actual.eq(toUnits(expected))) mismatches.push(`${name}: expected ${expected}, got ${format(actual)}`)
+        }
+        for (const [name, expected] of Object.entries(expect.campaigns || {})) {
+            const campaign = result.campaigns[name]
+            if (expected.status !== undefined && expected.status !== campaign.status) {
+                mismatches.push(`campaign ${name}: expected status ${expected.status}, got ${campaign.status}`)
+            }
+            if (expected.pledged !== undefined) compare(`campaign ${name} pledged`, expected.pledged, campaign.pledged)
+            for (const [account, amount] of Object.entries(expected.donors || {})) {
+                compare(`campaign ${name} pledge of ${account}`, amount, await reader.pledgedAmount(campaign.id, result.accounts[account]))
+            }
+        }
+        for (const [account, amount] of Object.entries(expect.balances || {})) {
+            compare(`balance of ${account}`, amount, await this.token.balanceOf(result.accounts[account]))
+        }
+        return mismatches
+    }
+}
+
+module.exports = {
+    ScenarioRunner,
+    ScenarioValidationError,
+    validateScenario,
+    loadScenario,
+}
@@ -0,0 +1,42 @@
+// Parsing of the human friendly times accepted by the command line tools.
+
+const UNITS = {
+    s: 1,
+    m: 60,
+    h: 60 * 60,
+    d: 24 * 60 * 60,
+    w: 7 * 24 * 60 * 60,
+}
+
+/**
+ * Parses a duration like "90s", "15m", "1h", "7d" or "2w" into seconds.
+ * A plain number is taken as seconds.
+ */
+const parseDuration = (value) => {
+    const match = /^(\d+)([smhdw]?)$/.exec(String(value).trim())
+    if (!match) {
+        throw new Error(`Invalid duration "${value}", expected something like 90s, 15m, 1h, 7d or 2w`)
+    }
+    return Number(match[1]) * UNITS[match[2] || "s"]
+}
+
+/**
+ * Parses a point in time into Unix seconds.
+ * Accepts a time relative to `now` like "+1h", Unix seconds, or an ISO 8601 date.
+ * @param now the current chain time in Unix seconds
+ */
+const parseTime = (value, now) => {
+    const text = String(value).trim()
+    if (text.startsWith("+")) return now + parseDuration(text.slice(1))
+    if (/^\d+$/.test(text)) return Number(text)
+    const date = Date.parse(text)
+    if (Number.isNaN(date)) {
+        throw new Error(`Invalid time "${value}", expected +<duration>, Unix seconds or an ISO 8601 date`)
+    }
+    return Math.floor(date / 1000)
+}
+
+module.exports = {
+    parseDuration,
+    parseTime,
+}
@@ -1,10 +1,16 @@
 // we can't have these functions in our `helper-hardhat-config`
 // since these use the hardhat library
 // and it would be a circular dependency
-const { run } = require("hardhat")
+const { run, network } = require("hardhat")
+const { getExplorerConfig } = require("../helper-hardhat-config")
 
 const verify = async (contractAddress, args) => {
-    console.log("Verifying contract...")
+    const explorer = getExplorerConfig(network.config.chainId, process.env)
+    if (!explorer) {
+        console.log(`No explorer API key configured for ${network.name}, skipping verification`)
+        return
+    }
+    console.log(`Verifying contract on ${explorer.browserURL}...`)
     try {
         await run("verify:verify", {
             address: contractAddress,
@@ -21,4 +27,4 @@ const verify = async (contractAddress, args) => {
 
 module.exports = {
     verify,
-}
\ No newline at end of file
+}